@@ -0,0 +1,341 @@
+// =========================================================
+// Network Analytics (centrality, concentration, structure)
+// =========================================================
+// Structural metrics of the exposure graph, per bank and system-wide. An exposure is an edge from debtor i to
+// creditor j weighted by the amount i owes j (see exposures.js). Distress travels along these edges, from debtor
+// to creditor. Works in the browser (`window.NetworkAnalytics`) and Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.NetworkAnalytics = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, () => {
+    'use strict';
+
+    const PAGERANK_DAMPING = 0.85;
+    const POWER_TOLERANCE = 1e-9;
+    const MAX_POWER_ITERATIONS = 300;
+    const EXACT_BETWEENNESS_LIMIT = 1000; // larger networks estimate betweenness from a sample of source banks
+    const BETWEENNESS_SAMPLES = 250;
+    const LARGE_EXPOSURE_LIMIT = 0.25; // Basel large-exposure limit: 25% of capital to one counterparty
+
+    /**
+     * Per-bank metrics, in the order the app shows them. `format` is 'amount', 'share' (a fraction shown as a
+     * percentage), 'score' or 'count'.
+     */
+    const BANK_METRICS = [
+        { key: 'inStrength', label: 'Claims (weighted in-degree)', short: 'Claims', format: 'amount' },
+        { key: 'outStrength', label: 'Liabilities (weighted out-degree)', short: 'Liabilities', format: 'amount' },
+        { key: 'eigenvector', label: 'Eigenvector centrality', short: 'Eigenvector', format: 'score' },
+        { key: 'pageRank', label: 'PageRank', short: 'PageRank', format: 'score' },
+        { key: 'betweenness', label: 'Betweenness', short: 'Betweenness', format: 'score' },
+        { key: 'clustering', label: 'Clustering coefficient', short: 'Clustering', format: 'score' },
+        { key: 'coreNumber', label: 'k-core', short: 'k-Core', format: 'count' },
+        { key: 'concentration', label: 'Counterparty concentration (HHI vs capital)', short: 'HHI vs Capital', format: 'score' },
+        { key: 'largestExposure', label: 'Largest exposure / capital', short: 'Largest Exp.', format: 'share' }
+    ];
+
+    // Distinct counterparties of every bank in either direction (the undirected graph)
+    const undirectedNeighbours = (exposures) => exposures.out.map((row, i) => {
+        const neighbours = new Set(row.keys());
+        exposures.in[i].forEach((amount, k) => neighbours.add(k));
+        return [...neighbours];
+    });
+
+    // Repeats `step` from `start` until no entry moves by more than the tolerance
+    const powerIterate = (start, step) => {
+        let current = start;
+        for (let iteration = 0; iteration < MAX_POWER_ITERATIONS; iteration++) {
+            const next = step(current);
+            const change = next.reduce((max, value, i) => Math.max(max, Math.abs(value - current[i])), 0);
+            current = next;
+            if (change < POWER_TOLERANCE) break;
+        }
+        return current;
+    };
+
+    /**
+     * Eigenvector centrality of the undirected graph weighted by the exposure between each pair (both directions
+     * summed), scaled so the most central bank scores 1. Iterates with (W / w_max + I), which has the same leading
+     * eigenvector as W but also converges on bipartite graphs such as a star.
+     */
+    const eigenvectorCentrality = (exposures) => {
+        const { n } = exposures;
+        if (!n) return [];
+        // Pair weights as flat lists per bank, so each iteration is a plain loop
+        const counterparties = [];
+        const weights = [];
+        let maxWeight = 0;
+        for (let i = 0; i < n; i++) {
+            const pairs = new Map(exposures.out[i]);
+            exposures.in[i].forEach((amount, k) => pairs.set(k, (pairs.get(k) || 0) + amount));
+            counterparties.push([...pairs.keys()]);
+            weights.push([...pairs.values()]);
+            pairs.forEach(weight => { maxWeight = Math.max(maxWeight, weight); });
+        }
+        if (!maxWeight) return new Array(n).fill(0);
+        const scale = (vector) => {
+            const max = Math.max(...vector);
+            return max > 0 ? vector.map(value => value / max) : vector;
+        };
+        return powerIterate(new Array(n).fill(1), (x) => scale(x.map((value, i) => {
+            const ids = counterparties[i];
+            const w = weights[i];
+            let total = 0;
+            for (let k = 0; k < ids.length; k++) total += w[k] * x[ids[k]];
+            return value + total / maxWeight;
+        })));
+    };
+
+    /**
+     * PageRank over the exposures seen from the creditor side: every creditor passes its score to its debtors in
+     * proportion to its claims on them, so a bank ranks high when central banks are exposed to it. Banks without
+     * claims spread their score evenly. Scores sum to 1.
+     */
+    const pageRank = (exposures, damping = PAGERANK_DAMPING) => {
+        const { n } = exposures;
+        if (!n) return [];
+        const claims = exposures.in.map(column => {
+            let total = 0;
+            column.forEach(amount => { total += amount; });
+            return total;
+        });
+        return powerIterate(new Array(n).fill(1 / n), (rank) => {
+            const dangling = rank.reduce((sum, value, j) => sum + (claims[j] > 0 ? 0 : value), 0);
+            const base = (1 - damping) / n + (damping * dangling) / n;
+            return rank.map((value, i) => {
+                let received = 0;
+                exposures.out[i].forEach((amount, j) => { received += (rank[j] * amount) / claims[j]; });
+                return base + damping * received;
+            });
+        });
+    };
+
+    /**
+     * Betweenness of the directed, unweighted graph (Brandes): the share of shortest debtor-to-creditor chains
+     * between other banks that pass through each bank, normalised by (n - 1)(n - 2). Above
+     * EXACT_BETWEENNESS_LIMIT banks, paths from BETWEENNESS_SAMPLES evenly spaced source banks are counted
+     * and scaled up. Returns { values, sampled }.
+     */
+    const betweennessCentrality = (exposures) => {
+        const { n } = exposures;
+        const values = new Array(n).fill(0);
+        const sampled = n > EXACT_BETWEENNESS_LIMIT;
+        const sources = sampled
+            ? Array.from({ length: BETWEENNESS_SAMPLES }, (_, k) => Math.floor((k * n) / BETWEENNESS_SAMPLES))
+            : Array.from({ length: n }, (_, k) => k);
+        const successors = exposures.out.map(row => [...row.keys()]);
+
+        const distance = new Int32Array(n);
+        const paths = new Float64Array(n);
+        const dependency = new Float64Array(n);
+        const order = new Int32Array(n);
+        const predecessors = Array.from({ length: n }, () => []);
+
+        sources.forEach(source => {
+            distance.fill(-1);
+            paths.fill(0);
+            dependency.fill(0);
+            predecessors.forEach(list => { list.length = 0; });
+            distance[source] = 0;
+            paths[source] = 1;
+            order[0] = source;
+            let head = 0;
+            let tail = 1;
+            while (head < tail) {
+                const v = order[head++];
+                successors[v].forEach(w => {
+                    if (distance[w] < 0) {
+                        distance[w] = distance[v] + 1;
+                        order[tail++] = w;
+                    }
+                    if (distance[w] === distance[v] + 1) {
+                        paths[w] += paths[v];
+                        predecessors[w].push(v);
+                    }
+                });
+            }
+            for (let k = tail - 1; k > 0; k--) {
+                const w = order[k];
+                predecessors[w].forEach(v => { dependency[v] += (paths[v] / paths[w]) * (1 + dependency[w]); });
+                values[w] += dependency[w];
+            }
+        });
+
+        const scale = (n > 2 ? 1 / ((n - 1) * (n - 2)) : 0) * (n / sources.length);
+        return { values: values.map(value => value * scale), sampled };
+    };
+
+    /**
+     * Local clustering coefficient of the undirected graph: the share of pairs of a bank's counterparties that
+     * also have an exposure between them (0 for banks with fewer than two counterparties).
+     */
+    const clusteringCoefficients = (neighbours) => {
+        const mark = new Int32Array(neighbours.length).fill(-1);
+        return neighbours.map((list, u) => {
+            const k = list.length;
+            if (k < 2) return 0;
+            list.forEach(v => { mark[v] = u; });
+            let links = 0;
+            list.forEach(v => neighbours[v].forEach(w => {
+                if (mark[w] === u) links++;
+            }));
+            return links / (k * (k - 1)); // every link between two neighbours was counted from both ends
+        });
+    };
+
+    /**
+     * Core number of every bank in the undirected graph: the largest k such that it belongs to a subgraph where
+     * every bank has at least k counterparties (Batagelj–Zaversnik peeling).
+     */
+    const coreNumbers = (neighbours) => {
+        const n = neighbours.length;
+        const degree = neighbours.map(list => list.length);
+        const maxDegree = Math.max(0, ...degree);
+        const binStart = new Array(maxDegree + 1).fill(0);
+        degree.forEach(d => { binStart[d]++; });
+        for (let d = 0, start = 0; d <= maxDegree; d++) {
+            const count = binStart[d];
+            binStart[d] = start;
+            start += count;
+        }
+        const position = new Array(n);
+        const vertices = new Array(n);
+        degree.forEach((d, v) => {
+            position[v] = binStart[d]++;
+            vertices[position[v]] = v;
+        });
+        for (let d = maxDegree; d > 0; d--) binStart[d] = binStart[d - 1];
+        binStart[0] = 0;
+
+        for (let i = 0; i < n; i++) {
+            const v = vertices[i];
+            neighbours[v].forEach(u => {
+                if (degree[u] <= degree[v]) return;
+                // Move u to the front of its bin, then shrink the bin past it
+                const du = degree[u];
+                const first = binStart[du];
+                const w = vertices[first];
+                if (u !== w) {
+                    vertices[position[u]] = w;
+                    position[w] = position[u];
+                    vertices[first] = u;
+                    position[u] = first;
+                }
+                binStart[du]++;
+                degree[u]--;
+            });
+        }
+        return degree;
+    };
+
+    // Herfindahl index of a list of amounts (0 when they are all zero)
+    const herfindahl = (amounts) => {
+        const total = amounts.reduce((sum, amount) => sum + amount, 0);
+        return total > 0 ? amounts.reduce((sum, amount) => sum + (amount / total) ** 2, 0) : 0;
+    };
+
+    /**
+     * Analyses a network ({ nodes, exposures }). Returns
+     *   banks   one row per bank, indexed by id: { id, name, inDegree, outDegree, ...BANK_METRICS keys,
+     *           largestCounterparty } where
+     *             concentration    Σ (claim / capital)² over the bank's debtors: 1 for a single claim equal to its
+     *                              capital, 0.25 for the same amount spread over four debtors
+     *             largestExposure  the largest claim over capital (null without positive capital)
+     *   system  { banks, exposures, density, reciprocity, meanDegree, totalExposure, averageClustering,
+     *             degeneracy (largest core number), innerCore (banks in it), lendingConcentration and
+     *             borrowingConcentration (HHI of claims / liabilities across banks), largeExposureBanks (banks
+     *             with a claim of LARGE_EXPOSURE_LIMIT of their capital or more), betweennessSampled }
+     */
+    const analyzeNetwork = ({ nodes, exposures }) => {
+        const { n } = exposures;
+        const neighbours = undirectedNeighbours(exposures);
+        const eigenvector = eigenvectorCentrality(exposures);
+        const rank = pageRank(exposures);
+        const betweenness = betweennessCentrality(exposures);
+        const clustering = clusteringCoefficients(neighbours);
+        const cores = coreNumbers(neighbours);
+        const capital = [];
+        const names = [];
+        nodes.forEach(node => {
+            capital[node.id] = node.E_initial;
+            names[node.id] = node.name;
+        });
+
+        let edgeCount = 0;
+        let mutual = 0;
+        let totalExposure = 0;
+        const banks = exposures.out.map((row, id) => {
+            let inStrength = 0;
+            let outStrength = 0;
+            let largest = 0;
+            let largestCounterparty = null;
+            let squares = 0;
+            exposures.in[id].forEach((amount, debtor) => {
+                inStrength += amount;
+                squares += amount * amount;
+                if (amount > largest) {
+                    largest = amount;
+                    largestCounterparty = debtor;
+                }
+            });
+            row.forEach((amount, creditor) => {
+                outStrength += amount;
+                edgeCount++;
+                if (exposures.out[creditor].has(id)) mutual++;
+            });
+            totalExposure += outStrength;
+            const hasCapital = capital[id] > 0;
+            return {
+                id,
+                name: names[id],
+                inDegree: exposures.in[id].size,
+                outDegree: row.size,
+                inStrength,
+                outStrength,
+                eigenvector: eigenvector[id],
+                pageRank: rank[id],
+                betweenness: betweenness.values[id],
+                clustering: clustering[id],
+                coreNumber: cores[id],
+                concentration: hasCapital ? squares / (capital[id] * capital[id]) : null,
+                largestExposure: hasCapital ? largest / capital[id] : null,
+                largestCounterparty
+            };
+        });
+
+        const degeneracy = Math.max(0, ...cores);
+        const system = {
+            banks: n,
+            exposures: edgeCount,
+            density: n > 1 ? edgeCount / (n * (n - 1)) : 0,
+            reciprocity: edgeCount ? mutual / edgeCount : 0,
+            meanDegree: n ? edgeCount / n : 0,
+            totalExposure,
+            averageClustering: n ? clustering.reduce((sum, value) => sum + value, 0) / n : 0,
+            degeneracy,
+            innerCore: cores.filter(core => core === degeneracy).length,
+            lendingConcentration: herfindahl(banks.map(bank => bank.inStrength)),
+            borrowingConcentration: herfindahl(banks.map(bank => bank.outStrength)),
+            largeExposureBanks: banks.filter(bank => bank.largestExposure !== null && bank.largestExposure >= LARGE_EXPOSURE_LIMIT).length,
+            betweennessSampled: betweenness.sampled
+        };
+
+        return { banks, system };
+    };
+
+    return {
+        PAGERANK_DAMPING,
+        EXACT_BETWEENNESS_LIMIT,
+        BETWEENNESS_SAMPLES,
+        LARGE_EXPOSURE_LIMIT,
+        BANK_METRICS,
+        eigenvectorCentrality,
+        pageRank,
+        betweennessCentrality,
+        clusteringCoefficients,
+        coreNumbers,
+        analyzeNetwork
+    };
+});
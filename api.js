@@ -0,0 +1,535 @@
+// =========================================================
+// JSON API for running stress tests server-side
+// =========================================================
+const crypto = require('crypto');
+const express = require('express');
+const DebtRankEngine = require('./engine');
+const NetworkImporter = require('./importer');
+const MonteCarlo = require('./montecarlo');
+const NetworkAnalytics = require('./analytics');
+const ResultExporter = require('./exporter');
+const Audit = require('./audit');
+const Library = require('./library');
+
+const MAX_GENERATED_NODES = 10000;
+const MAX_COMPARED_RUNS = 10;
+// Stress tests run on the request thread, so each request may run at most this many banks × simulations
+// (about half a minute of work on a 10,000-bank network)
+const MAX_BANK_RUNS = 500000;
+// Networks kept for later requests; the least recently used go first
+const MAX_STORED_NETWORKS = 50;
+const MAX_STORED_BANKS = 100000;
+
+// Error carrying an HTTP status and a list of validation messages
+class ApiError extends Error {
+    constructor(status, message, details = []) {
+        super(message);
+        this.status = status;
+        this.details = details;
+    }
+}
+
+const validationError = (details) => new ApiError(400, 'Invalid request', details);
+
+const isSeed = (seed) => (typeof seed === 'string' && seed.trim() !== '') || Number.isFinite(seed);
+
+/**
+ * `auth` (see auth.js) protects every route but /auth/login: without it the API is open (tests, local scripts).
+ * `audit` (see audit.js) records every generation, import and run, and adds the /audit routes.
+ * `library` (see library.js) adds the /library routes for shared networks, scenarios and runs.
+ */
+const createApiRouter = ({ auth = null, audit = null, library = null } = {}) => {
+    const router = express.Router();
+    const networks = new Map(); // id -> runnable network
+    const networkRecords = new Map(); // id -> ResultExporter.auditNetwork description (with an audit log only)
+
+    router.use(express.json({ limit: '10mb' }));
+    if (auth) {
+        router.use('/auth', auth.router);
+        router.use(auth.requireLogin);
+    }
+
+    const authorize = (req, permission) => {
+        if (auth) auth.authorize(req, permission);
+    };
+
+    // Network data sent with a request counts as an upload (analysts only), held to the importer's balance-sheet checks
+    const loadUploadedNetwork = (req, data) => {
+        authorize(req, 'upload');
+        let network;
+        try {
+            network = DebtRankEngine.loadNetwork(data);
+        } catch (err) {
+            throw validationError(err.details || [err.message]);
+        }
+        const errors = DebtRankEngine.validateBalanceSheets(network);
+        if (errors.length) throw validationError(errors);
+        return network;
+    };
+
+    // Appends an audit entry for the request's user (no-op without an audit log)
+    const record = (req, event, fields) => {
+        if (audit) audit.append({ ...fields, user: req.user ? req.user.username : null, origin: 'api', event });
+    };
+
+    // The audit description of a request's network, with a copy of uploaded data so the run can be re-opened
+    const auditedNetwork = (body, network) => {
+        if (!audit) return {};
+        if (body.networkId !== undefined) return { network: networkRecords.get(body.networkId) };
+        return { network: ResultExporter.auditNetwork(network, 'uploaded'), networkData: DebtRankEngine.serializeNetwork(network) };
+    };
+
+    // Sending network data counts as an upload, unless the same network is already shared in the library
+    const authorizeNetworkData = (req, fingerprint) => {
+        if (!(library && library.hasNetwork(fingerprint))) authorize(req, 'upload');
+    };
+
+    const interventionSpecs = (interventions) => (interventions ? interventions.applied : null);
+    // A multi-period run's liquidity settings, without its per-period timeline
+    const liquiditySpec = (liquidity) => {
+        if (!liquidity) return null;
+        const { timeline, ...spec } = liquidity;
+        return spec;
+    };
+    // Capital rules as given, without the breach counts of the run
+    const capitalRulesSpec = (capitalRules) => {
+        if (!capitalRules) return null;
+        const { breaches, regulatoryFailures, ...spec } = capitalRules;
+        return spec;
+    };
+
+    const findNetwork = (id) => {
+        const network = networks.get(id);
+        if (!network) throw new ApiError(404, `Network "${id}" not found`);
+        // Map order is the eviction order: a network in use moves to the back
+        networks.delete(id);
+        networks.set(id, network);
+        return network;
+    };
+
+    // Stores a network, evicting the least recently used ones beyond MAX_STORED_NETWORKS or MAX_STORED_BANKS
+    const storeNetwork = (id, network) => {
+        networks.set(id, network);
+        let banks = 0;
+        networks.forEach(stored => { banks += stored.nodes.length; });
+        for (const [oldId, stored] of networks) {
+            if (oldId === id || (networks.size <= MAX_STORED_NETWORKS && banks <= MAX_STORED_BANKS)) break;
+            networks.delete(oldId);
+            networkRecords.delete(oldId);
+            banks -= stored.nodes.length;
+        }
+    };
+
+    // Refuses requests that would run more than MAX_BANK_RUNS banks × simulations
+    const workErrors = (network, simulations, what) => {
+        const banks = network.nodes.length;
+        return banks * simulations > MAX_BANK_RUNS
+            ? [`${what} on ${banks} banks is limited to ${Math.max(0, Math.floor(MAX_BANK_RUNS / banks))} simulations per request (${simulations} requested).`]
+            : [];
+    };
+
+    const describeNetwork = (id, network) => ({
+        id,
+        parameters: network.parameters,
+        nodeCount: network.nodes.length,
+        linkCount: network.links.length,
+        totalInitialCapital: DebtRankEngine.summarize(network.nodes).totalInitialCapital,
+        network: DebtRankEngine.serializeNetwork(network)
+    });
+
+    const importNetwork = (balanceSheets, exposures) => {
+        const { network, errors } = NetworkImporter.importNetwork({ balanceSheets, exposures });
+        if (errors.length) throw validationError(errors.map(NetworkImporter.formatError));
+        return network;
+    };
+
+    // POST /api/networks  { n, topology, ..., seed }       -> generate a synthetic network (see GENERATION_DEFAULTS)
+    // POST /api/networks  { network }                     -> upload { nodes, exposures } (analysts)
+    // POST /api/networks  { balanceSheets, exposures }    -> import CSV text or JSON records (analysts)
+    // POST /api/networks  { libraryId }                   -> load a network shared in the library
+    router.post('/networks', (req, res) => {
+        const body = req.body || {};
+        let network;
+        let source = 'generated';
+
+        if (body.libraryId !== undefined) {
+            const item = library && library.get('networks', String(body.libraryId));
+            if (!item) throw new ApiError(404, `No library network "${body.libraryId}"`);
+            try {
+                network = DebtRankEngine.loadNetwork(item.data);
+            } catch (err) {
+                throw new ApiError(422, `Library network "${item.id}" could not be loaded`, err.details || [err.message]);
+            }
+            source = 'library';
+        } else if (body.network !== undefined) {
+            network = loadUploadedNetwork(req, body.network);
+            source = 'uploaded';
+        } else if (body.balanceSheets !== undefined || body.exposures !== undefined) {
+            authorize(req, 'upload');
+            network = importNetwork(body.balanceSheets, body.exposures);
+            source = 'imported';
+        } else {
+            const options = {};
+            DebtRankEngine.GENERATION_PARAMS.forEach(key => {
+                if (body[key] !== undefined) options[key] = body[key];
+            });
+            const errors = DebtRankEngine.validateGenerationOptions(options);
+            const n = options.n === undefined ? DebtRankEngine.N : options.n;
+            if (Number.isInteger(n) && n > MAX_GENERATED_NODES) errors.push(`"n" must be at most ${MAX_GENERATED_NODES}.`);
+            if (body.seed !== undefined && !isSeed(body.seed)) errors.push('"seed" must be a non-empty string or a number.');
+            if (errors.length) throw validationError(errors);
+            network = DebtRankEngine.generateNetwork({ ...options, seed: body.seed });
+        }
+
+        const id = crypto.randomUUID();
+        storeNetwork(id, network);
+        if (audit) {
+            networkRecords.set(id, ResultExporter.auditNetwork(network, source));
+            record(req, source === 'generated' ? 'generate' : 'import', {
+                network: networkRecords.get(id),
+                seed: network.parameters.seed,
+                results: ResultExporter.auditResults(source === 'generated' ? 'generate' : 'import', network),
+                ...(source === 'generated' ? {} : { networkData: DebtRankEngine.serializeNetwork(network) })
+            });
+        }
+        res.status(201).json(describeNetwork(id, network));
+    });
+
+    router.get('/networks/:id', (req, res) => {
+        res.json(describeNetwork(req.params.id, findNetwork(req.params.id)));
+    });
+
+    // GET /api/networks/:id/analytics  -> { banks, system } centrality, concentration and structure (see analytics.js)
+    router.get('/networks/:id/analytics', (req, res) => {
+        res.json({ networkId: req.params.id, ...NetworkAnalytics.analyzeNetwork(findNetwork(req.params.id)) });
+    });
+
+    // POST /api/simulate  { networkId | network, shock, model, fireSale, interventions, liquidity, capitalRules, seed, includeRounds }
+    router.post('/simulate', (req, res) => {
+        const body = req.body || {};
+        if (body.networkId === undefined && body.network === undefined) {
+            throw validationError(['Either "networkId" or "network" is required.']);
+        }
+
+        const network = body.networkId !== undefined ? findNetwork(body.networkId) : loadUploadedNetwork(req, body.network);
+        const shockErrors = DebtRankEngine.validateShock(body.shock, network.nodes.length);
+        if (body.seed !== undefined && !isSeed(body.seed)) shockErrors.push('"seed" must be a non-empty string or a number.');
+        shockErrors.push(...DebtRankEngine.validateModel(body.model));
+        shockErrors.push(...DebtRankEngine.validateFireSale(body.fireSale));
+        shockErrors.push(...DebtRankEngine.validateInterventions(body.interventions, network.nodes.length));
+        shockErrors.push(...DebtRankEngine.validateLiquidity(body.liquidity));
+        shockErrors.push(...DebtRankEngine.validateCapitalRules(body.capitalRules));
+        if (shockErrors.length) throw validationError(shockErrors);
+
+        const recordRounds = body.includeRounds === true;
+        const result = DebtRankEngine.runSimulation(network, body.shock, {
+            seed: body.seed,
+            model: body.model,
+            fireSale: body.fireSale,
+            interventions: body.interventions,
+            liquidity: body.liquidity,
+            capitalRules: body.capitalRules,
+            recordRounds
+        });
+        const { shock, model, fireSale, interventions, liquidity, capitalRules, layers, seed, nodes, iterations, summary, rounds } = result;
+        record(req, 'simulate', {
+            ...auditedNetwork(body, network),
+            seed,
+            shock,
+            model,
+            fireSale: fireSale || null,
+            interventions: interventionSpecs(interventions),
+            liquidity: liquiditySpec(liquidity),
+            capitalRules: capitalRulesSpec(capitalRules),
+            results: ResultExporter.auditResults('simulate', result)
+        });
+        res.json({
+            networkId: body.networkId || null,
+            shock,
+            model,
+            fireSale: fireSale || null,
+            interventions: interventions || null,
+            liquidity: liquidity || null,
+            capitalRules: capitalRules || null,
+            layers: layers || null,
+            seed,
+            iterations,
+            summary,
+            banks: DebtRankEngine.resultRows(nodes),
+            ...(recordRounds ? { rounds } : {})
+        });
+    });
+
+    // POST /api/compare  { networkId | network, runs: [{ name, shock, model, fireSale, interventions, liquidity, capitalRules, seed }, ...] }  -> per-bank deltas vs the first run
+    router.post('/compare', (req, res) => {
+        const body = req.body || {};
+        if (body.networkId === undefined && body.network === undefined) {
+            throw validationError(['Either "networkId" or "network" is required.']);
+        }
+
+        const network = body.networkId !== undefined ? findNetwork(body.networkId) : loadUploadedNetwork(req, body.network);
+        if (!Array.isArray(body.runs) || body.runs.length < 2 || body.runs.length > MAX_COMPARED_RUNS) {
+            throw validationError([`"runs" must be an array of 2 to ${MAX_COMPARED_RUNS} runs.`]);
+        }
+        const errors = [];
+        body.runs.forEach((run, i) => {
+            if (!run || typeof run !== 'object') {
+                errors.push(`"runs[${i}]" must be an object.`);
+                return;
+            }
+            errors.push(...DebtRankEngine.validateShock(run.shock, network.nodes.length).map(error => `runs[${i}]: ${error}`));
+            errors.push(...DebtRankEngine.validateModel(run.model).map(error => `runs[${i}]: ${error}`));
+            errors.push(...DebtRankEngine.validateFireSale(run.fireSale).map(error => `runs[${i}]: ${error}`));
+            errors.push(...DebtRankEngine.validateInterventions(run.interventions, network.nodes.length).map(error => `runs[${i}]: ${error}`));
+            errors.push(...DebtRankEngine.validateLiquidity(run.liquidity).map(error => `runs[${i}]: ${error}`));
+            errors.push(...DebtRankEngine.validateCapitalRules(run.capitalRules).map(error => `runs[${i}]: ${error}`));
+            if (run.seed !== undefined && !isSeed(run.seed)) errors.push(`runs[${i}]: "seed" must be a non-empty string or a number.`);
+        });
+        if (errors.length) throw validationError(errors);
+
+        const results = body.runs.map((run, i) => ({
+            name: run.name ? String(run.name) : `run-${i + 1}`,
+            ...DebtRankEngine.runSimulation(network, run.shock, { seed: run.seed, model: run.model, fireSale: run.fireSale, interventions: run.interventions, liquidity: run.liquidity, capitalRules: run.capitalRules })
+        }));
+        const comparison = DebtRankEngine.compareRuns(results);
+        record(req, 'compare', {
+            ...auditedNetwork(body, network),
+            options: {
+                runs: results.map(({ name, shock, model, fireSale, interventions, liquidity, capitalRules, seed }) => ({
+                    name, shock, model, fireSale: fireSale || null, interventions: interventionSpecs(interventions), liquidity: liquiditySpec(liquidity),
+                    capitalRules: capitalRulesSpec(capitalRules), seed
+                }))
+            },
+            results: ResultExporter.auditResults('compare', comparison)
+        });
+        res.json({ networkId: body.networkId || null, ...comparison });
+    });
+
+    // POST /api/systemic-importance  { networkId | network, model, fireSale }  -> banks ranked by the loss their failure causes
+    router.post('/systemic-importance', (req, res) => {
+        const body = req.body || {};
+        if (body.networkId === undefined && body.network === undefined) {
+            throw validationError(['Either "networkId" or "network" is required.']);
+        }
+
+        const network = body.networkId !== undefined ? findNetwork(body.networkId) : loadUploadedNetwork(req, body.network);
+        const errors = [...DebtRankEngine.validateModel(body.model), ...DebtRankEngine.validateFireSale(body.fireSale)];
+        errors.push(...workErrors(network, network.nodes.length, 'Systemic importance (one simulation per bank)'));
+        if (errors.length) throw validationError(errors);
+
+        const rows = DebtRankEngine.systemicImportance(network, { model: body.model, fireSale: body.fireSale });
+        const model = DebtRankEngine.normalizeModel(body.model);
+        record(req, 'systemic-importance', {
+            ...auditedNetwork(body, network),
+            model,
+            fireSale: body.fireSale || null,
+            results: ResultExporter.auditResults('systemic-importance', rows)
+        });
+        res.json({
+            networkId: body.networkId || null,
+            model,
+            banks: rows.slice().sort((a, b) => a.rank - b.rank)
+        });
+    });
+
+    // POST /api/cheapest-injection  { networkId | network, shock, model, fireSale, seed, maxFailures, when, candidates }
+    //   -> the capital injections found to keep failures at or below maxFailures, within MAX_BANK_RUNS
+    router.post('/cheapest-injection', (req, res) => {
+        const body = req.body || {};
+        if (body.networkId === undefined && body.network === undefined) {
+            throw validationError(['Either "networkId" or "network" is required.']);
+        }
+
+        const network = body.networkId !== undefined ? findNetwork(body.networkId) : loadUploadedNetwork(req, body.network);
+        const errors = DebtRankEngine.validateShock(body.shock, network.nodes.length);
+        if (body.seed !== undefined && !isSeed(body.seed)) errors.push('"seed" must be a non-empty string or a number.');
+        errors.push(...DebtRankEngine.validateModel(body.model));
+        errors.push(...DebtRankEngine.validateFireSale(body.fireSale));
+        errors.push(...DebtRankEngine.validateInjectionSearch(body, network.nodes.length));
+        if (errors.length) throw validationError(errors);
+
+        const result = DebtRankEngine.cheapestInjection(network, body.shock, {
+            model: body.model,
+            fireSale: body.fireSale,
+            seed: body.seed,
+            maxFailures: body.maxFailures,
+            when: body.when,
+            candidates: body.candidates,
+            maxEvaluations: Math.max(2, Math.floor(MAX_BANK_RUNS / network.nodes.length))
+        });
+        record(req, 'cheapest-injection', {
+            ...auditedNetwork(body, network),
+            seed: body.seed !== undefined ? body.seed : network.parameters.seed,
+            shock: body.shock,
+            model: DebtRankEngine.normalizeModel(body.model),
+            fireSale: body.fireSale || null,
+            interventions: result.interventions,
+            options: { maxFailures: result.maxFailures, when: result.when, candidates: body.candidates || null },
+            results: ResultExporter.auditResults('cheapest-injection', result)
+        });
+        res.json({ networkId: body.networkId || null, ...result });
+    });
+
+    // POST /api/montecarlo  { networkId | network, shock, model, fireSale, seed, runs, resampleNetwork, macroVolatility, levels }
+    router.post('/montecarlo', (req, res) => {
+        const body = req.body || {};
+        if (body.networkId === undefined && body.network === undefined) {
+            throw validationError(['Either "networkId" or "network" is required.']);
+        }
+
+        const network = body.networkId !== undefined ? findNetwork(body.networkId) : loadUploadedNetwork(req, body.network);
+        const errors = DebtRankEngine.validateShock(body.shock, network.nodes.length);
+        if (body.seed !== undefined && !isSeed(body.seed)) errors.push('"seed" must be a non-empty string or a number.');
+        errors.push(...DebtRankEngine.validateModel(body.model));
+        errors.push(...DebtRankEngine.validateFireSale(body.fireSale));
+        errors.push(...MonteCarlo.validateOptions(body));
+        if (body.resampleNetwork !== undefined && typeof body.resampleNetwork !== 'boolean') errors.push('"resampleNetwork" must be a boolean.');
+        else if (body.resampleNetwork) errors.push(...MonteCarlo.validateResampling(network));
+        if (Number.isInteger(body.runs) || body.runs === undefined) errors.push(...workErrors(network, body.runs || MonteCarlo.DEFAULT_RUNS, 'Monte Carlo'));
+        if (errors.length) throw validationError(errors);
+
+        const result = MonteCarlo.runMonteCarlo(network, {
+            shock: body.shock,
+            model: body.model,
+            fireSale: body.fireSale,
+            seed: body.seed,
+            runs: body.runs,
+            resampleNetwork: body.resampleNetwork,
+            macroVolatility: body.macroVolatility,
+            levels: body.levels
+        });
+        record(req, 'montecarlo', {
+            ...auditedNetwork(body, network),
+            seed: result.seed,
+            shock: result.shock,
+            model: result.model,
+            fireSale: result.fireSale || null,
+            options: { runs: result.runs, resampleNetwork: result.resampleNetwork, macroVolatility: result.macroVolatility },
+            results: ResultExporter.auditResults('montecarlo', result)
+        });
+        res.json({ networkId: body.networkId || null, ...result });
+    });
+
+    if (audit) {
+        // Analysts read the whole trail; other roles only their own entries
+        const readsAll = (req) => !auth || auth.can(req.user, 'audit');
+
+        // GET /api/audit?user=&event=&from=&to=&limit=  -> { total, entries } newest first
+        router.get('/audit', (req, res) => {
+            const { filters, errors } = Audit.parseQuery(req.query);
+            if (errors.length) throw validationError(errors);
+            if (!readsAll(req)) {
+                if (filters.user !== undefined && filters.user !== req.user.username) throw new ApiError(403, 'You can only read your own audit entries');
+                filters.user = req.user.username;
+            }
+            res.json(audit.query(filters));
+        });
+
+        // GET /api/audit/:id  -> one entry plus `networkData` to re-open it
+        router.get('/audit/:id', (req, res) => {
+            const entry = audit.find(Number(req.params.id));
+            if (!entry || (!readsAll(req) && entry.user !== req.user.username)) throw new ApiError(404, `Audit entry "${req.params.id}" not found`);
+            res.json(entry);
+        });
+
+        // POST /api/audit  { event, network, seed, shock, model, fireSale, interventions, options, results, networkData }
+        //   -> records a run the browser did itself; logging an import (with its data) needs the upload permission
+        router.post('/audit', (req, res) => {
+            const body = req.body || {};
+            const errors = Audit.validateEntry(body);
+            if (errors.length) throw validationError(errors);
+            if (body.event === 'import') authorizeNetworkData(req, body.network.fingerprint);
+            const { networkData, ...fields } = body;
+            res.status(201).json(audit.append({
+                ...fields,
+                ...(body.event === 'import' ? { networkData } : {}),
+                user: req.user ? req.user.username : null,
+                origin: 'app'
+            }));
+        });
+    }
+
+    if (library) {
+        const kindOf = (req) => {
+            if (!Library.LIBRARY_KINDS.includes(req.params.kind)) throw new ApiError(404, `No library of "${req.params.kind}"; expected one of: ${Library.LIBRARY_KINDS.join(', ')}`);
+            return req.params.kind;
+        };
+        const findItem = (req) => {
+            const item = library.get(kindOf(req), req.params.id);
+            if (!item) throw new ApiError(404, `No ${req.params.kind} item "${req.params.id}"`);
+            return item;
+        };
+        const username = (req) => (req.user ? req.user.username : null);
+        // Sharing network data needs the upload permission (see authorizeNetworkData)
+        const authorizeCreate = (req, kind, item) => {
+            if (kind === 'networks') authorize(req, 'upload');
+            if (kind === 'runs' && item.data.networkData) authorizeNetworkData(req, item.data.network.fingerprint);
+        };
+        // Everyone may add to the library; renaming and deleting is for the item's owner and analysts
+        const authorizeChange = (req, item) => {
+            if (auth && item.createdBy !== req.user.username) authorize(req, 'curate');
+        };
+
+        // GET /api/library/:kind  -> { items } newest first, without their data
+        router.get('/library/:kind', (req, res) => {
+            res.json({ items: library.list(kindOf(req)) });
+        });
+
+        router.get('/library/:kind/:id', (req, res) => {
+            res.json(findItem(req));
+        });
+
+        // POST /api/library/:kind  { name, ... }  (see Library.buildItem for each kind's fields)
+        router.post('/library/:kind', (req, res) => {
+            const kind = kindOf(req);
+            const { errors, ...item } = Library.buildItem(kind, req.body);
+            if (errors) throw validationError(errors);
+            authorizeCreate(req, kind, item);
+            res.status(201).json(library.create(kind, { name: req.body.name, ...item }, username(req)));
+        });
+
+        // PATCH /api/library/:kind/:id  { name }  -> rename
+        router.patch('/library/:kind/:id', (req, res) => {
+            const item = findItem(req);
+            const body = req.body || {};
+            const errors = Library.validateName(body.name);
+            if (errors.length) throw validationError(errors);
+            authorizeChange(req, item);
+            res.json(library.rename(item.kind, item.id, body.name, username(req)));
+        });
+
+        // POST /api/library/:kind/:id/duplicate  -> a copy named "<name> (copy)"
+        router.post('/library/:kind/:id/duplicate', (req, res) => {
+            const item = findItem(req);
+            authorizeCreate(req, item.kind, item);
+            const { errors } = Library.buildItem(item.kind, Library.bodyOf(item));
+            if (errors) throw new ApiError(422, `Library item "${item.id}" no longer passes its checks`, errors);
+            res.status(201).json(library.duplicate(item.kind, item.id, username(req)));
+        });
+
+        router.delete('/library/:kind/:id', (req, res) => {
+            const item = findItem(req);
+            authorizeChange(req, item);
+            library.remove(item.kind, item.id);
+            res.status(204).end();
+        });
+    }
+
+    router.use((req, res) => {
+        res.status(404).json({ error: `No API route for ${req.method} ${req.originalUrl}` });
+    });
+
+    router.use((err, req, res, next) => {
+        // Malformed JSON bodies surface from express.json() as 400s
+        const status = err.status || err.statusCode || 500;
+        if (status >= 500) console.error(err);
+        res.status(status).json({
+            error: status >= 500 ? 'Internal server error' : err.message,
+            ...(err.details && err.details.length ? { details: err.details } : {})
+        });
+    });
+
+    return router;
+};
+
+module.exports = { createApiRouter, ApiError };
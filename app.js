@@ -1,654 +1,3457 @@
-// =========================================================
-// Configuration and Constants
-// =========================================================
-const N = 50;
-const INDIAN_BANK_NAMES = [
-    "State Bank of India", "HDFC Bank", "ICICI Bank", "Punjab National Bank", "Bank of Baroda",
-    "Union Bank of India", "Canara Bank", "Axis Bank", "Kotak Mahindra Bank", "IndusInd Bank",
-    "Indian Bank", "Central Bank of India", "Bank of India", "Indian Overseas Bank", "UCO Bank",
-    "IDBI Bank", "Yes Bank", "Federal Bank", "RBL Bank", "IDFC First Bank",
-    "South Indian Bank", "J&K Bank", "Karur Vysya Bank", "Dhanlaxmi Bank", "City Union Bank",
-    "Bandhan Bank", "Au Small Finance Bank", "Equitas Small Finance Bank", "CSB Bank", "DCB Bank",
-    "Suryoday Small Finance Bank", "TMB", "CanaFin Homes", "HDFC LTD", "PNB Housing",
-    "LIC Housing Finance", "IIFL Finance", "Shriram Transport Finance", "Muthoot Finance", "Bajaj Finance",
-    "Bank A", "Bank B", "Bank C", "Bank D", "Bank E",
-    "Bank F", "Bank G", "Bank H", "Bank I", "Bank J"
-];
-
-// Simulation Constants
-const MACRO_LOSS_FACTOR = 0.20;
-const MIN_CAPITAL_RATIO = 0.08;
-const MAX_CAPITAL_RATIO = 0.15;
-const ASSETS_MIN = 1000;
-const ASSETS_MAX = 5000;
-const DEBT_RANK_TOLERANCE = 0.0001;
-const MAX_ITERATIONS = 100;
-
-// Utility functions
-const formatCurrency = (amount) => new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR', maximumFractionDigits: 0 }).format(Math.max(0, amount));
-const clamp = (num, min, max) => Math.min(Math.max(num, min), max);
-
-// Color scale based on stress level
-const getColor = (level) => {
-    if (level === 2) return '#ef4444'; // Failed (Red-500)
-    if (level === 1) return '#facc15'; // Stressed (Yellow-400)
-    return '#22c55e'; // Healthy (Green-500)
-};
-
-// =========================================================
-// Main Stress Tester Module (Object-Oriented Approach)
-// =========================================================
-const StressTester = (() => {
-    let network = { nodes: [], links: [], adj: [] };
-    let totalInitialCapital = 0;
-    let selectedBankId = null;
-
-    // D3 variables
-    let forceSimulation = null;
-    let linkElements = null;
-    let nodeElements = null;
-    let radiusScale = null;
-    let svg = null;
-    let networkContainer = null;
-    let width = 900;
-    let height = 580;
-
-    // DOM Elements
-    const DOM = {
-        simulateBtn: document.getElementById('simulateBtn'),
-        shockType: document.getElementById('shockType'),
-        targetedBankControl: document.getElementById('targetedBankControl'),
-        targetedBankId: document.getElementById('targetedBankId'),
-        metricsBody: document.getElementById('metricsBody'),
-        modalOverlay: document.getElementById('bankDetailsModal'),
-        bankDetailsContent: document.getElementById('bankDetailsContent'),
-        networkPlaceholder: document.getElementById('network-placeholder')
-    };
-
-    // ----------------------
-    // D3 Helper Functions
-    // ----------------------
-
-    const dragStarted = (event, d) => {
-        if (!event.active) forceSimulation.alphaTarget(0.3).restart();
-        d.fx = d.x;
-        d.fy = d.y;
-    };
-
-    const dragged = (event, d) => {
-        d.fx = event.x;
-        d.fy = event.y;
-    };
-
-    const dragEnded = (event) => {
-        if (!event.active) forceSimulation.alphaTarget(0);
-        // We keep fx/fy null-ed out in this version to let the force simulation continue
-    };
-
-    const ticked = () => {
-        if (linkElements) {
-            linkElements
-                .attr("x1", d => d.source.x)
-                .attr("y1", d => d.source.y)
-                .attr("x2", d => d.target.x)
-                .attr("y2", d => d.target.y);
-        }
-
-        if (nodeElements) {
-            nodeElements
-                .attr("cx", d => d.x)
-                .attr("cy", d => d.y);
-        }
-
-        // Update labels
-        svg.selectAll(".labels text")
-            .attr("x", d => d.x)
-            .attr("y", d => d.y - radiusScale(d.A) - 2);
-    };
-
-    /**
-     * Uses ResizeObserver for screen responsiveness.
-     * When the container size changes (e.g., window resize, mobile orientation change), 
-     * it updates the SVG viewBox and restarts the D3 simulation gracefully.
-     */
-    const setupResizeObserver = () => {
-        const resizeObserver = new ResizeObserver(entries => {
-            for (let entry of entries) {
-                if (entry.target.id === 'network-container') {
-                    const newWidth = entry.contentRect.width;
-                    const newHeight = entry.contentRect.height;
-
-                    if (newWidth !== width || newHeight !== height) {
-                        width = newWidth;
-                        height = newHeight;
-
-                        svg.attr("viewBox", `0 0 ${width} ${height}`);
-
-                        if (network.nodes.length && forceSimulation) {
-                            // Update the center force to the new dimensions
-                            forceSimulation.force("center", d3.forceCenter(width / 2, height / 2));
-                            // Gently restart the simulation to reposition the nodes
-                            forceSimulation.alpha(0.1).restart();
-                        }
-                    }
-                }
-            }
-        });
-
-        // Start observing the network container
-        resizeObserver.observe(networkContainer);
-    };
-
-    const renderNetwork = (isInitial) => {
-        const { nodes, links } = network;
-
-        if (isInitial) {
-            svg.selectAll("*").remove();
-            svg.attr("viewBox", `0 0 ${width} ${height}`);
-
-            radiusScale = d3.scaleSqrt()
-                .domain([d3.min(nodes, d => d.A), d3.max(nodes, d => d.A)])
-                .range([6, 25]);
-
-            // 1. Force Simulation Setup
-            forceSimulation = d3.forceSimulation(nodes)
-                .force("link", d3.forceLink(links).id(d => d.id).distance(70).strength(0.2))
-                .force("charge", d3.forceManyBody().strength(-400))
-                .force("center", d3.forceCenter(width / 2, height / 2))
-                .on("tick", ticked);
-
-            // 2. Draw Links (Edges)
-            linkElements = svg.append("g")
-                .attr("stroke-opacity", 0.4)
-                .selectAll("line")
-                .data(links)
-                .join("line")
-                .attr("class", "link")
-                .attr("stroke-width", d => Math.sqrt(d.value) * 0.1)
-                .attr("stroke", '#475569');
-
-            // 3. Draw Nodes
-            nodeElements = svg.append("g")
-                .attr("stroke-width", 3)
-                .selectAll("circle")
-                .data(nodes)
-                .join("circle")
-                .attr("class", "node")
-                .attr("r", d => radiusScale(d.A))
-                .attr("fill", d => getColor(d.stressLevel))
-                .attr("stroke", '#0f172a')
-                .attr("data-bank-id", d => d.id)
-                .call(d3.drag()
-                    .on("start", dragStarted)
-                    .on("drag", dragged)
-                    .on("end", dragEnded))
-                .on("mouseover", showTooltip)
-                .on("mouseout", hideTooltip)
-                .on("click", (event, d) => selectBank(d.id));
-
-            // 4. Draw Labels (for larger institutions only)
-            svg.append("g")
-                .attr("class", "labels")
-                .selectAll("text")
-                .data(nodes.filter(d => d.A > (ASSETS_MAX + ASSETS_MIN) / 2))
-                .join("text")
-                .text(d => d.name.split(' ')[0])
-                .attr("fill", '#e2e8f0')
-                .attr("font-size", "11px")
-                .attr("font-weight", "600")
-                .attr("text-anchor", "middle")
-                .attr("pointer-events", "none");
-
-        } else {
-            // Update Existing Visualization (Post-Shock)
-            updateMetricsDashboard(false);
-
-            // Update Links: smooth transition
-            linkElements.transition().duration(800)
-                .attr("stroke", d => {
-                    const sourceNode = nodes.find(n => n.id === d.source.id || n.id === d.source);
-                    const targetNode = nodes.find(n => n.id === d.target.id || n.id === d.target);
-                    const isStressed = (sourceNode && (sourceNode.isFailed || sourceNode.stressLevel === 1)) || 
-                                       (targetNode && (targetNode.isFailed || targetNode.stressLevel === 1));
-                    return isStressed ? '#06b6d4' : '#475569';
-                })
-                .attr("stroke-width", d => {
-                    const sourceRank = nodes.find(n => n.id === d.source.id || n.id === d.source)?.debtRank || 0;
-                    return Math.sqrt(d.value) * 0.1 * clamp((1 + sourceRank * 2), 1, 3);
-                });
-
-            // Update Nodes: smooth transition
-            nodeElements.data(nodes)
-                .transition().duration(1000)
-                .attr("fill", d => getColor(d.stressLevel))
-                .attr("stroke", d => d.id === selectedBankId ? '#ffb300' : (d.isFailed ? '#f87171' : '#0f172a'))
-                .attr("stroke-width", d => d.id === selectedBankId ? 5 : (d.isFailed ? 4 : 3))
-                .attr("r", d => radiusScale(d.A) * (d.isFailed ? 1.2 : 1.0));
-        }
-    };
-
-    // ----------------------
-    // Modal Functions
-    // ----------------------
-    const openModal = () => DOM.modalOverlay.classList.add('open');
-    const closeModal = (event) => {
-        if (!event || event.target.id === 'bankDetailsModal' || event.target.tagName === 'BUTTON' || event.target.closest('button')) {
-            DOM.modalOverlay.classList.remove('open');
-        }
-    };
-
-    const updateDetailsPanel = (node) => {
-        if (!node) return;
-
-        const { adj } = network;
-        // Count connections using the adjacency matrix (professional approach)
-        const inConnections = adj.reduce((sum, row) => sum + (row[node.id] > 0 ? 1 : 0), 0);
-        const outConnections = adj[node.id].filter(val => val > 0).length;
-
-        const statusClass = node.stressLevel === 2 ? 'text-red-500 font-bold' : (node.stressLevel === 1 ? 'text-yellow-400' : 'text-green-400');
-        const statusText = node.stressLevel === 2 ? 'FAILED' : (node.stressLevel === 1 ? 'STRESSED' : 'HEALTHY');
-
-        const formatConnections = (type) => {
-            let html = '';
-            for (let i = 0; i < N; i++) {
-                const value = (type === 'inbound') ? adj[i][node.id] : adj[node.id][i];
-                if (value > 0) {
-                    html += `<li class="flex justify-between text-slate-400 mono text-xs"><span>${network.nodes[i].name}:</span> <span>${formatCurrency(value)}</span></li>`;
-                }
-            }
-            return html || '<li class="text-slate-500 text-xs">None.</li>';
-        };
-
-        DOM.bankDetailsContent.innerHTML = `
-            <h3 class="text-2xl sm:text-3xl font-bold text-cyan-200 mb-2">${node.name} (ID: ${node.id})</h3>
-            <div class="flex justify-between items-center mb-4 pb-2 border-b border-slate-700">
-                <span class="text-lg font-semibold text-slate-300">Current Status:</span>
-                <span class="text-xl ${statusClass} tracking-widest">${statusText}</span>
-            </div>
-            <div class="space-y-2 text-base">
-                <div class="grid grid-cols-2 gap-x-4">
-                    <div class="flex flex-col sm:flex-row justify-between">
-                        <span class="text-slate-400">Total Assets (A):</span>
-                        <span class="font-bold text-slate-300 mono">${formatCurrency(node.A)}</span>
-                    </div>
-                    <div class="flex flex-col sm:flex-row justify-between">
-                        <span class="text-slate-400">Initial Capital (E₀):</span>
-                        <span class="font-bold text-green-400 mono">${formatCurrency(node.E_initial)}</span>
-                    </div>
-                </div>
-                <div class="grid grid-cols-2 gap-x-4">
-                    <div class="flex flex-col sm:flex-row justify-between">
-                        <span class="text-slate-400">Claims (A_IB):</span>
-                        <span class="font-bold text-cyan-400 mono">${formatCurrency(node.A_interbank)}</span>
-                    </div>
-                    <div class="flex flex-col sm:flex-row justify-between">
-                        <span class="text-slate-400">Liabilities (L_IB):</span>
-                        <span class="font-bold text-cyan-400 mono">${formatCurrency(node.L_interbank)}</span>
-                    </div>
-                </div>
-                <div class="flex justify-between pt-2 border-t border-slate-800">
-                    <span class="text-slate-300 font-semibold">Post-Shock Capital (E):</span>
-                    <span class="font-extrabold text-xl ${node.E <= 0 ? 'text-red-500' : 'text-green-400'} mono">${formatCurrency(node.E)}</span>
-                </div>
-                <div class="flex justify-between">
-                    <span class="text-slate-300 font-semibold">DebtRank:</span>
-                    <span class="font-extrabold text-xl ${node.debtRank > 0.4 ? 'text-red-400' : 'text-yellow-400'}">${node.debtRank.toFixed(4)}</span>
-                </div>
-            </div>
-
-            <h4 class="text-lg font-semibold text-slate-300 mt-6 border-b border-slate-800 pb-1">Inbound Claims (Owed **to** this bank - ${inConnections}):</h4>
-            <ul class="space-y-1 max-h-32 overflow-y-auto pr-2">${formatConnections('inbound')}</ul>
-
-            <h4 class="text-lg font-semibold text-slate-300 mt-4 border-b border-slate-800 pb-1">Outbound Liabilities (Owed **by** this bank - ${outConnections}):</h4>
-            <ul class="space-y-1 max-h-32 overflow-y-auto pr-2">${formatConnections('outbound')}</ul>
-        `;
-    };
-
-    // ----------------------
-    // Simulation Core Logic
-    // ----------------------
-
-    const generateNetwork = () => {
-        const nodes = [];
-        totalInitialCapital = 0;
-        const shuffledNames = d3.shuffle(INDIAN_BANK_NAMES.slice(0, N));
-
-        for (let i = 0; i < N; i++) {
-            const totalAssets = Math.random() * (ASSETS_MAX - ASSETS_MIN) + ASSETS_MIN;
-            const capitalRatio = Math.random() * (MAX_CAPITAL_RATIO - MIN_CAPITAL_RATIO) + MIN_CAPITAL_RATIO;
-
-            const E = totalAssets * capitalRatio;
-            const L = totalAssets - E;
-            totalInitialCapital += E;
-
-            nodes.push({
-                id: i,
-                name: shuffledNames[i] || `Bank ${i+1}`,
-                A: totalAssets,
-                E_initial: E,
-                E: E,
-                L: L,
-                isFailed: false,
-                debtRank: 0,
-                stressLevel: 0,
-                L_interbank: 0,
-                A_interbank: 0,
-            });
-        }
-
-        const adj = Array(N).fill(0).map(() => Array(N).fill(0));
-        const links = [];
-
-        // 2. Determine Interbank Liabilities and build adjacency matrix
-        nodes.forEach(debtor => {
-            const totalIBL = debtor.L * (0.15 + Math.random() * 0.15);
-            debtor.L_interbank = totalIBL;
-            let assignedLiability = 0;
-
-            const numCreditors = Math.floor(Math.random() * 4) + 1;
-            const potentialCreditors = nodes.filter(n => n.id !== debtor.id);
-
-            d3.shuffle(potentialCreditors).slice(0, numCreditors).forEach(creditor => {
-                let liabilityShare = totalIBL * (Math.random() * 0.4 + 0.1);
-                liabilityShare = Math.min(liabilityShare, totalIBL - assignedLiability);
-
-                if (liabilityShare > 0) {
-                    adj[debtor.id][creditor.id] = liabilityShare;
-                    assignedLiability += liabilityShare;
-                }
-            });
-        });
-
-        // 3. Calculate Interbank Assets and Finalize Links
-        nodes.forEach(node => {
-            node.A_interbank = 0;
-            for (let j = 0; j < N; j++) {
-                node.A_interbank += adj[j][node.id];
-                if (adj[node.id][j] > 0) {
-                    links.push({ source: node.id, target: j, value: adj[node.id][j] });
-                }
-            }
-            node.A_external = node.A - node.A_interbank;
-        });
-
-        network = { nodes, links, adj };
-        renderNetwork(true);
-        DOM.simulateBtn.disabled = false;
-        DOM.networkPlaceholder.classList.add('hidden');
-        populateTargetedBankControl();
-        closeModal();
-        selectedBankId = null;
-        
-        // FIX: Ensure metrics dashboard is updated immediately after network generation
-        updateMetricsDashboard(true); 
-    };
-
-    const runSimulation = () => {
-        // Human-readable code: use object destructuring and avoid mutating the original array directly
-        const { nodes: initialNodes, adj } = network;
-        const nodes = initialNodes.map(n => ({ ...n, E: n.E_initial, isFailed: false, debtRank: 0, stressLevel: 0 }));
-        const shockType = DOM.shockType.value;
-        const initialRanks = nodes.map(n => 0);
-
-        // 1. Apply Initial Shock (Phase 1)
-        nodes.forEach(node => {
-            if (shockType === 'macro') {
-                node.E -= node.A_external * MACRO_LOSS_FACTOR;
-            } else if (shockType === 'targeted' && node.id === parseInt(DOM.targetedBankId.value)) {
-                node.E = -1; // Force failure for targeted bank
-            } else if (shockType === 'random' && Math.random() < 0.1) {
-                node.E -= node.E_initial * 0.8;
-            }
-
-            if (node.E <= 0) {
-                node.isFailed = true;
-                node.stressLevel = 2;
-                node.debtRank = 1.0;
-            } else {
-                const initialRank = clamp(1 - (node.E / node.E_initial), 0, 1);
-                node.debtRank = initialRank;
-                if (node.debtRank >= 0.5) node.stressLevel = 1;
-            }
-            initialRanks[node.id] = node.debtRank;
-        });
-
-        // 2. Cascading Failure Iteration (DebtRank - Phase 2)
-        let iterations = 0;
-        let hasConverged = false;
-        let previousRanks = [...initialRanks];
-
-        while (!hasConverged && iterations < MAX_ITERATIONS) {
-            iterations++;
-            hasConverged = true;
-            let totalDebtRankChange = 0;
-            const currentRanks = nodes.map(n => n.debtRank);
-
-            // Iterate over all banks (creditors)
-            for (let j = 0; j < N; j++) { 
-                if (nodes[j].debtRank < 1.0) {
-                    let propagatedLossRatio = 0;
-
-                    // Sum losses propagated by debtors (i) to creditor (j)
-                    for (let i = 0; i < N; i++) { 
-                        const L_ij = adj[i][j];
-                        if (L_ij > 0 && nodes[i].L_interbank > 0) {
-                            const weight = L_ij / nodes[i].L_interbank;
-                            const deltaH = currentRanks[i] - previousRanks[i]; // Change in debtor's stress
-                            propagatedLossRatio += weight * deltaH;
-                        }
-                    }
-
-                    // DebtRank formula update
-                    const rankIncrease = (1 - nodes[j].debtRank) * propagatedLossRatio;
-                    const newRank = clamp(nodes[j].debtRank + rankIncrease, nodes[j].debtRank, 1.0);
-
-                    // Check for convergence
-                    if (Math.abs(newRank - nodes[j].debtRank) > DEBT_RANK_TOLERANCE) {
-                        totalDebtRankChange += Math.abs(newRank - nodes[j].debtRank);
-                        hasConverged = false;
-                    }
-                    nodes[j].debtRank = newRank;
-                }
-            }
-
-            previousRanks = currentRanks;
-
-            // Re-evaluate bank capital and status
-            nodes.forEach(node => {
-                node.E = node.E_initial * (1 - node.debtRank);
-                if (node.E <= 0 || node.debtRank >= 0.9999) {
-                    node.isFailed = true;
-                    node.stressLevel = 2;
-                    node.debtRank = 1.0;
-                    node.E = 0;
-                } else if (node.debtRank > 0.4) {
-                    node.stressLevel = 1;
-                } else {
-                    node.stressLevel = 0;
-                }
-            });
-
-            if (totalDebtRankChange < DEBT_RANK_TOLERANCE) {
-                hasConverged = true;
-            }
-        }
-
-        // 3. Finalize and Render
-        network.nodes = nodes;
-        renderNetwork(false);
-        if (DOM.modalOverlay.classList.contains('open') && selectedBankId !== null) {
-            updateDetailsPanel(nodes.find(n => n.id === selectedBankId));
-        }
-    };
-
-    // ----------------------
-    // UI/Dashboard Updates
-    // ----------------------
-
-    const selectBank = (bankId) => {
-        if (!network.nodes.length) return;
-
-        selectedBankId = bankId;
-        const selectedNode = network.nodes.find(n => n.id === bankId);
-        if (!selectedNode) return;
-
-        updateDetailsPanel(selectedNode);
-        openModal();
-
-        // 2. Update D3 Visualization Stroke/Radius (Visual Highlight)
-        nodeElements
-            .attr("stroke", d => d.id === bankId ? '#ffb300' : (d.isFailed ? '#f87171' : '#0f172a'))
-            .attr("stroke-width", d => d.id === bankId ? 5 : (d.isFailed ? 4 : 3))
-            .attr("r", d => radiusScale(d.A) * (d.id === bankId ? 1.1 : (d.isFailed ? 1.2 : 1.0)))
-            .classed("selected", d => d.id === bankId);
-
-        // 3. Highlight Table Row
-        document.querySelectorAll('#metricsBody tr').forEach(row => {
-            row.classList.remove('bg-cyan-900/40');
-            if (parseInt(row.dataset.bankId) === bankId) {
-                row.classList.add('bg-cyan-900/40');
-                row.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
-            }
-        });
-    };
-
-    const updateMetricsDashboard = (isInitial) => {
-        const { nodes } = network;
-
-        const totalFailures = nodes.filter(n => n.isFailed).length;
-        const totalPostShockCapital = nodes.reduce((sum, n) => sum + Math.max(0, n.E), 0);
-        const totalLoss = totalInitialCapital - totalPostShockCapital;
-
-        const contagionIndex = totalInitialCapital > 0 ? (totalLoss / totalInitialCapital) * 100 : 0;
-
-        document.getElementById('metricTotal').textContent = N;
-        document.getElementById('metricFailures').textContent = totalFailures;
-        document.getElementById('metricContagion').textContent = `${contagionIndex.toFixed(2)}%`;
-        document.getElementById('metricLoss').textContent = formatCurrency(totalLoss);
-
-        // Update Table
-        DOM.metricsBody.innerHTML = '';
-        nodes.sort((a, b) => b.debtRank - a.debtRank).forEach(node => {
-            const inConnections = network.adj.reduce((sum, row) => sum + (row[node.id] > 0 ? 1 : 0), 0);
-            const outConnections = network.adj[node.id].filter(val => val > 0).length;
-
-            let statusClass = 'text-green-400';
-            let statusText = 'HEALTHY';
-            if (node.stressLevel === 2) {
-                statusClass = 'text-red-500 font-bold bg-red-900/30 rounded-full px-2';
-                statusText = 'FAILED';
-            } else if (node.stressLevel === 1) {
-                statusClass = 'text-yellow-400 bg-yellow-900/30 rounded-full px-2';
-                statusText = 'STRESSED';
-            }
-
-            const isSelected = node.id === selectedBankId ? 'bg-cyan-900/40' : '';
-
-            const row = document.createElement('tr');
-            row.className = `hover:bg-slate-800 transition-colors cursor-pointer ${isSelected}`;
-            row.dataset.bankId = node.id;
-            row.innerHTML = `
-                <td class="py-3 px-4 mono text-cyan-300 whitespace-nowrap">${node.name} (${node.id})</td>
-                <td class="py-3 px-4 mono whitespace-nowrap">${formatCurrency(node.E_initial)}</td>
-                <td class="py-3 px-4 mono whitespace-nowrap ${node.E <= 0 ? 'text-red-400 font-bold' : 'text-green-400'}">${formatCurrency(node.E)}</td>
-                <td class="py-3 px-4 font-extrabold whitespace-nowrap ${node.debtRank > 0.4 ? 'text-red-400' : 'text-yellow-400'}">${node.debtRank.toFixed(4)}</td>
-                <td class="py-3 px-4 whitespace-nowrap"><span class="${statusClass}">${statusText}</span></td>
-                <td class="py-3 px-4 text-slate-400 whitespace-nowrap">${inConnections} / ${outConnections}</td>
-            `;
-            row.addEventListener('click', () => selectBank(node.id));
-            DOM.metricsBody.appendChild(row);
-        });
-    };
-
-    const populateTargetedBankControl = () => {
-        DOM.targetedBankId.innerHTML = '';
-        network.nodes.forEach(node => {
-            const option = document.createElement('option');
-            option.value = node.id;
-            option.textContent = `${node.name} (ID: ${node.id}) - E: ${formatCurrency(node.E_initial)}`;
-            DOM.targetedBankId.appendChild(option);
-        });
-    };
-
-    // ----------------------
-    // Event Handlers
-    // ----------------------
-
-    const handleShockTypeChange = (e) => {
-        const type = e.target.value;
-        if (type === 'targeted') {
-            DOM.targetedBankControl.classList.remove('hidden');
-        } else {
-            DOM.targetedBankControl.classList.add('hidden');
-        }
-
-        const shockLabel = e.target.options[e.target.selectedIndex].text;
-        DOM.simulateBtn.textContent = `2. Run Stress Test (${shockLabel.split('(')[0].trim()})`;
-    };
-
-    const showTooltip = (event, d) => {
-        if ('ontouchstart' in window) return;
-
-        const statusText = d.stressLevel === 2 ? 'FAILED' : (d.stressLevel === 1 ? 'STRESSED' : 'HEALTHY');
-        let t = d3.select("body").select(".tooltip");
-        if(t.empty()) {
-            t = d3.select("body").append("div")
-                .attr("class", "tooltip absolute px-3 py-2 text-xs text-white card rounded-lg pointer-events-none opacity-0 transition-opacity duration-200 shadow-xl")
-                .style("z-index", 100);
-        }
-        t.transition().duration(200).style("opacity", 1);
-        t.html(`
-            <div class="font-bold text-base text-cyan-300">${d.name}</div>
-            <div class="${d.stressLevel === 2 ? 'text-red-400 font-bold' : d.stressLevel === 1 ? 'text-yellow-400' : 'text-green-400'}">${statusText}</div>
-            <div class="mono mt-1">E: ${formatCurrency(d.E)} (Init: ${formatCurrency(d.E_initial)})</div>
-            <div class="mt-1 font-semibold text-sm text-cyan-500">DebtRank: ${d.debtRank.toFixed(4)}</div>
-        `)
-        .style("left", (event.pageX + 15) + "px")
-        .style("top", (event.pageY - 20) + "px");
-    };
-
-    const hideTooltip = () => {
-        if ('ontouchstart' in window) return;
-        d3.select("body").select(".tooltip").transition().duration(500).style("opacity", 0).remove();
-    };
-
-    // ----------------------
-    // Initialization
-    // ----------------------
-
-    const init = () => {
-        // Assign global D3 elements
-        svg = d3.select("#network-svg");
-        networkContainer = document.getElementById('network-container');
-
-        // Set initial dimensions
-        width = networkContainer.offsetWidth;
-        height = networkContainer.offsetHeight;
-
-        // Set up Event Listeners
-        document.getElementById('generateBtn').addEventListener('click', generateNetwork);
-        DOM.simulateBtn.addEventListener('click', runSimulation);
-        DOM.shockType.addEventListener('change', handleShockTypeChange);
-        DOM.modalOverlay.addEventListener('click', closeModal);
-
-        // Initial UI setup
-        DOM.simulateBtn.disabled = true;
-        svg.attr("viewBox", `0 0 ${width} ${height}`);
-        updateMetricsDashboard(true);
-        // This makes the D3 visualization responsive to all screen sizes/rotations
-        setupResizeObserver(); 
-    };
-
-    // Expose only the necessary methods for external use
-    return {
-        init: init,
-        closeModal: closeModal 
-    };
-
-})();
-
-// Initialize the stress tester once the DOM is fully loaded
-document.addEventListener('DOMContentLoaded', StressTester.init);
-
-// Make closeModal available globally for the inline onclick handler in app.html
+// =========================================================
+// Configuration and Constants
+// =========================================================
+const { clamp } = DebtRankEngine;
+
+// Utility functions
+const formatCurrency = (amount) => new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR', maximumFractionDigits: 0 }).format(Math.max(0, amount));
+
+// Color scale based on stress level
+const getColor = (level) => {
+    if (level === 2) return '#ef4444'; // Failed (Red-500)
+    if (level === 1) return '#facc15'; // Stressed (Yellow-400)
+    return '#22c55e'; // Healthy (Green-500)
+};
+
+// =========================================================
+// Main Stress Tester Module (Object-Oriented Approach)
+// =========================================================
+const StressTester = (() => {
+    let network = { nodes: [], links: [], exposures: null, parameters: {} };
+    let banksById = new Map(); // bank id -> live node of network.nodes (whose order the code never relies on)
+    let totalInitialCapital = 0;
+    let selectedBankId = null;
+    let lastRun = null; // { shock, model, fireSale, interventions, liquidity, capitalRules, layers, seed, iterations, summary, rounds, rows } of the latest stress test on this network
+    let playback = { index: 0, timer: null };
+    let monteCarlo = null; // MonteCarlo.runMonteCarlo result for this network; supplies the default-probability column
+    let savedRuns = []; // named runs on this network: { name, shock, model, seed, summary, nodes (resultRows) }
+    let comparison = null; // DebtRankEngine.compareRuns output for the runs being compared
+    let systemicImpact = null; // { model, rows } from DebtRankEngine.systemicImportance, rows indexed by bank id
+    let session = null; // { username, role, permissions } from /api/auth/me; null when opened without the server
+    let networkRecord = null; // ResultExporter.auditNetwork description of the current network, sent with audit entries
+    let analytics = null; // NetworkAnalytics.analyzeNetwork result for this network ({ banks indexed by id, system }), once worked out
+    let editHistory = { undo: [], redo: [] }; // network states either side of the edits: { label, data (serializeNetwork), layout, record }
+    let loggedEdits = new Set(); // fingerprints of edited networks already logged, with their data, to the audit trail
+    let linkDraft = null; // { source, x, y } while an exposure is shift-dragged from one bank to another
+    let hiddenLayers = new Set(); // ids of the exposure layers left out of the graph (display only; contagion uses them all)
+
+    // D3 variables
+    let forceSimulation = null;
+    let linkElements = null;
+    let nodeElements = null;
+    let radiusScale = null;
+    let colorScale = null; // set while banks are coloured by an analytics metric instead of their status
+    let svg = null;
+    let canvas = null;
+    let canvasMode = false; // the current network is drawn on the canvas instead of as SVG elements
+    let canvasDrawPending = false;
+    let networkContainer = null;
+    let width = 900;
+    let height = 580;
+
+    // DOM Elements
+    const DOM = {
+        simulateBtn: document.getElementById('simulateBtn'),
+        shockType: document.getElementById('shockType'),
+        targetedBankControl: document.getElementById('targetedBankControl'),
+        targetedBankId: document.getElementById('targetedBankId'),
+        macroControl: document.getElementById('macroControl'),
+        macroLossFactor: document.getElementById('macroLossFactor'),
+        customShockControl: document.getElementById('customShockControl'),
+        shockComponents: document.getElementById('shockComponents'),
+        addShockComponent: document.getElementById('addShockComponent'),
+        shockErrors: document.getElementById('shockErrors'),
+        interventionList: document.getElementById('interventionList'),
+        addIntervention: document.getElementById('addIntervention'),
+        interventionErrors: document.getElementById('interventionErrors'),
+        maxFailures: document.getElementById('maxFailures'),
+        injectionSearchBtn: document.getElementById('injectionSearchBtn'),
+        injectionSearchStatus: document.getElementById('injectionSearchStatus'),
+        interventionImpact: document.getElementById('interventionImpact'),
+        metricAvoidedFailures: document.getElementById('metricAvoidedFailures'),
+        metricAvoidedLoss: document.getElementById('metricAvoidedLoss'),
+        metricInjected: document.getElementById('metricInjected'),
+        interventionNote: document.getElementById('interventionNote'),
+        savedScenarios: document.getElementById('savedScenarios'),
+        loadScenarioBtn: document.getElementById('loadScenarioBtn'),
+        deleteScenarioBtn: document.getElementById('deleteScenarioBtn'),
+        scenarioName: document.getElementById('scenarioName'),
+        saveScenarioBtn: document.getElementById('saveScenarioBtn'),
+        metricsHead: document.getElementById('metricsHead'),
+        metricsBody: document.getElementById('metricsBody'),
+        metricsScroller: document.getElementById('metricsScroller'),
+        renderMode: document.getElementById('renderMode'),
+        nodeSizeMetric: document.getElementById('nodeSizeMetric'),
+        nodeColorMetric: document.getElementById('nodeColorMetric'),
+        networkStructure: document.getElementById('networkStructure'),
+        simulationStatus: document.getElementById('simulationStatus'),
+        modalOverlay: document.getElementById('bankDetailsModal'),
+        bankDetailsContent: document.getElementById('bankDetailsContent'),
+        networkPlaceholder: document.getElementById('network-placeholder'),
+        balanceSheetFile: document.getElementById('balanceSheetFile'),
+        exposureFile: document.getElementById('exposureFile'),
+        importStatus: document.getElementById('importStatus'),
+        importErrors: document.getElementById('importErrors'),
+        networkFile: document.getElementById('networkFile'),
+        exportButtons: document.querySelectorAll('.export-btn'),
+        seedInput: document.getElementById('seedInput'),
+        currentSeed: document.getElementById('currentSeed'),
+        shareBtn: document.getElementById('shareBtn'),
+        shareStatus: document.getElementById('shareStatus'),
+        importanceBtn: document.getElementById('importanceBtn'),
+        importanceStatus: document.getElementById('importanceStatus'),
+        generateBtn: document.getElementById('generateBtn'),
+        topology: document.getElementById('topology'),
+        networkParams: document.querySelectorAll('.net-param'),
+        generationErrors: document.getElementById('generationErrors'),
+        contagionModel: document.getElementById('contagionModel'),
+        modelParams: document.getElementById('modelParams'),
+        modelErrors: document.getElementById('modelErrors'),
+        fireSaleEnabled: document.getElementById('fireSaleEnabled'),
+        fireSaleParams: document.getElementById('fireSaleParams'),
+        fireSaleImpact: document.getElementById('fireSaleImpact'),
+        fireSaleDeleveraging: document.getElementById('fireSaleDeleveraging'),
+        fireSaleErrors: document.getElementById('fireSaleErrors'),
+        liquidityEnabled: document.getElementById('liquidityEnabled'),
+        liquidityParams: document.getElementById('liquidityParams'),
+        liquidityPeriods: document.getElementById('liquidityPeriods'),
+        liquidityLiquidShare: document.getElementById('liquidityLiquidShare'),
+        liquidityShortTerm: document.getElementById('liquidityShortTerm'),
+        liquidityRule: document.getElementById('liquidityRule'),
+        liquidityThreshold: document.getElementById('liquidityThreshold'),
+        liquidityWithdrawal: document.getElementById('liquidityWithdrawal'),
+        liquidityHoarding: document.getElementById('liquidityHoarding'),
+        liquidityHaircut: document.getElementById('liquidityHaircut'),
+        liquidityRecovery: document.getElementById('liquidityRecovery'),
+        liquidityErrors: document.getElementById('liquidityErrors'),
+        liquidityImpact: document.getElementById('liquidityImpact'),
+        liquidityTimeline: document.getElementById('liquidityTimeline'),
+        capitalRulesEnabled: document.getElementById('capitalRulesEnabled'),
+        capitalRulesParams: document.getElementById('capitalRulesParams'),
+        capitalMinCet1: document.getElementById('capitalMinCet1'),
+        capitalConservation: document.getElementById('capitalConservation'),
+        capitalCountercyclical: document.getElementById('capitalCountercyclical'),
+        capitalSystemic: document.getElementById('capitalSystemic'),
+        capitalMinLeverage: document.getElementById('capitalMinLeverage'),
+        capitalFailWhen: document.getElementById('capitalFailWhen'),
+        capitalStressWhen: document.getElementById('capitalStressWhen'),
+        capitalStressedRank: document.getElementById('capitalStressedRank'),
+        capitalRulesErrors: document.getElementById('capitalRulesErrors'),
+        capitalImpact: document.getElementById('capitalImpact'),
+        metricBreachMinCet1: document.getElementById('metricBreachMinCet1'),
+        metricBreachBuffer: document.getElementById('metricBreachBuffer'),
+        metricBreachLeverage: document.getElementById('metricBreachLeverage'),
+        capitalNote: document.getElementById('capitalNote'),
+        lossSplit: document.getElementById('lossSplit'),
+        metricShockLoss: document.getElementById('metricShockLoss'),
+        metricInterbankLoss: document.getElementById('metricInterbankLoss'),
+        metricFireSaleLoss: document.getElementById('metricFireSaleLoss'),
+        metricLiquidityLoss: document.getElementById('metricLiquidityLoss'),
+        assetPrices: document.getElementById('assetPrices'),
+        playbackPanel: document.getElementById('playbackPanel'),
+        layerPanel: document.getElementById('layerPanel'),
+        layerList: document.getElementById('layerList'),
+        playbackBack: document.getElementById('playbackBack'),
+        playbackPlay: document.getElementById('playbackPlay'),
+        playbackForward: document.getElementById('playbackForward'),
+        playbackScrubber: document.getElementById('playbackScrubber'),
+        playbackLabel: document.getElementById('playbackLabel'),
+        monteCarloRuns: document.getElementById('monteCarloRuns'),
+        macroVolatility: document.getElementById('macroVolatility'),
+        resampleNetwork: document.getElementById('resampleNetwork'),
+        monteCarloBtn: document.getElementById('monteCarloBtn'),
+        monteCarloStatus: document.getElementById('monteCarloStatus'),
+        monteCarloErrors: document.getElementById('monteCarloErrors'),
+        monteCarloPanel: document.getElementById('monteCarloPanel'),
+        monteCarloSummary: document.getElementById('monteCarloSummary'),
+        monteCarloStatsHead: document.getElementById('monteCarloStatsHead'),
+        monteCarloStats: document.getElementById('monteCarloStats'),
+        runName: document.getElementById('runName'),
+        saveRunBtn: document.getElementById('saveRunBtn'),
+        savedRunsList: document.getElementById('savedRunsList'),
+        compareBtn: document.getElementById('compareBtn'),
+        compareStatus: document.getElementById('compareStatus'),
+        comparisonPanel: document.getElementById('comparisonPanel'),
+        diffOverlayToggle: document.getElementById('diffOverlayToggle'),
+        comparisonSummaryHead: document.getElementById('comparisonSummaryHead'),
+        comparisonSummary: document.getElementById('comparisonSummary'),
+        comparisonBanksHead: document.getElementById('comparisonBanksHead'),
+        comparisonBanks: document.getElementById('comparisonBanks'),
+        sessionInfo: document.getElementById('sessionInfo'),
+        currentUser: document.getElementById('currentUser'),
+        currentRole: document.getElementById('currentRole'),
+        logoutBtn: document.getElementById('logoutBtn'),
+        importCard: document.getElementById('importCard'),
+        usersCard: document.getElementById('usersCard'),
+        usersList: document.getElementById('usersList'),
+        newUsername: document.getElementById('newUsername'),
+        newPassword: document.getElementById('newPassword'),
+        newRole: document.getElementById('newRole'),
+        addUserBtn: document.getElementById('addUserBtn'),
+        userErrors: document.getElementById('userErrors'),
+        auditPanel: document.getElementById('auditPanel'),
+        auditUserFilter: document.getElementById('auditUserFilter'),
+        auditUser: document.getElementById('auditUser'),
+        auditEvent: document.getElementById('auditEvent'),
+        auditFrom: document.getElementById('auditFrom'),
+        auditTo: document.getElementById('auditTo'),
+        auditSearchBtn: document.getElementById('auditSearchBtn'),
+        auditStatus: document.getElementById('auditStatus'),
+        auditBody: document.getElementById('auditBody'),
+        libraryCard: document.getElementById('libraryCard'),
+        libraryKind: document.getElementById('libraryKind'),
+        libraryName: document.getElementById('libraryName'),
+        librarySaveBtn: document.getElementById('librarySaveBtn'),
+        libraryList: document.getElementById('libraryList'),
+        libraryErrors: document.getElementById('libraryErrors'),
+        editCard: document.getElementById('editCard'),
+        newBankName: document.getElementById('newBankName'),
+        newBankAssets: document.getElementById('newBankAssets'),
+        newBankEquity: document.getElementById('newBankEquity'),
+        addBankBtn: document.getElementById('addBankBtn'),
+        undoBtn: document.getElementById('undoBtn'),
+        redoBtn: document.getElementById('redoBtn'),
+        editStatus: document.getElementById('editStatus'),
+        editErrors: document.getElementById('editErrors')
+    };
+
+    // ----------------------
+    // D3 Helper Functions
+    // ----------------------
+
+    // Shift-dragging from a bank draws out a new exposure instead of moving it (see finishLinkDraft)
+    const dragStarted = (event, d) => {
+        if (event.sourceEvent && event.sourceEvent.shiftKey && canEdit()) {
+            linkDraft = { source: d, x: d.x, y: d.y };
+            return;
+        }
+        if (!event.active) forceSimulation.alphaTarget(0.3).restart();
+        d.fx = d.x;
+        d.fy = d.y;
+    };
+
+    const dragged = (event, d) => {
+        if (linkDraft) {
+            linkDraft.x = event.x;
+            linkDraft.y = event.y;
+            drawLinkDraft();
+            return;
+        }
+        d.fx = event.x;
+        d.fy = event.y;
+    };
+
+    const dragEnded = (event) => {
+        if (linkDraft) {
+            finishLinkDraft();
+            return;
+        }
+        if (!event.active) forceSimulation.alphaTarget(0);
+        // We keep fx/fy null-ed out in this version to let the force simulation continue
+    };
+
+    const ticked = () => {
+        if (canvasMode) {
+            scheduleCanvasDraw();
+            return;
+        }
+        if (linkElements) {
+            linkElements
+                .attr("x1", d => d.source.x)
+                .attr("y1", d => d.source.y)
+                .attr("x2", d => d.target.x)
+                .attr("y2", d => d.target.y);
+        }
+
+        if (nodeElements) {
+            nodeElements
+                .attr("cx", d => d.x)
+                .attr("cy", d => d.y);
+        }
+
+        svg.selectAll(".diff-overlay circle")
+            .attr("cx", d => d.x)
+            .attr("cy", d => d.y);
+        svg.selectAll(".path-overlay line")
+            .attr("x1", d => d.source.x)
+            .attr("y1", d => d.source.y)
+            .attr("x2", d => d.target.x)
+            .attr("y2", d => d.target.y);
+        svg.selectAll(".path-overlay text")
+            .attr("x", d => (d.source.x + d.target.x) / 2)
+            .attr("y", d => (d.source.y + d.target.y) / 2);
+
+        // Update labels
+        svg.selectAll(".labels text")
+            .attr("x", d => d.x)
+            .attr("y", d => d.y - nodeRadius(d) - 2);
+    };
+
+    /**
+     * Uses ResizeObserver for screen responsiveness.
+     * When the container size changes (e.g., window resize, mobile orientation change), 
+     * it updates the SVG viewBox and restarts the D3 simulation gracefully.
+     */
+    const setupResizeObserver = () => {
+        const resizeObserver = new ResizeObserver(entries => {
+            for (let entry of entries) {
+                if (entry.target.id === 'network-container') {
+                    const newWidth = entry.contentRect.width;
+                    const newHeight = entry.contentRect.height;
+
+                    if (newWidth !== width || newHeight !== height) {
+                        width = newWidth;
+                        height = newHeight;
+
+                        svg.attr("viewBox", `0 0 ${width} ${height}`);
+                        if (canvasMode) scheduleCanvasDraw();
+
+                        if (network.nodes.length && forceSimulation) {
+                            // Update the center force to the new dimensions
+                            forceSimulation.force("center", d3.forceCenter(width / 2, height / 2));
+                            // Gently restart the simulation to reposition the nodes
+                            forceSimulation.alpha(0.1).restart();
+                        }
+                    }
+                }
+            }
+        });
+
+        // Start observing the network container
+        resizeObserver.observe(networkContainer);
+    };
+
+    const renderNetwork = (isInitial) => {
+        const { nodes, links } = network;
+
+        if (isInitial) {
+            const large = nodes.length > CANVAS_NODE_THRESHOLD;
+            canvasMode = useCanvas(nodes.length);
+            svg.selectAll("*").remove();
+            svg.attr("viewBox", `0 0 ${width} ${height}`);
+            svg.classed("hidden", canvasMode);
+            canvas.classList.toggle("hidden", !canvasMode);
+            linkElements = null;
+            nodeElements = null;
+
+            updateNodeScales();
+
+            // 1. Force Simulation Setup (large networks get a tighter layout that settles in fewer ticks)
+            if (forceSimulation) forceSimulation.stop();
+            forceSimulation = d3.forceSimulation(nodes)
+                .force("link", d3.forceLink(links).id(d => d.id).distance(large ? 20 : 70).strength(0.2))
+                .force("charge", d3.forceManyBody().strength(large ? -15 : -400))
+                .force("center", d3.forceCenter(width / 2, height / 2))
+                .on("tick", ticked);
+            if (large) {
+                forceSimulation
+                    .force("x", d3.forceX(width / 2).strength(0.05))
+                    .force("y", d3.forceY(height / 2).strength(0.05))
+                    .alphaDecay(0.05);
+            }
+            if (canvasMode) return;
+
+            // 2. Draw Links (Edges)
+            linkElements = svg.append("g")
+                .attr("class", "links")
+                .attr("stroke-opacity", 0.4)
+                .selectAll("line")
+                .data(links, d => `${d.source.id}-${d.target.id}`)
+                .join("line")
+                .attr("class", "link")
+                .attr("stroke-width", d => linkWidth(d, false))
+                .attr("display", linkDisplay)
+                .attr("stroke", '#475569');
+
+            // 3. Draw Nodes
+            nodeElements = svg.append("g")
+                .attr("stroke-width", 3)
+                .selectAll("circle")
+                .data(nodes, d => d.id)
+                .join("circle")
+                .attr("class", "node")
+                .attr("r", nodeRadius)
+                .attr("fill", nodeFill)
+                .attr("stroke", '#0f172a')
+                .attr("data-bank-id", d => d.id)
+                .call(d3.drag()
+                    .on("start", dragStarted)
+                    .on("drag", dragged)
+                    .on("end", dragEnded))
+                .on("mouseover", showTooltip)
+                .on("mouseout", hideTooltip)
+                .on("click", (event, d) => selectBank(d.id));
+
+            // 4. Draw Labels (for larger institutions only)
+            const [minAssets, maxAssets] = d3.extent(nodes, d => d.A);
+            svg.append("g")
+                .attr("class", "labels")
+                .selectAll("text")
+                .data(nodes.filter(d => d.A > (minAssets + maxAssets) / 2), d => d.id)
+                .join("text")
+                .text(d => d.name.split(' ')[0])
+                .attr("fill", '#e2e8f0')
+                .attr("font-size", "11px")
+                .attr("font-weight", "600")
+                .attr("text-anchor", "middle")
+                .attr("pointer-events", "none");
+
+        } else {
+            // Update Existing Visualization (Post-Shock)
+            updateMetricsDashboard(false);
+            if (canvasMode) {
+                scheduleCanvasDraw();
+                return;
+            }
+
+            // Update Links: smooth transition (the link ends are the live bank objects, kept up to date in place)
+            linkElements.transition().duration(800)
+                .attr("stroke", d => isStressedLink(d) ? '#06b6d4' : '#475569')
+                .attr("stroke-width", d => linkWidth(d, true));
+
+            // Update Nodes: smooth transition
+            nodeElements
+                .transition().duration(1000)
+                .attr("fill", nodeFill)
+                .attr("stroke", d => d.id === selectedBankId ? '#ffb300' : (d.isFailed ? '#f87171' : '#0f172a'))
+                .attr("stroke-width", d => d.id === selectedBankId ? 5 : (d.isFailed ? 4 : 3))
+                .attr("r", d => nodeRadius(d) * (d.isFailed ? 1.2 : 1.0));
+        }
+    };
+
+    // ----------------------
+    // Canvas Rendering
+    // ----------------------
+    // Large networks are drawn on one <canvas>, redrawn at most once per animation frame, instead of as an SVG
+    // element per bank and exposure. Links are hairlines in two batches (plain / touching a distressed bank);
+    // there are no labels or animated transitions.
+
+    const CANVAS_NODE_THRESHOLD = 500; // 'Auto' draws larger networks on the canvas
+    const HIT_RADIUS = 12; // how far from a bank (in px) the pointer still picks it
+
+    const useCanvas = (nodeCount) => DOM.renderMode.value === 'canvas' || (DOM.renderMode.value === 'auto' && nodeCount > CANVAS_NODE_THRESHOLD);
+
+    const isStressedLink = ({ source, target }) => source.isFailed || source.stressLevel === 1 || target.isFailed || target.stressLevel === 1;
+
+    // What a link's debtor owes its creditor in the layers on show (all of it on a network without layers)
+    const linkValue = (link) => (link.layers
+        ? link.layers.reduce((sum, amount, k) => sum + (hiddenLayers.has(network.layers[k].id) ? 0 : amount), 0)
+        : link.value);
+
+    // Widened by the debtor's distress once a stress test has run (`stressed`)
+    const linkWidth = (link, stressed) => Math.sqrt(linkValue(link)) * 0.1 * (stressed ? clamp(1 + link.source.debtRank * 2, 1, 3) : 1);
+
+    const linkDisplay = (link) => (linkValue(link) > 0 ? null : 'none');
+
+    const drawCanvas = () => {
+        canvasDrawPending = false;
+        if (!canvasMode) return;
+        const ratio = window.devicePixelRatio || 1;
+        if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+            canvas.width = Math.round(width * ratio);
+            canvas.height = Math.round(height * ratio);
+        }
+        const context = canvas.getContext('2d');
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, width, height);
+
+        const { nodes, links } = network;
+        const radius = (d) => nodeRadius(d) * (d.id === selectedBankId ? 1.1 : (d.isFailed ? 1.2 : 1.0));
+        const circles = (list) => {
+            context.beginPath();
+            list.forEach(d => {
+                context.moveTo(d.x + radius(d), d.y);
+                context.arc(d.x, d.y, radius(d), 0, 2 * Math.PI);
+            });
+        };
+
+        context.globalAlpha = 0.4;
+        context.lineWidth = 0.5;
+        [[false, '#475569'], [true, '#06b6d4']].forEach(([stressed, color]) => {
+            context.beginPath();
+            links.forEach(link => {
+                if (isStressedLink(link) !== stressed || !(linkValue(link) > 0)) return;
+                context.moveTo(link.source.x, link.source.y);
+                context.lineTo(link.target.x, link.target.y);
+            });
+            context.strokeStyle = color;
+            context.stroke();
+        });
+
+        context.globalAlpha = 1;
+        d3.group(nodes, nodeFill).forEach((group, color) => {
+            circles(group);
+            context.fillStyle = color;
+            context.fill();
+        });
+
+        // An exposure being drawn out, then the selected bank and the compared runs' status changes on top
+        if (linkDraft) {
+            context.beginPath();
+            context.moveTo(linkDraft.source.x, linkDraft.source.y);
+            context.lineTo(linkDraft.x, linkDraft.y);
+            context.setLineDash([6, 4]);
+            context.strokeStyle = '#e879f9';
+            context.lineWidth = 2;
+            context.stroke();
+            context.setLineDash([]);
+        }
+        circles(nodes.filter(d => d.id === selectedBankId));
+        context.strokeStyle = '#ffb300';
+        context.lineWidth = 2;
+        context.stroke();
+        const pathLinks = contagionPathLinks();
+        if (pathLinks.length) {
+            const maxLoss = d3.max(pathLinks, link => link.loss);
+            context.strokeStyle = PATH_COLOR;
+            pathLinks.forEach(link => {
+                context.beginPath();
+                context.moveTo(link.source.x, link.source.y);
+                context.lineTo(link.target.x, link.target.y);
+                context.lineWidth = pathWidth(link.loss, maxLoss);
+                context.stroke();
+            });
+            context.fillStyle = '#fed7aa';
+            context.font = '10px sans-serif';
+            context.textAlign = 'center';
+            pathLinks.forEach(link => context.fillText(formatCurrency(link.loss), (link.source.x + link.target.x) / 2, (link.source.y + link.target.y) / 2));
+        }
+        if (comparison && DOM.diffOverlayToggle.checked) {
+            const changed = new Set(comparison.banks.filter(bank => bank.statusChanged).map(bank => bank.id));
+            context.beginPath();
+            nodes.filter(d => changed.has(d.id)).forEach(d => {
+                context.moveTo(d.x + nodeRadius(d) + 4, d.y);
+                context.arc(d.x, d.y, nodeRadius(d) + 4, 0, 2 * Math.PI);
+            });
+            context.setLineDash([4, 3]);
+            context.strokeStyle = '#e879f9';
+            context.stroke();
+            context.setLineDash([]);
+        }
+    };
+
+    const scheduleCanvasDraw = () => {
+        if (canvasDrawPending) return;
+        canvasDrawPending = true;
+        requestAnimationFrame(drawCanvas);
+    };
+
+    // Hover, click and drag on the canvas go to the bank nearest the pointer
+    const setupCanvasEvents = () => {
+        const bankAt = ([x, y]) => (canvasMode && forceSimulation ? forceSimulation.find(x, y, HIT_RADIUS) : undefined);
+        let hovered;
+        d3.select(canvas)
+            .call(d3.drag()
+                .container(canvas)
+                .subject(event => bankAt([event.x, event.y]))
+                .on("start", event => dragStarted(event, event.subject))
+                .on("drag", event => dragged(event, event.subject))
+                .on("end", dragEnded))
+            .on("mousemove", event => {
+                const bank = bankAt(d3.pointer(event));
+                if (bank) showTooltip(event, bank);
+                else if (hovered) hideTooltip();
+                hovered = bank;
+            })
+            .on("mouseleave", () => {
+                hovered = undefined;
+                hideTooltip();
+            })
+            .on("click", event => {
+                const bank = bankAt(d3.pointer(event));
+                if (bank) selectBank(bank.id);
+            });
+    };
+
+    // ----------------------
+    // Node Size and Colour
+    // ----------------------
+    // Banks are sized by total assets and coloured by status unless the selectors on the graph pick a network
+    // analytics metric for either (until the analytics are worked out the defaults apply).
+
+    const nodeMetric = (select) => (analytics && select.value !== 'default' ? select.value : null);
+    const metricValue = (key, d) => analytics.banks[d.id][key] || 0;
+
+    const sizeValue = (d) => {
+        const key = nodeMetric(DOM.nodeSizeMetric);
+        return key ? metricValue(key, d) : d.A;
+    };
+
+    const updateNodeScales = () => {
+        const { nodes } = network;
+        radiusScale = d3.scaleSqrt()
+            .domain(d3.extent(nodes, sizeValue))
+            .range(nodes.length > CANVAS_NODE_THRESHOLD ? [1.5, 6] : [6, 25]);
+        const colorKey = nodeMetric(DOM.nodeColorMetric);
+        colorScale = colorKey
+            ? d3.scaleSequential(d3.interpolatePlasma).domain(d3.extent(nodes, d => metricValue(colorKey, d)))
+            : null;
+    };
+
+    const nodeRadius = (d) => radiusScale(sizeValue(d));
+    const nodeFill = (d) => (colorScale ? colorScale(metricValue(DOM.nodeColorMetric.value, d)) : getColor(d.stressLevel));
+
+    // Re-applies size and colour after the metric choice or the analytics change
+    const restyleNodes = () => {
+        if (!network.nodes.length || !radiusScale) return;
+        updateNodeScales();
+        if (canvasMode) {
+            scheduleCanvasDraw();
+            return;
+        }
+        nodeElements
+            .attr("r", d => nodeRadius(d) * (d.id === selectedBankId ? 1.1 : (d.isFailed ? 1.2 : 1.0)))
+            .attr("fill", nodeFill);
+        svg.selectAll(".labels text").attr("y", d => d.y - nodeRadius(d) - 2);
+        renderDiffOverlay();
+    };
+
+    // ----------------------
+    // Modal Functions
+    // ----------------------
+    const openModal = () => DOM.modalOverlay.classList.add('open');
+    const closeModal = (event) => {
+        if (!event || event.target.id === 'bankDetailsModal' || event.target.tagName === 'BUTTON' || event.target.closest('button')) {
+            DOM.modalOverlay.classList.remove('open');
+        }
+    };
+
+    const updateDetailsPanel = (node) => {
+        if (!node) return;
+
+        const { exposures } = network;
+        const inConnections = exposures.in[node.id].size;
+        const outConnections = exposures.out[node.id].size;
+
+        const statusClass = node.stressLevel === 2 ? 'text-red-500 font-bold' : (node.stressLevel === 1 ? 'text-yellow-400' : 'text-green-400');
+        const statusText = node.stressLevel === 2 ? 'FAILED' : (node.stressLevel === 1 ? 'STRESSED' : 'HEALTHY');
+
+        const escape = ResultExporter.escapeHtml;
+        const editable = canEdit();
+
+        // With editing allowed each amount is an input (a new amount resizes the exposure) with a delete button.
+        // A layered network lists each counterparty once per layer on show.
+        const formatConnections = (type) => {
+            const counterparties = (type === 'inbound') ? exposures.in[node.id] : exposures.out[node.id];
+            const entries = [];
+            [...counterparties].sort((a, b) => a[0] - b[0]).forEach(([id, value]) => {
+                if (!network.layers) {
+                    entries.push({ id, value, layer: null });
+                    return;
+                }
+                const amounts = type === 'inbound'
+                    ? ExposureLayers.pairAmounts(network.layerExposures, id, node.id)
+                    : ExposureLayers.pairAmounts(network.layerExposures, node.id, id);
+                amounts.forEach((amount, k) => {
+                    if (amount > 0 && !hiddenLayers.has(network.layers[k].id)) entries.push({ id, value: amount, layer: network.layers[k] });
+                });
+            });
+            const html = entries
+                .map(({ id, value, layer }) => {
+                    const label = `${escape(banksById.get(id).name)}${layer ? ` <span class="text-slate-500">(${escape(layer.name)})</span>` : ''}:`;
+                    const layerData = layer ? ` data-layer="${escape(layer.id)}"` : '';
+                    return editable ? `
+                    <li class="flex items-center justify-between gap-2 text-slate-400 mono text-xs">
+                        <span class="truncate">${label}</span>
+                        <span class="flex items-center gap-1 shrink-0">
+                            <input type="number" min="0" value="${+value.toFixed(2)}" data-exposure="${type}" data-counterparty="${id}"${layerData} class="w-28 p-1 rounded bg-slate-800 border border-slate-700 text-white text-right">
+                            <button data-edit-action="delete-exposure" data-direction="${type}" data-counterparty="${id}"${layerData} class="text-slate-400 hover:text-red-400 px-1" title="Delete exposure">&times;</button>
+                        </span>
+                    </li>`
+                        : `<li class="flex justify-between text-slate-400 mono text-xs"><span class="truncate">${label}</span> <span>${formatCurrency(value)}</span></li>`;
+                })
+                .join('');
+            return html || '<li class="text-slate-500 text-xs">None.</li>';
+        };
+
+        const layerToggles = network.layers ? `
+            <div class="flex flex-wrap gap-x-4 gap-y-1 mt-6 text-xs text-slate-400">
+                <span class="text-slate-300 font-semibold">Layers shown:</span>
+                ${network.layers.map(layer => `<label class="flex items-center gap-1"><input type="checkbox" data-layer-toggle="${escape(layer.id)}" ${hiddenLayers.has(layer.id) ? '' : 'checked'} class="accent-cyan-500">${escape(layer.name)}</label>`).join('')}
+            </div>` : '';
+
+        DOM.bankDetailsContent.innerHTML = `
+            <h3 class="text-2xl sm:text-3xl font-bold text-cyan-200 mb-2">${escape(node.name)} (ID: ${node.id})</h3>
+            <div class="flex justify-between items-center mb-4 pb-2 border-b border-slate-700">
+                <span class="text-lg font-semibold text-slate-300">Current Status:</span>
+                <span class="text-xl ${statusClass} tracking-widest">${statusText}</span>
+            </div>
+            <div class="space-y-2 text-base">
+                <div class="grid grid-cols-2 gap-x-4">
+                    <div class="flex flex-col sm:flex-row justify-between">
+                        <span class="text-slate-400">Total Assets (A):</span>
+                        <span class="font-bold text-slate-300 mono">${formatCurrency(node.A)}</span>
+                    </div>
+                    <div class="flex flex-col sm:flex-row justify-between">
+                        <span class="text-slate-400">Initial Capital (E₀):</span>
+                        <span class="font-bold text-green-400 mono">${formatCurrency(node.E_initial)}</span>
+                    </div>
+                </div>
+                <div class="grid grid-cols-2 gap-x-4">
+                    <div class="flex flex-col sm:flex-row justify-between">
+                        <span class="text-slate-400">Claims (A_IB):</span>
+                        <span class="font-bold text-cyan-400 mono">${formatCurrency(node.A_interbank)}</span>
+                    </div>
+                    <div class="flex flex-col sm:flex-row justify-between">
+                        <span class="text-slate-400">Liabilities (L_IB):</span>
+                        <span class="font-bold text-cyan-400 mono">${formatCurrency(node.L_interbank)}</span>
+                    </div>
+                </div>
+                <div class="flex justify-between pt-2 border-t border-slate-800">
+                    <span class="text-slate-300 font-semibold">Post-Shock Capital (E):</span>
+                    <span class="font-extrabold text-xl ${node.E <= 0 ? 'text-red-500' : 'text-green-400'} mono">${formatCurrency(node.E)}</span>
+                </div>
+                <div class="flex justify-between">
+                    <span class="text-slate-300 font-semibold">DebtRank:</span>
+                    <span class="font-extrabold text-xl ${node.debtRank > 0.4 ? 'text-red-400' : 'text-yellow-400'}">${node.debtRank.toFixed(4)}</span>
+                </div>
+                ${lastRun ? `
+                <div class="pt-2 border-t border-slate-800 text-sm">
+                    <div class="flex justify-between"><span class="text-slate-400">Loss from the direct shock:</span><span class="mono text-slate-300">${formatCurrency(node.shockLoss || 0)}</span></div>
+                    <div class="flex justify-between"><span class="text-slate-400">Loss from interbank contagion:</span><span class="mono text-cyan-300">${formatCurrency(node.interbankLoss || 0)}</span></div>
+                    <div class="flex justify-between"><span class="text-slate-400">Loss from fire sales:</span><span class="mono text-orange-300">${lastRun.fireSale ? formatCurrency(node.fireSaleLoss || 0) : 'off'}</span></div>
+                    ${lastRun.liquidity ? `
+                    <div class="flex justify-between"><span class="text-slate-400">Loss from funding runs:</span><span class="mono text-fuchsia-300">${formatCurrency(node.liquidityLoss || 0)}</span></div>
+                    <div class="flex justify-between"><span class="text-slate-400">Funding withdrawn:</span><span class="mono text-slate-300">${formatCurrency(node.fundingWithdrawn || 0)}</span></div>
+                    <div class="flex justify-between"><span class="text-slate-400">Liquid assets left:</span><span class="mono text-slate-300">${formatCurrency(node.liquidAssets || 0)}</span></div>
+                    <div class="flex justify-between"><span class="text-slate-400">Failure:</span><span class="mono ${node.failureType ? 'text-red-400' : 'text-slate-300'}">${node.failureType ? `${node.failureType} in period ${node.failedPeriod}` : 'none'}</span></div>` : ''}
+                </div>` : ''}
+                ${capitalDetails(node)}
+                ${lossSourceDetails(node)}
+                ${impactDetails(node)}
+                ${analyticsDetails(node)}
+            </div>
+
+            ${layerToggles}
+            <h4 class="text-lg font-semibold text-slate-300 ${network.layers ? 'mt-2' : 'mt-6'} border-b border-slate-800 pb-1">Inbound Claims (Owed **to** this bank - ${inConnections}):</h4>
+            <ul class="space-y-1 max-h-32 overflow-y-auto pr-2">${formatConnections('inbound')}</ul>
+
+            <h4 class="text-lg font-semibold text-slate-300 mt-4 border-b border-slate-800 pb-1">Outbound Liabilities (Owed **by** this bank - ${outConnections}):</h4>
+            <ul class="space-y-1 max-h-32 overflow-y-auto pr-2">${formatConnections('outbound')}</ul>
+            ${editable ? bankEditorHtml(node) : ''}
+        `;
+    };
+
+    // Balance-sheet and new-exposure forms for the details modal (see handleBankEditorClick)
+    const bankEditorHtml = (node) => {
+        const input = 'p-2 rounded-lg bg-slate-800 border border-slate-700 text-white';
+        const counterparties = DebtRankEngine.nodesById(network.nodes).filter(other => other.id !== node.id)
+            .map(other => `<option value="${other.id}">${ResultExporter.escapeHtml(other.name)} (${other.id})</option>`).join('');
+        const layers = network.layers ? `
+                    <select data-new-exposure="layer" class="${input}">${network.layers.map(layer => `<option value="${ResultExporter.escapeHtml(layer.id)}">${ResultExporter.escapeHtml(layer.name)}</option>`).join('')}</select>` : '';
+        return `
+            <div class="mt-6 pt-2 border-t border-slate-700 text-sm space-y-3">
+                <h4 class="text-lg font-semibold text-slate-300">Edit Bank</h4>
+                <div class="grid grid-cols-3 gap-2">
+                    <label class="text-slate-400">Name<input type="text" data-bank-field="name" value="${ResultExporter.escapeHtml(node.name)}" class="w-full mt-1 ${input}"></label>
+                    <label class="text-slate-400">Total Assets (A)<input type="number" min="0" data-bank-field="A" value="${+node.A.toFixed(2)}" class="w-full mt-1 mono ${input}"></label>
+                    <label class="text-slate-400">Initial Capital (E₀)<input type="number" min="0" data-bank-field="E_initial" value="${+node.E_initial.toFixed(2)}" class="w-full mt-1 mono ${input}"></label>
+                </div>
+                <div class="flex gap-2">
+                    <button data-edit-action="update-bank" class="bg-slate-700 hover:bg-slate-600 text-white font-semibold py-2 px-3 rounded-lg transition duration-200">Apply</button>
+                    <button data-edit-action="remove-bank" class="bg-slate-700 hover:bg-red-700 text-white font-semibold py-2 px-3 rounded-lg transition duration-200">Remove Bank</button>
+                </div>
+                ${counterparties ? `
+                <div class="flex flex-wrap items-center gap-2">
+                    <span class="text-slate-400">This bank</span>
+                    <select data-new-exposure="direction" class="${input}">
+                        <option value="outbound">owes</option>
+                        <option value="inbound">is owed by</option>
+                    </select>
+                    <select data-new-exposure="counterparty" class="flex-1 min-w-0 ${input}">${counterparties}</select>
+                    <input type="number" min="0" data-new-exposure="amount" placeholder="Amount" class="w-28 mono ${input}">${layers}
+                    <button data-edit-action="set-exposure" class="bg-slate-700 hover:bg-slate-600 text-white font-semibold py-2 px-3 rounded-lg transition duration-200">Set</button>
+                </div>` : ''}
+                <ul id="bankEditErrors" class="hidden space-y-1 text-xs text-red-400"></ul>
+            </div>`;
+    };
+
+    // Loss decomposition block for the details modal: the latest run's loss by channel and by debtor, and the
+    // strongest contagion paths into the bank (also drawn on the graph, see renderPathOverlay)
+    const LOSS_SOURCE_ROWS = 8;
+    const lossSourceDetails = (node) => {
+        if (!lastRun) return '';
+        const escape = ResultExporter.escapeHtml;
+        const sources = node.lossSources || [];
+        const rows = [
+            ['Initial shock', node.shockLoss || 0, 'bg-slate-400'],
+            ['Fire sales', node.fireSaleLoss || 0, 'bg-orange-400'],
+            ['Funding runs', node.liquidityLoss || 0, 'bg-fuchsia-400']
+        ].filter(([, loss]) => loss > 0).map(([label, loss, color]) => ({ label: escape(label), loss, color }));
+        sources.slice(0, LOSS_SOURCE_ROWS).forEach(({ id, loss }) => {
+            const debtor = banksById.get(id);
+            rows.push({
+                label: `<button data-select-bank="${id}" class="text-cyan-300 hover:underline truncate" title="Show this bank">${escape(debtor.name)}</button> <span class="text-xs text-slate-500">${debtor.isFailed ? 'failed' : (debtor.stressLevel === 1 ? 'stressed' : '')}</span>`,
+                loss,
+                color: 'bg-cyan-400'
+            });
+        });
+        if (sources.length > LOSS_SOURCE_ROWS) {
+            const rest = sources.slice(LOSS_SOURCE_ROWS);
+            rows.push({ label: `${rest.length} other debtor(s)`, loss: rest.reduce((sum, source) => sum + source.loss, 0), color: 'bg-cyan-700' });
+        }
+        const total = rows.reduce((sum, row) => sum + row.loss, 0);
+        const layerRows = node.layerLosses && node.interbankLoss > 0 ? network.layers.map(layer => `
+                        <div class="flex justify-between text-xs"><span class="text-slate-400">${escape(layer.name)}</span><span class="mono text-slate-300">${formatCurrency(node.layerLosses[layer.id] || 0)}</span></div>`).join('') : '';
+        const paths = contagionPathsInto(node.id);
+        const pathHtml = paths.map(({ ids, links }) => `
+                    <li class="text-xs text-slate-400 leading-relaxed">${ids.map((id, k) => `${k ? `<span class="text-orange-300 mono"> →${formatCurrency(links[k - 1].loss)}→ </span>` : ''}${escape(banksById.get(id).name)}`).join('')}</li>`).join('');
+
+        return `
+                <div class="pt-2 border-t border-slate-800 text-sm">
+                    <div class="flex justify-between"><span class="text-slate-300 font-semibold">Where the loss came from:</span><span class="mono text-slate-300">${formatCurrency(total)}</span></div>
+                    ${rows.length ? `<ul class="space-y-1 mt-1">${rows.map(row => `
+                        <li class="grid grid-cols-[minmax(0,1fr)_6rem_5rem] items-center gap-2">
+                            <span class="truncate text-slate-400">${row.label}</span>
+                            <span class="h-2 rounded-full bg-slate-800 overflow-hidden"><span class="block h-2 ${row.color}" style="width:${total > 0 ? (row.loss / total) * 100 : 0}%"></span></span>
+                            <span class="mono text-right text-slate-300">${formatCurrency(row.loss)}</span>
+                        </li>`).join('')}</ul>` : '<p class="text-xs text-slate-500">No loss.</p>'}
+                    ${layerRows ? `
+                    <p class="text-slate-300 font-semibold mt-2">Interbank loss by layer:</p>
+                    ${layerRows}` : ''}
+                    ${paths.length ? `
+                    <p class="text-slate-300 font-semibold mt-2">Strongest contagion paths (highlighted on the graph):</p>
+                    <ul class="space-y-1">${pathHtml}</ul>` : ''}
+                </div>`;
+    };
+
+    // Capital ratios block for the details modal: before and after the latest run, or pre-shock only
+    const capitalDetails = (node) => {
+        const capital = capitalOf(node);
+        const breachList = (breaches) => (breaches.length
+            ? `<span class="text-red-400">${breaches.map(breach => CapitalRules.TRIGGER_LABELS[breach]).join(', ')}</span>`
+            : '<span class="text-green-400">none</span>');
+        const ratioRow = (label, before, after) => `
+                    <div class="flex justify-between"><span class="text-slate-400">${label}:</span><span class="mono text-slate-300">${formatRatio(before)}${capital.ran ? ` → ${formatRatio(after)}` : ''}</span></div>`;
+        return `
+                <div class="pt-2 border-t border-slate-800 text-sm">
+                    <div class="flex justify-between"><span class="text-slate-400">Risk-weighted assets${typeof node.RWA === 'number' && node.RWA > 0 ? '' : ' (estimated)'}:</span><span class="mono text-slate-300">${formatCurrency(capital.rwa)}</span></div>
+                    ${ratioRow(`CET1 ratio${capital.ran ? ' (pre → post)' : ''}`, capital.cet1Before, capital.cet1After)}
+                    ${ratioRow(`Leverage ratio${capital.ran ? ' (pre → post)' : ''}`, capital.leverageBefore, capital.leverageAfter)}
+                    <div class="flex justify-between gap-4"><span class="text-slate-400 shrink-0">Breaches before the shock:</span><span class="text-right">${breachList(capital.breachesBefore)}</span></div>
+                    ${capital.ran ? `
+                    <div class="flex justify-between gap-4"><span class="text-slate-400 shrink-0">Breaches after the shock:</span><span class="text-right">${breachList(capital.breachesAfter)}</span></div>` : ''}
+                    ${node.failedBy && node.failedBy !== 'insolvency' ? `
+                    <div class="flex justify-between"><span class="text-slate-400">Failed by rule:</span><span class="mono text-red-400">${node.failedBy === 'distress' ? 'DebtRank threshold' : CapitalRules.TRIGGER_LABELS[node.failedBy]}</span></div>` : ''}
+                </div>`;
+    };
+
+    // Systemic impact block for the details modal (empty until the ranking has been run)
+    const impactDetails = (node) => {
+        if (!systemicImpact) return '';
+        const { impact, impactShare, failuresCaused, rank } = systemicImpact.rows[node.id];
+        return `
+                <div class="pt-2 border-t border-slate-800">
+                    <div class="flex justify-between">
+                        <span class="text-slate-300 font-semibold">Systemic Impact (if it fails):</span>
+                        <span class="font-extrabold text-xl text-orange-300">#${rank} of ${systemicImpact.rows.length}</span>
+                    </div>
+                    <div class="flex justify-between text-sm">
+                        <span class="text-slate-400">Capital lost by other banks:</span>
+                        <span class="mono text-slate-300">${formatCurrency(impact)} (${(impactShare * 100).toFixed(2)}%)</span>
+                    </div>
+                    <div class="flex justify-between text-sm">
+                        <span class="text-slate-400">Other banks failing:</span>
+                        <span class="mono text-slate-300">${failuresCaused}</span>
+                    </div>
+                    <p class="text-xs text-slate-500 mt-1">${DebtRankEngine.describeModel(systemicImpact.model)}${systemicImpact.fireSale ? ' + fire sales' : ''}</p>
+                </div>`;
+    };
+
+    // Network position block for the details modal (empty until the analytics are worked out); #k ranks the bank
+    // from the highest value of each metric
+    const analyticsDetails = (node) => {
+        if (!analytics) return '';
+        const bank = analytics.banks[node.id];
+        const rankOf = (key) => 1 + analytics.banks.filter(other => (other[key] || 0) > (bank[key] || 0)).length;
+        const counterparty = bank.largestCounterparty === null ? '' : ` to ${ResultExporter.escapeHtml(banksById.get(bank.largestCounterparty).name)}`;
+        return `
+                <div class="pt-2 border-t border-slate-800 text-sm">
+                    <span class="text-slate-300 font-semibold">Network Position:</span>
+                    ${NetworkAnalytics.BANK_METRICS.map(metric => `
+                    <div class="flex justify-between gap-2">
+                        <span class="text-slate-400">${metric.label}:</span>
+                        <span class="mono text-slate-300 text-right">${formatMetric(metric, bank[metric.key])}${metric.key === 'largestExposure' ? counterparty : ''} <span class="text-slate-500">#${rankOf(metric.key)}</span></span>
+                    </div>`).join('')}
+                </div>`;
+    };
+
+    // ----------------------
+    // Simulation Worker
+    // ----------------------
+    // Stress tests, Monte Carlo, the systemic-importance sweep and the injection search run in worker.js, so the
+    // page stays responsive on networks of thousands of banks. Where no worker can be started (e.g. the page
+    // opened from file://) the same tasks run on the page instead.
+
+    let worker; // undefined until first used, null when unavailable
+    let workerNetwork = null; // the network the worker holds a copy of
+    let pageNetwork = { source: null, copy: null }; // id-ordered copy for tasks run on the page
+    const workerTasks = new Map(); // task id -> { task, args, onProgress, resolve, reject }
+    let nextTaskId = 1;
+
+    // The current network as loadNetwork input (serializeNetwork lists the banks in id order)
+    const networkSnapshot = () => DebtRankEngine.serializeNetwork(network);
+
+    const runOnPage = ({ task, args, onProgress, resolve, reject }) => setTimeout(() => {
+        try {
+            if (pageNetwork.source !== network) pageNetwork = { source: network, copy: DebtRankEngine.loadNetwork(networkSnapshot()) };
+            resolve(SimulationWorker.runTask(pageNetwork.copy, task, args, onProgress));
+        } catch (err) {
+            reject(err);
+        }
+    }, 0);
+
+    const startWorker = () => {
+        try {
+            worker = new Worker('worker.js');
+        } catch (err) {
+            worker = null;
+            return;
+        }
+        worker.onmessage = ({ data: message }) => {
+            const pending = workerTasks.get(message.id);
+            if (!pending) return;
+            if (message.type === 'progress') {
+                if (pending.onProgress) pending.onProgress(message.done, message.total);
+                return;
+            }
+            workerTasks.delete(message.id);
+            if (message.type === 'result') pending.resolve(message.result);
+            else pending.reject(new Error(message.message));
+        };
+        // A worker that cannot load (or dies) is given up on: its tasks, and every later one, run on the page
+        worker.onerror = (event) => {
+            event.preventDefault();
+            console.warn('Simulation worker failed; running on the page instead.', event.message);
+            worker.terminate();
+            worker = null;
+            workerTasks.forEach(runOnPage);
+            workerTasks.clear();
+        };
+    };
+
+    /**
+     * Runs a worker.js task on the current network. Resolves with its result; `onProgress(done, total)` is
+     * called as it goes (`total` is undefined when the amount of work is not known up front).
+     */
+    const runTask = (task, args, onProgress) => new Promise((resolve, reject) => {
+        if (worker === undefined) startWorker();
+        const pending = { task, args, onProgress, resolve, reject };
+        if (!worker) {
+            runOnPage(pending);
+            return;
+        }
+        if (workerNetwork !== network) {
+            worker.postMessage({ type: 'network', data: networkSnapshot() });
+            workerNetwork = network;
+        }
+        const id = nextTaskId++;
+        workerTasks.set(id, pending);
+        worker.postMessage({ type: 'run', id, task, args });
+    });
+
+    // ----------------------
+    // Network Analytics
+    // ----------------------
+    // Centrality, concentration and structure of the exposure graph (analytics.js), worked out in the worker
+    // whenever the network changes. The structure card, table columns, graph selectors and modal use them.
+
+    const formatMetric = ({ format }, value) => {
+        if (value === null || value === undefined) return '--';
+        if (format === 'amount') return formatCurrency(value);
+        if (format === 'share') return `${(value * 100).toFixed(1)}%`;
+        if (format === 'count') return String(value);
+        return value === 0 || Math.abs(value) >= 0.001 ? value.toFixed(4) : value.toExponential(2);
+    };
+
+    const renderNetworkStructure = () => {
+        if (!analytics) {
+            DOM.networkStructure.innerHTML = network.nodes.length ? '<p>Analysing the exposure graph...</p>' : '';
+            return;
+        }
+        const { system, banks } = analytics;
+        const percent = (value) => `${(value * 100).toFixed(2)}%`;
+        const row = (label, value, title = '') => `<div class="flex justify-between gap-2" title="${title}"><span>${label}:</span><span class="mono text-slate-300 text-right">${value}</span></div>`;
+        const top = (key) => banks.reduce((best, bank) => (bank[key] > best[key] ? bank : best), banks[0]);
+        const label = (key) => NetworkAnalytics.BANK_METRICS.find(metric => metric.key === key).label;
+
+        DOM.networkStructure.innerHTML = [
+            row('Exposures', `${system.exposures} (density ${percent(system.density)})`),
+            row('Counterparties per bank', system.meanDegree.toFixed(2), 'Mean number of banks each bank owes'),
+            row('Reciprocity', percent(system.reciprocity), 'Share of exposures matched by one in the other direction'),
+            row('Average clustering', system.averageClustering.toFixed(4)),
+            row('Innermost core', `${system.degeneracy}-core of ${system.innerCore} banks`, 'Largest k such that these banks each have k or more counterparties among themselves'),
+            row('Lending concentration (HHI)', system.lendingConcentration.toFixed(4), 'Herfindahl index of interbank claims across banks'),
+            row('Borrowing concentration (HHI)', system.borrowingConcentration.toFixed(4), 'Herfindahl index of interbank liabilities across banks'),
+            row(`Large exposures (≥ ${NetworkAnalytics.LARGE_EXPOSURE_LIMIT * 100}% of capital)`, `${system.largeExposureBanks} banks`),
+            ...['eigenvector', 'pageRank', 'betweenness'].map(key => row(`Top ${label(key)}`, `${ResultExporter.escapeHtml(top(key).name)} (${top(key).id})`)),
+            system.betweennessSampled ? `<p class="text-xs text-slate-500 pt-1">Betweenness is estimated from ${NetworkAnalytics.BETWEENNESS_SAMPLES} source banks.</p>` : ''
+        ].join('');
+    };
+
+    const refreshAnalytics = () => {
+        const runNetwork = network;
+        renderNetworkStructure();
+        runTask('analytics', {}).then(result => {
+            if (runNetwork !== network) return;
+            analytics = result;
+            renderNetworkStructure();
+            restyleNodes();
+            sortTableNodes();
+            renderTableRows();
+            if (DOM.modalOverlay.classList.contains('open') && selectedBankId !== null) {
+                updateDetailsPanel(banksById.get(selectedBankId));
+            }
+        }).catch(err => {
+            if (runNetwork !== network) return;
+            DOM.networkStructure.textContent = `The analysis failed: ${err.message}`;
+        });
+    };
+
+    // Exposure layers of a layered network: whether each is on show, its recovery rate (editable) and total
+    // exposure, and what the latest run lost through it
+    const renderLayerPanel = () => {
+        DOM.layerPanel.classList.toggle('hidden', !network.layers);
+        if (!network.layers) {
+            DOM.layerList.innerHTML = '';
+            return;
+        }
+        const escape = ResultExporter.escapeHtml;
+        const runLayers = lastRun && lastRun.layers ? lastRun.layers : null;
+        const editable = canEdit();
+        DOM.layerList.innerHTML = network.layers.map((layer, k) => {
+            const exposure = Exposures.toList(network.layerExposures[k]).reduce((sum, entry) => sum + entry[2], 0);
+            const recovery = +(layer.recovery * 100).toFixed(2);
+            return `
+                <tr class="border-t border-slate-800">
+                    <td class="py-1 pr-2"><label class="flex items-center gap-2 text-slate-300"><input type="checkbox" data-layer-toggle="${escape(layer.id)}" ${hiddenLayers.has(layer.id) ? '' : 'checked'} class="accent-cyan-500">${escape(layer.name)}</label></td>
+                    <td class="py-1 pr-2 text-right">${editable
+                        ? `<input type="number" min="0" max="100" step="1" value="${recovery}" data-layer-recovery="${escape(layer.id)}" class="w-20 p-1 rounded bg-slate-800 border border-slate-700 text-white text-right mono" title="Share of the exposure recovered when the debtor fails (%)">%`
+                        : `<span class="mono text-slate-300">${recovery}%</span>`}</td>
+                    <td class="py-1 pr-2 text-right mono text-slate-300">${formatCurrency(exposure)}</td>
+                    <td class="py-1 text-right mono text-cyan-300">${runLayers ? formatCurrency(runLayers[k].loss) : '—'}</td>
+                </tr>`;
+        }).join('');
+    };
+
+    // Shows or hides a layer's exposures on the graph and in the details modal
+    const handleLayerToggle = (event) => {
+        const toggle = event.target.closest('[data-layer-toggle]');
+        if (!toggle) return;
+        if (toggle.checked) hiddenLayers.delete(toggle.dataset.layerToggle);
+        else hiddenLayers.add(toggle.dataset.layerToggle);
+        renderLayerPanel();
+        if (canvasMode) scheduleCanvasDraw();
+        else if (linkElements) {
+            linkElements
+                .attr("stroke-width", d => linkWidth(d, lastRun !== null))
+                .attr("display", linkDisplay);
+        }
+        if (DOM.modalOverlay.classList.contains('open') && selectedBankId !== null) updateDetailsPanel(banksById.get(selectedBankId));
+    };
+
+    const handleLayerRecoveryInput = (event) => {
+        const input = event.target.closest('[data-layer-recovery]');
+        if (!input || input.value === input.defaultValue) return;
+        const recovery = input.value === '' ? NaN : Number(input.value) / 100;
+        if (!editNetwork({ type: 'update-layer', layer: input.dataset.layerRecovery, recovery })) input.value = input.defaultValue;
+    };
+
+    // ----------------------
+    // Simulation Core Logic
+    // ----------------------
+
+    // Drops the results worked out on the previous network (saved runs aside)
+    const clearResults = () => {
+        lastRun = null;
+        resetPlayback();
+        resetMonteCarlo();
+        systemicImpact = null;
+        analytics = null;
+        DOM.importanceStatus.classList.add('hidden');
+        comparison = null;
+        DOM.saveRunBtn.disabled = true;
+        DOM.comparisonPanel.classList.add('hidden');
+    };
+
+    // Installs a freshly built network (`source` 'generated', 'imported', 'library' or 'edited') and resets the view
+    const showNetwork = (newNetwork, source = 'generated') => {
+        network = newNetwork;
+        hiddenLayers = new Set();
+        banksById = new Map(network.nodes.map(node => [node.id, node]));
+        // Imported networks still need a seed so random shocks on them are reproducible
+        if (!network.parameters.seed) network.parameters.seed = DebtRankEngine.randomSeed();
+        networkRecord = ResultExporter.auditNetwork(network, source);
+        const event = source === 'generated' ? 'generate' : 'import';
+        // Imported data is logged once so runs on it can be re-opened from the audit trail
+        recordAudit(event, { seed: network.parameters.seed, results: ResultExporter.auditResults(event, network) }, source === 'generated' ? undefined : DebtRankEngine.serializeNetwork(network));
+        totalInitialCapital = DebtRankEngine.summarize(network.nodes).totalInitialCapital;
+        clearResults();
+        savedRuns = [];
+        renderSavedRuns();
+        renderLayerPanel();
+        DOM.exportButtons.forEach(button => { button.disabled = false; });
+        DOM.currentSeed.textContent = network.parameters.seed;
+        // Only generated networks can be rebuilt from a link; imported data is not in the URL
+        DOM.shareBtn.disabled = !network.parameters.n;
+        updateScenarioUrl();
+
+        renderNetwork(true);
+        DOM.simulateBtn.disabled = false;
+        DOM.monteCarloBtn.disabled = false;
+        DOM.importanceBtn.disabled = false;
+        DOM.injectionSearchBtn.disabled = false;
+        DOM.injectionSearchStatus.classList.add('hidden');
+        DOM.networkPlaceholder.classList.add('hidden');
+        populateTargetedBankControl();
+        refreshShockComponents();
+        refreshInterventions();
+        closeModal();
+        selectedBankId = null;
+        
+        // FIX: Ensure metrics dashboard is updated immediately after network generation
+        updateMetricsDashboard(true); 
+        refreshAnalytics();
+        resetEditHistory();
+    };
+
+    // Reads the Network Settings inputs into engine generation options (blank inputs fall back to defaults)
+    const readGenerationOptions = () => {
+        const options = {};
+        DOM.networkParams.forEach(input => {
+            const key = input.dataset.param;
+            if (input.value === '') return;
+            if (key === 'topology') options[key] = input.value;
+            else options[key] = Number(input.value) * ('percent' in input.dataset ? 0.01 : 1);
+        });
+        return options;
+    };
+
+    const writeGenerationOptions = (options) => {
+        DOM.networkParams.forEach(input => {
+            const value = options[input.dataset.param];
+            if (value === undefined || value === null) return;
+            input.value = 'percent' in input.dataset ? +(value * 100).toFixed(4) : value;
+        });
+        handleTopologyChange();
+    };
+
+    const handleTopologyChange = () => {
+        document.querySelectorAll('[data-topologies]').forEach(field => {
+            field.classList.toggle('hidden', !field.dataset.topologies.split(' ').includes(DOM.topology.value));
+        });
+        const n = readGenerationOptions().n || DebtRankEngine.N;
+        DOM.generateBtn.textContent = `1. Generate New Network (N=${n})`;
+    };
+
+    const generateNetwork = (options = readGenerationOptions(), seed = DOM.seedInput.value.trim()) => {
+        const errors = DebtRankEngine.validateGenerationOptions(options);
+        DOM.generationErrors.innerHTML = errors.map(error => `<li>${error}</li>`).join('');
+        DOM.generationErrors.classList.toggle('hidden', !errors.length);
+        if (errors.length) return;
+
+        showNetwork(DebtRankEngine.generateNetwork({ ...options, seed }));
+    };
+
+    const MAX_LISTED_IMPORT_ERRORS = 100;
+
+    const showImportResult = (message, errors = []) => {
+        DOM.importStatus.classList.remove('hidden', 'text-red-400', 'text-green-400');
+        DOM.importStatus.classList.add(errors.length ? 'text-red-400' : 'text-green-400');
+        DOM.importStatus.textContent = message;
+
+        DOM.importErrors.innerHTML = '';
+        errors.slice(0, MAX_LISTED_IMPORT_ERRORS).forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = NetworkImporter.formatError(error);
+            DOM.importErrors.appendChild(item);
+        });
+        if (errors.length > MAX_LISTED_IMPORT_ERRORS) {
+            const item = document.createElement('li');
+            item.className = 'text-slate-500';
+            item.textContent = `...and ${errors.length - MAX_LISTED_IMPORT_ERRORS} more.`;
+            DOM.importErrors.appendChild(item);
+        }
+        DOM.importErrors.classList.toggle('hidden', !errors.length);
+    };
+
+    const importNetwork = async () => {
+        const networkFile = DOM.networkFile.files[0];
+        if (networkFile) {
+            try {
+                const loaded = DebtRankEngine.loadNetwork(JSON.parse(await networkFile.text()));
+                showNetwork(loaded, 'imported');
+                showImportResult(`Loaded ${loaded.nodes.length} institutions from ${networkFile.name}.`);
+            } catch (err) {
+                showImportResult('Could not load the saved network.', [{ file: networkFile.name, row: null, message: err.message }]);
+            }
+            DOM.networkFile.value = '';
+            return;
+        }
+
+        const balanceSheetFile = DOM.balanceSheetFile.files[0];
+        const exposureFile = DOM.exposureFile.files[0];
+        if (!balanceSheetFile || !exposureFile) {
+            showImportResult('Choose both a balance-sheet file and an exposure file.', [{ file: 'import', row: null, message: 'Missing file.' }]);
+            return;
+        }
+
+        const [balanceSheets, exposures] = await Promise.all([balanceSheetFile.text(), exposureFile.text()]);
+        const { network: imported, errors } = NetworkImporter.importNetwork({ balanceSheets, exposures });
+        if (errors.length) {
+            showImportResult(`Import failed: ${errors.length} problem(s) found.`, errors);
+            return;
+        }
+
+        showNetwork(imported, 'imported');
+        showImportResult(`Imported ${imported.nodes.length} institutions and ${imported.links.length} exposures.`);
+    };
+
+    // Reads the scenario selected in the controls into an engine shock spec
+    const readShockSpec = () => {
+        const type = DOM.shockType.value;
+        if (type === 'targeted') {
+            return { type, targetId: parseInt(DOM.targetedBankId.value) };
+        }
+        if (type === 'macro') {
+            return { type, lossFactor: Number(DOM.macroLossFactor.value) / 100 };
+        }
+        if (type === 'custom') {
+            return { type, components: readShockComponents() };
+        }
+        return { type };
+    };
+
+    // Sets the controls from a shock spec (saved scenarios, scenario links)
+    const writeShockSpec = (shockSpec) => {
+        const shock = DebtRankEngine.normalizeShock(shockSpec);
+        DOM.shockType.value = shock.type;
+        DOM.shockType.dispatchEvent(new Event('change'));
+        if (shock.type === 'targeted') DOM.targetedBankId.value = shock.targetId;
+        if (shock.type === 'macro') DOM.macroLossFactor.value = +(shock.lossFactor * 100).toFixed(4);
+        if (shock.type === 'custom') {
+            DOM.shockComponents.innerHTML = '';
+            shock.components.forEach(addShockComponent);
+        }
+    };
+
+    const showShockErrors = (errors) => {
+        DOM.shockErrors.innerHTML = errors.map(error => `<li>${error}</li>`).join('');
+        DOM.shockErrors.classList.toggle('hidden', !errors.length);
+    };
+
+    // ----------------------
+    // Network Editing
+    // ----------------------
+    // Banks and exposures are edited in place (editor.js): from the Edit Network card, the bank details modal, or by
+    // shift-dragging from a debtor to a creditor on the graph. Each edit gives a new network object, which the worker
+    // and the analytics pick up as usual; the states either side of the edits are kept for undo and redo. Editing
+    // builds new network data, so like importing it needs the upload permission.
+
+    const MAX_UNDO = 50;
+
+    const canEdit = () => can('upload') && network.nodes.length > 0;
+
+    // Shown in the bank details modal while it is open, otherwise in the Edit Network card
+    const showEditErrors = (errors) => {
+        const modalList = DOM.modalOverlay.classList.contains('open') ? document.getElementById('bankEditErrors') : null;
+        const list = modalList || DOM.editErrors;
+        if (modalList) DOM.editErrors.classList.add('hidden');
+        list.innerHTML = errors.map(error => `<li>${ResultExporter.escapeHtml(error)}</li>`).join('');
+        list.classList.toggle('hidden', !errors.length);
+    };
+
+    const bankLayout = () => new Map(network.nodes.map(node => [node.id, { x: node.x, y: node.y }]));
+
+    const renderEditHistory = () => {
+        const { undo, redo } = editHistory;
+        DOM.undoBtn.disabled = !undo.length;
+        DOM.redoBtn.disabled = !redo.length;
+        DOM.undoBtn.title = undo.length ? `Undo: ${undo[undo.length - 1].label} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+        DOM.redoBtn.title = redo.length ? `Redo: ${redo[redo.length - 1].label} (Ctrl+Y)` : 'Redo (Ctrl+Y)';
+        DOM.addBankBtn.disabled = !canEdit();
+        const { edits } = network.parameters;
+        DOM.editStatus.textContent = edits ? `${edits} edit${edits === 1 ? '' : 's'} to the loaded network.` : '';
+    };
+
+    const resetEditHistory = () => {
+        editHistory = { undo: [], redo: [] };
+        showEditErrors([]);
+        renderEditHistory();
+    };
+
+    /**
+     * Puts an edited (or restored) network in place of the current one. Banks keep their place on the graph
+     * (`layout`: id -> { x, y }; new banks start in the middle), results worked out on the old network are dropped,
+     * and saved runs stay for comparison unless banks were added or removed (runs are compared bank by bank).
+     * `record` is the network's audit description when it is already known; `keepSelected` the bank to keep open.
+     */
+    const installEditedNetwork = (edited, layout, record, keepSelected) => {
+        edited.nodes.forEach(node => Object.assign(node, layout.get(node.id) || { x: width / 2, y: height / 2 }));
+        const sameBanks = edited.nodes.length === network.nodes.length;
+        network = edited;
+        banksById = new Map(network.nodes.map(node => [node.id, node]));
+        networkRecord = record || ResultExporter.auditNetwork(network, 'edited');
+        totalInitialCapital = DebtRankEngine.summarize(network.nodes).totalInitialCapital;
+        clearResults();
+        if (!sameBanks) {
+            savedRuns = [];
+            renderSavedRuns();
+        }
+        renderLayerPanel();
+        DOM.shareBtn.disabled = !network.parameters.n;
+        updateScenarioUrl();
+
+        renderNetwork(true);
+        forceSimulation.alpha(0.1); // settle new banks without reshuffling the rest
+        const targetId = DOM.targetedBankId.value;
+        populateTargetedBankControl();
+        if (banksById.has(parseInt(targetId))) DOM.targetedBankId.value = targetId;
+        refreshShockComponents();
+        refreshInterventions();
+        updateMetricsDashboard(true);
+        refreshAnalytics();
+
+        selectedBankId = null;
+        if (DOM.modalOverlay.classList.contains('open')) {
+            if (keepSelected !== null && banksById.has(keepSelected)) selectBank(keepSelected);
+            else closeModal();
+        }
+        renderEditHistory();
+    };
+
+    // Applies one edit (see editor.js), or shows why it cannot be made
+    const editNetwork = (edit) => {
+        const errors = NetworkEditor.validateEdit(network, edit);
+        showEditErrors(errors);
+        if (errors.length) return false;
+
+        const layout = new Map();
+        bankLayout().forEach((position, id) => {
+            const editedId = NetworkEditor.editedId(edit, id);
+            if (editedId !== null) layout.set(editedId, position);
+        });
+        editHistory.undo.push({ label: NetworkEditor.describeEdit(network, edit), data: networkSnapshot(), layout: bankLayout(), record: networkRecord });
+        if (editHistory.undo.length > MAX_UNDO) editHistory.undo.shift();
+        editHistory.redo = [];
+        const keepSelected = selectedBankId === null ? null : NetworkEditor.editedId(edit, selectedBankId);
+        installEditedNetwork(NetworkEditor.applyEdit(network, edit), layout, null, keepSelected);
+        return true;
+    };
+
+    // Moves one step through the history, keeping the current state on the other stack
+    const stepHistory = (from, to) => {
+        if (!from.length) return;
+        const entry = from.pop();
+        to.push({ label: entry.label, data: networkSnapshot(), layout: bankLayout(), record: networkRecord });
+        const keepSelected = entry.data.nodes.length === network.nodes.length ? selectedBankId : null;
+        showEditErrors([]);
+        installEditedNetwork(DebtRankEngine.loadNetwork(entry.data), entry.layout, entry.record, keepSelected);
+    };
+
+    const undoEdit = () => stepHistory(editHistory.undo, editHistory.redo);
+    const redoEdit = () => stepHistory(editHistory.redo, editHistory.undo);
+
+    const addBank = () => {
+        const name = DOM.newBankName.value.trim();
+        const added = editNetwork({
+            type: 'add-bank',
+            name: name || undefined,
+            A: DOM.newBankAssets.value === '' ? NaN : Number(DOM.newBankAssets.value),
+            E_initial: DOM.newBankEquity.value === '' ? NaN : Number(DOM.newBankEquity.value)
+        });
+        if (!added) return;
+        DOM.newBankName.value = '';
+        // Straight to the new bank, to give it exposures
+        selectBank(network.nodes.length - 1);
+    };
+
+    // The edit for an exposure of the open bank: 'outbound' ones it owes, 'inbound' ones it is owed (in `layer`
+    // of a layered network)
+    const exposureEdit = (direction, counterparty, amount, layer) => {
+        const edit = direction === 'inbound'
+            ? { type: 'set-exposure', debtor: counterparty, creditor: selectedBankId, amount }
+            : { type: 'set-exposure', debtor: selectedBankId, creditor: counterparty, amount };
+        if (layer !== undefined) edit.layer = layer;
+        return edit;
+    };
+
+    const bankEditorField = (selector) => DOM.bankDetailsContent.querySelector(selector);
+
+    // Buttons of the details modal's editor
+    const handleBankEditorClick = (event) => {
+        const button = event.target.closest('[data-edit-action]');
+        if (!button || selectedBankId === null) return;
+        const action = button.dataset.editAction;
+
+        if (action === 'delete-exposure') {
+            editNetwork(exposureEdit(button.dataset.direction, parseInt(button.dataset.counterparty), 0, button.dataset.layer));
+        } else if (action === 'remove-bank') {
+            editNetwork({ type: 'remove-bank', id: selectedBankId });
+        } else if (action === 'update-bank') {
+            // Only the fields changed from what the modal showed (amounts there are rounded)
+            const edit = { type: 'update-bank', id: selectedBankId };
+            ['name', 'A', 'E_initial'].forEach(key => {
+                const input = bankEditorField(`[data-bank-field="${key}"]`);
+                if (input.value === input.defaultValue) return;
+                edit[key] = key === 'name' ? input.value : (input.value === '' ? NaN : Number(input.value));
+            });
+            if (Object.keys(edit).length > 2) editNetwork(edit);
+        } else if (action === 'set-exposure') {
+            const amount = bankEditorField('[data-new-exposure="amount"]').value;
+            if (amount === '') {
+                showEditErrors(['Enter the amount of the exposure.']);
+                return;
+            }
+            const layer = bankEditorField('[data-new-exposure="layer"]');
+            editNetwork(exposureEdit(bankEditorField('[data-new-exposure="direction"]').value, parseInt(bankEditorField('[data-new-exposure="counterparty"]').value), Number(amount),
+                layer ? layer.value : undefined));
+        }
+    };
+
+    // Amounts typed into the modal's exposure lists resize the exposure (0 deletes it)
+    const handleExposureInput = (event) => {
+        const input = event.target.closest('[data-exposure]');
+        if (!input || selectedBankId === null || input.value === input.defaultValue) return;
+        if (!editNetwork(exposureEdit(input.dataset.exposure, parseInt(input.dataset.counterparty), input.value === '' ? NaN : Number(input.value), input.dataset.layer))) {
+            input.value = input.defaultValue;
+        }
+    };
+
+    const drawLinkDraft = () => {
+        if (canvasMode) {
+            scheduleCanvasDraw();
+            return;
+        }
+        svg.selectAll("line.link-draft")
+            .data(linkDraft ? [linkDraft] : [])
+            .join("line")
+            .attr("class", "link-draft")
+            .attr("x1", d => d.source.x)
+            .attr("y1", d => d.source.y)
+            .attr("x2", d => d.x)
+            .attr("y2", d => d.y)
+            .attr("stroke", '#e879f9')
+            .attr("stroke-width", 2)
+            .attr("stroke-dasharray", "6 4")
+            .attr("pointer-events", "none");
+    };
+
+    // A shift-drag that ends on another bank opens the debtor with the new exposure ready to be given an amount
+    const finishLinkDraft = () => {
+        const { source, x, y } = linkDraft;
+        linkDraft = null;
+        drawLinkDraft();
+        const target = forceSimulation.find(x, y, HIT_RADIUS + radiusScale.range()[1]);
+        if (!target || target.id === source.id) return;
+        selectBank(source.id);
+        bankEditorField('[data-new-exposure="direction"]').value = 'outbound';
+        bankEditorField('[data-new-exposure="counterparty"]').value = target.id;
+        const amount = bankEditorField('[data-new-exposure="amount"]');
+        const layer = bankEditorField('[data-new-exposure="layer"]');
+        let exposures = network.exposures;
+        if (layer) {
+            // The first layer on show, as that is where the new exposure will be seen
+            const k = Math.max(0, network.layers.findIndex(({ id }) => !hiddenLayers.has(id)));
+            layer.value = network.layers[k].id;
+            exposures = network.layerExposures[k];
+        }
+        const existing = Exposures.getExposure(exposures, source.id, target.id);
+        amount.value = existing ? +existing.toFixed(2) : '';
+        amount.focus();
+    };
+
+    // Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z) outside text fields, which keep their own undo
+    const handleEditShortcut = (event) => {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey || !canEdit()) return;
+        if (event.target.closest('input, textarea, select')) return;
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) undoEdit();
+        else if (key === 'y' || (key === 'z' && event.shiftKey)) redoEdit();
+        else return;
+        event.preventDefault();
+    };
+
+    // ----------------------
+    // Custom Shock Builder
+    // ----------------------
+
+    const bankOptions = (selectedIds = []) => DebtRankEngine.nodesById(network.nodes)
+        .map(node => `<option value="${node.id}" ${selectedIds.includes(node.id) ? 'selected' : ''}>${ResultExporter.escapeHtml(node.name)} (${node.id})</option>`).join('');
+
+    // Built-in groups plus any other "group" values found in imported data
+    const groupOptions = (selected) => {
+        const groups = Object.entries(DebtRankEngine.INSTITUTION_GROUPS).map(([id, { label }]) => [id, label]);
+        network.nodes.forEach(node => {
+            if (node.group && !groups.some(([id]) => id === node.group)) groups.push([node.group, node.group]);
+        });
+        const escape = ResultExporter.escapeHtml;
+        return groups.map(([id, label]) => `<option value="group:${escape(id)}" ${selected === id ? 'selected' : ''}>${escape(label)}</option>`).join('');
+    };
+
+    const addShockComponent = (component = { on: 'external', size: 0.1 }) => {
+        const row = document.createElement('div');
+        row.className = 'shock-component p-2 rounded-lg bg-slate-800/60 border border-slate-700 space-y-2';
+        const scope = component.ids ? 'banks' : (component.group !== undefined ? `group:${component.group}` : 'all');
+        row.innerHTML = `
+            <div class="grid grid-cols-2 gap-2">
+                <select data-field="on" class="p-2 rounded-lg bg-slate-800 border border-slate-700 text-white">
+                    <option value="external">External assets</option>
+                    <option value="equity">Equity</option>
+                    <option value="fail">Fail outright</option>
+                </select>
+                <input type="number" data-field="size" min="0" max="100" step="1" value="${+((component.size || 0) * 100).toFixed(4)}" title="Loss (%)" class="p-2 rounded-lg bg-slate-800 border border-slate-700 text-white mono">
+            </div>
+            <div class="flex gap-2">
+                <select data-field="scope" class="flex-1 min-w-0 p-2 rounded-lg bg-slate-800 border border-slate-700 text-white">
+                    <option value="all">All banks</option>
+                    <option value="banks">Selected banks</option>
+                    ${groupOptions(component.group)}
+                </select>
+                <button data-action="remove" class="bg-slate-700 hover:bg-red-700 text-white font-semibold px-3 rounded-lg transition duration-200" title="Remove component">&times;</button>
+            </div>
+            <select data-field="ids" multiple size="4" class="w-full p-2 rounded-lg bg-slate-800 border border-slate-700 text-white">${bankOptions(component.ids)}</select>
+        `;
+        row.querySelector('[data-field="on"]').value = component.on;
+        row.querySelector('[data-field="scope"]').value = scope;
+
+        const syncFields = () => {
+            row.querySelector('[data-field="size"]').classList.toggle('hidden', row.querySelector('[data-field="on"]').value === 'fail');
+            row.querySelector('[data-field="ids"]').classList.toggle('hidden', row.querySelector('[data-field="scope"]').value !== 'banks');
+        };
+        row.querySelector('[data-field="on"]').addEventListener('change', syncFields);
+        row.querySelector('[data-field="scope"]').addEventListener('change', syncFields);
+        row.querySelector('[data-action="remove"]').addEventListener('click', () => row.remove());
+        syncFields();
+        DOM.shockComponents.appendChild(row);
+    };
+
+    const readShockComponents = () => Array.from(DOM.shockComponents.querySelectorAll('.shock-component')).map(row => {
+        const on = row.querySelector('[data-field="on"]').value;
+        const scope = row.querySelector('[data-field="scope"]').value;
+        const component = { on };
+        if (on !== 'fail') component.size = Number(row.querySelector('[data-field="size"]').value) / 100;
+        if (scope === 'banks') component.ids = Array.from(row.querySelector('[data-field="ids"]').selectedOptions).map(option => parseInt(option.value));
+        else if (scope.startsWith('group:')) component.group = scope.slice('group:'.length);
+        return component;
+    });
+
+    // Re-lists banks and groups in the builder after the network changes, keeping selections where ids still exist
+    const refreshShockComponents = () => {
+        const components = readShockComponents().map(component => (component.ids
+            ? { ...component, ids: component.ids.filter(id => id < network.nodes.length) }
+            : component));
+        DOM.shockComponents.innerHTML = '';
+        components.forEach(addShockComponent);
+    };
+
+    // ----------------------
+    // Policy Interventions
+    // ----------------------
+
+    const addIntervention = (spec = { type: 'capital', ids: [], amount: 100, when: 'during' }) => {
+        const row = document.createElement('div');
+        row.className = 'intervention p-2 rounded-lg bg-slate-800/60 border border-slate-700 space-y-2';
+        const link = spec.links ? spec.links[0] : { source: 0, target: 1 };
+        const linkOptions = (selected) => bankOptions([selected]);
+        row.innerHTML = `
+            <div class="flex gap-2">
+                <select data-field="type" class="flex-1 min-w-0 p-2 rounded-lg bg-slate-800 border border-slate-700 text-white">
+                    ${Interventions.INTERVENTION_TYPES.map(type => `<option value="${type}">${Interventions.INTERVENTION_LABELS[type]}</option>`).join('')}
+                </select>
+                <select data-field="when" class="p-2 rounded-lg bg-slate-800 border border-slate-700 text-white">
+                    <option value="before">Before shock</option>
+                    <option value="during">After shock</option>
+                </select>
+                <button data-action="remove" class="bg-slate-700 hover:bg-red-700 text-white font-semibold px-3 rounded-lg transition duration-200" title="Remove intervention">&times;</button>
+            </div>
+            <div data-types="capital" class="flex items-center gap-2">
+                <label class="text-slate-400 whitespace-nowrap">Amount (₹ Cr per bank)</label>
+                <input type="number" data-field="amount" min="0" step="10" value="${spec.amount !== undefined ? +spec.amount.toFixed(2) : 100}" class="flex-1 min-w-0 p-2 rounded-lg bg-slate-800 border border-slate-700 text-white mono">
+            </div>
+            <div data-types="bail-in" class="flex items-center gap-2">
+                <label class="text-slate-400 whitespace-nowrap">Haircut on interbank debt (%)</label>
+                <input type="number" data-field="haircut" min="0" max="100" step="5" value="${+((spec.haircut !== undefined ? spec.haircut : 0.3) * 100).toFixed(4)}" class="flex-1 min-w-0 p-2 rounded-lg bg-slate-800 border border-slate-700 text-white mono">
+            </div>
+            <div data-types="exposure-cap" class="flex items-center gap-2">
+                <label class="text-slate-400 whitespace-nowrap">Max. exposure (% of creditor capital)</label>
+                <input type="number" data-field="cap" min="0" step="5" value="${+((spec.cap !== undefined ? spec.cap : 0.25) * 100).toFixed(4)}" class="flex-1 min-w-0 p-2 rounded-lg bg-slate-800 border border-slate-700 text-white mono">
+            </div>
+            <div data-types="ring-fence" class="grid grid-cols-2 gap-2">
+                <select data-field="source" title="Debtor" class="p-2 rounded-lg bg-slate-800 border border-slate-700 text-white">${linkOptions(link.source)}</select>
+                <select data-field="target" title="Creditor" class="p-2 rounded-lg bg-slate-800 border border-slate-700 text-white">${linkOptions(link.target)}</select>
+            </div>
+            <select data-field="ids" data-types="capital bail-in" multiple size="4" class="w-full p-2 rounded-lg bg-slate-800 border border-slate-700 text-white">${bankOptions(spec.ids)}</select>
+        `;
+        row.querySelector('[data-field="type"]').value = spec.type;
+        row.querySelector('[data-field="when"]').value = spec.when || 'before';
+
+        const syncFields = () => {
+            const type = row.querySelector('[data-field="type"]').value;
+            row.querySelectorAll('[data-types]').forEach(field => field.classList.toggle('hidden', !field.dataset.types.split(' ').includes(type)));
+        };
+        row.querySelector('[data-field="type"]').addEventListener('change', syncFields);
+        row.querySelector('[data-action="remove"]').addEventListener('click', () => row.remove());
+        syncFields();
+        DOM.interventionList.appendChild(row);
+    };
+
+    const readInterventions = () => Array.from(DOM.interventionList.querySelectorAll('.intervention')).map(row => {
+        const field = (name) => row.querySelector(`[data-field="${name}"]`);
+        const spec = { type: field('type').value, when: field('when').value };
+        if (spec.type === 'capital' || spec.type === 'bail-in') spec.ids = Array.from(field('ids').selectedOptions).map(option => parseInt(option.value));
+        if (spec.type === 'capital') spec.amount = Number(field('amount').value);
+        if (spec.type === 'bail-in') spec.haircut = Number(field('haircut').value) / 100;
+        if (spec.type === 'exposure-cap') spec.cap = Number(field('cap').value) / 100;
+        if (spec.type === 'ring-fence') spec.links = [{ source: parseInt(field('source').value), target: parseInt(field('target').value) }];
+        return spec;
+    });
+
+    // One builder row per ring-fenced link
+    const writeInterventions = (specs) => {
+        DOM.interventionList.innerHTML = '';
+        specs.forEach(spec => {
+            if (spec.type === 'ring-fence') spec.links.forEach(link => addIntervention({ ...spec, links: [link] }));
+            else addIntervention(spec);
+        });
+    };
+
+    // Re-lists banks after the network changes, dropping interventions on ids that no longer exist
+    const refreshInterventions = () => {
+        const n = network.nodes.length;
+        writeInterventions(readInterventions()
+            .map(spec => (spec.ids ? { ...spec, ids: spec.ids.filter(id => id < n) } : spec))
+            .filter(spec => !spec.links || spec.links.every(({ source, target }) => source < n && target < n)));
+    };
+
+    const showInterventionErrors = (errors) => {
+        DOM.interventionErrors.innerHTML = errors.map(error => `<li>${error}</li>`).join('');
+        DOM.interventionErrors.classList.toggle('hidden', !errors.length);
+    };
+
+    // Searches for cheap post-shock capital injections under the current shock and model, then runs them
+    const findCheapestInjections = () => {
+        const shock = readShockSpec();
+        const model = readModelSpec();
+        const fireSale = readFireSaleSpec();
+        const options = { maxFailures: parseInt(DOM.maxFailures.value), model, fireSale };
+        const errors = [
+            ...DebtRankEngine.validateShock(shock, network.nodes.length),
+            ...DebtRankEngine.validateModel(model),
+            ...DebtRankEngine.validateFireSale(fireSale),
+            ...DebtRankEngine.validateInjectionSearch(options, network.nodes.length)
+        ];
+        showInterventionErrors(errors);
+        if (errors.length) return;
+
+        DOM.injectionSearchBtn.disabled = true;
+        DOM.injectionSearchStatus.classList.remove('hidden');
+        DOM.injectionSearchStatus.textContent = 'Searching for capital injections...';
+        const runNetwork = network;
+        const progress = (evaluations) => { DOM.injectionSearchStatus.textContent = `Searching for capital injections... ${evaluations} trial runs`; };
+        runTask('cheapestInjection', { shock, options }, progress).then(result => {
+            DOM.injectionSearchBtn.disabled = false;
+            if (runNetwork !== network) return;
+            recordAudit('cheapest-injection', {
+                seed: network.parameters.seed,
+                shock,
+                model: DebtRankEngine.normalizeModel(model),
+                fireSale,
+                interventions: result.interventions,
+                options: { maxFailures: result.maxFailures, when: result.when, candidates: null },
+                results: ResultExporter.auditResults('cheapest-injection', result)
+            });
+            DOM.injectionSearchStatus.textContent = `${result.baseline.failures} → ${result.summary.failures} failures with `
+                + `${result.injections.length} injection(s) costing ${formatCurrency(result.cost)}`
+                + (result.reached ? '.' : `; the target of ${result.maxFailures} could not be reached.`);
+            writeInterventions(result.interventions);
+            runSimulation(shock, model, fireSale);
+        }).catch(err => {
+            DOM.injectionSearchBtn.disabled = false;
+            DOM.injectionSearchStatus.textContent = `The search failed: ${err.message}`;
+        });
+    };
+
+    // ----------------------
+    // Saved Scenarios (browser localStorage, shared by every network)
+    // ----------------------
+
+    const SAVED_SCENARIOS_KEY = 'debtrank.savedScenarios';
+
+    const readSavedScenarios = () => {
+        try {
+            return JSON.parse(localStorage.getItem(SAVED_SCENARIOS_KEY)) || {};
+        } catch (err) {
+            return {};
+        }
+    };
+
+    const renderSavedScenarios = (selected) => {
+        const saved = readSavedScenarios();
+        const names = Object.keys(saved).sort((a, b) => a.localeCompare(b));
+        DOM.savedScenarios.innerHTML = names.length
+            ? names.map(name => `<option value="${ResultExporter.escapeHtml(name)}" title="${ResultExporter.escapeHtml(DebtRankEngine.describeShock(saved[name]))}">${ResultExporter.escapeHtml(name)}</option>`).join('')
+            : '<option value="">No saved scenarios</option>';
+        if (selected && saved[selected]) DOM.savedScenarios.value = selected;
+        DOM.loadScenarioBtn.disabled = !names.length;
+        DOM.deleteScenarioBtn.disabled = !names.length;
+    };
+
+    const saveScenario = () => {
+        const name = DOM.scenarioName.value.trim();
+        const shock = readShockSpec();
+        const errors = name ? [] : ['Enter a name for the scenario.'];
+        if (shock.type === 'custom' && !shock.components.length) errors.push('Add at least one component before saving.');
+        showShockErrors(errors);
+        if (errors.length) return;
+
+        const saved = readSavedScenarios();
+        saved[name] = shock.type === 'custom' ? { ...shock, name } : shock;
+        localStorage.setItem(SAVED_SCENARIOS_KEY, JSON.stringify(saved));
+        DOM.scenarioName.value = '';
+        renderSavedScenarios(name);
+    };
+
+    const loadSavedScenario = () => {
+        const shock = readSavedScenarios()[DOM.savedScenarios.value];
+        if (!shock) return;
+        writeShockSpec(shock);
+        // Bank ids may not exist on the current network; flag that now rather than at run time
+        showShockErrors(network.nodes.length ? DebtRankEngine.validateShock(readShockSpec(), network.nodes.length) : []);
+    };
+
+    const deleteSavedScenario = () => {
+        const saved = readSavedScenarios();
+        delete saved[DOM.savedScenarios.value];
+        localStorage.setItem(SAVED_SCENARIOS_KEY, JSON.stringify(saved));
+        renderSavedScenarios();
+    };
+
+    const MODEL_PARAM_LABELS = {
+        alpha: 'Non-linearity (α)',
+        lossGivenDefault: 'Loss Given Default',
+        recoveryExternal: 'Recovery: External',
+        recoveryInterbank: 'Recovery: Interbank'
+    };
+
+    // Rebuilds the parameter inputs for the selected contagion model, optionally pre-filled
+    const renderModelParams = (values = {}) => {
+        const model = DebtRankEngine.normalizeModel({ ...values, type: DOM.contagionModel.value });
+        DOM.modelParams.innerHTML = '';
+        Object.keys(model).filter(key => key !== 'type').forEach(key => {
+            const field = document.createElement('div');
+            field.innerHTML = `
+                <label class="block font-medium text-slate-400 mb-1">${MODEL_PARAM_LABELS[key] || key}</label>
+                <input type="number" step="0.05" data-model-param="${key}" value="${model[key]}" class="w-full p-2 rounded-lg bg-slate-800 border border-slate-700 text-white mono">
+            `;
+            DOM.modelParams.appendChild(field);
+        });
+    };
+
+    const readModelSpec = () => {
+        const model = { type: DOM.contagionModel.value };
+        DOM.modelParams.querySelectorAll('[data-model-param]').forEach(input => {
+            if (input.value !== '') model[input.dataset.modelParam] = Number(input.value);
+        });
+        return model;
+    };
+
+    // null when the fire-sale channel is off
+    const readFireSaleSpec = () => (DOM.fireSaleEnabled.checked
+        ? { impactScale: Number(DOM.fireSaleImpact.value), deleveraging: Number(DOM.fireSaleDeleveraging.value) / 100 }
+        : null);
+
+    const writeFireSaleSpec = (fireSaleSpec) => {
+        const fireSale = DebtRankEngine.normalizeFireSale(fireSaleSpec);
+        DOM.fireSaleEnabled.checked = Boolean(fireSale);
+        if (fireSale) {
+            DOM.fireSaleImpact.value = fireSale.impactScale;
+            DOM.fireSaleDeleveraging.value = +(fireSale.deleveraging * 100).toFixed(4);
+        }
+        DOM.fireSaleParams.classList.toggle('hidden', !fireSale);
+    };
+
+    const showFireSaleErrors = (errors) => {
+        DOM.fireSaleErrors.innerHTML = errors.map(error => `<li>${error}</li>`).join('');
+        DOM.fireSaleErrors.classList.toggle('hidden', !errors.length);
+    };
+
+    // null for a single-period run; percentages on screen are shares in the spec
+    const readLiquiditySpec = () => (DOM.liquidityEnabled.checked
+        ? {
+            periods: Number(DOM.liquidityPeriods.value),
+            liquidShare: Number(DOM.liquidityLiquidShare.value) / 100,
+            shortTermShare: Number(DOM.liquidityShortTerm.value) / 100,
+            rule: DOM.liquidityRule.value,
+            threshold: Number(DOM.liquidityThreshold.value),
+            withdrawalRate: Number(DOM.liquidityWithdrawal.value) / 100,
+            hoarding: Number(DOM.liquidityHoarding.value),
+            haircut: Number(DOM.liquidityHaircut.value) / 100,
+            recoveryRate: Number(DOM.liquidityRecovery.value) / 100
+        }
+        : null);
+
+    const writeLiquiditySpec = (liquiditySpec) => {
+        const liquidity = DebtRankEngine.normalizeLiquidity(liquiditySpec);
+        DOM.liquidityEnabled.checked = Boolean(liquidity);
+        if (liquidity) {
+            const percent = (value) => +(value * 100).toFixed(4);
+            DOM.liquidityPeriods.value = liquidity.periods;
+            DOM.liquidityLiquidShare.value = percent(liquidity.liquidShare);
+            DOM.liquidityShortTerm.value = percent(liquidity.shortTermShare);
+            DOM.liquidityRule.value = liquidity.rule;
+            DOM.liquidityThreshold.value = liquidity.threshold;
+            DOM.liquidityWithdrawal.value = percent(liquidity.withdrawalRate);
+            DOM.liquidityHoarding.value = liquidity.hoarding;
+            DOM.liquidityHaircut.value = percent(liquidity.haircut);
+            DOM.liquidityRecovery.value = percent(liquidity.recoveryRate);
+        }
+        DOM.liquidityParams.classList.toggle('hidden', !liquidity);
+    };
+
+    const showLiquidityErrors = (errors) => {
+        DOM.liquidityErrors.innerHTML = errors.map(error => `<li>${error}</li>`).join('');
+        DOM.liquidityErrors.classList.toggle('hidden', !errors.length);
+    };
+
+    // null leaves failure and stress to the contagion model; percentages on screen are shares in the spec
+    const triggerList = (value) => (value ? value.split(',') : []);
+    const readCapitalRulesSpec = () => (DOM.capitalRulesEnabled.checked
+        ? {
+            minCet1: Number(DOM.capitalMinCet1.value) / 100,
+            conservationBuffer: Number(DOM.capitalConservation.value) / 100,
+            countercyclicalBuffer: Number(DOM.capitalCountercyclical.value) / 100,
+            systemicBuffer: Number(DOM.capitalSystemic.value) / 100,
+            minLeverage: Number(DOM.capitalMinLeverage.value) / 100,
+            failWhen: triggerList(DOM.capitalFailWhen.value),
+            stressWhen: triggerList(DOM.capitalStressWhen.value),
+            stressedRank: Number(DOM.capitalStressedRank.value)
+        }
+        : null);
+
+    // Trigger lists without a matching option fall back to the defaults' option
+    const selectTriggers = (select, triggers, fallback) => {
+        const value = triggers.join(',');
+        select.value = Array.from(select.options).some(option => option.value === value) ? value : fallback.join(',');
+    };
+
+    const writeCapitalRulesSpec = (capitalRulesSpec) => {
+        const rules = DebtRankEngine.normalizeCapitalRules(capitalRulesSpec);
+        DOM.capitalRulesEnabled.checked = Boolean(rules);
+        if (rules) {
+            const percent = (value) => +(value * 100).toFixed(4);
+            DOM.capitalMinCet1.value = percent(rules.minCet1);
+            DOM.capitalConservation.value = percent(rules.conservationBuffer);
+            DOM.capitalCountercyclical.value = percent(rules.countercyclicalBuffer);
+            DOM.capitalSystemic.value = percent(rules.systemicBuffer);
+            DOM.capitalMinLeverage.value = percent(rules.minLeverage);
+            selectTriggers(DOM.capitalFailWhen, rules.failWhen, DebtRankEngine.CAPITAL_DEFAULTS.failWhen);
+            selectTriggers(DOM.capitalStressWhen, rules.stressWhen, DebtRankEngine.CAPITAL_DEFAULTS.stressWhen);
+            DOM.capitalStressedRank.value = rules.stressedRank;
+        }
+        DOM.capitalRulesParams.classList.toggle('hidden', !rules);
+    };
+
+    const showCapitalRulesErrors = (errors) => {
+        DOM.capitalRulesErrors.innerHTML = errors.map(error => `<li>${error}</li>`).join('');
+        DOM.capitalRulesErrors.classList.toggle('hidden', !errors.length);
+    };
+
+    // The rules a finished run was made with, without its breach counts (for saved runs and the audit log)
+    const capitalRulesSettings = (capitalRules) => {
+        if (!capitalRules) return null;
+        const { breaches, regulatoryFailures, ...spec } = capitalRules;
+        return spec;
+    };
+
+    const formatRatio = (value) => (value === null || value === undefined ? '--' : `${(value * 100).toFixed(2)}%`);
+
+    // A bank's capital ratios: the latest run's (`ran`), else its pre-shock ratios against the default minimums
+    const capitalOf = (node) => {
+        if (lastRun && node.cet1Before !== undefined) {
+            const { RWA_used, cet1Before, cet1After, leverageBefore, leverageAfter, breachesBefore, breachesAfter } = node;
+            return { ran: true, rwa: RWA_used, cet1Before, cet1After, leverageBefore, leverageAfter, breachesBefore, breachesAfter };
+        }
+        const preShock = { ...node, E: node.E_initial, isFailed: false, debtRank: 0, stressLevel: 0 };
+        CapitalRules.applyCapitalRules([preShock], null, { assetClasses: network.assetClasses });
+        const { RWA_used, cet1Before, leverageBefore, breachesBefore } = preShock;
+        return { ran: false, rwa: RWA_used, cet1Before, cet1After: null, leverageBefore, leverageAfter: null, breachesBefore, breachesAfter: [] };
+    };
+
+    // The spec a finished run was made with, without its per-period timeline (for saved runs and the audit log)
+    const liquiditySettings = (liquidity) => {
+        if (!liquidity) return null;
+        const { timeline, ...spec } = liquidity;
+        return spec;
+    };
+
+    // Stress-test nodes keep the network's own balance sheets: interventions only change the run, not the network
+    const BALANCE_SHEET_FIELDS = ['A', 'E_initial', 'L', 'L_interbank', 'A_interbank', 'A_external'];
+    // Only multi-period runs and runs under capital rules set these, so they are cleared before every run's results are copied in
+    const FUNDING_FIELDS = ['failureType', 'failedPeriod', 'liquidAssets', 'fundingWithdrawn', 'failedBy'];
+
+    const showSimulationStatus = (message) => {
+        DOM.simulationStatus.textContent = message;
+        DOM.simulationStatus.classList.toggle('hidden', !message);
+    };
+
+    // `seed` overrides the network's seed for random shocks (re-opened audit entries). Resolves to true once the
+    // run is on screen, or false if the specs were invalid, the run failed or another network was loaded meanwhile.
+    const runSimulation = async (shockSpec = readShockSpec(), modelSpec = readModelSpec(), fireSaleSpec = readFireSaleSpec(), interventionSpecs = readInterventions(), seed = undefined, liquiditySpec = readLiquiditySpec(),
+        capitalRulesSpec = readCapitalRulesSpec()) => {
+        const shockErrors = DebtRankEngine.validateShock(shockSpec, network.nodes.length);
+        showShockErrors(shockErrors);
+        if (shockErrors.length) return false;
+
+        const fireSaleErrors = DebtRankEngine.validateFireSale(fireSaleSpec);
+        showFireSaleErrors(fireSaleErrors);
+        if (fireSaleErrors.length) return false;
+
+        const interventionErrors = DebtRankEngine.validateInterventions(interventionSpecs, network.nodes.length);
+        showInterventionErrors(interventionErrors);
+        if (interventionErrors.length) return false;
+
+        const liquidityErrors = DebtRankEngine.validateLiquidity(liquiditySpec);
+        showLiquidityErrors(liquidityErrors);
+        if (liquidityErrors.length) return false;
+
+        const capitalRulesErrors = DebtRankEngine.validateCapitalRules(capitalRulesSpec);
+        showCapitalRulesErrors(capitalRulesErrors);
+        if (capitalRulesErrors.length) return false;
+
+        const modelErrors = DebtRankEngine.validateModel(modelSpec);
+        DOM.modelErrors.innerHTML = modelErrors.map(error => `<li>${error}</li>`).join('');
+        DOM.modelErrors.classList.toggle('hidden', !modelErrors.length);
+        if (modelErrors.length) return false;
+
+        const runNetwork = network;
+        DOM.simulateBtn.disabled = true;
+        showSimulationStatus(`Running the stress test on ${network.nodes.length} banks...`);
+        let result;
+        try {
+            result = await runTask('simulate', {
+                shock: shockSpec,
+                options: { seed, model: modelSpec, fireSale: fireSaleSpec, interventions: interventionSpecs, liquidity: liquiditySpec,
+                    capitalRules: capitalRulesSpec, recordRounds: true }
+            });
+        } catch (err) {
+            showSimulationStatus(`The stress test failed: ${err.message}`);
+            return false;
+        } finally {
+            DOM.simulateBtn.disabled = !network.nodes.length;
+        }
+        if (runNetwork !== network) return false;
+        showSimulationStatus('');
+
+        const { shock, model, fireSale, interventions, liquidity, capitalRules, layers, nodes, iterations, summary, rounds } = result;
+        lastRun = {
+            shock, model, fireSale: fireSale || null, interventions: interventions || null, liquidity: liquidity || null, capitalRules: capitalRules || null,
+            layers: layers || null, seed: result.seed, iterations, summary, rounds, rows: DebtRankEngine.resultRows(nodes)
+        };
+        recordAudit('simulate', {
+            seed: result.seed,
+            shock,
+            model,
+            fireSale: lastRun.fireSale,
+            interventions: interventions ? interventions.applied : null,
+            liquidity: liquiditySettings(liquidity),
+            capitalRules: capitalRulesSettings(capitalRules),
+            results: ResultExporter.auditResults('simulate', result)
+        });
+        DOM.saveRunBtn.disabled = false;
+        stopPlayback();
+        updateScenarioUrl();
+
+        // Finalize and Render: results are copied onto the live banks, which the graph and table are bound to
+        nodes.forEach(node => {
+            const target = banksById.get(node.id);
+            FUNDING_FIELDS.forEach(field => { delete target[field]; });
+            Object.keys(node).forEach(field => {
+                if (!BALANCE_SHEET_FIELDS.includes(field)) target[field] = node[field];
+            });
+        });
+        renderNetwork(false);
+        renderLayerPanel();
+        renderDiffOverlay();
+        renderPathOverlay();
+        if (DOM.modalOverlay.classList.contains('open') && selectedBankId !== null) {
+            updateDetailsPanel(banksById.get(selectedBankId));
+        }
+        setupPlayback();
+        return true;
+    };
+
+    // Fails every bank in turn under the selected model and ranks them by the loss caused elsewhere
+    const rankSystemicImportance = () => {
+        const model = readModelSpec();
+        const modelErrors = DebtRankEngine.validateModel(model);
+        DOM.modelErrors.innerHTML = modelErrors.map(error => `<li>${error}</li>`).join('');
+        DOM.modelErrors.classList.toggle('hidden', !modelErrors.length);
+        if (modelErrors.length) return;
+
+        DOM.importanceBtn.disabled = true;
+        DOM.importanceStatus.classList.remove('hidden');
+        DOM.importanceStatus.textContent = `Failing each of ${network.nodes.length} banks in turn...`;
+        const runNetwork = network;
+        const fireSale = readFireSaleSpec();
+        const progress = (done, total) => { DOM.importanceStatus.textContent = `Failing each bank in turn... ${done} / ${total}`; };
+        runTask('systemicImportance', { model, fireSale }, progress).then(rows => {
+            DOM.importanceBtn.disabled = false;
+            if (runNetwork !== network) return;
+            systemicImpact = { model: DebtRankEngine.normalizeModel(model), fireSale, rows };
+            recordAudit('systemic-importance', { model: systemicImpact.model, fireSale, results: ResultExporter.auditResults('systemic-importance', rows) });
+            const top = rows.find(row => row.rank === 1);
+            DOM.importanceStatus.textContent = top && top.impact > 0
+                ? `Most systemic: ${top.name} (${(top.impactShare * 100).toFixed(2)}% of the rest of the system's capital).`
+                : 'No bank\'s failure spreads under this model; try a linear or differential DebtRank.';
+            updateMetricsDashboard(false);
+            if (DOM.modalOverlay.classList.contains('open') && selectedBankId !== null) {
+                updateDetailsPanel(banksById.get(selectedBankId));
+            }
+        }).catch(err => {
+            DOM.importanceBtn.disabled = false;
+            DOM.importanceStatus.textContent = `The ranking failed: ${err.message}`;
+        });
+    };
+
+    // ----------------------
+    // Cascade Playback
+    // ----------------------
+
+    const PLAYBACK_INTERVAL_MS = 1200;
+
+    // Copies one recorded round onto the live nodes and refreshes graph, summary, table and modal
+    const showRound = (index) => {
+        const round = lastRun.rounds[index];
+        playback.index = index;
+        network.nodes.forEach(node => {
+            node.E = round.E[node.id];
+            node.debtRank = round.debtRank[node.id];
+            node.stressLevel = round.stressLevel[node.id];
+            node.isFailed = round.isFailed[node.id];
+        });
+
+        renderNetwork(false);
+        if (DOM.modalOverlay.classList.contains('open') && selectedBankId !== null) {
+            updateDetailsPanel(banksById.get(selectedBankId));
+        }
+
+        const lastIndex = lastRun.rounds.length - 1;
+        DOM.playbackScrubber.value = index;
+        DOM.playbackLabel.textContent = index === 0 ? `Shock / ${lastIndex}` : `Round ${index} / ${lastIndex}`;
+        DOM.playbackBack.disabled = index === 0;
+        DOM.playbackForward.disabled = index === lastIndex;
+        updateRoundMarker(index);
+    };
+
+    const stopPlayback = () => {
+        clearInterval(playback.timer);
+        playback.timer = null;
+        DOM.playbackPlay.textContent = 'Play';
+    };
+
+    const togglePlayback = () => {
+        if (playback.timer) {
+            stopPlayback();
+            return;
+        }
+        const lastIndex = lastRun.rounds.length - 1;
+        if (playback.index >= lastIndex) showRound(0);
+        DOM.playbackPlay.textContent = 'Pause';
+        playback.timer = setInterval(() => {
+            if (playback.index >= lastIndex) {
+                stopPlayback();
+                return;
+            }
+            showRound(playback.index + 1);
+        }, PLAYBACK_INTERVAL_MS);
+    };
+
+    const stepPlayback = (delta) => {
+        stopPlayback();
+        showRound(clamp(playback.index + delta, 0, lastRun.rounds.length - 1));
+    };
+
+    const setupPlayback = () => {
+        const lastIndex = lastRun.rounds.length - 1;
+        DOM.playbackScrubber.max = lastIndex;
+        DOM.playbackPanel.classList.remove('hidden');
+        renderRoundChart(lastRun.rounds);
+        playback.index = lastIndex;
+        DOM.playbackScrubber.value = lastIndex;
+        DOM.playbackLabel.textContent = `Round ${lastIndex} / ${lastIndex}`;
+        DOM.playbackBack.disabled = lastIndex === 0;
+        DOM.playbackForward.disabled = true;
+        updateRoundMarker(lastIndex);
+    };
+
+    const resetPlayback = () => {
+        stopPlayback();
+        DOM.playbackPanel.classList.add('hidden');
+    };
+
+    // Failures and Contagion Index per round, with a marker on the round being shown
+    const renderRoundChart = (rounds) => {
+        const chart = d3.select('#round-chart');
+        chart.selectAll('*').remove();
+
+        const chartWidth = chart.node().clientWidth || 600;
+        const chartHeight = chart.node().clientHeight || 160;
+        const margin = { top: 10, right: 40, bottom: 22, left: 36 };
+        chart.attr('viewBox', `0 0 ${chartWidth} ${chartHeight}`);
+
+        const x = d3.scaleLinear().domain([0, Math.max(1, rounds.length - 1)]).range([margin.left, chartWidth - margin.right]);
+        const yFailures = d3.scaleLinear().domain([0, Math.max(1, network.nodes.length)]).nice().range([chartHeight - margin.bottom, margin.top]);
+        const yContagion = d3.scaleLinear().domain([0, 100]).range([chartHeight - margin.bottom, margin.top]);
+
+        chart.append('g')
+            .attr('transform', `translate(0,${chartHeight - margin.bottom})`)
+            .call(d3.axisBottom(x).ticks(Math.min(10, rounds.length)).tickFormat(d3.format('d')))
+            .attr('color', '#64748b');
+        chart.append('g').attr('transform', `translate(${margin.left},0)`).call(d3.axisLeft(yFailures).ticks(4)).attr('color', '#ef4444');
+        chart.append('g').attr('transform', `translate(${chartWidth - margin.right},0)`).call(d3.axisRight(yContagion).ticks(4)).attr('color', '#facc15');
+
+        const drawLine = (accessor, scale, color) => chart.append('path')
+            .datum(rounds)
+            .attr('fill', 'none')
+            .attr('stroke', color)
+            .attr('stroke-width', 2)
+            .attr('d', d3.line().x(d => x(d.round)).y(d => scale(accessor(d))));
+        drawLine(d => d.summary.failures, yFailures, '#ef4444');
+        drawLine(d => d.summary.contagionIndex, yContagion, '#facc15');
+
+        chart.append('line')
+            .attr('class', 'round-marker')
+            .attr('y1', margin.top)
+            .attr('y2', chartHeight - margin.bottom)
+            .attr('stroke', '#22d3ee')
+            .attr('stroke-dasharray', '4 3')
+            .datum(x);
+    };
+
+    const updateRoundMarker = (index) => {
+        const marker = d3.select('#round-chart .round-marker');
+        if (marker.empty()) return;
+        const x = marker.datum();
+        marker.attr('x1', x(index)).attr('x2', x(index));
+    };
+
+    // ----------------------
+    // Monte Carlo
+    // ----------------------
+
+    const MONTE_CARLO_METRICS = [
+        { key: 'contagionIndex', label: 'Contagion Index', format: value => `${value.toFixed(2)}%` },
+        { key: 'failures', label: 'Failures', format: value => value.toFixed(1) },
+        { key: 'totalLoss', label: 'Capital Lost', format: value => formatCurrency(value) }
+    ];
+
+    const showMonteCarloErrors = (errors) => {
+        DOM.monteCarloErrors.innerHTML = errors.map(error => `<li>${error}</li>`).join('');
+        DOM.monteCarloErrors.classList.toggle('hidden', !errors.length);
+    };
+
+    // Runs in the simulation worker, which reports progress between batches
+    const runMonteCarlo = async () => {
+        const options = {
+            runs: Number(DOM.monteCarloRuns.value),
+            macroVolatility: Number(DOM.macroVolatility.value) / 100,
+            resampleNetwork: DOM.resampleNetwork.checked,
+            shock: readShockSpec(),
+            model: readModelSpec(),
+            fireSale: readFireSaleSpec(),
+            seed: network.parameters.seed
+        };
+        const errors = [
+            ...MonteCarlo.validateOptions(options),
+            ...DebtRankEngine.validateShock(options.shock, network.nodes.length),
+            ...DebtRankEngine.validateModel(options.model),
+            ...DebtRankEngine.validateFireSale(options.fireSale)
+        ];
+        if (options.resampleNetwork) errors.push(...MonteCarlo.validateResampling(network));
+        showMonteCarloErrors(errors);
+        if (errors.length) return;
+
+        const runNetwork = network;
+        DOM.monteCarloBtn.disabled = true;
+        DOM.monteCarloStatus.classList.remove('hidden');
+        DOM.monteCarloStatus.textContent = `Running... 0 / ${options.runs}`;
+        let result;
+        try {
+            result = await runTask('monteCarlo', options, (done, total) => { DOM.monteCarloStatus.textContent = `Running... ${done} / ${total}`; });
+        } catch (err) {
+            DOM.monteCarloStatus.textContent = `The Monte Carlo run failed: ${err.message}`;
+            return;
+        } finally {
+            DOM.monteCarloBtn.disabled = false;
+        }
+        if (runNetwork !== network) return; // A new network was loaded mid-run
+
+        monteCarlo = result;
+        recordAudit('montecarlo', {
+            seed: monteCarlo.seed,
+            shock: monteCarlo.shock,
+            model: monteCarlo.model,
+            fireSale: monteCarlo.fireSale || null,
+            options: { runs: monteCarlo.runs, resampleNetwork: monteCarlo.resampleNetwork, macroVolatility: monteCarlo.macroVolatility },
+            results: ResultExporter.auditResults('montecarlo', monteCarlo)
+        });
+        DOM.monteCarloStatus.textContent = `Completed ${monteCarlo.runs} runs (seed ${monteCarlo.seed}).`;
+        renderMonteCarlo();
+        updateMetricsDashboard(false);
+    };
+
+    const resetMonteCarlo = () => {
+        monteCarlo = null;
+        DOM.monteCarloPanel.classList.add('hidden');
+        DOM.monteCarloStatus.classList.add('hidden');
+        showMonteCarloErrors([]);
+    };
+
+    const renderMonteCarlo = () => {
+        const { runs, shock, model, levels, stats, distributions, resampleNetwork } = monteCarlo;
+        DOM.monteCarloPanel.classList.remove('hidden');
+        DOM.monteCarloSummary.textContent = `${runs} runs · ${DebtRankEngine.describeShock(shock)} · ${DebtRankEngine.describeModel(model)}${monteCarlo.fireSale ? ' + fire sales' : ''}${resampleNetwork ? ' · network resampled each run' : ''}`;
+
+        DOM.monteCarloStatsHead.innerHTML = `<tr><th class="py-2 px-3">Metric</th><th class="py-2 px-3">Mean</th>${levels.map(level => `<th class="py-2 px-3">VaR ${level * 100}%</th><th class="py-2 px-3">ES ${level * 100}%</th>`).join('')}<th class="py-2 px-3">Max</th></tr>`;
+        DOM.monteCarloStats.innerHTML = MONTE_CARLO_METRICS.map(({ key, label, format }) => `
+            <tr>
+                <td class="py-2 px-3 text-slate-300">${label}</td>
+                <td class="py-2 px-3">${format(stats[key].mean)}</td>
+                ${levels.map(level => `<td class="py-2 px-3 text-orange-300">${format(stats[key].var[level])}</td><td class="py-2 px-3 text-red-400">${format(stats[key].es[level])}</td>`).join('')}
+                <td class="py-2 px-3">${format(stats[key].max)}</td>
+            </tr>
+        `).join('');
+
+        MONTE_CARLO_METRICS.forEach(({ key }) => renderHistogram(`#mc-hist-${key}`, distributions[key], stats[key], levels[0]));
+    };
+
+    // Histogram of one outcome with its VaR and Expected Shortfall at `level` marked
+    const renderHistogram = (selector, values, metricStats, level) => {
+        const chart = d3.select(selector);
+        chart.selectAll('*').remove();
+
+        const chartWidth = chart.node().clientWidth || 300;
+        const chartHeight = chart.node().clientHeight || 160;
+        const margin = { top: 10, right: 10, bottom: 22, left: 36 };
+        chart.attr('viewBox', `0 0 ${chartWidth} ${chartHeight}`);
+
+        const [min, max] = d3.extent(values);
+        const x = d3.scaleLinear().domain(min === max ? [min - 1, max + 1] : [min, max]).nice().range([margin.left, chartWidth - margin.right]);
+        const bins = d3.bin().domain(x.domain()).thresholds(x.ticks(30))(values);
+        const y = d3.scaleLinear().domain([0, d3.max(bins, d => d.length)]).nice().range([chartHeight - margin.bottom, margin.top]);
+
+        chart.append('g')
+            .attr('transform', `translate(0,${chartHeight - margin.bottom})`)
+            .call(d3.axisBottom(x).ticks(5, '~s'))
+            .attr('color', '#64748b');
+        chart.append('g').attr('transform', `translate(${margin.left},0)`).call(d3.axisLeft(y).ticks(4, '~s')).attr('color', '#64748b');
+
+        chart.append('g')
+            .selectAll('rect')
+            .data(bins)
+            .join('rect')
+            .attr('x', d => x(d.x0) + 0.5)
+            .attr('y', d => y(d.length))
+            .attr('width', d => Math.max(0, x(d.x1) - x(d.x0) - 1))
+            .attr('height', d => y(0) - y(d.length))
+            .attr('fill', '#0891b2');
+
+        const drawMarker = (value, color, dash) => chart.append('line')
+            .attr('x1', x(value))
+            .attr('x2', x(value))
+            .attr('y1', margin.top)
+            .attr('y2', chartHeight - margin.bottom)
+            .attr('stroke', color)
+            .attr('stroke-width', 2)
+            .attr('stroke-dasharray', dash);
+        drawMarker(metricStats.var[level], '#fb923c', null);
+        drawMarker(metricStats.es[level], '#ef4444', '4 3');
+    };
+
+    // ----------------------
+    // Saved Runs and Comparison
+    // ----------------------
+
+    const saveRun = () => {
+        if (!lastRun) return;
+        const name = DOM.runName.value.trim() || DebtRankEngine.describeShock(lastRun.shock);
+        const run = {
+            name,
+            shock: lastRun.shock,
+            model: lastRun.model,
+            fireSale: lastRun.fireSale,
+            interventions: lastRun.interventions,
+            liquidity: liquiditySettings(lastRun.liquidity),
+            capitalRules: capitalRulesSettings(lastRun.capitalRules),
+            seed: lastRun.seed,
+            summary: lastRun.summary,
+            nodes: lastRun.rows
+        };
+        const existing = savedRuns.findIndex(saved => saved.name === name);
+        if (existing >= 0) savedRuns[existing] = run; // Same name replaces the earlier run
+        else savedRuns.push(run);
+        DOM.runName.value = '';
+        renderSavedRuns();
+    };
+
+    const renderSavedRuns = () => {
+        DOM.savedRunsList.innerHTML = savedRuns.length ? '' : '<li class="text-slate-500 text-xs">Run a stress test, then save it to compare it with others.</li>';
+        savedRuns.forEach((run, index) => {
+            const item = document.createElement('li');
+            item.className = 'flex items-center gap-2';
+            item.innerHTML = `
+                <input type="checkbox" data-run-index="${index}" class="accent-fuchsia-500" checked>
+                <span class="flex-1 min-w-0 truncate text-slate-300" title="${ResultExporter.escapeHtml(`${DebtRankEngine.describeShock(run.shock)} · ${DebtRankEngine.describeModel(run.model)}`)}">${ResultExporter.escapeHtml(run.name)}</span>
+                <span class="mono text-xs text-yellow-400">${run.summary.contagionIndex.toFixed(1)}%</span>
+                <button data-remove-run="${index}" class="text-slate-400 hover:text-red-400" title="Remove run">&times;</button>
+            `;
+            item.querySelector('[data-remove-run]').addEventListener('click', () => {
+                savedRuns.splice(index, 1);
+                renderSavedRuns();
+            });
+            DOM.savedRunsList.appendChild(item);
+        });
+        DOM.compareBtn.disabled = savedRuns.length < 2;
+    };
+
+    const compareSelectedRuns = () => {
+        const selected = Array.from(DOM.savedRunsList.querySelectorAll('[data-run-index]:checked')).map(box => savedRuns[parseInt(box.dataset.runIndex)]);
+        DOM.compareStatus.classList.toggle('hidden', selected.length >= 2);
+        if (selected.length < 2) {
+            DOM.compareStatus.textContent = 'Select at least two runs to compare.';
+            return;
+        }
+
+        comparison = DebtRankEngine.compareRuns(selected);
+        renderComparison();
+        renderDiffOverlay();
+    };
+
+    const formatDelta = (value, format) => (Math.abs(value) < 1e-9 ? '' : ` (${value > 0 ? '+' : '−'}${format(Math.abs(value))})`);
+
+    const renderComparison = () => {
+        const { runs, banks } = comparison;
+        DOM.comparisonPanel.classList.remove('hidden');
+
+        const headCell = (text) => `<th class="py-2 px-3 whitespace-nowrap">${ResultExporter.escapeHtml(text)}</th>`;
+        DOM.comparisonSummaryHead.innerHTML = `<tr>${headCell('Metric')}${runs.map(run => headCell(run.name)).join('')}</tr>`;
+        const summaryRow = (label, cell) => `<tr><td class="py-2 px-3 text-slate-400">${label}</td>${runs.map(run => `<td class="py-2 px-3">${cell(run)}</td>`).join('')}</tr>`;
+        const base = runs[0].summary;
+        DOM.comparisonSummary.innerHTML = [
+            summaryRow('Shock', run => `<span class="text-xs text-slate-300">${ResultExporter.escapeHtml(DebtRankEngine.describeShock(run.shock))}</span>`),
+            summaryRow('Model', run => `<span class="text-xs text-slate-300">${ResultExporter.escapeHtml(DebtRankEngine.describeModel(run.model))}${run.fireSale ? ' + fire sales' : ''}</span>`),
+            summaryRow('Interventions', run => `<span class="text-xs text-slate-300">${run.interventions
+                ? run.interventions.applied.map(spec => ResultExporter.escapeHtml(DebtRankEngine.describeIntervention(spec, formatCurrency))).join('<br>')
+                : 'none'}</span>`),
+            summaryRow('Failures', run => `<span class="mono text-red-400">${run.summary.failures}${formatDelta(run.summary.failures - base.failures, String)}</span>`),
+            summaryRow('Contagion Index', run => `<span class="mono text-yellow-400">${run.summary.contagionIndex.toFixed(2)}%${formatDelta(run.summary.contagionIndex - base.contagionIndex, v => `${v.toFixed(2)} pp`)}</span>`),
+            summaryRow('Capital Lost', run => `<span class="mono">${formatCurrency(run.summary.totalLoss)}${formatDelta(run.summary.totalLoss - base.totalLoss, formatCurrency)}</span>`)
+        ].join('');
+
+        DOM.comparisonBanksHead.innerHTML = `<tr>${headCell('Bank')}${runs.map(run => headCell(`${run.name}: DebtRank / E / Status`)).join('')}</tr>`;
+        const statusClass = { FAILED: 'text-red-500 font-bold', STRESSED: 'text-yellow-400', HEALTHY: 'text-green-400' };
+        // Banks whose status differs come first, then by the largest DebtRank swing
+        const ordered = banks.slice().sort((a, b) => (b.statusChanged - a.statusChanged) || (b.maxAbsDeltaDebtRank - a.maxAbsDeltaDebtRank));
+        DOM.comparisonBanks.innerHTML = ordered.map(bank => `
+            <tr class="${bank.statusChanged ? 'bg-fuchsia-900/30' : ''} cursor-pointer hover:bg-slate-800" data-bank-id="${bank.id}">
+                <td class="py-2 px-3 text-cyan-300 whitespace-nowrap">${ResultExporter.escapeHtml(bank.name)} (${bank.id})</td>
+                ${bank.states.map(state => `
+                    <td class="py-2 px-3 whitespace-nowrap text-xs">
+                        ${state.debtRank.toFixed(4)}${formatDelta(state.deltaDebtRank, v => v.toFixed(4))}
+                        / ${formatCurrency(state.E)}${formatDelta(state.deltaE, formatCurrency)}
+                        / <span class="${statusClass[state.status]}">${state.status}</span>
+                    </td>`).join('')}
+            </tr>
+        `).join('');
+        DOM.comparisonBanks.querySelectorAll('tr').forEach(row => row.addEventListener('click', () => selectBank(parseInt(row.dataset.bankId))));
+    };
+
+    // Contagion paths into the selected bank after a run: the links on them, with the loss each carried
+    const PATH_COLOR = '#f97316';
+    const pathWidth = (loss, maxLoss) => 1.5 + 4 * (maxLoss > 0 ? loss / maxLoss : 0);
+
+    const contagionPathsInto = (bankId) => (lastRun && banksById.has(bankId) ? DebtRankEngine.contagionPaths(network.nodes, bankId) : []);
+
+    const contagionPathLinks = () => {
+        const links = new Map();
+        contagionPathsInto(selectedBankId).forEach(path => path.links.forEach(({ debtor, creditor, loss }) => {
+            links.set(`${debtor}-${creditor}`, { source: banksById.get(debtor), target: banksById.get(creditor), loss });
+        }));
+        return [...links.values()];
+    };
+
+    const renderPathOverlay = () => {
+        svg.select('.path-overlay').remove();
+        if (canvasMode) {
+            scheduleCanvasDraw();
+            return;
+        }
+        const links = contagionPathLinks();
+        if (!links.length || !linkElements) return;
+
+        const maxLoss = d3.max(links, link => link.loss);
+        const overlay = svg.insert('g', '.links + g')
+            .attr('class', 'path-overlay')
+            .attr('pointer-events', 'none');
+        overlay.selectAll('line')
+            .data(links)
+            .join('line')
+            .attr('x1', d => d.source.x)
+            .attr('y1', d => d.source.y)
+            .attr('x2', d => d.target.x)
+            .attr('y2', d => d.target.y)
+            .attr('stroke', PATH_COLOR)
+            .attr('stroke-opacity', 0.9)
+            .attr('stroke-width', d => pathWidth(d.loss, maxLoss));
+        overlay.selectAll('text')
+            .data(links)
+            .join('text')
+            .text(d => formatCurrency(d.loss))
+            .attr('x', d => (d.source.x + d.target.x) / 2)
+            .attr('y', d => (d.source.y + d.target.y) / 2)
+            .attr('fill', '#fed7aa')
+            .attr('font-size', '10px')
+            .attr('text-anchor', 'middle');
+    };
+
+    // Dashed rings around banks whose status differs between the compared runs
+    const renderDiffOverlay = () => {
+        svg.select('.diff-overlay').remove();
+        if (canvasMode) {
+            scheduleCanvasDraw();
+            return;
+        }
+        if (!comparison || !DOM.diffOverlayToggle.checked || !nodeElements) return;
+
+        const changed = new Set(comparison.banks.filter(bank => bank.statusChanged).map(bank => bank.id));
+        svg.append('g')
+            .attr('class', 'diff-overlay')
+            .attr('pointer-events', 'none')
+            .selectAll('circle')
+            .data(nodeElements.filter(d => changed.has(d.id)).data(), d => d.id)
+            .join('circle')
+            .attr('r', d => nodeRadius(d) + 6)
+            .attr('cx', d => d.x)
+            .attr('cy', d => d.y)
+            .attr('fill', 'none')
+            .attr('stroke', '#e879f9')
+            .attr('stroke-width', 2)
+            .attr('stroke-dasharray', '4 3');
+    };
+
+    // ----------------------
+    // Shareable Scenarios
+    // ----------------------
+
+    const scenarioQuery = () => DebtRankEngine.encodeScenario({
+        seed: network.parameters.seed,
+        network: network.parameters,
+        shock: lastRun ? lastRun.shock : null,
+        model: lastRun ? lastRun.model : null,
+        fireSale: lastRun ? lastRun.fireSale : null
+    });
+
+    // Keeps the address bar in sync so a reload or bookmark reproduces the current run
+    const updateScenarioUrl = () => {
+        if (!network.parameters.n) return;
+        history.replaceState(null, '', `${window.location.pathname}?${scenarioQuery()}`);
+    };
+
+    const copyScenarioLink = async () => {
+        const link = `${window.location.origin}${window.location.pathname}?${scenarioQuery()}`;
+        DOM.shareStatus.classList.remove('hidden');
+        try {
+            await navigator.clipboard.writeText(link);
+            DOM.shareStatus.textContent = `Copied: ${link}`;
+        } catch (err) {
+            DOM.shareStatus.textContent = link; // Clipboard unavailable (e.g. http): show it for manual copying
+        }
+    };
+
+    // Recreates the network (and run, if any) described by the page URL
+    const loadScenarioFromUrl = () => {
+        const scenario = DebtRankEngine.decodeScenario(window.location.search);
+        if (scenario.seed === null) return;
+
+        DOM.seedInput.value = scenario.seed;
+        writeGenerationOptions(DebtRankEngine.resolveGenerationOptions(scenario.network));
+        generateNetwork(scenario.network, scenario.seed);
+
+        if (scenario.shock && DebtRankEngine.SHOCK_TYPES.includes(scenario.shock.type)) {
+            writeShockSpec(scenario.shock);
+            DOM.contagionModel.value = scenario.model.type;
+            renderModelParams(scenario.model);
+            writeFireSaleSpec(scenario.fireSale);
+            runSimulation(scenario.shock, scenario.model, scenario.fireSale);
+        }
+    };
+
+    // ----------------------
+    // Export
+    // ----------------------
+
+    const downloadFile = (content, filename, type) => {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    };
+
+    const exportBaseName = () => `stress-test-${lastRun ? lastRun.shock.type : 'baseline'}-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}`;
+
+    // Summary of what is on screen (which may be an intermediate playback round)
+    // Pre-shock capital of the system, plus any capital injected by the latest run's interventions
+    const capitalBase = () => totalInitialCapital + (lastRun && lastRun.interventions ? lastRun.interventions.injected : 0);
+
+    const currentSummary = () => {
+        const summary = DebtRankEngine.summarize(network.nodes);
+        const totalLoss = capitalBase() - (summary.totalInitialCapital - summary.totalLoss);
+        return { ...summary, totalInitialCapital: capitalBase(), totalLoss, contagionIndex: capitalBase() > 0 ? (totalLoss / capitalBase()) * 100 : 0 };
+    };
+
+    /**
+     * Serializes the network view as a standalone SVG (dark background, explicit size) for download or embedding.
+     * A canvas view is embedded as a PNG image.
+     */
+    const serializeNetworkSvg = () => {
+        if (canvasMode) {
+            drawCanvas();
+            return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+                + `<rect width="100%" height="100%" fill="#020617"/><image href="${canvas.toDataURL('image/png')}" width="${width}" height="${height}"/></svg>`;
+        }
+        const clone = svg.node().cloneNode(true);
+        clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+        clone.setAttribute('width', width);
+        clone.setAttribute('height', height);
+        clone.removeAttribute('class');
+
+        const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        background.setAttribute('width', '100%');
+        background.setAttribute('height', '100%');
+        background.setAttribute('fill', '#020617');
+        clone.insertBefore(background, clone.firstChild);
+        clone.querySelectorAll('text').forEach(text => text.setAttribute('font-family', 'Inter, Arial, sans-serif'));
+
+        return new XMLSerializer().serializeToString(clone);
+    };
+
+    const exportPng = (svgMarkup, filename, scale = 2) => {
+        const image = new Image();
+        const url = URL.createObjectURL(new Blob([svgMarkup], { type: 'image/svg+xml' }));
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width * scale;
+            canvas.height = height * scale;
+            const context = canvas.getContext('2d');
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0, width, height);
+            URL.revokeObjectURL(url);
+            canvas.toBlob(blob => downloadFile(blob, filename), 'image/png');
+        };
+        image.src = url;
+    };
+
+    const openReport = () => {
+        const html = ResultExporter.reportHtml({
+            nodes: network.nodes,
+            summary: currentSummary(),
+            shock: lastRun ? lastRun.shock : null,
+            model: lastRun ? lastRun.model : null,
+            fireSale: lastRun ? lastRun.fireSale : null,
+            interventions: lastRun ? lastRun.interventions : null,
+            liquidity: lastRun ? lastRun.liquidity : null,
+            capitalRules: lastRun ? lastRun.capitalRules : null,
+            layers: lastRun ? lastRun.layers : null,
+            parameters: { ...network.parameters, institutions: network.nodes.length, exposures: network.links.length },
+            svgMarkup: serializeNetworkSvg(),
+            formatCurrency
+        });
+        const reportWindow = window.open('', '_blank');
+        if (!reportWindow) {
+            // Pop-up blocked: fall back to a download the user can open and print
+            downloadFile(html, `${exportBaseName()}-report.html`, 'text/html');
+            return;
+        }
+        reportWindow.document.open();
+        reportWindow.document.write(html);
+        reportWindow.document.close();
+    };
+
+    const handleExport = (event) => {
+        if (!network.nodes.length) return;
+        const baseName = exportBaseName();
+
+        switch (event.currentTarget.dataset.export) {
+            case 'results-csv':
+                downloadFile(ResultExporter.resultsCsv(network.nodes), `${baseName}-banks.csv`, 'text/csv');
+                break;
+            case 'summary-csv':
+                downloadFile(ResultExporter.summaryCsv(currentSummary()), `${baseName}-summary.csv`, 'text/csv');
+                break;
+            case 'results-json':
+                downloadFile(ResultExporter.resultsJson({ nodes: network.nodes, summary: currentSummary(), ...lastRun }), `${baseName}-results.json`, 'application/json');
+                break;
+            case 'network-json':
+                downloadFile(ResultExporter.networkJson({ network, shock: lastRun ? lastRun.shock : null, model: lastRun ? lastRun.model : null }), `${baseName}-network.json`, 'application/json');
+                break;
+            case 'svg':
+                downloadFile(serializeNetworkSvg(), `${baseName}-network.svg`, 'image/svg+xml');
+                break;
+            case 'png':
+                exportPng(serializeNetworkSvg(), `${baseName}-network.png`);
+                break;
+            case 'report':
+                openReport();
+                break;
+        }
+    };
+
+    // ----------------------
+    // UI/Dashboard Updates
+    // ----------------------
+
+    const selectBank = (bankId) => {
+        if (!network.nodes.length) return;
+
+        selectedBankId = bankId;
+        const selectedNode = banksById.get(bankId);
+        if (!selectedNode) return;
+
+        updateDetailsPanel(selectedNode);
+        openModal();
+
+        // 2. Update D3 Visualization Stroke/Radius (Visual Highlight)
+        if (canvasMode) {
+            scheduleCanvasDraw();
+        } else {
+            nodeElements
+                .attr("stroke", d => d.id === bankId ? '#ffb300' : (d.isFailed ? '#f87171' : '#0f172a'))
+                .attr("stroke-width", d => d.id === bankId ? 5 : (d.isFailed ? 4 : 3))
+                .attr("r", d => nodeRadius(d) * (d.id === bankId ? 1.1 : (d.isFailed ? 1.2 : 1.0)))
+                .classed("selected", d => d.id === bankId);
+            renderPathOverlay();
+        }
+
+        // 3. Highlight Table Row
+        scrollTableToBank(bankId);
+    };
+
+    // ----------------------
+    // Institution Table (virtualised)
+    // ----------------------
+    // Only the rows in view, plus a margin, are in the DOM; spacer rows stand in for the rest so the scrollbar
+    // still covers every bank. Rows are assumed to be the same height (measured from the first one drawn).
+
+    const TABLE_OVERSCAN = 10;
+    let tableNodes = []; // the banks in table order
+    let tableSort = { key: 'debtRank', descending: true };
+    let tableRowHeight = 45;
+    let tableRenderPending = false;
+
+    const metricsRowHtml = (node) => {
+        let statusClass = 'text-green-400';
+        let statusText = 'HEALTHY';
+        if (node.stressLevel === 2) {
+            statusClass = 'text-red-500 font-bold bg-red-900/30 rounded-full px-2';
+            statusText = 'FAILED';
+        } else if (node.stressLevel === 1) {
+            statusClass = 'text-yellow-400 bg-yellow-900/30 rounded-full px-2';
+            statusText = 'STRESSED';
+        }
+
+        const isSelected = node.id === selectedBankId ? 'bg-cyan-900/40' : '';
+        const impact = systemicImpact ? systemicImpact.rows[node.id] : null;
+        const defaultProbability = monteCarlo ? `${(monteCarlo.defaultProbability[node.id] * 100).toFixed(1)}%` : '--';
+
+        return `<tr class="hover:bg-slate-800 transition-colors cursor-pointer ${isSelected}" data-bank-id="${node.id}">
+                <td class="py-3 px-4 mono text-cyan-300 whitespace-nowrap">${ResultExporter.escapeHtml(node.name)} (${node.id})</td>
+                <td class="py-3 px-4 mono whitespace-nowrap">${formatCurrency(node.E_initial)}</td>
+                <td class="py-3 px-4 mono whitespace-nowrap ${node.E <= 0 ? 'text-red-400 font-bold' : 'text-green-400'}">${formatCurrency(node.E)}</td>
+                <td class="py-3 px-4 font-extrabold whitespace-nowrap ${node.debtRank > 0.4 ? 'text-red-400' : 'text-yellow-400'}">${node.debtRank.toFixed(4)}</td>
+                <td class="py-3 px-4 mono whitespace-nowrap text-orange-300">${impact ? `${(impact.impactShare * 100).toFixed(2)}% (#${impact.rank})` : '--'}</td>
+                <td class="py-3 px-4 whitespace-nowrap"><span class="${statusClass}">${statusText}</span></td>
+                <td class="py-3 px-4 whitespace-nowrap">${cet1Cell(node)}</td>
+                <td class="py-3 px-4 whitespace-nowrap">${lossSplitBar(node)}</td>
+                <td class="py-3 px-4 text-slate-400 whitespace-nowrap">${network.exposures.in[node.id].size} / ${network.exposures.out[node.id].size}</td>
+                <td class="py-3 px-4 mono whitespace-nowrap text-orange-300">${defaultProbability}</td>
+                ${NetworkAnalytics.BANK_METRICS.map(metric => `<td class="py-3 px-4 mono whitespace-nowrap text-slate-300">${analytics ? formatMetric(metric, analytics.banks[node.id][metric.key]) : '--'}</td>`).join('')}
+            </tr>`;
+    };
+
+    // Sort keys of the table columns; the analytics columns sort by their metric. null (not worked out) sorts last.
+    const TABLE_SORT_VALUES = {
+        id: node => node.id,
+        E_initial: node => node.E_initial,
+        E: node => node.E,
+        debtRank: node => node.debtRank,
+        impact: node => (systemicImpact ? systemicImpact.rows[node.id].impactShare : null),
+        stressLevel: node => node.stressLevel,
+        cet1: node => {
+            const capital = capitalOf(node);
+            return capital.ran ? capital.cet1After : capital.cet1Before;
+        },
+        loss: node => (lastRun ? node.E_initial - Math.max(0, node.E) : null),
+        degree: node => network.exposures.in[node.id].size + network.exposures.out[node.id].size,
+        defaultProbability: node => (monteCarlo ? monteCarlo.defaultProbability[node.id] : null)
+    };
+
+    const sortValue = (key, node) => {
+        if (TABLE_SORT_VALUES[key]) return TABLE_SORT_VALUES[key](node);
+        const value = analytics ? analytics.banks[node.id][key] : null;
+        return value === undefined ? null : value;
+    };
+
+    // Orders a copy of the banks (network.nodes keeps its order for the graph); ties go by id
+    const sortTableNodes = () => {
+        const { key, descending } = tableSort;
+        tableNodes = network.nodes.slice().sort((a, b) => {
+            const x = sortValue(key, a);
+            const y = sortValue(key, b);
+            if (x === null || y === null) return (x === null) - (y === null) || a.id - b.id;
+            return (descending ? y - x : x - y) || a.id - b.id;
+        });
+        DOM.metricsHead.querySelectorAll('th[data-sort]').forEach(th => {
+            const sorted = th.dataset.sort === key;
+            th.setAttribute('aria-sort', sorted ? (descending ? 'descending' : 'ascending') : 'none');
+            th.querySelector('.sort-arrow').textContent = sorted ? (descending ? ' ▼' : ' ▲') : '';
+        });
+    };
+
+    // A heading click sorts by that column, largest first (ids ascending); a second click reverses it
+    const handleTableSort = (event) => {
+        const th = event.target.closest('th[data-sort]');
+        if (!th) return;
+        const { sort } = th.dataset;
+        tableSort = tableSort.key === sort ? { key: sort, descending: !tableSort.descending } : { key: sort, descending: sort !== 'id' };
+        sortTableNodes();
+        renderTableRows();
+    };
+
+    const renderTableRows = () => {
+        tableRenderPending = false;
+        const { scrollTop, clientHeight } = DOM.metricsScroller;
+        const first = Math.max(0, Math.floor(scrollTop / tableRowHeight) - TABLE_OVERSCAN);
+        const last = Math.min(tableNodes.length, Math.ceil((scrollTop + (clientHeight || 600)) / tableRowHeight) + TABLE_OVERSCAN);
+        const spacer = (rows) => (rows > 0 ? `<tr aria-hidden="true"><td colspan="${DOM.metricsHead.cells.length}" style="height:${rows * tableRowHeight}px;padding:0"></td></tr>` : '');
+
+        DOM.metricsBody.innerHTML = spacer(first) + tableNodes.slice(first, last).map(metricsRowHtml).join('') + spacer(tableNodes.length - last);
+
+        const measured = DOM.metricsBody.querySelector('tr[data-bank-id]');
+        if (measured && measured.offsetHeight && Math.abs(measured.offsetHeight - tableRowHeight) >= 1) {
+            tableRowHeight = measured.offsetHeight;
+            renderTableRows();
+        }
+    };
+
+    const scheduleTableRender = () => {
+        if (tableRenderPending) return;
+        tableRenderPending = true;
+        requestAnimationFrame(renderTableRows);
+    };
+
+    // Brings a bank's row into view (rendering it first if it was scrolled out) and highlights it
+    const scrollTableToBank = (bankId) => {
+        const index = tableNodes.findIndex(node => node.id === bankId);
+        if (index < 0) return;
+        const { scrollTop, clientHeight } = DOM.metricsScroller;
+        const rowTop = index * tableRowHeight;
+        if (rowTop < scrollTop || rowTop + tableRowHeight > scrollTop + clientHeight) {
+            DOM.metricsScroller.scrollTop = Math.max(0, rowTop - clientHeight / 2);
+        }
+        renderTableRows();
+        const row = DOM.metricsBody.querySelector(`tr[data-bank-id="${bankId}"]`);
+        if (row) row.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    };
+
+    const updateMetricsDashboard = (isInitial) => {
+        const { nodes } = network;
+
+        const totalFailures = nodes.filter(n => n.isFailed).length;
+        const totalPostShockCapital = nodes.reduce((sum, n) => sum + Math.max(0, n.E), 0);
+        const totalLoss = capitalBase() - totalPostShockCapital;
+
+        const contagionIndex = capitalBase() > 0 ? (totalLoss / capitalBase()) * 100 : 0;
+
+        document.getElementById('metricTotal').textContent = nodes.length;
+        document.getElementById('metricFailures').textContent = totalFailures;
+        document.getElementById('metricContagion').textContent = `${contagionIndex.toFixed(2)}%`;
+        document.getElementById('metricLoss').textContent = formatCurrency(totalLoss);
+        document.getElementById('metricModel').textContent = lastRun
+            ? `${DebtRankEngine.describeModel(lastRun.model)}${lastRun.fireSale ? ' + fire sales' : ''}${lastRun.liquidity ? ` + funding runs (${lastRun.liquidity.periods} periods)` : ''}${lastRun.capitalRules ? ' + capital rules' : ''}${lastRun.layers ? ` + ${lastRun.layers.length} exposure layers` : ''}`
+            : '--';
+
+        // Final loss attribution of the latest run (playback rounds do not change it)
+        DOM.lossSplit.classList.toggle('hidden', !lastRun);
+        if (lastRun) {
+            const sumOf = (key) => lastRun.rows.reduce((sum, row) => sum + row[key], 0);
+            DOM.metricShockLoss.textContent = formatCurrency(sumOf('shockLoss'));
+            DOM.metricInterbankLoss.textContent = formatCurrency(sumOf('interbankLoss'));
+            DOM.metricFireSaleLoss.textContent = lastRun.fireSale ? formatCurrency(sumOf('fireSaleLoss')) : 'off';
+            DOM.metricLiquidityLoss.textContent = lastRun.liquidity ? formatCurrency(sumOf('liquidityLoss')) : 'off';
+            DOM.assetPrices.innerHTML = lastRun.fireSale
+                ? lastRun.fireSale.prices.map(({ name, price }) => `<li class="flex justify-between"><span>${ResultExporter.escapeHtml(name)}</span><span class="mono">${(price * 100).toFixed(2)}%</span></li>`).join('')
+                : '';
+        }
+
+        const interventionImpact = lastRun && lastRun.interventions;
+        DOM.interventionImpact.classList.toggle('hidden', !interventionImpact);
+        if (interventionImpact) {
+            DOM.metricAvoidedFailures.textContent = `${interventionImpact.avoidedFailures} (of ${interventionImpact.baseline.failures})`;
+            DOM.metricAvoidedLoss.textContent = `${interventionImpact.avoidedLoss < 0 ? '−' : ''}${formatCurrency(Math.abs(interventionImpact.avoidedLoss))}`;
+            DOM.metricInjected.textContent = formatCurrency(interventionImpact.injected);
+            DOM.interventionNote.textContent = [
+                interventionImpact.rescued.length ? `Rescued: ${interventionImpact.rescued.join(', ')}.` : '',
+                interventionImpact.newlyFailed.length ? `Failing only with the interventions: ${interventionImpact.newlyFailed.join(', ')}.` : '',
+                interventionImpact.bailedIn > 0 ? `Bailed in: ${formatCurrency(interventionImpact.bailedIn)}.` : '',
+                interventionImpact.exposureRemoved > 0 ? `Exposures capped or ring-fenced: ${formatCurrency(interventionImpact.exposureRemoved)}.` : ''
+            ].filter(Boolean).join(' ');
+        }
+
+        // Breach counts after the latest run, against its capital rules or the default minimums
+        DOM.capitalImpact.classList.toggle('hidden', !lastRun);
+        if (lastRun) {
+            const breachCount = (trigger) => lastRun.rows.filter(row => row.breachesAfter.includes(trigger)).length;
+            DOM.metricBreachMinCet1.textContent = breachCount('min-cet1');
+            DOM.metricBreachBuffer.textContent = breachCount('buffer');
+            DOM.metricBreachLeverage.textContent = breachCount('min-leverage');
+            DOM.capitalNote.textContent = lastRun.capitalRules
+                ? `${DebtRankEngine.describeCapitalRules(lastRun.capitalRules)}. ${lastRun.capitalRules.regulatoryFailures} bank(s) failed on a trigger while still solvent.`
+                : 'Against Basel III minimums (4.5% CET1 + 2.5% conservation buffer, 3% leverage); failure and stress follow the contagion model.';
+        }
+
+        const liquidity = lastRun && lastRun.liquidity;
+        DOM.liquidityImpact.classList.toggle('hidden', !liquidity);
+        if (liquidity) {
+            DOM.liquidityTimeline.innerHTML = liquidity.timeline.map(({ period, solvencyFailures, liquidityFailures, withdrawn }) => `
+                <tr title="${period ? '' : 'The shock and its immediate contagion'}">
+                    <td>${period}</td>
+                    <td class="text-right text-red-400">${solvencyFailures.length}</td>
+                    <td class="text-right text-fuchsia-300">${liquidityFailures.length}</td>
+                    <td class="text-right text-slate-300">${formatCurrency(withdrawn)}</td>
+                </tr>`).join('');
+        }
+
+        // Update Table
+        sortTableNodes();
+        renderTableRows();
+    };
+
+    // CET1 ratio before (and after the latest run), flagged when a minimum or buffer is breached
+    const cet1Cell = (node) => {
+        const capital = capitalOf(node);
+        const breaches = capital.ran ? capital.breachesAfter : capital.breachesBefore;
+        const flag = breaches.length
+            ? ` <span class="${breaches.includes('min-cet1') ? 'text-red-400' : 'text-amber-400'}" title="${breaches.map(breach => CapitalRules.TRIGGER_LABELS[breach]).join(', ')}">&#9888;</span>`
+            : '';
+        return `<span class="mono text-slate-300">${formatRatio(capital.cet1Before)}${capital.ran ? ` → ${formatRatio(capital.cet1After)}` : ''}</span>${flag}`;
+    };
+
+    // Stacked bar of a bank's loss by channel (relative to its initial capital)
+    const lossSplitBar = (node) => {
+        if (!lastRun) return '<span class="text-slate-500">--</span>';
+        const parts = [
+            ['Shock', node.shockLoss || 0, 'bg-slate-400'],
+            ['Interbank', node.interbankLoss || 0, 'bg-cyan-400'],
+            ['Fire-sale', node.fireSaleLoss || 0, 'bg-orange-400'],
+            ['Funding', node.liquidityLoss || 0, 'bg-fuchsia-400']
+        ];
+        const title = parts.map(([label, value]) => `${label}: ${formatCurrency(value)}`).join(' · ');
+        return `<div class="flex w-28 h-2 rounded-full overflow-hidden bg-slate-800" title="${title}">${parts
+            .map(([, value, color]) => `<div class="${color}" style="width:${clamp(value / node.E_initial, 0, 1) * 100}%"></div>`).join('')}</div>`;
+    };
+
+    const populateTargetedBankControl = () => {
+        DOM.targetedBankId.innerHTML = '';
+        DebtRankEngine.nodesById(network.nodes).forEach(node => {
+            const option = document.createElement('option');
+            option.value = node.id;
+            option.textContent = `${node.name} (ID: ${node.id}) - E: ${formatCurrency(node.E_initial)}`;
+            DOM.targetedBankId.appendChild(option);
+        });
+    };
+
+    // ----------------------
+    // Session and Users
+    // ----------------------
+
+    // JSON request to the API with the session cookie; an expired session goes back to the login page
+    const apiRequest = async (path, { method = 'GET', body } = {}) => {
+        const response = await fetch(`/api${path}`, {
+            method,
+            credentials: 'same-origin',
+            headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        if (response.status === 401) {
+            window.location.href = 'index.html';
+            throw new Error('Login required');
+        }
+        const data = response.status === 204 ? null : await response.json();
+        if (!response.ok) {
+            const error = new Error(data.error);
+            error.details = data.details || [data.error];
+            throw error;
+        }
+        return data;
+    };
+
+    const can = (permission) => !session || session.permissions.includes(permission);
+
+    // Shows who is signed in and hides what their role may not do. Without the server (e.g. the static
+    // GitHub Pages build) there is no session and the page keeps its full, local-only UI.
+    const loadSession = async () => {
+        try {
+            session = await apiRequest('/auth/me');
+        } catch (err) {
+            return;
+        }
+        DOM.currentUser.textContent = session.username;
+        DOM.currentRole.textContent = session.role;
+        DOM.sessionInfo.classList.remove('hidden');
+        DOM.importCard.classList.toggle('hidden', !can('upload'));
+        DOM.editCard.classList.toggle('hidden', !can('upload'));
+        DOM.usersCard.classList.toggle('hidden', !can('manage-users'));
+        if (can('manage-users')) renderUsers();
+        DOM.auditPanel.classList.remove('hidden');
+        // Without the audit permission the server only returns the user's own entries
+        DOM.auditUserFilter.classList.toggle('hidden', !can('audit'));
+        searchAudit();
+        DOM.libraryCard.classList.remove('hidden');
+        renderLibrary();
+    };
+
+    const logout = async () => {
+        try {
+            await apiRequest('/auth/logout', { method: 'POST' });
+        } finally {
+            window.location.href = 'index.html';
+        }
+    };
+
+    const showUserErrors = (errors) => {
+        DOM.userErrors.innerHTML = errors.map(error => `<li>${ResultExporter.escapeHtml(error)}</li>`).join('');
+        DOM.userErrors.classList.toggle('hidden', !errors.length);
+    };
+
+    // Runs a user-management request, then refreshes the list (showing the server's errors, if any)
+    const updateUsers = async (path, options) => {
+        try {
+            await apiRequest(path, options);
+            showUserErrors([]);
+        } catch (err) {
+            showUserErrors(err.details || [err.message]);
+        }
+        renderUsers();
+    };
+
+    const renderUsers = async () => {
+        let users;
+        try {
+            ({ users } = await apiRequest('/auth/users'));
+        } catch (err) {
+            showUserErrors(err.details || [err.message]);
+            return;
+        }
+        DOM.usersList.innerHTML = '';
+        users.forEach(user => {
+            const self = user.username === session.username;
+            const path = `/auth/users/${encodeURIComponent(user.username)}`;
+            const item = document.createElement('li');
+            item.className = 'flex items-center gap-2';
+            item.innerHTML = `
+                <span class="flex-1 min-w-0 truncate text-slate-300">${ResultExporter.escapeHtml(user.username)}${self ? ' <span class="text-xs text-slate-500">(you)</span>' : ''}</span>
+                <select data-field="role" class="p-1 rounded bg-slate-800 border border-slate-700 text-white text-xs">
+                    <option value="viewer"${user.role === 'viewer' ? ' selected' : ''}>Viewer</option>
+                    <option value="analyst"${user.role === 'analyst' ? ' selected' : ''}>Analyst</option>
+                </select>
+                <button data-action="remove" class="text-slate-400 hover:text-red-400 disabled:opacity-30" title="Remove user"${self ? ' disabled' : ''}>&times;</button>
+            `;
+            item.querySelector('[data-field="role"]').addEventListener('change', (e) => updateUsers(path, { method: 'PATCH', body: { role: e.target.value } }));
+            item.querySelector('[data-action="remove"]').addEventListener('click', () => {
+                if (window.confirm(`Remove user "${user.username}"?`)) updateUsers(path, { method: 'DELETE' });
+            });
+            DOM.usersList.appendChild(item);
+        });
+    };
+
+    const addUser = async () => {
+        const body = { username: DOM.newUsername.value.trim(), password: DOM.newPassword.value, role: DOM.newRole.value };
+        await updateUsers('/auth/users', { method: 'POST', body });
+        if (DOM.userErrors.classList.contains('hidden')) {
+            DOM.newUsername.value = '';
+            DOM.newPassword.value = '';
+        }
+    };
+
+    // ----------------------
+    // Audit Trail
+    // ----------------------
+
+    const AUDIT_EVENT_LABELS = {
+        'generate': 'Generate',
+        'import': 'Import',
+        'simulate': 'Simulate',
+        'compare': 'Compare',
+        'montecarlo': 'Monte Carlo',
+        'systemic-importance': 'Systemic importance',
+        'cheapest-injection': 'Cheapest injection'
+    };
+
+    // Reports a run done in the browser to the server's audit trail (skipped without a session, e.g. the static build)
+    const recordAudit = (event, fields, networkData) => {
+        if (!session) return;
+        // An edited network is logged, with a copy of its data, just before the first entry that uses it
+        if (networkRecord.source === 'edited' && event !== 'import' && !loggedEdits.has(networkRecord.fingerprint)) {
+            loggedEdits.add(networkRecord.fingerprint);
+            recordAudit('import', { seed: network.parameters.seed, results: ResultExporter.auditResults('import', network) }, networkSnapshot());
+        }
+        apiRequest('/audit', { method: 'POST', body: { event, network: networkRecord, ...fields, networkData } })
+            .catch(err => console.warn(`Audit entry not recorded: ${(err.details || [err.message]).join(' ')}`));
+    };
+
+    const showAuditStatus = (message) => {
+        DOM.auditStatus.textContent = message;
+        DOM.auditStatus.classList.toggle('hidden', !message);
+    };
+
+    const auditScenarioText = (entry) => {
+        if (entry.event === 'compare') return `${entry.options.runs.length} runs: ${entry.options.runs.map(run => run.name).join(', ')}`;
+        const parts = [];
+        if (entry.shock) parts.push(DebtRankEngine.describeShock(entry.shock));
+        if (entry.model) parts.push(DebtRankEngine.describeModel(entry.model));
+        if (entry.fireSale) parts.push('fire sales');
+        if (entry.interventions && entry.interventions.length) parts.push(`${entry.interventions.length} intervention(s)`);
+        if (entry.liquidity) parts.push(`funding runs over ${entry.liquidity.periods} periods`);
+        if (entry.capitalRules) parts.push('capital rules');
+        return parts.join(' · ') || '—';
+    };
+
+    const auditResultText = ({ event, results: r }) => {
+        if (!r) return '—';
+        const headline = ({ failures, contagionIndex, totalLoss }) => `${failures} failed, CI ${contagionIndex.toFixed(2)}%, ${formatCurrency(totalLoss)} lost`;
+        if (event === 'generate' || event === 'import') return `${r.nodeCount} banks, ${r.linkCount} exposures`;
+        if (event === 'simulate') return headline(r) + (r.avoidedFailures !== undefined ? `; avoided ${r.avoidedFailures} failure(s)` : '');
+        if (event === 'compare') return r.runs.map(run => `${run.name}: ${headline(run)}`).join('; ');
+        if (event === 'montecarlo') return `${r.runs} runs, mean CI ${r.meanContagionIndex.toFixed(2)}%, mean ${r.meanFailures.toFixed(1)} failed`;
+        if (event === 'systemic-importance') return r.top.length ? `Most systemic: ${r.top[0].name} (${(r.top[0].impactShare * 100).toFixed(2)}%)` : '—';
+        return `${r.baselineFailures} → ${r.failures} failures, ${r.injections} injection(s) costing ${formatCurrency(r.cost)}`;
+    };
+
+    const searchAudit = async () => {
+        const params = new URLSearchParams();
+        [['user', DOM.auditUser], ['event', DOM.auditEvent], ['from', DOM.auditFrom], ['to', DOM.auditTo]].forEach(([key, input]) => {
+            if (input.value.trim()) params.set(key, input.value.trim());
+        });
+        showAuditStatus('Loading...');
+        let data;
+        try {
+            data = await apiRequest(`/audit?${params}`);
+        } catch (err) {
+            showAuditStatus((err.details || [err.message]).join(' '));
+            return;
+        }
+
+        showAuditStatus(data.total > data.entries.length ? `Showing the latest ${data.entries.length} of ${data.total} entries.` : `${data.total} entr${data.total === 1 ? 'y' : 'ies'}.`);
+        const escape = ResultExporter.escapeHtml;
+        DOM.auditBody.innerHTML = data.entries.map(entry => {
+            // Entries reported by the browser are only checked for shape, so describe them defensively
+            let scenario;
+            let results;
+            try {
+                scenario = auditScenarioText(entry);
+                results = auditResultText(entry);
+            } catch (err) {
+                scenario = results = '—';
+            }
+            const { network: net } = entry;
+            return `
+                <tr>
+                    <td class="py-2 px-3 whitespace-nowrap text-xs text-slate-400" title="${escape(entry.time)}">${escape(new Date(entry.time).toLocaleString())}</td>
+                    <td class="py-2 px-3 whitespace-nowrap text-cyan-300">${escape(entry.user || '—')}</td>
+                    <td class="py-2 px-3 whitespace-nowrap">${escape(AUDIT_EVENT_LABELS[entry.event] || entry.event)}<span class="text-xs text-slate-500"> (${escape(entry.origin)})</span></td>
+                    <td class="py-2 px-3 whitespace-nowrap text-xs mono" title="fingerprint ${escape(net.fingerprint)}, seed ${escape(entry.seed === undefined ? '—' : entry.seed)}">${escape(net.source)}, ${net.nodeCount} banks</td>
+                    <td class="py-2 px-3 text-xs text-slate-300">${escape(scenario)}</td>
+                    <td class="py-2 px-3 text-xs mono">${escape(results)}</td>
+                    <td class="py-2 px-3"><button data-audit-id="${entry.id}" class="text-cyan-400 hover:text-cyan-200 text-xs font-semibold">Open</button></td>
+                </tr>`;
+        }).join('');
+        DOM.auditBody.querySelectorAll('[data-audit-id]').forEach(button => button.addEventListener('click', () => openAuditEntry(parseInt(button.dataset.auditId))));
+    };
+
+    // Puts a logged or stored scenario back into the controls
+    const writeScenarioSpecs = ({ shock, model, fireSale, interventions, liquidity, capitalRules }) => {
+        if (shock) writeShockSpec(shock);
+        if (model) {
+            DOM.contagionModel.value = model.type;
+            renderModelParams(model);
+        }
+        writeFireSaleSpec(fireSale || null);
+        writeInterventions(interventions || []);
+        writeLiquiditySpec(liquidity || null);
+        writeCapitalRulesSpec(capitalRules || null);
+    };
+
+    /**
+     * Rebuilds a network described by ResultExporter.auditNetwork: regenerated from its parameters, or loaded from
+     * a copy of its data. Returns an error message, or null once the network is in place and matches the fingerprint.
+     */
+    const rebuildNetwork = (description, networkData) => {
+        if (description.source === 'generated') {
+            const { parameters } = description;
+            DOM.seedInput.value = parameters.seed;
+            writeGenerationOptions(DebtRankEngine.resolveGenerationOptions(parameters));
+            generateNetwork(parameters, parameters.seed);
+        } else if (networkData) {
+            showNetwork(DebtRankEngine.loadNetwork(networkData), ['library', 'edited'].includes(description.source) ? description.source : 'imported');
+        } else {
+            return `The ${description.source} network data was not kept, so it cannot be rebuilt.`;
+        }
+        if (!networkRecord || networkRecord.fingerprint !== description.fingerprint) {
+            return `The rebuilt network does not match the original (fingerprint ${description.fingerprint}); nothing was run.`;
+        }
+        return null;
+    };
+
+    /**
+     * Rebuilds the network an entry ran on, refills the controls and, for single runs and comparisons,
+     * runs them again with the logged seeds.
+     */
+    const openAuditEntry = async (id) => {
+        let entry;
+        try {
+            entry = await apiRequest(`/audit/${id}`);
+        } catch (err) {
+            showAuditStatus((err.details || [err.message]).join(' '));
+            return;
+        }
+
+        const rebuildError = rebuildNetwork(entry.network, entry.networkData);
+        if (rebuildError) {
+            showAuditStatus(`Entry ${id}: ${rebuildError}`);
+            return;
+        }
+
+        if (entry.event === 'compare') {
+            for (const run of entry.options.runs) {
+                writeScenarioSpecs(run);
+                await runSimulation(run.shock, run.model, run.fireSale, run.interventions || [], run.seed, run.liquidity || null, run.capitalRules || null);
+                DOM.runName.value = run.name;
+                saveRun();
+            }
+            compareSelectedRuns();
+        } else {
+            writeScenarioSpecs(entry);
+            if (entry.event === 'montecarlo') {
+                DOM.monteCarloRuns.value = entry.options.runs;
+                DOM.macroVolatility.value = +((entry.options.macroVolatility || 0) * 100).toFixed(4);
+                DOM.resampleNetwork.checked = Boolean(entry.options.resampleNetwork);
+            }
+            if (entry.event === 'simulate' || entry.event === 'cheapest-injection') {
+                await runSimulation(entry.shock, entry.model, entry.fireSale, entry.interventions || [], entry.seed, entry.liquidity || null, entry.capitalRules || null);
+            }
+        }
+        showAuditStatus(`Re-opened entry ${id} (${AUDIT_EVENT_LABELS[entry.event]} by ${entry.user || 'the API'}, ${new Date(entry.time).toLocaleString()}).`);
+    };
+
+    // ----------------------
+    // Library (shared on the server)
+    // ----------------------
+
+    const showLibraryErrors = (errors) => {
+        DOM.libraryErrors.innerHTML = errors.map(error => `<li>${ResultExporter.escapeHtml(error)}</li>`).join('');
+        DOM.libraryErrors.classList.toggle('hidden', !errors.length);
+    };
+
+    // Runs a library request and refreshes the list; returns the response, or null after showing the server's errors
+    const libraryRequest = async (path, options) => {
+        try {
+            const data = await apiRequest(path, options);
+            showLibraryErrors([]);
+            renderLibrary();
+            return data;
+        } catch (err) {
+            showLibraryErrors(err.details || [err.message]);
+            return null;
+        }
+    };
+
+    // What "Save Current" stores for each kind, or a reason it cannot
+    const libraryItemBody = (kind) => {
+        if (kind === 'scenarios') return { shock: readShockSpec(), model: readModelSpec(), fireSale: readFireSaleSpec(), interventions: readInterventions(), liquidity: readLiquiditySpec(), capitalRules: readCapitalRulesSpec() };
+        if (!network.nodes.length) return { error: 'Generate or import a network first.' };
+        if (kind === 'networks') return { network: networkSnapshot() };
+        if (!lastRun) return { error: 'Run a stress test first.' };
+        return {
+            network: networkRecord,
+            networkData: networkRecord.source === 'generated' ? undefined : networkSnapshot(),
+            shock: lastRun.shock,
+            model: lastRun.model,
+            fireSale: lastRun.fireSale,
+            interventions: lastRun.interventions ? lastRun.interventions.applied : null,
+            liquidity: liquiditySettings(lastRun.liquidity),
+            capitalRules: capitalRulesSettings(lastRun.capitalRules),
+            seed: lastRun.seed,
+            summary: lastRun.summary,
+            nodes: lastRun.rows
+        };
+    };
+
+    const saveToLibrary = async () => {
+        const kind = DOM.libraryKind.value;
+        const { error, ...body } = libraryItemBody(kind);
+        if (error) {
+            showLibraryErrors([error]);
+            return;
+        }
+        if (await libraryRequest(`/library/${kind}`, { method: 'POST', body: { name: DOM.libraryName.value.trim(), ...body } })) {
+            DOM.libraryName.value = '';
+        }
+    };
+
+    const libraryInfoText = ({ kind, info }) => {
+        if (kind === 'networks') return `${info.nodeCount} banks, ${info.linkCount} exposures${info.parameters.topology ? ` · ${info.parameters.topology}` : ''}`;
+        const scenario = `${DebtRankEngine.describeShock(info.shock)}${info.model ? ` · ${DebtRankEngine.describeModel(info.model)}` : ''}`;
+        if (kind === 'scenarios') return scenario;
+        return `${scenario} · ${info.network.nodeCount} banks · ${info.summary.failures} failed, CI ${info.summary.contagionIndex.toFixed(2)}%`;
+    };
+
+    const renderLibrary = async () => {
+        const kind = DOM.libraryKind.value;
+        let items;
+        try {
+            ({ items } = await apiRequest(`/library/${kind}`));
+        } catch (err) {
+            showLibraryErrors(err.details || [err.message]);
+            return;
+        }
+        if (kind !== DOM.libraryKind.value) return; // The list was switched meanwhile
+
+        const escape = ResultExporter.escapeHtml;
+        DOM.libraryList.innerHTML = items.length ? '' : `<li class="text-slate-500 text-xs">No shared ${kind} yet.</li>`;
+        items.forEach(item => {
+            const path = `/library/${kind}/${item.id}`;
+            const mayChange = item.createdBy === session.username || can('curate');
+            const entry = document.createElement('li');
+            entry.className = 'border-b border-slate-800 pb-2';
+            entry.innerHTML = `
+                <div class="flex items-center gap-2">
+                    <span class="flex-1 min-w-0 truncate text-slate-200" title="${escape(item.name)}">${escape(item.name)}</span>
+                    <button data-action="load" class="text-cyan-400 hover:text-cyan-200 text-xs font-semibold">Load</button>
+                    <button data-action="duplicate" class="text-slate-400 hover:text-white text-xs" title="Duplicate">Copy</button>
+                    ${mayChange ? `<button data-action="rename" class="text-slate-400 hover:text-white text-xs">Rename</button>
+                    <button data-action="remove" class="text-slate-400 hover:text-red-400" title="Delete">&times;</button>` : ''}
+                </div>
+                <div class="text-xs text-slate-500 truncate" title="${escape(libraryInfoText(item))}">${escape(libraryInfoText(item))}</div>
+                <div class="text-xs text-slate-600">${escape(item.createdBy || '—')}, ${escape(new Date(item.updatedAt).toLocaleString())}</div>
+            `;
+            entry.querySelector('[data-action="load"]').addEventListener('click', () => loadLibraryItem(kind, item.id));
+            entry.querySelector('[data-action="duplicate"]').addEventListener('click', () => libraryRequest(`${path}/duplicate`, { method: 'POST' }));
+            if (mayChange) {
+                entry.querySelector('[data-action="rename"]').addEventListener('click', () => {
+                    const name = window.prompt('New name', item.name);
+                    if (name !== null) libraryRequest(path, { method: 'PATCH', body: { name: name.trim() } });
+                });
+                entry.querySelector('[data-action="remove"]').addEventListener('click', () => {
+                    if (window.confirm(`Delete "${item.name}" from the library?`)) libraryRequest(path, { method: 'DELETE' });
+                });
+            }
+            DOM.libraryList.appendChild(entry);
+        });
+    };
+
+    // Networks replace the current one, scenarios fill the controls, runs rebuild their network and run again
+    const loadLibraryItem = async (kind, id) => {
+        let item;
+        try {
+            item = await apiRequest(`/library/${kind}/${id}`);
+        } catch (err) {
+            showLibraryErrors(err.details || [err.message]);
+            return;
+        }
+
+        showLibraryErrors([]);
+        if (kind === 'networks') {
+            showNetwork(DebtRankEngine.loadNetwork(item.data), 'library');
+        } else if (kind === 'scenarios') {
+            writeScenarioSpecs(item.data);
+            // Bank ids may not exist on the current network; flag that now rather than at run time
+            showShockErrors(network.nodes.length ? DebtRankEngine.validateShock(readShockSpec(), network.nodes.length) : []);
+        } else {
+            const rebuildError = rebuildNetwork(item.data.network, item.data.networkData);
+            if (rebuildError) {
+                showLibraryErrors([rebuildError]);
+                return;
+            }
+            writeScenarioSpecs(item.data);
+            await runSimulation(item.data.shock, item.data.model, item.data.fireSale, item.data.interventions || [], item.data.seed, item.data.liquidity || null,
+                item.data.capitalRules || null);
+            DOM.runName.value = item.name;
+            saveRun();
+        }
+    };
+
+    // ----------------------
+    // Event Handlers
+    // ----------------------
+
+    const handleShockTypeChange = (e) => {
+        const type = e.target.value;
+        if (type === 'targeted') {
+            DOM.targetedBankControl.classList.remove('hidden');
+        } else {
+            DOM.targetedBankControl.classList.add('hidden');
+        }
+        DOM.macroControl.classList.toggle('hidden', type !== 'macro');
+        DOM.customShockControl.classList.toggle('hidden', type !== 'custom');
+        if (type === 'custom' && !DOM.shockComponents.children.length) addShockComponent();
+        showShockErrors([]);
+
+        const shockLabel = e.target.options[e.target.selectedIndex].text;
+        DOM.simulateBtn.textContent = `2. Run Stress Test (${shockLabel.split('(')[0].trim()})`;
+    };
+
+    const showTooltip = (event, d) => {
+        if ('ontouchstart' in window) return;
+
+        const statusText = d.stressLevel === 2 ? 'FAILED' : (d.stressLevel === 1 ? 'STRESSED' : 'HEALTHY');
+        let t = d3.select("body").select(".tooltip");
+        if(t.empty()) {
+            t = d3.select("body").append("div")
+                .attr("class", "tooltip absolute px-3 py-2 text-xs text-white card rounded-lg pointer-events-none opacity-0 transition-opacity duration-200 shadow-xl")
+                .style("z-index", 100);
+        }
+        t.transition().duration(200).style("opacity", 1);
+        t.html(`
+            <div class="font-bold text-base text-cyan-300">${ResultExporter.escapeHtml(d.name)}</div>
+            <div class="${d.stressLevel === 2 ? 'text-red-400 font-bold' : d.stressLevel === 1 ? 'text-yellow-400' : 'text-green-400'}">${statusText}</div>
+            <div class="mono mt-1">E: ${formatCurrency(d.E)} (Init: ${formatCurrency(d.E_initial)})</div>
+            <div class="mt-1 font-semibold text-sm text-cyan-500">DebtRank: ${d.debtRank.toFixed(4)}</div>
+        `)
+        .style("left", (event.pageX + 15) + "px")
+        .style("top", (event.pageY - 20) + "px");
+    };
+
+    const hideTooltip = () => {
+        if ('ontouchstart' in window) return;
+        d3.select("body").select(".tooltip").transition().duration(500).style("opacity", 0).remove();
+    };
+
+    // ----------------------
+    // Initialization
+    // ----------------------
+
+    const init = () => {
+        // Assign global D3 elements
+        svg = d3.select("#network-svg");
+        canvas = document.getElementById('network-canvas');
+        networkContainer = document.getElementById('network-container');
+
+        // Set initial dimensions
+        width = networkContainer.offsetWidth;
+        height = networkContainer.offsetHeight;
+
+        // Set up Event Listeners
+        document.getElementById('generateBtn').addEventListener('click', () => generateNetwork());
+        document.getElementById('importBtn').addEventListener('click', importNetwork);
+        DOM.exportButtons.forEach(button => button.addEventListener('click', handleExport));
+        DOM.simulateBtn.addEventListener('click', () => runSimulation());
+        DOM.shareBtn.addEventListener('click', copyScenarioLink);
+        DOM.monteCarloBtn.addEventListener('click', runMonteCarlo);
+        DOM.importanceBtn.addEventListener('click', rankSystemicImportance);
+        DOM.addShockComponent.addEventListener('click', () => addShockComponent());
+        DOM.addIntervention.addEventListener('click', () => addIntervention());
+        DOM.injectionSearchBtn.addEventListener('click', findCheapestInjections);
+        DOM.saveRunBtn.addEventListener('click', saveRun);
+        DOM.logoutBtn.addEventListener('click', logout);
+        DOM.addUserBtn.addEventListener('click', addUser);
+        DOM.auditSearchBtn.addEventListener('click', searchAudit);
+        DOM.libraryKind.addEventListener('change', renderLibrary);
+        DOM.librarySaveBtn.addEventListener('click', saveToLibrary);
+        DOM.compareBtn.addEventListener('click', compareSelectedRuns);
+        DOM.addBankBtn.addEventListener('click', addBank);
+        DOM.undoBtn.addEventListener('click', undoEdit);
+        DOM.redoBtn.addEventListener('click', redoEdit);
+        DOM.bankDetailsContent.addEventListener('click', handleBankEditorClick);
+        DOM.bankDetailsContent.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-select-bank]');
+            if (button) selectBank(parseInt(button.dataset.selectBank));
+        });
+        DOM.bankDetailsContent.addEventListener('change', handleExposureInput);
+        DOM.bankDetailsContent.addEventListener('change', handleLayerToggle);
+        DOM.layerList.addEventListener('change', handleLayerToggle);
+        DOM.layerList.addEventListener('change', handleLayerRecoveryInput);
+        document.addEventListener('keydown', handleEditShortcut);
+        DOM.diffOverlayToggle.addEventListener('change', renderDiffOverlay);
+        DOM.saveScenarioBtn.addEventListener('click', saveScenario);
+        DOM.loadScenarioBtn.addEventListener('click', loadSavedScenario);
+        DOM.deleteScenarioBtn.addEventListener('click', deleteSavedScenario);
+        DOM.shockType.addEventListener('change', handleShockTypeChange);
+        DOM.topology.addEventListener('change', handleTopologyChange);
+        DOM.contagionModel.addEventListener('change', () => renderModelParams());
+        DOM.fireSaleEnabled.addEventListener('change', () => DOM.fireSaleParams.classList.toggle('hidden', !DOM.fireSaleEnabled.checked));
+        DOM.liquidityEnabled.addEventListener('change', () => DOM.liquidityParams.classList.toggle('hidden', !DOM.liquidityEnabled.checked));
+        DOM.capitalRulesEnabled.addEventListener('change', () => DOM.capitalRulesParams.classList.toggle('hidden', !DOM.capitalRulesEnabled.checked));
+        DOM.playbackPlay.addEventListener('click', togglePlayback);
+        DOM.playbackBack.addEventListener('click', () => stepPlayback(-1));
+        DOM.playbackForward.addEventListener('click', () => stepPlayback(1));
+        DOM.playbackScrubber.addEventListener('input', (e) => {
+            stopPlayback();
+            showRound(parseInt(e.target.value));
+        });
+        DOM.networkParams.forEach(input => input.addEventListener('input', handleTopologyChange));
+        DOM.modalOverlay.addEventListener('click', closeModal);
+        DOM.metricsBody.addEventListener('click', (e) => {
+            const row = e.target.closest('tr[data-bank-id]');
+            if (row) selectBank(parseInt(row.dataset.bankId));
+        });
+        DOM.metricsScroller.addEventListener('scroll', scheduleTableRender);
+        DOM.metricsHead.insertAdjacentHTML('beforeend', NetworkAnalytics.BANK_METRICS
+            .map(({ key, label, short }) => `<th class="py-3 px-4 whitespace-nowrap cursor-pointer select-none" data-sort="${key}" title="${label}">${short}</th>`).join(''));
+        DOM.metricsHead.querySelectorAll('th[data-sort]').forEach(th => th.insertAdjacentHTML('beforeend', '<span class="sort-arrow"></span>'));
+        DOM.metricsHead.addEventListener('click', handleTableSort);
+        [[DOM.nodeSizeMetric, 'Size'], [DOM.nodeColorMetric, 'Colour']].forEach(([select, prefix]) => {
+            select.insertAdjacentHTML('beforeend', NetworkAnalytics.BANK_METRICS.map(({ key, label }) => `<option value="${key}">${prefix}: ${label}</option>`).join(''));
+            select.addEventListener('change', restyleNodes);
+        });
+        DOM.renderMode.addEventListener('change', () => {
+            if (!network.nodes.length) return;
+            renderNetwork(true);
+            if (lastRun) renderNetwork(false);
+            renderDiffOverlay();
+            renderPathOverlay();
+        });
+        setupCanvasEvents();
+
+        // Initial UI setup
+        DOM.simulateBtn.disabled = true;
+        svg.attr("viewBox", `0 0 ${width} ${height}`);
+        updateMetricsDashboard(true);
+        handleTopologyChange();
+        renderModelParams();
+        renderSavedScenarios();
+        renderSavedRuns();
+        // This makes the D3 visualization responsive to all screen sizes/rotations
+        setupResizeObserver(); 
+        // The session comes first so a network rebuilt from the URL is logged
+        loadSession().then(loadScenarioFromUrl);
+    };
+
+    // Expose only the necessary methods for external use
+    return {
+        init: init,
+        closeModal: closeModal 
+    };
+
+})();
+
+// Initialize the stress tester once the DOM is fully loaded
+document.addEventListener('DOMContentLoaded', StressTester.init);
+
+// Make closeModal available globally for the inline onclick handler in app.html
 window.closeModal = StressTester.closeModal;
\ No newline at end of file
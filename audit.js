@@ -0,0 +1,180 @@
+// =========================================================
+// Audit Trail (append-only log of generations, imports and runs)
+// =========================================================
+// One JSON object per line in a local file (AUDIT_FILE, default ./audit.log). Lines are only ever appended:
+// nothing in the app rewrites or deletes them. Entries name the user but hold no IP address, user agent or location.
+const fs = require('fs');
+const path = require('path');
+const DebtRankEngine = require('./engine');
+
+const AUDIT_EVENTS = ['generate', 'import', 'simulate', 'compare', 'montecarlo', 'systemic-importance', 'cheapest-injection'];
+const NETWORK_SOURCES = ['generated', 'imported', 'uploaded', 'library', 'edited'];
+// Fields an entry may carry besides id, time, user, origin and event (see ResultExporter.auditNetwork/auditResults)
+const ENTRY_FIELDS = ['network', 'seed', 'shock', 'model', 'fireSale', 'interventions', 'liquidity', 'capitalRules', 'options', 'results'];
+
+const DEFAULT_AUDIT_FILE = path.join(__dirname, 'audit.log');
+const DEFAULT_QUERY_LIMIT = 200;
+const MAX_QUERY_LIMIT = 1000;
+const MAX_ENTRY_BYTES = 64 * 1024; // a reported entry without its network copy
+const FINGERPRINT_PATTERN = /^[0-9a-f]{16}$/;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Checks an entry reported by the browser for a run it did itself:
+ *   { event, network: { source, fingerprint, parameters, ... }, seed, shock, model, fireSale, interventions, liquidity, capitalRules, options, results, networkData }
+ * `networkData` (serializeNetwork output) lets runs on imported data be re-opened; it must match the fingerprint.
+ * Returns a list of error messages (empty when valid).
+ */
+const validateEntry = (entry) => {
+    if (!isObject(entry)) return ['The audit entry must be an object.'];
+    const errors = [];
+    if (!AUDIT_EVENTS.includes(entry.event)) errors.push(`"event" must be one of: ${AUDIT_EVENTS.join(', ')}.`);
+
+    const { network } = entry;
+    if (!isObject(network) || !NETWORK_SOURCES.includes(network.source) || !FINGERPRINT_PATTERN.test(network.fingerprint) || !isObject(network.parameters)) {
+        errors.push(`"network" must be an object with a "source" (${NETWORK_SOURCES.join(', ')}), a 16-digit hex "fingerprint" and "parameters".`);
+    }
+    if (entry.seed !== undefined && entry.seed !== null && typeof entry.seed !== 'string' && !Number.isFinite(entry.seed)) {
+        errors.push('"seed" must be a string, a number or null.');
+    }
+    ['shock', 'model', 'fireSale', 'liquidity', 'capitalRules', 'options', 'results'].forEach(field => {
+        if (entry[field] !== undefined && entry[field] !== null && !isObject(entry[field])) errors.push(`"${field}" must be an object or null.`);
+    });
+    if (entry.interventions !== undefined && entry.interventions !== null && !Array.isArray(entry.interventions)) {
+        errors.push('"interventions" must be an array or null.');
+    }
+    const fields = Object.fromEntries(ENTRY_FIELDS.map(field => [field, entry[field]]));
+    if (JSON.stringify(fields).length > MAX_ENTRY_BYTES) errors.push(`The audit entry must be under ${MAX_ENTRY_BYTES / 1024} KB (not counting "networkData").`);
+
+    if (entry.networkData !== undefined && !errors.length) {
+        try {
+            if (DebtRankEngine.networkFingerprint(DebtRankEngine.loadNetwork(entry.networkData)) !== network.fingerprint) {
+                errors.push('"networkData" does not match "network.fingerprint".');
+            }
+        } catch (err) {
+            errors.push(`"networkData": ${err.message}`);
+        }
+    }
+    return errors;
+};
+
+const parseTime = (value, endOfDay) => {
+    if (typeof value !== 'string' || !value) return NaN;
+    const time = Date.parse(value);
+    // A bare end date includes that whole day
+    return endOfDay && DATE_ONLY_PATTERN.test(value) ? time + DAY_MS : time;
+};
+
+/**
+ * Reads GET /api/audit query parameters: user, event, from, to (YYYY-MM-DD dates or ISO timestamps; a bare `to`
+ * date includes that whole day) and limit. Returns { filters, errors }.
+ */
+const parseQuery = (query = {}) => {
+    const errors = [];
+    const filters = { limit: DEFAULT_QUERY_LIMIT };
+    if (query.user !== undefined && query.user !== '') filters.user = String(query.user);
+    if (query.event !== undefined && query.event !== '') {
+        if (AUDIT_EVENTS.includes(query.event)) filters.event = query.event;
+        else errors.push(`"event" must be one of: ${AUDIT_EVENTS.join(', ')}.`);
+    }
+    [['from', false], ['to', true]].forEach(([key, endOfDay]) => {
+        if (query[key] === undefined || query[key] === '') return;
+        const time = parseTime(query[key], endOfDay);
+        if (Number.isNaN(time)) errors.push(`"${key}" must be a date (YYYY-MM-DD) or an ISO timestamp.`);
+        else filters[key] = time;
+    });
+    if (filters.from !== undefined && filters.to !== undefined && filters.from >= filters.to) errors.push('"from" must be before "to".');
+    if (query.limit !== undefined) {
+        const limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_QUERY_LIMIT) errors.push(`"limit" must be an integer between 1 and ${MAX_QUERY_LIMIT}.`);
+        else filters.limit = limit;
+    }
+    return { filters, errors };
+};
+
+// Entries as listed: the network copy is only returned by find()
+const describe = ({ networkData, ...entry }) => entry;
+
+/**
+ * Opens (or creates) the log at `file`. Entries get increasing numeric ids, so gaps would show.
+ * Each imported network's data is stored once, on the first entry that used it.
+ */
+const createAuditLog = (file = process.env.AUDIT_FILE || DEFAULT_AUDIT_FILE) => {
+    // A line cut short by a crash is skipped rather than stopping every later read
+    const readEntries = () => {
+        if (!fs.existsSync(file)) return [];
+        return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).flatMap(line => {
+            try {
+                return [JSON.parse(line)];
+            } catch (err) {
+                return [];
+            }
+        });
+    };
+
+    const existing = readEntries();
+    let lastId = existing.reduce((max, entry) => Math.max(max, entry.id || 0), 0);
+    const storedNetworks = new Set(existing.filter(entry => entry.networkData).map(entry => entry.network.fingerprint));
+
+    return {
+        file,
+
+        /**
+         * Appends { user, origin: 'app' | 'api', event, ...ENTRY_FIELDS, networkData } and returns the stored entry.
+         */
+        append({ user = null, origin, event, networkData, ...fields }) {
+            const entry = { id: lastId + 1, time: new Date().toISOString(), user, origin, event };
+            ENTRY_FIELDS.forEach(field => {
+                if (fields[field] !== undefined) entry[field] = fields[field];
+            });
+            const fingerprint = entry.network && entry.network.fingerprint;
+            const storeNetwork = Boolean(networkData && fingerprint && !storedNetworks.has(fingerprint));
+            if (storeNetwork) entry.networkData = networkData;
+
+            fs.appendFileSync(file, JSON.stringify(entry) + '\n', { mode: 0o600 });
+            lastId = entry.id;
+            if (storeNetwork) storedNetworks.add(fingerprint);
+            return describe(entry);
+        },
+
+        /**
+         * Entries matching { user, event, from, to, limit } (see parseQuery), newest first.
+         * Returns { total, entries } where total counts every match before the limit.
+         */
+        query({ user, event, from, to, limit = DEFAULT_QUERY_LIMIT } = {}) {
+            const matches = readEntries().filter(entry => {
+                const time = Date.parse(entry.time);
+                return (user === undefined || entry.user === user)
+                    && (event === undefined || entry.event === event)
+                    && (from === undefined || time >= from)
+                    && (to === undefined || time < to);
+            }).reverse();
+            return { total: matches.length, entries: matches.slice(0, limit).map(describe) };
+        },
+
+        /**
+         * One entry with the data of the network it ran on (`networkData`, null for generated networks
+         * or when no copy was logged), or null if there is no such entry.
+         */
+        find(id) {
+            const entries = readEntries();
+            const entry = entries.find(candidate => candidate.id === id);
+            if (!entry) return null;
+            const fingerprint = entry.network && entry.network.fingerprint;
+            const copy = fingerprint ? entries.find(candidate => candidate.networkData && candidate.network.fingerprint === fingerprint) : null;
+            return { ...describe(entry), networkData: copy ? copy.networkData : null };
+        }
+    };
+};
+
+module.exports = {
+    AUDIT_EVENTS,
+    NETWORK_SOURCES,
+    MAX_QUERY_LIMIT,
+    validateEntry,
+    parseQuery,
+    createAuditLog
+};
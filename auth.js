@@ -0,0 +1,401 @@
+#!/usr/bin/env node
+// =========================================================
+// Authentication, Sessions and Roles
+// =========================================================
+// Users live in a local JSON file (USERS_FILE, default ./users.json) with scrypt-hashed passwords.
+// Sessions are kept in memory and carried by an HttpOnly cookie, so restarting the server logs everyone out.
+// Create the first account with: echo '<password>' | node auth.js add-user <username> analyst
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const express = require('express');
+const { ApiError } = require('./api');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['viewer', 'analyst'];
+// viewers run scenarios; analysts can also upload network data, manage users, read everyone's audit trail
+// and rename or delete anyone's library items (curate)
+const PERMISSIONS = {
+    viewer: ['run'],
+    analyst: ['run', 'upload', 'manage-users', 'audit', 'curate']
+};
+
+const DEFAULT_USERS_FILE = path.join(__dirname, 'users.json');
+const SESSION_COOKIE = 'sid';
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000; // idle timeout
+const MIN_PASSWORD_LENGTH = 10;
+const MAX_LOGIN_FAILURES = 5; // per address and username
+const MAX_USERNAME_FAILURES = 20; // per username, from any address
+const LOCKOUT_MS = 15 * 60 * 1000;
+const MAX_TRACKED_FAILURES = 10000; // keys kept per failure log
+const KEY_LENGTH = 64;
+const USERNAME_PATTERN = /^[A-Za-z0-9._@-]{3,64}$/;
+
+// ----------------------
+// Password hashing
+// ----------------------
+
+/**
+ * Hashes a password as "scrypt$<salt>$<key>" (base64).
+ */
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('base64')}$${key.toString('base64')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+    const [scheme, salt, key] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !key) return false;
+    const expected = Buffer.from(key, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+};
+
+// Compared against when the username is unknown, so failed logins take the same time either way
+const DUMMY_HASH = `scrypt$${Buffer.alloc(16).toString('base64')}$${Buffer.alloc(KEY_LENGTH).toString('base64')}`;
+
+/**
+ * Checks a user record from a request. With `partial`, missing fields are allowed (updates).
+ * Returns a list of error messages (empty when valid).
+ */
+const validateUser = ({ username, password, role } = {}, { partial = false } = {}) => {
+    const errors = [];
+    if (!partial && (typeof username !== 'string' || !USERNAME_PATTERN.test(username))) {
+        errors.push('"username" must be 3-64 letters, digits or . _ @ -');
+    }
+    if ((!partial || password !== undefined) && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+        errors.push(`"password" must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    }
+    if ((!partial || role !== undefined) && !ROLES.includes(role)) {
+        errors.push(`"role" must be one of: ${ROLES.join(', ')}.`);
+    }
+    return errors;
+};
+
+// ----------------------
+// User store (local JSON file)
+// ----------------------
+
+const createUserStore = (file = DEFAULT_USERS_FILE) => {
+    const load = () => {
+        if (!fs.existsSync(file)) return [];
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return Array.isArray(data.users) ? data.users : [];
+    };
+    let users = load();
+
+    const save = () => {
+        fs.writeFileSync(file, JSON.stringify({ users }, null, 2) + '\n', { mode: 0o600 });
+    };
+
+    const describe = ({ username, role, createdAt }) => ({ username, role, createdAt });
+
+    return {
+        file,
+        list: () => users.map(describe),
+        find: (username) => users.find(user => user.username === username) || null,
+        analystCount: () => users.filter(user => user.role === 'analyst').length,
+
+        async add({ username, password, role }) {
+            if (users.some(user => user.username === username)) throw new ApiError(409, `User "${username}" already exists`);
+            const user = { username, role, passwordHash: await hashPassword(password), createdAt: new Date().toISOString() };
+            users.push(user);
+            save();
+            return describe(user);
+        },
+
+        async update(username, { password, role }) {
+            const user = users.find(candidate => candidate.username === username);
+            if (!user) throw new ApiError(404, `User "${username}" not found`);
+            if (role !== undefined) user.role = role;
+            if (password !== undefined) user.passwordHash = await hashPassword(password);
+            save();
+            return describe(user);
+        },
+
+        remove(username) {
+            const before = users.length;
+            users = users.filter(user => user.username !== username);
+            if (users.length === before) throw new ApiError(404, `User "${username}" not found`);
+            save();
+        }
+    };
+};
+
+// ----------------------
+// Failed logins
+// ----------------------
+
+/**
+ * Counts failed logins per key for LOCKOUT_MS from the first failure. Expired entries are dropped, and once `limit`
+ * keys are tracked the one that failed longest ago makes way, so a flood of made-up usernames cannot exhaust memory.
+ */
+const createFailureLog = (limit = MAX_TRACKED_FAILURES) => {
+    const entries = new Map(); // key -> { count, resetAt }, least recently failed first
+
+    const current = (key) => {
+        const entry = entries.get(key);
+        if (entry && entry.resetAt <= Date.now()) entries.delete(key);
+        return entries.get(key) || null;
+    };
+
+    const makeRoom = () => {
+        const now = Date.now();
+        entries.forEach((entry, key) => {
+            if (entry.resetAt <= now) entries.delete(key);
+        });
+        while (entries.size >= limit) entries.delete(entries.keys().next().value);
+    };
+
+    return {
+        count: (key) => (current(key) || { count: 0 }).count,
+
+        add(key) {
+            const entry = current(key) || { count: 0, resetAt: Date.now() + LOCKOUT_MS };
+            entries.delete(key);
+            if (entries.size >= limit) makeRoom();
+            entries.set(key, { ...entry, count: entry.count + 1 });
+        },
+
+        delete: (key) => entries.delete(key),
+        get size() {
+            return entries.size;
+        }
+    };
+};
+
+// ----------------------
+// Sessions and middleware
+// ----------------------
+
+// A cookie whose value is not valid percent-encoding is skipped, not an error
+const decodeCookie = (value) => {
+    try {
+        return decodeURIComponent(value);
+    } catch (err) {
+        return null;
+    }
+};
+
+const parseCookies = (header = '') => Object.fromEntries(header.split(';')
+    .map(part => part.trim())
+    .filter(part => part.includes('='))
+    .map(part => {
+        const index = part.indexOf('=');
+        return [part.slice(0, index), decodeCookie(part.slice(index + 1))];
+    })
+    .filter(([, value]) => value !== null));
+
+/**
+ * Builds the login machinery for server.js:
+ *   router        /login, /logout, /me and analyst-only /users routes (mount under /api/auth)
+ *   requireLogin  API middleware: 401 without a valid session, sets req.user = { username, role }
+ *   requirePage   page middleware: redirects to the login page without a valid session
+ *   authorize     (req, permission) => throws a 403 ApiError unless req.user's role grants it
+ */
+const createAuth = ({ usersFile = process.env.USERS_FILE || DEFAULT_USERS_FILE, loginPage = '/' } = {}) => {
+    const users = createUserStore(usersFile);
+    const sessions = new Map(); // token -> { username, expiresAt }
+    const failures = createFailureLog(); // "ip|username" -> failed logins
+    const usernameFailures = createFailureLog(); // username -> failed logins from any address
+
+    const cookieOptions = (req, maxAgeSeconds) => [
+        'Path=/',
+        'HttpOnly',
+        'SameSite=Strict',
+        `Max-Age=${maxAgeSeconds}`,
+        ...(req.secure ? ['Secure'] : [])
+    ].join('; ');
+
+    // The current user for a request, or null. Roles are looked up afresh so changes apply immediately.
+    const sessionUser = (req) => {
+        const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        const session = token && sessions.get(token);
+        if (!session) return null;
+        const user = users.find(session.username);
+        if (!user || session.expiresAt < Date.now()) {
+            sessions.delete(token);
+            return null;
+        }
+        session.expiresAt = Date.now() + SESSION_TTL_MS;
+        return { username: user.username, role: user.role };
+    };
+
+    const endSessions = (username) => {
+        sessions.forEach((session, token) => {
+            if (session.username === username) sessions.delete(token);
+        });
+    };
+
+    const requireLogin = (req, res, next) => {
+        req.user = sessionUser(req);
+        if (!req.user) throw new ApiError(401, 'Login required');
+        next();
+    };
+
+    const requirePage = (req, res, next) => {
+        req.user = sessionUser(req);
+        if (!req.user) return res.redirect(loginPage);
+        next();
+    };
+
+    const can = (user, permission) => Boolean(user && (PERMISSIONS[user.role] || []).includes(permission));
+
+    const authorize = (req, permission) => {
+        if (!can(req.user, permission)) throw new ApiError(403, `Your role (${req.user ? req.user.role : 'none'}) is not allowed to ${permission.replace('-', ' ')}`);
+    };
+
+    const router = express.Router();
+
+    // POST /api/auth/login  { username, password }  -> sets the session cookie
+    router.post('/login', async (req, res) => {
+        const { username, password } = req.body || {};
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            throw new ApiError(400, 'Invalid request', ['"username" and "password" are required.']);
+        }
+
+        const key = `${req.ip}|${username}`;
+        if (failures.count(key) >= MAX_LOGIN_FAILURES || usernameFailures.count(username) >= MAX_USERNAME_FAILURES) {
+            throw new ApiError(429, 'Too many failed logins; try again later');
+        }
+
+        const user = users.find(username);
+        const valid = await verifyPassword(password, user ? user.passwordHash : DUMMY_HASH);
+        if (!user || !valid) {
+            failures.add(key);
+            usernameFailures.add(username);
+            throw new ApiError(401, 'Invalid username or password');
+        }
+
+        failures.delete(key);
+        const token = crypto.randomBytes(32).toString('base64url');
+        sessions.set(token, { username: user.username, expiresAt: Date.now() + SESSION_TTL_MS });
+        res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${token}; ${cookieOptions(req, SESSION_TTL_MS / 1000)}`);
+        res.json({ username: user.username, role: user.role, permissions: PERMISSIONS[user.role] });
+    });
+
+    router.post('/logout', (req, res) => {
+        const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        if (token) sessions.delete(token);
+        res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; ${cookieOptions(req, 0)}`);
+        res.status(204).end();
+    });
+
+    router.get('/me', requireLogin, (req, res) => {
+        res.json({ ...req.user, permissions: PERMISSIONS[req.user.role] });
+    });
+
+    // User management (analysts only)
+    const manageUsers = (req, res, next) => {
+        authorize(req, 'manage-users');
+        next();
+    };
+
+    router.get('/users', requireLogin, manageUsers, (req, res) => {
+        res.json({ users: users.list() });
+    });
+
+    // POST /api/auth/users  { username, password, role }
+    router.post('/users', requireLogin, manageUsers, async (req, res) => {
+        const body = req.body || {};
+        const errors = validateUser(body);
+        if (errors.length) throw new ApiError(400, 'Invalid request', errors);
+        res.status(201).json(await users.add(body));
+    });
+
+    // PATCH /api/auth/users/:username  { password?, role? }  -> changing either ends the user's sessions
+    router.patch('/users/:username', requireLogin, manageUsers, async (req, res) => {
+        const body = req.body || {};
+        const errors = validateUser(body, { partial: true });
+        if (errors.length) throw new ApiError(400, 'Invalid request', errors);
+        const user = users.find(req.params.username);
+        if (user && user.role === 'analyst' && body.role === 'viewer' && users.analystCount() === 1) {
+            throw new ApiError(409, 'Cannot demote the last analyst');
+        }
+        const updated = await users.update(req.params.username, { password: body.password, role: body.role });
+        if (req.params.username !== req.user.username) endSessions(req.params.username);
+        res.json(updated);
+    });
+
+    router.delete('/users/:username', requireLogin, manageUsers, (req, res) => {
+        if (req.params.username === req.user.username) throw new ApiError(409, 'You cannot delete your own account');
+        users.remove(req.params.username);
+        endSessions(req.params.username);
+        res.status(204).end();
+    });
+
+    return { users, router, requireLogin, requirePage, authorize, can };
+};
+
+// ----------------------
+// Command line: account setup without a running server
+// ----------------------
+
+const USAGE = `Usage (the password is read from the first line of stdin):
+  node auth.js add-user <username> <${ROLES.join('|')}>
+  node auth.js set-password <username>
+  node auth.js set-role <username> <${ROLES.join('|')}>
+  node auth.js remove-user <username>
+  node auth.js list-users
+Users are stored in ${path.relative(process.cwd(), DEFAULT_USERS_FILE) || 'users.json'} (override with USERS_FILE).`;
+
+const readPassword = () => fs.readFileSync(0, 'utf8').split(/\r?\n/)[0];
+
+const main = async () => {
+    const [command, username, role] = process.argv.slice(2);
+    const users = createUserStore(process.env.USERS_FILE || DEFAULT_USERS_FILE);
+    const fail = (errors) => {
+        throw new Error(errors.join('\n'));
+    };
+
+    if (command === 'add-user') {
+        const record = { username, role, password: readPassword() };
+        const errors = validateUser(record);
+        if (errors.length) fail(errors);
+        await users.add(record);
+        console.log(`Added ${role} "${username}".`);
+    } else if (command === 'set-password') {
+        const password = readPassword();
+        const errors = validateUser({ password }, { partial: true });
+        if (errors.length) fail(errors);
+        await users.update(username, { password });
+        console.log(`Password changed for "${username}".`);
+    } else if (command === 'set-role') {
+        const errors = validateUser({ role }, { partial: true });
+        if (errors.length) fail(errors);
+        await users.update(username, { role });
+        console.log(`"${username}" is now a ${role}.`);
+    } else if (command === 'remove-user') {
+        users.remove(username);
+        console.log(`Removed "${username}".`);
+    } else if (command === 'list-users') {
+        users.list().forEach(user => console.log(`${user.username}\t${user.role}\t${user.createdAt}`));
+    } else {
+        console.log(USAGE);
+    }
+};
+
+if (require.main === module) {
+    main().catch(err => {
+        console.error(`Error: ${err.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    SESSION_COOKIE,
+    MIN_PASSWORD_LENGTH,
+    MAX_LOGIN_FAILURES,
+    MAX_USERNAME_FAILURES,
+    hashPassword,
+    verifyPassword,
+    validateUser,
+    createUserStore,
+    createFailureLog,
+    createAuth
+};
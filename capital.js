@@ -0,0 +1,220 @@
+// =========================================================
+// Regulatory Capital (risk-weighted assets, CET1 and leverage ratios, triggers)
+// =========================================================
+// Works out each bank's CET1 and leverage ratios before and after a stress test and the regulatory minimums they
+// breach. Given a rule set, it also decides failure and stress by those breaches, round by round during contagion,
+// instead of the contagion models' default DebtRank cut-offs. Works in the browser (`window.CapitalRules`) and Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CapitalRules = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, () => {
+    'use strict';
+
+    const CAPITAL_TRIGGERS = ['min-cet1', 'buffer', 'min-leverage'];
+    const TRIGGER_LABELS = {
+        'min-cet1': 'below minimum CET1',
+        'buffer': 'inside the combined buffer',
+        'min-leverage': 'below minimum leverage'
+    };
+
+    // Basel III minimums; buffers add to the CET1 requirement
+    const CAPITAL_DEFAULTS = {
+        minCet1: 0.045,
+        conservationBuffer: 0.025,
+        countercyclicalBuffer: 0,
+        systemicBuffer: 0,
+        minLeverage: 0.03,
+        failWhen: ['min-cet1'],
+        stressWhen: ['buffer', 'min-leverage'],
+        failedRank: 0.9999,
+        stressedRank: 0.4,
+        shockStressedRank: 0.5
+    };
+    const RULE_PARAMS = ['minCet1', 'conservationBuffer', 'countercyclicalBuffer', 'systemicBuffer', 'minLeverage', 'failedRank', 'stressedRank', 'shockStressedRank'];
+
+    // Risk weights for banks without reported RWA: interbank claims as exposures to banks, external assets by
+    // asset class (an asset class may set its own `riskWeight`), else at 100%
+    const INTERBANK_RISK_WEIGHT = 0.2;
+    const EXTERNAL_RISK_WEIGHT = 1;
+    const ASSET_CLASS_RISK_WEIGHTS = { 'gsec': 0, 'corporate-bonds': 1, 'equities': 2.5, 'loans': 1 };
+
+    /**
+     * Fills in defaults for a rule set. `false`/`null`/`undefined` leave failure and stress to the contagion model
+     * (returns null); `true` or an object apply the rules:
+     *   minCet1, conservationBuffer, countercyclicalBuffer, systemicBuffer   CET1 ratio minimum and buffers (shares of RWA)
+     *   minLeverage                                                          minimum CET1 / total assets
+     *   failWhen, stressWhen    the breaches (of CAPITAL_TRIGGERS) that make a bank fail or count as stressed
+     *   failedRank, stressedRank  DebtRank at which a bank fails or is stressed whatever its ratios
+     *   shockStressedRank       the stress threshold straight after the shock, before contagion
+     */
+    const normalizeCapitalRules = (spec) => {
+        if (!spec) return null;
+        const options = spec === true ? {} : spec;
+        const rules = {};
+        RULE_PARAMS.forEach(key => {
+            rules[key] = options[key] !== undefined ? Number(options[key]) : CAPITAL_DEFAULTS[key];
+        });
+        rules.failWhen = (options.failWhen || CAPITAL_DEFAULTS.failWhen).slice();
+        rules.stressWhen = (options.stressWhen || CAPITAL_DEFAULTS.stressWhen).slice();
+        return rules;
+    };
+
+    const validateCapitalRules = (spec) => {
+        if (spec === undefined || spec === null || typeof spec === 'boolean') return [];
+        if (typeof spec !== 'object' || Array.isArray(spec)) return ['"capitalRules" must be a boolean or an object.'];
+        const errors = RULE_PARAMS
+            .filter(key => spec[key] !== undefined && (typeof spec[key] !== 'number' || spec[key] < 0 || spec[key] > 1))
+            .map(key => `"capitalRules.${key}" must be a number between 0 and 1.`);
+        ['failWhen', 'stressWhen'].forEach(key => {
+            if (spec[key] !== undefined && (!Array.isArray(spec[key]) || !spec[key].every(trigger => CAPITAL_TRIGGERS.includes(trigger)))) {
+                errors.push(`"capitalRules.${key}" must be an array of: ${CAPITAL_TRIGGERS.join(', ')}.`);
+            }
+        });
+        return errors;
+    };
+
+    const combinedBuffer = (rules) => rules.conservationBuffer + rules.countercyclicalBuffer + rules.systemicBuffer;
+
+    const percent = (value) => `${+(value * 100).toFixed(2)}%`;
+
+    const describeCapitalRules = (spec) => {
+        const rules = normalizeCapitalRules(spec);
+        if (!rules) return 'off';
+        const triggers = (list) => (list.length ? list.map(trigger => TRIGGER_LABELS[trigger]).join(' or ') : 'never');
+        return `CET1 ≥ ${percent(rules.minCet1)} + ${percent(combinedBuffer(rules))} buffers, leverage ≥ ${percent(rules.minLeverage)}; `
+            + `fail when ${triggers(rules.failWhen)}, stressed when ${triggers(rules.stressWhen)}`;
+    };
+
+    const riskWeight = (assetClass) => {
+        if (typeof assetClass.riskWeight === 'number') return assetClass.riskWeight;
+        return ASSET_CLASS_RISK_WEIGHTS[assetClass.id] !== undefined ? ASSET_CLASS_RISK_WEIGHTS[assetClass.id] : EXTERNAL_RISK_WEIGHT;
+    };
+
+    /**
+     * A bank's pre-shock risk-weighted assets: its reported `RWA`, else worked out from the risk weights above.
+     */
+    const riskWeightedAssets = (node, assetClasses) => {
+        if (typeof node.RWA === 'number' && node.RWA > 0) return node.RWA;
+        const interbank = INTERBANK_RISK_WEIGHT * Math.max(0, node.A_interbank);
+        if (node.holdings && assetClasses && node.holdings.length === assetClasses.length) {
+            return interbank + node.holdings.reduce((sum, amount, k) => sum + amount * riskWeight(assetClasses[k]), 0);
+        }
+        return interbank + EXTERNAL_RISK_WEIGHT * Math.max(0, node.A_external);
+    };
+
+    /**
+     * CET1 (capital / RWA) and leverage (capital / total assets) ratios before and after the stress test, null when
+     * the base is zero. Losses are written off assets, and RWA shrinks in proportion to total assets.
+     */
+    const capitalRatios = (node, rwa) => {
+        const capital = Math.max(0, node.E);
+        const assetsAfter = Math.max(0, node.A - (node.E_initial - capital));
+        const rwaAfter = node.A > 0 ? rwa * (assetsAfter / node.A) : 0;
+        const ratio = (amount, base) => (base > 0 ? amount / base : null);
+        return {
+            cet1Before: ratio(node.E_initial, rwa),
+            cet1After: ratio(capital, rwaAfter),
+            leverageBefore: ratio(node.E_initial, node.A),
+            leverageAfter: ratio(capital, assetsAfter)
+        };
+    };
+
+    // The triggers a pair of ratios breaches, in CAPITAL_TRIGGERS order
+    const breachesOf = (cet1, leverage, rules) => {
+        const breaches = [];
+        if (cet1 !== null && cet1 < rules.minCet1) breaches.push('min-cet1');
+        if (cet1 !== null && cet1 < rules.minCet1 + combinedBuffer(rules)) breaches.push('buffer');
+        if (leverage !== null && leverage < rules.minLeverage) breaches.push('min-leverage');
+        return breaches;
+    };
+
+    /**
+     * Failure and stress under the rules: a bank fails when insolvent, at `failedRank` or on a `failWhen` breach
+     * (`failedBy` says which: 'insolvency', 'distress' or the trigger) and is stressed above `stressedRank` or on a
+     * `stressWhen` breach.
+     */
+    const classifyBank = (node, breaches, rules) => {
+        const trigger = breaches.find(breach => rules.failWhen.includes(breach));
+        if (node.E <= 0 || node.debtRank >= rules.failedRank || trigger) {
+            node.isFailed = true;
+            node.stressLevel = 2;
+            node.failedBy = node.E <= 0 ? 'insolvency' : (node.debtRank >= rules.failedRank ? 'distress' : trigger);
+        } else {
+            node.isFailed = false;
+            node.stressLevel = node.debtRank > rules.stressedRank || breaches.some(breach => rules.stressWhen.includes(breach)) ? 1 : 0;
+            node.failedBy = null;
+        }
+    };
+
+    /**
+     * The status rule contagion runs with under `spec` (null without rules, leaving it to the contagion model):
+     *   shocked(node)    status straight after the shock, from its capital (stressed above `shockStressedRank`)
+     *   classify(node)   status during contagion (see ContagionModels.runModel). Failure is final, and a failed
+     *                    bank's remaining capital is written off, so a bank failed on a trigger passes on losses
+     *                    like a defaulted one.
+     */
+    const createStatusRule = (spec, { assetClasses } = {}) => {
+        const rules = normalizeCapitalRules(spec);
+        if (!rules) return null;
+        const shockRules = { ...rules, stressedRank: rules.shockStressedRank };
+        const breachesNow = (node) => {
+            const ratios = capitalRatios(node, riskWeightedAssets(node, assetClasses));
+            return breachesOf(ratios.cet1After, ratios.leverageAfter, rules);
+        };
+
+        return {
+            shocked: (node) => {
+                node.debtRank = node.E > 0 && node.E_initial > 0 ? Math.min(Math.max(1 - node.E / node.E_initial, 0), 1) : 1;
+                classifyBank(node, breachesNow(node), shockRules);
+                if (node.isFailed) node.debtRank = 1;
+            },
+            classify: (node) => {
+                if (!node.isFailed || !node.failedBy) classifyBank(node, breachesNow(node), rules);
+                if (node.isFailed) {
+                    node.E = 0;
+                    node.debtRank = 1;
+                }
+            }
+        };
+    };
+
+    /**
+     * Annotates the stress-test nodes (ordered by id) with `RWA_used`, their ratios (see capitalRatios) and the
+     * triggers breached before and after (`breachesBefore`, `breachesAfter`), checked against `spec` or, without
+     * one, the default minimums. Failure and stress are left as contagion decided them (see createStatusRule).
+     * Returns { breaches: count of banks per trigger after the stress test, regulatoryFailures: banks failed on a
+     * trigger rather than insolvency or distress }.
+     */
+    const applyCapitalRules = (nodes, spec, { assetClasses } = {}) => {
+        const thresholds = normalizeCapitalRules(spec) || CAPITAL_DEFAULTS;
+
+        nodes.forEach(node => {
+            const rwa = riskWeightedAssets(node, assetClasses);
+            Object.assign(node, capitalRatios(node, rwa));
+            node.RWA_used = rwa;
+            node.breachesBefore = breachesOf(node.cet1Before, node.leverageBefore, thresholds);
+            node.breachesAfter = breachesOf(node.cet1After, node.leverageAfter, thresholds);
+        });
+
+        const breaches = Object.fromEntries(CAPITAL_TRIGGERS.map(trigger => [trigger, nodes.filter(node => node.breachesAfter.includes(trigger)).length]));
+        return { breaches, regulatoryFailures: nodes.filter(node => node.isFailed && CAPITAL_TRIGGERS.includes(node.failedBy)).length };
+    };
+
+    return {
+        CAPITAL_TRIGGERS,
+        TRIGGER_LABELS,
+        CAPITAL_DEFAULTS,
+        INTERBANK_RISK_WEIGHT,
+        ASSET_CLASS_RISK_WEIGHTS,
+        normalizeCapitalRules,
+        validateCapitalRules,
+        describeCapitalRules,
+        riskWeightedAssets,
+        capitalRatios,
+        createStatusRule,
+        applyCapitalRules
+    };
+});
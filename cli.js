@@ -0,0 +1,295 @@
+#!/usr/bin/env node
+// =========================================================
+// Batch Stress-Test Runner (same engine as the browser UI)
+// =========================================================
+const fs = require('fs');
+const path = require('path');
+const DebtRankEngine = require('./engine');
+const NetworkImporter = require('./importer');
+const ResultExporter = require('./exporter');
+const MonteCarlo = require('./montecarlo');
+
+const USAGE = `Usage:
+  node cli.js --network <network.json> --scenario <scenario.json> [--out <results.csv|results.json>]
+  node cli.js --balance-sheets <banks.csv> --exposures <exposures.csv> --scenario <scenario.json> [--out ...]
+  node cli.js --network <network.json> --systemic-importance [--model <type>] [--out <ranking.csv|ranking.json>]
+  node cli.js --generate [--n 50] [--topology random|erdos-renyi|barabasi-albert|core-periphery|fitness]
+              [--assetsMin 1000] [--assetsMax 5000] [--capitalRatioMin 0.08] [--capitalRatioMax 0.15]
+              [--avgDegree 2.5] [--m 2] [--coreSize 5] [--layers 1-4] [--seed <seed>] --out <network.json>
+
+Monte Carlo (with --network or --balance-sheets/--exposures and --scenario):
+  --monte-carlo <runs>         repeat each scenario <runs> times with fresh shock draws
+  --resample                   also regenerate the network for every run (generated networks only)
+  --macro-volatility <sd>      draw macro loss factors from N(lossFactor, sd)
+
+--fire-sale adds the fire-sale channel (asset sales and price impact) to scenarios that do not set "fireSale".
+--periods <n> runs scenarios that do not set "liquidity" over <n> funding periods (withdrawals of short-term
+interbank funding, liquidity failures); results then list solvency and liquidity failures per period.
+--capital-rules makes scenarios that do not set "capitalRules" fail and stress banks on regulatory triggers
+(below minimum CET1 fails, inside the buffers or below minimum leverage is stressed) instead of DebtRank cut-offs.
+--layers splits generated exposures into unsecured loans, repo, derivatives and equity cross-holdings, each with its
+own recovery rate; an exposures file with a "layer" column is imported the same way. Runs on a layered network report
+the interbank loss per layer (CSV: one "loss:<layer>" column each).
+
+Policy interventions:
+  scenarios may list "interventions" (capital, bail-in, exposure-cap, ring-fence); results then report
+  the loss and failures avoided against the same shock without them
+  --cheapest-injection <maxFailures>  instead of running the scenarios, search for cheap capital injections
+                                      that keep each scenario's failures at or below <maxFailures>
+  --when before|during                when those injections happen (default: during, after the shock)
+
+--seed fixes the network generator, or the random-shock draws when running scenarios
+(default: the seed stored in the network file).
+
+A scenario file holds one scenario or an array of them, each either a bare shock spec
+({ "type": "macro", "lossFactor": 0.2 }) or { "name": "...", "shock": { ... }, "model": { ... }, "fireSale": { ... }, "interventions": [ ... ], "liquidity": { ... }, "capitalRules": { ... } }.
+--model sets the contagion model for scenarios that do not name one
+(${DebtRankEngine.MODEL_TYPES.join(', ')}; default debtrank).
+Results are written as CSV or JSON depending on the --out extension (JSON to stdout if omitted).
+In Monte Carlo mode the CSV holds each bank's default probability, in injection-search mode the injections found.`;
+
+const RESULT_COLUMNS = ['scenario', 'model', ...ResultExporter.RESULT_COLUMNS];
+const MONTE_CARLO_COLUMNS = ['scenario', 'model', 'id', 'name', 'defaultProbability'];
+const IMPORTANCE_COLUMNS = ['rank', 'id', 'name', 'impact', 'impactShare', 'failuresCaused'];
+const INJECTION_COLUMNS = ['scenario', 'model', 'id', 'name', 'amount'];
+
+const parseArgs = (argv) => {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) throw new Error(`Unexpected argument "${arg}".`);
+        const key = arg.slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[key] = true;
+        } else {
+            args[key] = next;
+            i++;
+        }
+    }
+    return args;
+};
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+const importNetwork = (balanceSheetFile, exposureFile) => {
+    const { network, errors } = NetworkImporter.importNetwork({
+        balanceSheets: fs.readFileSync(balanceSheetFile, 'utf8'),
+        exposures: fs.readFileSync(exposureFile, 'utf8')
+    });
+    if (errors.length) {
+        throw new Error(`Import failed with ${errors.length} error(s):\n  ${errors.map(NetworkImporter.formatError).join('\n  ')}`);
+    }
+    return network;
+};
+
+// The errors in a scenario's shock, model and fire-sale settings (as the API checks them)
+const scenarioErrors = (network, shock, { model, fireSale }) => [
+    ...DebtRankEngine.validateShock(shock, network.nodes.length),
+    ...DebtRankEngine.validateModel(model),
+    ...DebtRankEngine.validateFireSale(fireSale)
+];
+
+const runScenarios = (network, scenarios, { seed, model, fireSale, liquidity, capitalRules }) => scenarios.map((scenario, index) => {
+    const shock = scenario.shock || scenario;
+    const name = scenario.name || `scenario-${index + 1}`;
+    const options = {
+        seed: scenario.seed !== undefined ? scenario.seed : seed,
+        model: scenario.model !== undefined ? scenario.model : model,
+        fireSale: scenario.fireSale !== undefined ? scenario.fireSale : fireSale,
+        interventions: scenario.interventions,
+        liquidity: scenario.liquidity !== undefined ? scenario.liquidity : liquidity,
+        capitalRules: scenario.capitalRules !== undefined ? scenario.capitalRules : capitalRules
+    };
+    const errors = [
+        ...scenarioErrors(network, shock, options),
+        ...DebtRankEngine.validateInterventions(scenario.interventions, network.nodes.length),
+        ...DebtRankEngine.validateLiquidity(options.liquidity),
+        ...DebtRankEngine.validateCapitalRules(options.capitalRules)
+    ];
+    if (errors.length) throw new Error(`${name}: ${errors.join(' ')}`);
+    const result = DebtRankEngine.runSimulation(network, shock, options);
+    return {
+        scenario: name,
+        shock: result.shock,
+        model: result.model,
+        fireSale: result.fireSale || null,
+        interventions: result.interventions || null,
+        liquidity: result.liquidity || null,
+        capitalRules: result.capitalRules || null,
+        layers: result.layers || null,
+        seed: result.seed,
+        iterations: result.iterations,
+        summary: result.summary,
+        banks: DebtRankEngine.resultRows(result.nodes)
+    };
+});
+
+const runMonteCarloScenarios = (network, scenarios, options) => scenarios.map((scenario, index) => {
+    const name = scenario.name || `scenario-${index + 1}`;
+    const runOptions = {
+        ...options,
+        shock: scenario.shock || scenario,
+        seed: scenario.seed !== undefined ? scenario.seed : options.seed,
+        model: scenario.model !== undefined ? scenario.model : options.model,
+        fireSale: scenario.fireSale !== undefined ? scenario.fireSale : options.fireSale
+    };
+    const errors = scenarioErrors(network, runOptions.shock, runOptions);
+    if (errors.length) throw new Error(`${name}: ${errors.join(' ')}`);
+    return { scenario: name, ...MonteCarlo.runMonteCarlo(network, runOptions) };
+});
+
+const searchInjections = (network, scenarios, options) => scenarios.map((scenario, index) => {
+    const name = scenario.name || `scenario-${index + 1}`;
+    const shock = scenario.shock || scenario;
+    const model = scenario.model !== undefined ? scenario.model : options.model;
+    const fireSale = scenario.fireSale !== undefined ? scenario.fireSale : options.fireSale;
+    const errors = scenarioErrors(network, shock, { model, fireSale });
+    if (errors.length) throw new Error(`${name}: ${errors.join(' ')}`);
+    const result = DebtRankEngine.cheapestInjection(network, shock, {
+        ...options,
+        seed: scenario.seed !== undefined ? scenario.seed : options.seed,
+        model,
+        fireSale
+    });
+    return { scenario: name, model: DebtRankEngine.normalizeModel(model), ...result };
+});
+
+const writeOutput = (out, data, csvRows, columns = RESULT_COLUMNS) => {
+    if (!out) {
+        process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+    } else if (path.extname(out).toLowerCase() === '.csv') {
+        fs.writeFileSync(out, ResultExporter.toCsv(csvRows, columns));
+    } else {
+        fs.writeFileSync(out, JSON.stringify(data, null, 2) + '\n');
+    }
+};
+
+const main = () => {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (args.generate) {
+        const options = {};
+        DebtRankEngine.GENERATION_PARAMS.forEach(key => {
+            if (args[key] !== undefined) options[key] = key === 'topology' ? args[key] : Number(args[key]);
+        });
+        const errors = DebtRankEngine.validateGenerationOptions(options);
+        if (errors.length) throw new Error(errors.join('\n'));
+        const network = DebtRankEngine.serializeNetwork(DebtRankEngine.generateNetwork({ ...options, seed: args.seed }));
+        writeOutput(args.out, network);
+        return;
+    }
+
+    const hasImport = args['balance-sheets'] && args.exposures;
+    if ((args.network || hasImport) && args['systemic-importance']) {
+        const network = args.network ? DebtRankEngine.loadNetwork(readJson(args.network)) : importNetwork(args['balance-sheets'], args.exposures);
+        const errors = DebtRankEngine.validateModel(args.model);
+        if (errors.length) throw new Error(errors.join('\n'));
+
+        const ranking = DebtRankEngine.systemicImportance(network, { model: args.model, fireSale: Boolean(args['fire-sale']) }).sort((a, b) => a.rank - b.rank);
+        writeOutput(args.out, ranking, ranking, IMPORTANCE_COLUMNS);
+        ranking.slice(0, 5).forEach(({ rank, name, impactShare, failuresCaused }) => {
+            console.error(`#${rank} ${name}: ${(impactShare * 100).toFixed(2)}% of the rest of the system lost, ${failuresCaused} other failure(s)`);
+        });
+        return;
+    }
+
+    if (!(args.network || hasImport) || !args.scenario) {
+        throw new Error(`--scenario and either --network or --balance-sheets/--exposures are required.\n\n${USAGE}`);
+    }
+
+    const network = args.network ? DebtRankEngine.loadNetwork(readJson(args.network)) : importNetwork(args['balance-sheets'], args.exposures);
+    const scenarioData = readJson(args.scenario);
+    const scenarios = Array.isArray(scenarioData) ? scenarioData : [scenarioData];
+
+    if (args['monte-carlo'] !== undefined) {
+        const options = {
+            runs: Number(args['monte-carlo']),
+            resampleNetwork: Boolean(args.resample),
+            macroVolatility: args['macro-volatility'] === undefined ? undefined : Number(args['macro-volatility']),
+            seed: args.seed !== undefined ? args.seed : network.parameters.seed,
+            model: args.model,
+            fireSale: Boolean(args['fire-sale'])
+        };
+        const errors = MonteCarlo.validateOptions(options);
+        if (errors.length) throw new Error(errors.join('\n'));
+
+        const results = runMonteCarloScenarios(network, scenarios, options);
+        const csvRows = results.flatMap(result => network.nodes.map(node => ({
+            scenario: result.scenario,
+            model: result.model.type,
+            id: node.id,
+            name: node.name,
+            defaultProbability: result.defaultProbability[node.id]
+        })));
+        writeOutput(args.out, results, csvRows, MONTE_CARLO_COLUMNS);
+
+        results.forEach(({ scenario, model, runs, stats }) => {
+            const level = MonteCarlo.DEFAULT_LEVELS[0];
+            console.error(`${scenario} [${model.type}], ${runs} runs: mean CI ${stats.contagionIndex.mean.toFixed(2)}%, `
+                + `VaR${level * 100} capital lost ${stats.totalLoss.var[level].toFixed(2)}, ES${level * 100} ${stats.totalLoss.es[level].toFixed(2)}`);
+        });
+        return;
+    }
+
+    if (args['cheapest-injection'] !== undefined) {
+        const options = {
+            maxFailures: Number(args['cheapest-injection']),
+            when: args.when,
+            seed: args.seed,
+            model: args.model,
+            fireSale: Boolean(args['fire-sale'])
+        };
+        const errors = DebtRankEngine.validateInjectionSearch(options, network.nodes.length);
+        if (errors.length) throw new Error(errors.join('\n'));
+
+        const results = searchInjections(network, scenarios, options);
+        const csvRows = results.flatMap(result => result.injections.map(injection => ({ scenario: result.scenario, model: result.model.type, ...injection })));
+        writeOutput(args.out, results, csvRows, INJECTION_COLUMNS);
+
+        results.forEach(({ scenario, model, reached, injections, cost, baseline, summary }) => {
+            console.error(`${scenario} [${model.type}]: ${baseline.failures} -> ${summary.failures} failures with ${injections.length} injection(s) costing ${cost.toFixed(2)}`
+                + (reached ? '' : ' (target not reached)'));
+        });
+        return;
+    }
+
+    const liquidity = args.periods !== undefined ? { periods: Number(args.periods) } : null;
+    const results = runScenarios(network, scenarios, {
+        seed: args.seed, model: args.model, fireSale: Boolean(args['fire-sale']), liquidity, capitalRules: Boolean(args['capital-rules'])
+    });
+
+    const layerColumns = network.layers ? network.layers.map(layer => `loss:${layer.id}`) : [];
+    const csvRows = results.flatMap(result => result.banks.map(bank => ({
+        scenario: result.scenario,
+        model: result.model.type,
+        ...bank,
+        breachesAfter: bank.breachesAfter.join(' '),
+        ...(bank.layerLosses ? Object.fromEntries(Object.entries(bank.layerLosses).map(([id, loss]) => [`loss:${id}`, loss])) : {})
+    })));
+    writeOutput(args.out, results, csvRows, [...RESULT_COLUMNS, ...layerColumns]);
+
+    results.forEach(({ scenario, model, summary, interventions, liquidity: funding, capitalRules, layers }) => {
+        console.error(`${scenario} [${model.type}]: ${summary.failures}/${summary.totalInstitutions} failed, CI ${summary.contagionIndex.toFixed(2)}%, capital lost ${summary.totalLoss.toFixed(2)}`
+            + (interventions ? `; interventions avoided ${interventions.avoidedFailures} failure(s) and ${interventions.avoidedLoss.toFixed(2)} of losses` : '')
+            + (capitalRules ? `; ${capitalRules.regulatoryFailures} failed on capital triggers` : '')
+            + (layers ? `; interbank loss by layer: ${layers.map(layer => `${layer.id} ${layer.loss.toFixed(2)}`).join(', ')}` : ''));
+        if (funding) {
+            funding.timeline.forEach(({ period, solvencyFailures, liquidityFailures, withdrawn }) => {
+                console.error(`  period ${period}: ${solvencyFailures.length} insolvent, ${liquidityFailures.length} illiquid, ${withdrawn.toFixed(2)} of funding withdrawn`);
+            });
+        }
+    });
+};
+
+try {
+    main();
+} catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+}
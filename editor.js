@@ -0,0 +1,221 @@
+// =========================================================
+// Network Editing (what-if variants built by hand)
+// =========================================================
+// Edits are plain objects, applied one at a time to a network to give a new one (the original is left alone, so
+// callers can keep it for undo):
+//   { type: 'add-bank', name, A, E_initial }              - a new bank with no exposures, given the next id
+//   { type: 'remove-bank', id }                           - drops the bank and its exposures; higher ids move down one
+//   { type: 'update-bank', id, name?, A?, E_initial? }    - new balance-sheet figures (liabilities L become A - E)
+//   { type: 'set-exposure', debtor, creditor, amount, layer? }
+//                                                         - what debtor owes creditor (in the given layer of a layered
+//                                                           network, by default its first); 0 deletes the exposure
+//   { type: 'update-layer', layer, name?, recovery? }     - renames a layer or sets its recovery rate (see layers.js)
+// Total assets only change when an edit sets them: a claim added or removed moves the amount between the
+// creditor's interbank and external assets (asset-class holdings are rescaled to match). Banks whose borrowing
+// changed get L_interbank set to what they owe. A_interbank, A_external and the links are derived again as usual.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine'), require('./exposures'));
+    } else {
+        root.NetworkEditor = factory(root.DebtRankEngine, root.Exposures);
+    }
+})(typeof self !== 'undefined' ? self : this, (DebtRankEngine, Exposures) => {
+    'use strict';
+
+    const isAmount = (value) => typeof value === 'number' && Number.isFinite(value);
+    const isBankId = (network, id) => Number.isInteger(id) && id >= 0 && id < network.nodes.length;
+    const amountText = (value) => String(+value.toFixed(2));
+
+    // Balance-sheet checks shared by new and updated banks (the importer's rules, plus room for the interbank book)
+    const balanceSheetErrors = (A, E_initial, claims = 0, owed = 0) => {
+        if (!isAmount(A) || A <= 0) return ['Total assets must be a positive number.'];
+        if (!isAmount(E_initial) || E_initial <= 0) return ['Equity must be a positive number.'];
+        const errors = [];
+        if (E_initial > A) errors.push('Equity exceeds total assets.');
+        if (claims > A) errors.push(`Interbank assets (${amountText(claims)}) would exceed total assets (${amountText(A)}).`);
+        else if (owed > A - E_initial) errors.push(`Interbank liabilities (${amountText(owed)}) would exceed total liabilities (${amountText(A - E_initial)}).`);
+        return errors;
+    };
+
+    const nameErrors = (name) => (name !== undefined && (typeof name !== 'string' || !name.trim()) ? ['"name" must be a non-empty string.'] : []);
+
+    const bankName = (network, id) => DebtRankEngine.nodesById(network.nodes)[id].name;
+
+    // The layer a set-exposure edit is about (null without layers) and its exposures, else the combined ones
+    const exposureLayer = (network, layer) => {
+        if (!network.layers) return { id: null, exposures: network.exposures };
+        const k = layer === undefined ? 0 : network.layers.findIndex(({ id }) => id === layer);
+        return { id: network.layers[k].id, name: network.layers[k].name, exposures: network.layerExposures[k] };
+    };
+
+    const layerErrors = (network, layer) => {
+        if (layer === undefined) return [];
+        if (!network.layers) return ['This network has no exposure layers.'];
+        return network.layers.some(({ id }) => id === layer) ? [] : [`"layer" must be one of: ${network.layers.map(({ id }) => id).join(', ')}.`];
+    };
+
+    // Per edit type: validate(network, edit) -> errors, describe(network, edit) -> text and apply(book, edit) on the
+    // serialized network, book = { nodes, exposures (list), layers, borrowers, lenders } where the two Sets collect
+    // the nodes whose interbank liabilities or claims changed
+    const EDITS = {
+        'add-bank': {
+            validate: (network, { name, A, E_initial }) => [...nameErrors(name), ...balanceSheetErrors(A, E_initial)],
+            apply: (book, { name, A, E_initial }) => {
+                const id = book.nodes.length;
+                book.nodes.push({ id, name: name ? name.trim() : `Bank ${id + 1}`, A, E_initial, L: A - E_initial, L_interbank: 0 });
+            },
+            describe: (network, { name }) => `add ${name ? name.trim() : 'a bank'}`
+        },
+        'remove-bank': {
+            validate: (network, { id }) => {
+                if (!isBankId(network, id)) return [`"id" must be a bank id between 0 and ${network.nodes.length - 1}.`];
+                return network.nodes.length > 1 ? [] : ['The network must keep at least one bank.'];
+            },
+            apply: (book, { id }) => {
+                book.exposures.forEach(([debtor, creditor]) => {
+                    if (creditor === id) book.borrowers.add(book.nodes[debtor]);
+                    if (debtor === id) book.lenders.add(book.nodes[creditor]);
+                });
+                book.exposures = book.exposures
+                    .filter(([debtor, creditor]) => debtor !== id && creditor !== id)
+                    .map(([debtor, creditor, ...rest]) => [debtor > id ? debtor - 1 : debtor, creditor > id ? creditor - 1 : creditor, ...rest]);
+                book.nodes.splice(id, 1);
+                book.nodes.forEach((node, i) => { node.id = i; });
+            },
+            describe: (network, { id }) => `remove ${bankName(network, id)}`
+        },
+        'update-bank': {
+            validate: (network, { id, name, A, E_initial }) => {
+                if (!isBankId(network, id)) return [`"id" must be a bank id between 0 and ${network.nodes.length - 1}.`];
+                const node = DebtRankEngine.nodesById(network.nodes)[id];
+                const { exposures } = network;
+                return [
+                    ...nameErrors(name),
+                    ...balanceSheetErrors(A === undefined ? node.A : A, E_initial === undefined ? node.E_initial : E_initial,
+                        Exposures.totalClaims(exposures, id), Exposures.totalOwed(exposures, id))
+                ];
+            },
+            apply: (book, { id, name, A, E_initial }) => {
+                const node = book.nodes[id];
+                if (name !== undefined) node.name = name.trim();
+                if (A !== undefined) {
+                    node.A = A;
+                    book.lenders.add(node); // its external assets change instead of its claims
+                }
+                if (E_initial !== undefined) node.E_initial = E_initial;
+                node.L = node.A - node.E_initial;
+            },
+            describe: (network, { id }) => `edit ${bankName(network, id)}`
+        },
+        'set-exposure': {
+            validate: (network, { debtor, creditor, amount, layer }) => {
+                const ids = `between 0 and ${network.nodes.length - 1}`;
+                if (!isBankId(network, debtor) || !isBankId(network, creditor)) return [`"debtor" and "creditor" must be bank ids ${ids}.`];
+                if (debtor === creditor) return ['Self-loop: debtor and creditor are the same institution.'];
+                if (!isAmount(amount) || amount < 0) return ['Amount must be a non-negative number.'];
+                if (layerErrors(network, layer).length) return layerErrors(network, layer);
+
+                const nodes = DebtRankEngine.nodesById(network.nodes);
+                const { exposures } = network;
+                const change = amount - Exposures.getExposure(exposureLayer(network, layer).exposures, debtor, creditor);
+                const claims = Exposures.totalClaims(exposures, creditor) + change;
+                const owed = Exposures.totalOwed(exposures, debtor) + change;
+                const errors = [];
+                if (claims > nodes[creditor].A) {
+                    errors.push(`Interbank assets of ${nodes[creditor].name} (${amountText(claims)}) would exceed its total assets (${amountText(nodes[creditor].A)}).`);
+                }
+                if (owed > nodes[debtor].L) {
+                    errors.push(`Interbank liabilities of ${nodes[debtor].name} (${amountText(owed)}) would exceed its total liabilities (${amountText(nodes[debtor].L)}).`);
+                }
+                return errors;
+            },
+            apply: (book, { debtor, creditor, amount, layer }) => {
+                const layerId = book.layers ? (layer === undefined ? book.layers[0].id : layer) : null;
+                book.exposures = book.exposures.filter(([i, j, , l]) => i !== debtor || j !== creditor || (layerId !== null && l !== layerId));
+                if (amount > 0) book.exposures.push(layerId === null ? [debtor, creditor, amount] : [debtor, creditor, amount, layerId]);
+                book.borrowers.add(book.nodes[debtor]);
+                book.lenders.add(book.nodes[creditor]);
+            },
+            describe: (network, { debtor, creditor, amount, layer }) => {
+                const pair = `${bankName(network, debtor)} → ${bankName(network, creditor)}${network.layers ? ` (${exposureLayer(network, layer).name})` : ''}`;
+                return amount > 0 ? `set ${pair} to ${amountText(amount)}` : `delete ${pair}`;
+            }
+        },
+        'update-layer': {
+            validate: (network, { layer, name, recovery }) => {
+                if (!network.layers) return ['This network has no exposure layers.'];
+                if (layer === undefined) return [`"layer" must be one of: ${network.layers.map(({ id }) => id).join(', ')}.`];
+                const errors = [...layerErrors(network, layer), ...nameErrors(name)];
+                if (recovery !== undefined && (!isAmount(recovery) || recovery < 0 || recovery > 1)) errors.push('Recovery must be a number between 0 and 1.');
+                return errors;
+            },
+            apply: (book, { layer, name, recovery }) => {
+                const target = book.layers.find(({ id }) => id === layer);
+                if (name !== undefined) target.name = name.trim();
+                if (recovery !== undefined) target.recovery = recovery;
+            },
+            describe: (network, { layer }) => `edit layer ${exposureLayer(network, layer).name}`
+        }
+    };
+
+    const EDIT_TYPES = Object.keys(EDITS);
+
+    /**
+     * Checks an edit against the network it would apply to. Returns a list of error messages (empty when valid).
+     */
+    const validateEdit = (network, edit) => {
+        if (!edit || typeof edit !== 'object' || Array.isArray(edit)) return ['The edit must be an object.'];
+        if (!EDITS[edit.type]) return [`"type" must be one of: ${EDIT_TYPES.join(', ')}.`];
+        return EDITS[edit.type].validate(network, edit);
+    };
+
+    // Short text for an edit, e.g. for undo/redo buttons ("remove Bank A"); call it with the network before the edit
+    const describeEdit = (network, edit) => EDITS[edit.type].describe(network, edit);
+
+    /**
+     * Applies one edit and returns the edited network, freshly loaded (no run state). Throws when the edit is invalid.
+     * The result keeps only the seed of the original parameters (it can no longer be regenerated from them) and
+     * counts the edits made in `parameters.edits`.
+     */
+    const applyEdit = (network, edit) => {
+        const errors = validateEdit(network, edit);
+        if (errors.length) throw new Error(errors.join(' '));
+
+        const data = DebtRankEngine.serializeNetwork(network);
+        const book = { nodes: data.nodes, exposures: data.exposures, layers: data.layers, borrowers: new Set(), lenders: new Set() };
+        EDITS[edit.type].apply(book, edit);
+
+        const exposures = Exposures.fromList(book.exposures, book.nodes.length);
+        book.borrowers.forEach(node => { node.L_interbank = Exposures.totalOwed(exposures, node.id); });
+        // Holdings split the external assets, so they grow or shrink with them (banks holding nothing fall back
+        // to the default split)
+        book.lenders.forEach(node => {
+            if (!node.holdings) return;
+            const external = Math.max(0, node.A - Exposures.totalClaims(exposures, node.id));
+            const held = node.holdings.reduce((sum, amount) => sum + amount, 0);
+            node.holdings = held > 0 ? node.holdings.map(amount => amount * (external / held)) : undefined;
+        });
+
+        const { seed, edits = 0 } = data.parameters;
+        return DebtRankEngine.loadNetwork({
+            ...data,
+            parameters: { seed, edits: edits + 1 },
+            nodes: book.nodes,
+            exposures: book.exposures
+        });
+    };
+
+    // Where bank `id` of the network before `edit` ends up after it (null once removed), e.g. to keep its layout
+    const editedId = (edit, id) => {
+        if (edit.type !== 'remove-bank' || id < edit.id) return id;
+        return id === edit.id ? null : id - 1;
+    };
+
+    return {
+        EDIT_TYPES,
+        validateEdit,
+        describeEdit,
+        applyEdit,
+        editedId
+    };
+});
@@ -0,0 +1,1381 @@
+// =========================================================
+// DebtRank Engine (shared by the browser UI, server.js and cli.js)
+// =========================================================
+// Loaded with a <script> tag (after exposures.js, layers.js, models.js, firesale.js, interventions.js, liquidity.js,
+// capital.js and attribution.js) it exposes `window.DebtRankEngine`; under Node it is a CommonJS module.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./exposures'), require('./layers'), require('./models'), require('./firesale'), require('./interventions'),
+            require('./liquidity'), require('./capital'), require('./attribution'));
+    } else {
+        root.DebtRankEngine = factory(root.Exposures, root.ExposureLayers, root.ContagionModels, root.FireSale, root.Interventions, root.Liquidity,
+            root.CapitalRules, root.LossAttribution);
+    }
+})(typeof self !== 'undefined' ? self : this, (Exposures, ExposureLayers, ContagionModels, FireSale, Interventions, Liquidity, CapitalRules, LossAttribution) => {
+    'use strict';
+
+    // =========================================================
+    // Configuration and Constants
+    // =========================================================
+    const N = 50;
+    const INDIAN_BANK_NAMES = [
+        "State Bank of India", "HDFC Bank", "ICICI Bank", "Punjab National Bank", "Bank of Baroda",
+        "Union Bank of India", "Canara Bank", "Axis Bank", "Kotak Mahindra Bank", "IndusInd Bank",
+        "Indian Bank", "Central Bank of India", "Bank of India", "Indian Overseas Bank", "UCO Bank",
+        "IDBI Bank", "Yes Bank", "Federal Bank", "RBL Bank", "IDFC First Bank",
+        "South Indian Bank", "J&K Bank", "Karur Vysya Bank", "Dhanlaxmi Bank", "City Union Bank",
+        "Bandhan Bank", "Au Small Finance Bank", "Equitas Small Finance Bank", "CSB Bank", "DCB Bank",
+        "Suryoday Small Finance Bank", "TMB", "CanaFin Homes", "HDFC LTD", "PNB Housing",
+        "LIC Housing Finance", "IIFL Finance", "Shriram Transport Finance", "Muthoot Finance", "Bajaj Finance",
+        "Bank A", "Bank B", "Bank C", "Bank D", "Bank E",
+        "Bank F", "Bank G", "Bank H", "Bank I", "Bank J"
+    ];
+
+    // Simulation Constants
+    const MACRO_LOSS_FACTOR = 0.20;
+    const RANDOM_FAILURE_PROBABILITY = 0.1;
+    const RANDOM_FAILURE_SEVERITY = 0.8;
+    const MIN_CAPITAL_RATIO = 0.08;
+    const MAX_CAPITAL_RATIO = 0.15;
+    const ASSETS_MIN = 1000;
+    const ASSETS_MAX = 5000;
+    const DEBT_RANK_TOLERANCE = ContagionModels.TOLERANCE;
+    const MAX_ITERATIONS = ContagionModels.MAX_ROUNDS;
+
+    const SHOCK_TYPES = ['macro', 'targeted', 'random', 'custom'];
+    const SHOCK_TARGETS = ['external', 'equity', 'fail']; // what a custom shock component hits
+    const STATUS_LABELS = ['HEALTHY', 'STRESSED', 'FAILED']; // indexed by stressLevel
+
+    // Institution groups for group shocks. Imported banks with a "group" column use that value;
+    // otherwise membership is inferred from the name (core/periphery come from the topology).
+    const INSTITUTION_GROUPS = {
+        'public-sector': { label: 'Public Sector Banks', pattern: /^(State Bank of India|Punjab National Bank|Bank of Baroda|Union Bank of India|Canara Bank|Indian Bank|Central Bank of India|Bank of India|Indian Overseas Bank|UCO Bank)$/ },
+        'small-finance': { label: 'Small Finance Banks', pattern: /small finance/i },
+        'housing-finance': { label: 'Housing Finance Companies', pattern: /housing|homes|^HDFC LTD$/i },
+        'nbfc': { label: 'NBFCs', pattern: /^NBFC\b|^(?!.*(small finance|housing)).*Finance$/i },
+        'co-operative': { label: 'Co-operative Banks', pattern: /co-?operative/i },
+        'regional-rural': { label: 'Regional Rural Banks', pattern: /regional rural/i },
+        'core': { label: 'Core Banks (core-periphery)', tier: 'core' },
+        'periphery': { label: 'Periphery Banks (core-periphery)', tier: 'periphery' }
+    };
+
+    // A built-in group by id, or null for other (imported) group names, including ones like "constructor"
+    const builtInGroup = (groupId) => (Object.hasOwn(INSTITUTION_GROUPS, groupId) ? INSTITUTION_GROUPS[groupId] : null);
+
+    const isGroupMember = (node, groupId) => {
+        const group = builtInGroup(groupId);
+        if (!group) return node.group === groupId;
+        if (group.tier) return node.tier === group.tier;
+        return node.group ? node.group === groupId : group.pattern.test(node.name);
+    };
+
+    const clamp = (num, min, max) => Math.min(Math.max(num, min), max);
+
+    /**
+     * In-place Fisher–Yates shuffle (same behaviour as d3.shuffle) driven by the given random source.
+     */
+    const shuffle = (array, random = Math.random) => {
+        let m = array.length;
+        while (m) {
+            const i = Math.floor(random() * m--);
+            [array[m], array[i]] = [array[i], array[m]];
+        }
+        return array;
+    };
+
+    // =========================================================
+    // Seeded Random Numbers
+    // =========================================================
+
+    // FNV-1a hash so any string or number can be used as a seed
+    const hashSeed = (seed) => {
+        const text = String(seed);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    };
+
+    /**
+     * Returns a Math.random-compatible generator (mulberry32) that yields the same sequence for the same seed.
+     */
+    const createRandom = (seed) => {
+        let state = hashSeed(seed);
+        return () => {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    };
+
+    // Short, URL-friendly seed for new runs
+    const randomSeed = () => Math.floor(Math.random() * 0xffffffff).toString(36);
+
+    // Random shocks draw from their own stream so they do not depend on how many numbers generation consumed
+    const shockRandom = (seed) => createRandom(`${seed}:shock`);
+
+    // =========================================================
+    // Network Construction
+    // =========================================================
+
+    /**
+     * Derives interbank assets, external assets and the D3 link list from the sparse exposures (see exposures.js),
+     * where exposures.out[i].get(j) is the amount debtor i owes creditor j. `layered` ({ layers, layerExposures },
+     * see layers.js) is kept on the network, and each link gets its amount per layer as `layers`.
+     */
+    const finalizeNetwork = (nodes, exposures, layered) => {
+        const links = [];
+        nodes.forEach(node => {
+            node.A_interbank = Exposures.totalClaims(exposures, node.id);
+            exposures.out[node.id].forEach((value, j) => links.push(layered
+                ? { source: node.id, target: j, value, layers: ExposureLayers.pairAmounts(layered.layerExposures, node.id, j) }
+                : { source: node.id, target: j, value }));
+            node.A_external = node.A - node.A_interbank;
+        });
+        return { nodes, links, exposures, ...(layered ? { layers: layered.layers, layerExposures: layered.layerExposures } : {}) };
+    };
+
+    // A copy of `nodes` ordered by bank id, so position i holds bank i (the models and exposures index banks by id).
+    // Callers may reorder a network's node array (e.g. to sort a table); the engine never relies on its order.
+    const nodesById = (nodes) => nodes.slice().sort((a, b) => a.id - b.id);
+
+    // ----------------------
+    // Topology Models
+    // ----------------------
+    // Each builder returns, per debtor id, the list of creditor ids it borrows from.
+
+    const emptyCreditorLists = (n) => Array.from({ length: n }, () => []);
+
+    // Erdős–Rényi: every ordered pair is linked independently with p = avgDegree / (n - 1)
+    const erdosRenyiCreditors = (nodes, { avgDegree }, random) => {
+        const n = nodes.length;
+        const p = Math.min(1, avgDegree / (n - 1));
+        const lists = emptyCreditorLists(n);
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                if (i !== j && random() < p) lists[i].push(j);
+            }
+        }
+        return lists;
+    };
+
+    // Barabási–Albert: preferential attachment with m links per new bank; each edge gets a random direction
+    const barabasiAlbertCreditors = (nodes, { m }, random) => {
+        const n = nodes.length;
+        const lists = emptyCreditorLists(n);
+        const endpoints = []; // every edge endpoint once, so picking uniformly from it is degree-proportional
+        const addEdge = (a, b) => {
+            if (random() < 0.5) lists[a].push(b);
+            else lists[b].push(a);
+            endpoints.push(a, b);
+        };
+
+        const seedSize = Math.min(n, m + 1);
+        for (let i = 0; i < seedSize; i++) {
+            for (let j = i + 1; j < seedSize; j++) addEdge(i, j);
+        }
+        for (let i = seedSize; i < n; i++) {
+            const targets = new Set();
+            while (targets.size < Math.min(m, i)) {
+                targets.add(endpoints.length ? endpoints[Math.floor(random() * endpoints.length)] : Math.floor(random() * i));
+            }
+            targets.forEach(target => addEdge(i, target));
+        }
+        return lists;
+    };
+
+    // Core-periphery: the `coreSize` largest banks lend to each other; periphery banks only deal with the core
+    const corePeripheryCreditors = (nodes, { coreSize }, random) => {
+        const n = nodes.length;
+        const lists = emptyCreditorLists(n);
+        const core = nodes.slice().sort((a, b) => b.A - a.A).slice(0, coreSize).map(node => node.id);
+        const coreSet = new Set(core);
+        nodes.forEach(node => { node.tier = coreSet.has(node.id) ? 'core' : 'periphery'; });
+
+        core.forEach(i => core.forEach(j => {
+            if (i !== j) lists[i].push(j);
+        }));
+        nodes.filter(node => !coreSet.has(node.id)).forEach(node => {
+            const pickCore = () => shuffle(core.slice(), random).slice(0, 1 + Math.floor(random() * Math.min(2, core.length)));
+            pickCore().forEach(creditor => lists[node.id].push(creditor)); // borrows from the core
+            pickCore().forEach(debtor => lists[debtor].push(node.id));     // lends to the core
+        });
+        return lists;
+    };
+
+    // Above this many banks, z is calibrated on banks grouped by fitness (equal-width bins, each at its mean fitness):
+    // a bisection step then sums over pairs of bins rather than pairs of banks
+    const FITNESS_BINS = 256;
+
+    const fitnessBins = (fitness) => {
+        if (fitness.length <= FITNESS_BINS) return fitness.map(value => ({ value, count: 1 }));
+        const bins = Array.from({ length: FITNESS_BINS }, () => ({ total: 0, count: 0 }));
+        fitness.forEach(value => {
+            const bin = bins[Math.min(FITNESS_BINS - 1, Math.floor(value * FITNESS_BINS))];
+            bin.total += value;
+            bin.count += 1;
+        });
+        return bins.filter(bin => bin.count).map(({ total, count }) => ({ value: total / count, count }));
+    };
+
+    // Fitness model: p_ij = z·x_i·x_j / (1 + z·x_i·x_j) with x = relative size, z calibrated to avgDegree
+    const fitnessCreditors = (nodes, { avgDegree }, random) => {
+        const n = nodes.length;
+        const maxAssets = Math.max(...nodes.map(node => node.A));
+        const fitness = nodes.map(node => node.A / maxAssets);
+        const probability = (z, product) => (z * product) / (1 + z * product);
+        const linkProbability = (z, i, j) => probability(z, fitness[i] * fitness[j]);
+        const bins = fitnessBins(fitness);
+        const expectedLinks = (z) => {
+            let total = 0;
+            bins.forEach((a, i) => bins.forEach((b, j) => {
+                // ordered pairs of distinct banks: within a bin, each bank pairs with the others
+                const pairs = i === j ? a.count * (a.count - 1) : a.count * b.count;
+                if (pairs) total += pairs * probability(z, a.value * b.value);
+            }));
+            return total;
+        };
+
+        const target = Math.min(avgDegree * n, n * (n - 1) * 0.999);
+        let low = 0;
+        let high = 1;
+        while (expectedLinks(high) < target && high < 1e12) high *= 2;
+        for (let step = 0; step < 60; step++) {
+            const mid = (low + high) / 2;
+            if (expectedLinks(mid) < target) low = mid;
+            else high = mid;
+        }
+
+        const lists = emptyCreditorLists(n);
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                if (i !== j && random() < linkProbability(high, i, j)) lists[i].push(j);
+            }
+        }
+        return lists;
+    };
+
+    const TOPOLOGY_BUILDERS = {
+        'erdos-renyi': erdosRenyiCreditors,
+        'barabasi-albert': barabasiAlbertCreditors,
+        'core-periphery': corePeripheryCreditors,
+        'fitness': fitnessCreditors
+    };
+
+    // 'random' is the original model: each debtor picks 1–4 random creditors
+    const TOPOLOGIES = ['random', ...Object.keys(TOPOLOGY_BUILDERS)];
+
+    const GENERATION_DEFAULTS = {
+        n: N,
+        topology: 'random',
+        assetsMin: ASSETS_MIN,
+        assetsMax: ASSETS_MAX,
+        capitalRatioMin: MIN_CAPITAL_RATIO,
+        capitalRatioMax: MAX_CAPITAL_RATIO,
+        avgDegree: 2.5, // erdos-renyi, fitness
+        m: 2,           // barabasi-albert
+        coreSize: null, // core-periphery; null = 10% of n (at least 2)
+        layers: 1       // exposure layers (the first of ExposureLayers.DEFAULT_LAYERS); 1 = a single, unlayered network
+    };
+    const GENERATION_PARAMS = Object.keys(GENERATION_DEFAULTS);
+
+    // Extra institution types used to name banks once the real name list runs out
+    const GENERATED_NAME_TYPES = ['Urban Co-operative Bank', 'Regional Rural Bank', 'Small Finance Bank', 'NBFC', 'Housing Finance Co.'];
+
+    const generatedBankName = (index) => `${GENERATED_NAME_TYPES[index % GENERATED_NAME_TYPES.length]} ${Math.floor(index / GENERATED_NAME_TYPES.length) + 1}`;
+
+    const resolveGenerationOptions = (options = {}) => {
+        const resolved = { ...GENERATION_DEFAULTS };
+        GENERATION_PARAMS.forEach(key => {
+            if (options[key] !== undefined && options[key] !== null && options[key] !== '') resolved[key] = options[key];
+        });
+        // Defaults never ask for more banks than there are
+        if (Number.isInteger(resolved.n) && resolved.n >= 2) {
+            if (resolved.coreSize === null) resolved.coreSize = clamp(Math.round(resolved.n * 0.1), 2, resolved.n - 1);
+            if (options.m === undefined || options.m === null || options.m === '') resolved.m = Math.min(resolved.m, resolved.n - 1);
+        } else if (resolved.coreSize === null) {
+            resolved.coreSize = 2;
+        }
+        return resolved;
+    };
+
+    /**
+     * Checks network generation options. Returns a list of error messages (empty when valid). The topology
+     * parameters (`avgDegree`, `m`, `coreSize`) are only checked for the topology that uses them.
+     */
+    const validateGenerationOptions = (options = {}) => {
+        const o = resolveGenerationOptions(options);
+        const errors = [];
+        const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+        if (!Number.isInteger(o.n) || o.n < 2) errors.push('"n" must be an integer of at least 2.');
+        if (!TOPOLOGIES.includes(o.topology)) errors.push(`"topology" must be one of: ${TOPOLOGIES.join(', ')}.`);
+        if (!isNumber(o.assetsMin) || o.assetsMin <= 0) errors.push('"assetsMin" must be a positive number.');
+        if (!isNumber(o.assetsMax) || o.assetsMax < o.assetsMin) errors.push('"assetsMax" must be a number no smaller than "assetsMin".');
+        if (!isNumber(o.capitalRatioMin) || o.capitalRatioMin <= 0 || o.capitalRatioMin >= 1) errors.push('"capitalRatioMin" must be a number between 0 and 1.');
+        if (!isNumber(o.capitalRatioMax) || o.capitalRatioMax < o.capitalRatioMin || o.capitalRatioMax >= 1) errors.push('"capitalRatioMax" must be a number between "capitalRatioMin" and 1.');
+        const uses = (...topologies) => topologies.includes(o.topology);
+        if (uses('erdos-renyi', 'fitness') && (!isNumber(o.avgDegree) || o.avgDegree <= 0)) errors.push('"avgDegree" must be a positive number.');
+        if (uses('barabasi-albert') && (!Number.isInteger(o.m) || o.m < 1 || o.m >= o.n)) errors.push('"m" must be an integer between 1 and n - 1.');
+        if (uses('core-periphery') && (!Number.isInteger(o.coreSize) || o.coreSize < 1 || o.coreSize >= o.n)) {
+            errors.push('"coreSize" must be an integer between 1 and n - 1.');
+        }
+        const maxLayers = ExposureLayers.DEFAULT_LAYERS.length;
+        if (!Number.isInteger(o.layers) || o.layers < 1 || o.layers > maxLayers) errors.push(`"layers" must be an integer between 1 and ${maxLayers}.`);
+        return errors;
+    };
+
+    /**
+     * Builds a synthetic network. Options are those in GENERATION_DEFAULTS plus `seed` (or a custom `random`)
+     * for a reproducible network; without either a fresh seed is drawn. The resolved options and seed are
+     * recorded in `network.parameters`.
+     */
+    const generateNetwork = ({ seed, random, ...options } = {}) => {
+        if (!random) {
+            seed = seed === undefined || seed === '' ? randomSeed() : String(seed);
+            random = createRandom(seed);
+        }
+        const { n, topology, assetsMin, assetsMax, capitalRatioMin, capitalRatioMax, layers, ...modelOptions } = resolveGenerationOptions(options);
+        const parameters = { ...resolveGenerationOptions(options), seed: seed === undefined ? null : seed };
+        const nodes = [];
+        const shuffledNames = shuffle(INDIAN_BANK_NAMES.slice(0, n), random);
+
+        // 1. Balance sheets
+        for (let i = 0; i < n; i++) {
+            const totalAssets = random() * (assetsMax - assetsMin) + assetsMin;
+            const capitalRatio = random() * (capitalRatioMax - capitalRatioMin) + capitalRatioMin;
+
+            const E = totalAssets * capitalRatio;
+            const L = totalAssets - E;
+
+            nodes.push({
+                id: i,
+                name: shuffledNames[i] || generatedBankName(i - INDIAN_BANK_NAMES.length),
+                A: totalAssets,
+                E_initial: E,
+                E: E,
+                L: L,
+                isFailed: false,
+                debtRank: 0,
+                stressLevel: 0,
+                L_interbank: 0,
+                A_interbank: 0,
+            });
+        }
+
+        const exposures = Exposures.createExposures(n);
+        const creditorLists = topology === 'random' ? null : TOPOLOGY_BUILDERS[topology](nodes, modelOptions, random);
+
+        // 2. Determine Interbank Liabilities and build the exposures
+        nodes.forEach(debtor => {
+            const totalIBL = debtor.L * (0.15 + random() * 0.15);
+            debtor.L_interbank = totalIBL;
+
+            if (creditorLists) {
+                // Split the whole interbank book across the topology's creditors with random weights
+                const creditors = creditorLists[debtor.id];
+                const weights = creditors.map(() => random() * 0.4 + 0.1);
+                const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+                creditors.forEach((creditorId, k) => {
+                    Exposures.addExposure(exposures, debtor.id, creditorId, totalIBL * (weights[k] / totalWeight));
+                });
+                if (!creditors.length) debtor.L_interbank = 0;
+                return;
+            }
+
+            let assignedLiability = 0;
+            const numCreditors = Math.floor(random() * 4) + 1;
+            const potentialCreditors = nodes.filter(node => node.id !== debtor.id);
+
+            shuffle(potentialCreditors, random).slice(0, numCreditors).forEach(creditor => {
+                let liabilityShare = totalIBL * (random() * 0.4 + 0.1);
+                liabilityShare = Math.min(liabilityShare, totalIBL - assignedLiability);
+
+                if (liabilityShare > 0) {
+                    Exposures.setExposure(exposures, debtor.id, creditor.id, liabilityShare);
+                    assignedLiability += liabilityShare;
+                }
+            });
+        });
+
+        // 3. Calculate Interbank Assets and Finalize Links
+        const network = { ...finalizeNetwork(nodes, exposures), parameters, assetClasses: FireSale.DEFAULT_ASSET_CLASSES.map(c => ({ ...c })) };
+
+        // 4. Split external assets into asset classes, on a separate stream so the interbank network is unchanged
+        const holdingsRandom = seed !== undefined && seed !== null ? createRandom(`${seed}:holdings`) : random;
+        FireSale.generateHoldings(nodes, holdingsRandom, network.assetClasses).forEach((holdings, i) => { nodes[i].holdings = holdings; });
+
+        // 5. Split exposures across instrument layers, on a stream of their own too
+        if (layers > 1) {
+            const layersRandom = seed !== undefined && seed !== null ? createRandom(`${seed}:layers`) : random;
+            const layered = {
+                layers: ExposureLayers.DEFAULT_LAYERS.slice(0, layers).map(layer => ({ ...layer })),
+                layerExposures: ExposureLayers.splitExposures(exposures, layers, layersRandom)
+            };
+            Object.assign(network, finalizeNetwork(nodes, exposures, layered));
+        }
+        return network;
+    };
+
+    /**
+     * Strips a network down to the fields needed to rebuild it. Exposures are listed sparsely as
+     * [[debtor, creditor, amount], ...] (links are derived from them); a layered network lists them per layer,
+     * as [debtor, creditor, amount, layer id], alongside its `layers`.
+     */
+    const serializeNetwork = ({ nodes, exposures, parameters, assetClasses, layers, layerExposures }) => ({
+        parameters: parameters || {},
+        assetClasses,
+        ...(layers ? { layers: layers.map(layer => ({ ...layer })) } : {}),
+        nodes: nodesById(nodes).map(({ id, code, name, group, tier, A, E_initial, L, L_interbank, RWA, holdings }) => ({ id, code, name, group, tier, A, E_initial, L, L_interbank, RWA, holdings })),
+        exposures: layers ? ExposureLayers.toList(layerExposures, layers) : Exposures.toList(exposures)
+    });
+
+    const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+    const amountText = (value) => String(+value.toFixed(2));
+
+    // Each bank's own figures: positive total assets and equity (no larger than the assets), liabilities and
+    // risk-weighted assets that are numbers
+    const balanceSheetFigureErrors = (nodes) => {
+        const errors = [];
+        nodes.forEach(({ id, A, E_initial, L, L_interbank, RWA }) => {
+            const field = (key) => `"nodes[${id}].${key}"`;
+            if (!isFiniteNumber(A) || A <= 0) errors.push(`${field('A')} must be a positive number.`);
+            if (!isFiniteNumber(E_initial) || E_initial <= 0) errors.push(`${field('E_initial')} must be a positive number.`);
+            else if (isFiniteNumber(A) && E_initial > A) errors.push(`${field('E_initial')} exceeds ${field('A')}.`);
+            if (!isFiniteNumber(L) || L < 0) errors.push(`${field('L')} must be a non-negative number.`);
+            if (!isFiniteNumber(L_interbank) || L_interbank < 0) errors.push(`${field('L_interbank')} must be a non-negative number.`);
+            if (RWA !== undefined && !(isFiniteNumber(RWA) && RWA > 0)) errors.push(`${field('RWA')} must be a positive number.`);
+        });
+        return errors;
+    };
+
+    // Throws when there are errors, with the messages as `details` (a 400 on the API)
+    const refuseIfAny = (errors) => {
+        if (errors.length) throw Object.assign(new Error(errors.join(' ')), { details: errors });
+    };
+
+    // Holdings listed against a network's asset classes: one non-negative amount per class
+    const holdingsErrors = (nodes, classCount) => nodes
+        .map((node, i) => [node.holdings, i])
+        .filter(([holdings]) => holdings !== undefined && holdings !== null
+            && (!Array.isArray(holdings) || holdings.length !== classCount || !holdings.every(amount => isFiniteNumber(amount) && amount >= 0)))
+        .map(([, i]) => `"nodes[${i}].holdings" must list a non-negative amount for each of the ${classCount} asset classes.`);
+
+    /**
+     * Checks a loaded network's balance sheets the way the importer checks uploaded data: each bank's figures, and
+     * its interbank claims and debts within its total assets and liabilities. Returns a list of error messages
+     * (empty when valid). Generated networks do not keep to the interbank limits, so only uploads are held to them.
+     */
+    const validateBalanceSheets = (network) => {
+        const nodes = nodesById(network.nodes);
+        const errors = balanceSheetFigureErrors(nodes);
+        nodes.forEach(({ id, A, L }) => {
+            const claims = Exposures.totalClaims(network.exposures, id);
+            const owed = Exposures.totalOwed(network.exposures, id);
+            if (claims > A) errors.push(`Interbank assets of "nodes[${id}]" (${amountText(claims)}) exceed its total assets (${amountText(A)}).`);
+            if (owed > L) errors.push(`Interbank liabilities of "nodes[${id}]" (${amountText(owed)}) exceed its total liabilities (${amountText(L)}).`);
+        });
+        return errors;
+    };
+
+    /**
+     * Rebuilds a runnable network from the output of serializeNetwork (e.g. a JSON file). Files from before the
+     * sparse format, with a dense N×N `adj` matrix instead of `exposures`, still load. Banks that are not objects or
+     * whose figures are not valid numbers (see balanceSheetFigureErrors), invalid asset classes (see FireSale.validateAssetClasses) and
+     * holdings that do not match them are refused; the error carries the messages as `details`.
+     */
+    const loadNetwork = (data) => {
+        if (!data || !Array.isArray(data.nodes) || (!Array.isArray(data.exposures) && !Array.isArray(data.adj))) {
+            throw new Error('Network must contain a "nodes" array and an "exposures" list (or an "adj" matrix).');
+        }
+        refuseIfAny(data.nodes
+            .map((node, i) => (node && typeof node === 'object' && !Array.isArray(node) ? null : `"nodes[${i}]" must be an object.`))
+            .filter(Boolean));
+        let exposures;
+        let layered;
+        if (data.layers !== undefined) {
+            const errors = ExposureLayers.validateLayers(data.layers);
+            if (!Array.isArray(data.exposures)) errors.push('A network with "layers" must list its "exposures".');
+            if (errors.length) throw new Error(errors.join(' '));
+            const layers = ExposureLayers.normalizeLayers(data.layers);
+            const listErrors = Exposures.validateList(data.exposures, data.nodes.length, layers.map(layer => layer.id));
+            if (listErrors.length) throw new Error(listErrors.join(' '));
+            exposures = Exposures.fromList(data.exposures, data.nodes.length);
+            layered = { layers, layerExposures: ExposureLayers.fromList(data.exposures, layers, data.nodes.length) };
+        } else if (Array.isArray(data.exposures)) {
+            const errors = Exposures.validateList(data.exposures, data.nodes.length);
+            if (errors.length) throw new Error(errors.join(' '));
+            exposures = Exposures.fromList(data.exposures, data.nodes.length);
+        } else {
+            const errors = Exposures.validateMatrix(data.adj, data.nodes.length);
+            if (errors.length) throw new Error(errors.join(' '));
+            exposures = Exposures.fromMatrix(data.adj);
+        }
+
+        refuseIfAny(FireSale.validateAssetClasses(data.assetClasses));
+        const assetClasses = Array.isArray(data.assetClasses) && data.assetClasses.length ? FireSale.normalizeAssetClasses(data.assetClasses) : undefined;
+        if (assetClasses) refuseIfAny(holdingsErrors(data.nodes, assetClasses.length));
+        const nodes = data.nodes.map((node, i) => {
+            if (node.id !== i) throw new Error(`Node at index ${i} must have id ${i}.`);
+            const E = Number(node.E_initial);
+            return {
+                id: i,
+                code: node.code,
+                name: node.name || `Bank ${i+1}`,
+                group: node.group,
+                tier: node.tier,
+                A: Number(node.A),
+                E_initial: E,
+                E: E,
+                L: node.L !== undefined ? Number(node.L) : Number(node.A) - E,
+                isFailed: false,
+                debtRank: 0,
+                stressLevel: 0,
+                L_interbank: node.L_interbank !== undefined ? Number(node.L_interbank) : Exposures.totalOwed(exposures, i),
+                A_interbank: 0,
+                RWA: node.RWA !== undefined && node.RWA !== null ? Number(node.RWA) : undefined,
+                // Holdings only make sense against the asset classes they were written with
+                holdings: assetClasses && Array.isArray(node.holdings) ? node.holdings.slice() : undefined
+            };
+        });
+        refuseIfAny(balanceSheetFigureErrors(nodes));
+
+        return { ...finalizeNetwork(nodes, exposures, layered), parameters: { ...(data.parameters || {}) }, assetClasses };
+    };
+
+    /**
+     * Short content hash of a network's balance sheets and exposures (ignoring its parameters and seed), so a logged
+     * run can name the data it ran on. Two FNV-1a passes give 64 bits, as hex.
+     */
+    const networkFingerprint = (network) => {
+        const { nodes, exposures, assetClasses, layers } = serializeNetwork(network);
+        const text = JSON.stringify({ nodes, exposures, assetClasses, layers });
+        return [text, `${text.length}:${text}`].map(part => hashSeed(part).toString(16).padStart(8, '0')).join('');
+    };
+
+    // =========================================================
+    // Shock Application and Contagion
+    // =========================================================
+
+    /**
+     * Fills in scenario defaults. Shock specs look like:
+     *   { type: 'macro', lossFactor }                 - external assets fall by lossFactor
+     *   { type: 'targeted', targetId }                - the target bank fails outright
+     *   { type: 'random', probability, severity }     - each bank loses `severity` of its equity with `probability`
+     *   { type: 'custom', name, components: [...] }   - components applied in order, each
+     *       { on: 'external' | 'equity' | 'fail', size, ids?: [bankId...], group?: groupId }
+     *       hitting the listed banks, a group (see INSTITUTION_GROUPS) or, with neither, every bank
+     */
+    const normalizeShock = (shock = {}) => {
+        const type = shock.type || 'macro';
+        if (!SHOCK_TYPES.includes(type)) {
+            throw new Error(`Unknown shock type "${type}". Expected one of: ${SHOCK_TYPES.join(', ')}.`);
+        }
+        if (type === 'macro') {
+            return { type, lossFactor: shock.lossFactor !== undefined ? Number(shock.lossFactor) : MACRO_LOSS_FACTOR };
+        }
+        if (type === 'targeted') {
+            return { type, targetId: parseInt(shock.targetId) };
+        }
+        if (type === 'custom') {
+            const components = (shock.components || []).map(({ on = 'external', size, ids, group }) => ({
+                on,
+                ...(on === 'fail' ? {} : { size: Number(size) }),
+                ...(Array.isArray(ids) ? { ids: ids.map(id => parseInt(id)) } : {}),
+                ...(group !== undefined ? { group } : {})
+            }));
+            return { type, ...(shock.name ? { name: String(shock.name) } : {}), components };
+        }
+        return {
+            type,
+            probability: shock.probability !== undefined ? Number(shock.probability) : RANDOM_FAILURE_PROBABILITY,
+            severity: shock.severity !== undefined ? Number(shock.severity) : RANDOM_FAILURE_SEVERITY
+        };
+    };
+
+    /**
+     * Checks a shock spec against a network of `nodeCount` banks. Returns a list of error messages (empty when valid).
+     */
+    const validateShock = (shock, nodeCount) => {
+        if (!shock || typeof shock !== 'object' || Array.isArray(shock)) return ['"shock" must be an object.'];
+
+        const errors = [];
+        const isFraction = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+        const type = shock.type === undefined ? 'macro' : shock.type;
+
+        if (!SHOCK_TYPES.includes(type)) {
+            errors.push(`"shock.type" must be one of: ${SHOCK_TYPES.join(', ')}.`);
+        } else if (type === 'macro') {
+            if (shock.lossFactor !== undefined && !isFraction(shock.lossFactor)) errors.push('"shock.lossFactor" must be a number between 0 and 1.');
+        } else if (type === 'targeted') {
+            if (!Number.isInteger(shock.targetId) || shock.targetId < 0 || shock.targetId >= nodeCount) {
+                errors.push(`"shock.targetId" must be an integer bank id between 0 and ${nodeCount - 1}.`);
+            }
+        } else if (type === 'custom') {
+            if (!Array.isArray(shock.components) || !shock.components.length) {
+                errors.push('"shock.components" must be a non-empty array.');
+                return errors;
+            }
+            shock.components.forEach((component, i) => {
+                const at = `"shock.components[${i}]`;
+                if (!component || typeof component !== 'object') {
+                    errors.push(`${at}" must be an object.`);
+                    return;
+                }
+                const on = component.on === undefined ? 'external' : component.on;
+                if (!SHOCK_TARGETS.includes(on)) errors.push(`${at}.on" must be one of: ${SHOCK_TARGETS.join(', ')}.`);
+                if (on !== 'fail' && !isFraction(component.size)) errors.push(`${at}.size" must be a number between 0 and 1.`);
+                if (component.ids !== undefined && component.group !== undefined) errors.push(`${at}" cannot have both "ids" and "group".`);
+                if (component.ids !== undefined && (!Array.isArray(component.ids) || !component.ids.length
+                    || component.ids.some(id => !Number.isInteger(id) || id < 0 || id >= nodeCount))) {
+                    errors.push(`${at}.ids" must be a non-empty array of bank ids between 0 and ${nodeCount - 1}.`);
+                }
+                if (component.group !== undefined && (typeof component.group !== 'string' || component.group.trim() === '')) {
+                    errors.push(`${at}.group" must be a group name.`);
+                }
+            });
+        } else {
+            if (shock.probability !== undefined && !isFraction(shock.probability)) errors.push('"shock.probability" must be a number between 0 and 1.');
+            if (shock.severity !== undefined && !isFraction(shock.severity)) errors.push('"shock.severity" must be a number between 0 and 1.');
+        }
+        return errors;
+    };
+
+    const percent = (value) => `${+(value * 100).toFixed(2)}%`;
+
+    /**
+     * One-line, human-readable description of a shock spec (reports, saved-scenario lists).
+     */
+    const describeShock = (shockSpec) => {
+        const shock = normalizeShock(shockSpec);
+        if (shock.type === 'macro') return `Macro shock: external assets -${percent(shock.lossFactor)}`;
+        if (shock.type === 'targeted') return `Targeted failure of bank ${shock.targetId}`;
+        if (shock.type === 'random') return `Random shock: ${percent(shock.probability)} of banks lose ${percent(shock.severity)} of equity`;
+
+        const parts = shock.components.map(({ on, size, ids, group }) => {
+            const scope = ids ? `bank${ids.length > 1 ? 's' : ''} ${ids.join(', ')}` : (group !== undefined ? (builtInGroup(group) ? builtInGroup(group).label : group) : 'all banks');
+            if (on === 'fail') return `fail ${scope}`;
+            return `${scope}: ${on === 'external' ? 'external assets' : 'equity'} -${percent(size)}`;
+        });
+        return `${shock.name ? `${shock.name} — ` : 'Custom shock: '}${parts.join('; ')}`;
+    };
+
+    // First-round status after a direct hit to equity, by the status rule's `shocked` when there is one (see capital.js)
+    const markShocked = (node, status) => {
+        if (status) {
+            status.shocked(node);
+        } else if (node.E <= 0) {
+            node.isFailed = true;
+            node.stressLevel = 2;
+            node.debtRank = 1.0;
+        } else {
+            node.isFailed = false;
+            node.debtRank = clamp(1 - (node.E / node.E_initial), 0, 1);
+            node.stressLevel = node.debtRank >= ContagionModels.SHOCK_STRESSED_RANK ? 1 : 0;
+        }
+    };
+
+    /**
+     * Phase 1: returns fresh node copies, ordered by id, with the initial shock applied and first-round ranks set.
+     * Random shocks draw once per bank in id order. `status` is a status rule (see CapitalRules.createStatusRule).
+     */
+    const applyShock = (network, shockSpec, { random = Math.random, status = null } = {}) => {
+        const shock = normalizeShock(shockSpec);
+        const nodes = nodesById(network.nodes).map(n => ({ ...n, E: n.E_initial, isFailed: false, debtRank: 0, stressLevel: 0 }));
+
+        nodes.forEach(node => {
+            if (shock.type === 'macro') {
+                node.E -= node.A_external * shock.lossFactor;
+            } else if (shock.type === 'targeted' && node.id === shock.targetId) {
+                node.E = -1; // Force failure for targeted bank
+            } else if (shock.type === 'random' && random() < shock.probability) {
+                node.E -= node.E_initial * shock.severity;
+            } else if (shock.type === 'custom') {
+                shock.components.forEach(component => {
+                    const hit = component.ids ? component.ids.includes(node.id) : (component.group === undefined || isGroupMember(node, component.group));
+                    if (!hit) return;
+                    if (component.on === 'fail') node.E = -1;
+                    else if (component.on === 'external') node.E -= node.A_external * component.size;
+                    else node.E -= node.E_initial * component.size;
+                });
+            }
+
+            markShocked(node, status);
+        });
+
+        return nodes;
+    };
+
+    /**
+     * Phase 2: runs the contagion model (see models.js) over already-shocked nodes (mutated in place), classifying
+     * them by the `status` rule's `classify` when there is one. Returns the number of rounds run.
+     */
+    const propagate = (nodes, exposures, modelSpec, onRound, status = null) => (status
+        ? ContagionModels.runModel(modelSpec, nodes, exposures, onRound, status.classify)
+        : ContagionModels.runModel(modelSpec, nodes, exposures, onRound));
+
+    /**
+     * System-wide metrics shown in the "System Impact Summary" card.
+     */
+    const summarize = (nodes) => {
+        const totalInitialCapital = nodes.reduce((sum, n) => sum + n.E_initial, 0);
+        const totalPostShockCapital = nodes.reduce((sum, n) => sum + Math.max(0, n.E), 0);
+        const totalLoss = totalInitialCapital - totalPostShockCapital;
+
+        return {
+            totalInstitutions: nodes.length,
+            failures: nodes.filter(n => n.isFailed).length,
+            contagionIndex: totalInitialCapital > 0 ? (totalLoss / totalInitialCapital) * 100 : 0,
+            totalInitialCapital,
+            totalLoss
+        };
+    };
+
+    /**
+     * Per-round state for playback. Arrays are indexed by bank id.
+     */
+    const snapshotRound = (nodes, round) => {
+        const snapshot = { round, E: [], debtRank: [], stressLevel: [], isFailed: [], summary: summarize(nodes) };
+        nodes.forEach(node => {
+            snapshot.E[node.id] = node.E;
+            snapshot.debtRank[node.id] = node.debtRank;
+            snapshot.stressLevel[node.id] = node.stressLevel;
+            snapshot.isFailed[node.id] = node.isFailed;
+        });
+        return snapshot;
+    };
+
+    /**
+     * Wraps a random source so the same draws can be replayed: every stream returned by the result
+     * yields the draws of the first one (drawing new values from `random` only past its end).
+     */
+    const replayableRandom = (random) => {
+        const draws = [];
+        return () => {
+            let k = 0;
+            return () => {
+                if (k === draws.length) draws.push(random());
+                return draws[k++];
+            };
+        };
+    };
+
+    // Applies interventions to node copies and a copy of the exposures, re-deriving interbank and external assets
+    const intervene = (nodes, exposures, interventions) => {
+        const outcome = Interventions.applyInterventions(nodes, exposures, interventions);
+        finalizeNetwork(nodes, outcome.exposures);
+        return outcome;
+    };
+
+    /**
+     * One stress test, without the no-intervention counterfactual (see runSimulation).
+     */
+    const simulate = (network, shockSpec, options = {}) => {
+        const shock = normalizeShock(shockSpec);
+        const seed = options.seed !== undefined ? options.seed : (network.parameters && network.parameters.seed);
+        const random = options.random || (seed !== undefined && seed !== null ? shockRandom(seed) : Math.random);
+
+        const model = ContagionModels.normalizeModel(options.model);
+        const fireSale = FireSale.normalizeFireSale(options.fireSale);
+        const interventions = Interventions.normalizeInterventions(options.interventions);
+        const liquidity = Liquidity.normalizeLiquidity(options.liquidity);
+        const capitalRules = CapitalRules.normalizeCapitalRules(options.capitalRules);
+        const status = CapitalRules.createStatusRule(capitalRules, { assetClasses: network.assetClasses });
+        const mark = (node) => markShocked(node, status);
+
+        // Interventions in place before the shock change the network it hits; the rest act on the shocked banks
+        let exposures = network.exposures;
+        const effects = { injected: 0, bailedIn: 0, exposureRemoved: 0 };
+        const addEffects = (outcome) => {
+            exposures = outcome.exposures;
+            Object.keys(effects).forEach(key => { effects[key] += outcome[key]; });
+        };
+        const before = interventions.filter(intervention => intervention.when === 'before');
+        const during = interventions.filter(intervention => intervention.when === 'during');
+        let shockedNetwork = network;
+        let preShockLosses = null;
+        if (before.length) {
+            const nodes = nodesById(network.nodes).map(node => ({ ...node, E: node.E_initial }));
+            addEffects(intervene(nodes, exposures, before));
+            shockedNetwork = { ...network, nodes, exposures };
+            preShockLosses = nodes.map(node => node.E_initial - node.E); // creditors' bail-in write-downs
+        }
+
+        // applyShock starts every bank from its pre-shock capital, so losses booked before the shock come off again
+        const shocked = applyShock(shockedNetwork, shock, { random, status });
+        if (preShockLosses) {
+            shocked.forEach((node, i) => {
+                if (preShockLosses[i] <= 0) return;
+                node.E -= preShockLosses[i];
+                mark(node);
+            });
+        }
+        if (during.length) {
+            addEffects(intervene(shocked, exposures, during));
+            shocked.forEach(mark);
+        }
+        let rounds = null;
+        let iterations = 0;
+        let settledExposures = exposures;
+        // A layered network passes on each exposure net of what its layers recover (see layers.js)
+        const lossExposures = (runExposures) => (network.layers
+            ? ExposureLayers.lossExposures(runExposures, network.layerExposures, network.layers)
+            : runExposures);
+
+        // Interbank contagion from the shocked state, less any extra (fire-sale, funding) losses by position.
+        // `funding` (multi-period runs, see liquidity.js) holds the exposures left after withdrawals, the interbank
+        // debt each bank has repaid and the banks that failed in earlier periods.
+        const contagion = (extraLosses, funding) => {
+            const nodes = shocked.map(node => ({ ...node }));
+            let runExposures = exposures;
+            if (funding) {
+                // Repaid funding shrinks the debtor's balance sheet; its creditors swap the claim for cash
+                nodes.forEach((node, i) => {
+                    node.A -= funding.repaid[i];
+                    node.L -= funding.repaid[i];
+                    node.L_interbank = Math.max(0, node.L_interbank - funding.repaid[i]);
+                });
+                runExposures = funding.exposures;
+                finalizeNetwork(nodes, runExposures);
+            }
+            if (extraLosses) {
+                nodes.forEach((node, i) => {
+                    if (!extraLosses[i] || node.isFailed) return;
+                    node.E = Math.min(node.E_initial, node.E - extraLosses[i]); // Negative losses are recovered capital
+                    mark(node);
+                });
+            }
+            if (funding) {
+                nodes.forEach((node, i) => {
+                    if (!funding.failed[i] || node.isFailed) return;
+                    node.E = -1; // Failure is final
+                    mark(node);
+                });
+            }
+            // A bank failed before contagion (with capital rules, possibly on a trigger) loses what capital it had left
+            nodes.forEach(node => { if (node.isFailed) node.E = Math.min(node.E, 0); });
+            settledExposures = lossExposures(runExposures);
+            rounds = options.recordRounds ? [snapshotRound(nodes, 0)] : null;
+            const onRound = rounds ? (roundNodes) => rounds.push(snapshotRound(roundNodes, rounds.length)) : undefined;
+            iterations = propagate(nodes, settledExposures, model, onRound, status);
+            return nodes;
+        };
+
+        // Contagion together with the fire-sale channel when it is on
+        let fireSaleOutcome = null;
+        const settle = (extraLosses, funding) => {
+            if (!fireSale) return contagion(extraLosses, funding);
+            const withExtra = (losses) => (extraLosses ? losses.map((loss, i) => loss + extraLosses[i]) : losses);
+            fireSaleOutcome = FireSale.runWithFireSales(shocked, network.assetClasses, fireSale, (losses) => contagion(withExtra(losses), funding));
+            return fireSaleOutcome.nodes;
+        };
+
+        let nodes;
+        let liquidityOutcome = null;
+        if (liquidity) {
+            liquidityOutcome = Liquidity.runFundingRuns(shocked, exposures, liquidity, settle);
+            nodes = liquidityOutcome.nodes;
+        } else {
+            nodes = settle(null, null);
+        }
+        const fireSaleLosses = fireSaleOutcome ? fireSaleOutcome.fireSaleLosses : null;
+        const fireSaleResult = fireSaleOutcome ? { ...fireSale, prices: fireSaleOutcome.prices, passes: fireSaleOutcome.passes } : null;
+
+        // Loss attribution: the direct shock first, then fire-sale mark-to-market, then asset sales to meet funding
+        // withdrawals (all that is left for banks that failed illiquid); the rest came through interbank exposures
+        nodes.forEach((node, i) => {
+            const totalLoss = node.E_initial - Math.max(0, node.E);
+            node.shockLoss = Math.min(totalLoss, shocked[i].isFailed ? node.E_initial : node.E_initial - Math.max(0, shocked[i].E));
+            node.fireSaleLoss = fireSaleLosses ? Math.min(fireSaleLosses[i], totalLoss - node.shockLoss) : 0;
+            let remainder = totalLoss - node.shockLoss - node.fireSaleLoss;
+            node.liquidityLoss = 0;
+            if (liquidityOutcome) {
+                node.liquidityLoss = liquidityOutcome.illiquid[i] ? remainder : Math.min(liquidityOutcome.liquidityLosses[i], remainder);
+                remainder -= node.liquidityLoss;
+            }
+            node.interbankLoss = remainder > 1e-9 * node.E_initial ? remainder : 0; // Ignore floating-point residue
+        });
+        LossAttribution.attributeLosses(nodes, settledExposures, model);
+        const layers = network.layers ? ExposureLayers.attributeLayerLosses(nodes, network.layerExposures, network.layers) : null;
+
+        // Capital ratios for every run (with capital rules, contagion has already classified the banks by them)
+        const capital = CapitalRules.applyCapitalRules(nodes, capitalRules, { assetClasses: network.assetClasses });
+
+        const result = { shock, model, seed: seed === undefined ? null : seed, nodes, iterations, summary: summarize(nodes) };
+        if (fireSaleResult) result.fireSale = fireSaleResult;
+        if (liquidityOutcome) result.liquidity = { ...liquidity, timeline: liquidityOutcome.timeline };
+        if (capitalRules) result.capitalRules = { ...capitalRules, ...capital };
+        if (layers) result.layers = layers;
+        if (interventions.length) result.interventions = { applied: interventions, ...effects };
+        if (rounds) result.rounds = rounds;
+        return result;
+    };
+
+    /**
+     * Runs a full stress test: shock, contagion and summary. The input network is not mutated, and the result's
+     * nodes are ordered by id whatever the order of `network.nodes`.
+     * `options.model` picks the contagion model (name or { type, ...params }; default: original DebtRank).
+     * Random shocks are drawn from `options.seed`, else the network's own seed, else Math.random.
+     * With `options.recordRounds` the result carries `rounds`: round 0 is the post-shock state, then one
+     * snapshot per contagion round (see snapshotRound).
+     * `options.fireSale` (true or { impactScale, deleveraging }, see firesale.js) adds the fire-sale channel:
+     * contagion is rerun with the resulting mark-to-market losses until both channels settle, the result
+     * carries `fireSale` (asset prices, passes) and rounds describe the last pass.
+     * `options.liquidity` (true or { periods, ... }, see liquidity.js) runs several funding periods after the shock:
+     * creditors withdraw short-term funding from distressed banks, which fail illiquid when they cannot pay.
+     * The result carries `liquidity` (the spec and a per-period `timeline` of solvency and liquidity failures),
+     * nodes get `failureType`, `failedPeriod`, `liquidAssets` and `fundingWithdrawn`, and rounds describe the last period.
+     * Every node gets its CET1 and leverage ratios before and after (`cet1Before`, `cet1After`, `leverageBefore`,
+     * `leverageAfter`) and the regulatory triggers they breach (`breachesBefore`, `breachesAfter`), see capital.js.
+     * `options.capitalRules` (true or { minCet1, ..., failWhen, stressWhen }) makes those triggers and its DebtRank
+     * thresholds decide failure and stress after the shock and in every contagion round (nodes get `failedBy`; a bank
+     * failed on a trigger is written off and passes on losses like a default) and the result carries `capitalRules`
+     * (the rules, `breaches` per trigger and `regulatoryFailures`).
+     * `options.interventions` (see interventions.js) applies policy interventions. The same shock, with the same
+     * random draws, is also run without them and `result.interventions` holds { applied, injected, bailedIn,
+     * exposureRemoved, baseline (its summary), avoidedLoss, avoidedFailures, rescued, newlyFailed (bank ids) }.
+     * Capital lost includes injected capital, so an injection that is itself wiped out avoids nothing.
+     * Every node gets its loss split into `shockLoss`, `interbankLoss`, `fireSaleLoss` and `liquidityLoss`, and its
+     * interbank loss split by debtor in `lossSources` (see attribution.js).
+     * On a layered network (see layers.js) each exposure passes on only its loss given default, nodes get their
+     * interbank loss by layer in `layerLosses` and the result carries `layers` (each with its total `exposure` and `loss`).
+     */
+    const runSimulation = (network, shockSpec, options = {}) => {
+        if (!options.interventions || !options.interventions.length) return simulate(network, shockSpec, options);
+
+        const seed = options.seed !== undefined ? options.seed : (network.parameters && network.parameters.seed);
+        const stream = replayableRandom(options.random || (seed !== undefined && seed !== null ? shockRandom(seed) : Math.random));
+        const result = simulate(network, shockSpec, { ...options, random: stream() });
+        const baseline = simulate(network, shockSpec, { ...options, interventions: null, recordRounds: false, random: stream() });
+
+        const failedIds = (nodes) => new Set(nodes.filter(node => node.isFailed).map(node => node.id));
+        const failedBefore = failedIds(baseline.nodes);
+        const failedAfter = failedIds(result.nodes);
+        result.interventions = {
+            ...result.interventions,
+            baseline: baseline.summary,
+            avoidedLoss: baseline.summary.totalLoss - result.summary.totalLoss,
+            avoidedFailures: baseline.summary.failures - result.summary.failures,
+            rescued: [...failedBefore].filter(id => !failedAfter.has(id)),
+            newlyFailed: [...failedAfter].filter(id => !failedBefore.has(id))
+        };
+        return result;
+    };
+
+    /**
+     * Per-bank result rows as shown in the institutions table.
+     */
+    const resultRows = (nodes) => nodes.map(n => ({
+        id: n.id,
+        name: n.name,
+        E_initial: n.E_initial,
+        E: n.E,
+        debtRank: n.debtRank,
+        stressLevel: n.stressLevel,
+        status: STATUS_LABELS[n.stressLevel],
+        isFailed: n.isFailed,
+        shockLoss: n.shockLoss || 0,
+        interbankLoss: n.interbankLoss || 0,
+        fireSaleLoss: n.fireSaleLoss || 0,
+        liquidityLoss: n.liquidityLoss || 0,
+        failureType: n.failureType || null,
+        cet1Before: n.cet1Before,
+        cet1After: n.cet1After,
+        leverageBefore: n.leverageBefore,
+        leverageAfter: n.leverageAfter,
+        breachesAfter: n.breachesAfter || [],
+        failedBy: n.failedBy || null,
+        lossSources: n.lossSources || [],
+        layerLosses: n.layerLosses || null
+    }));
+
+    // =========================================================
+    // Run Comparison
+    // =========================================================
+
+    /**
+     * Lines up several runs on the same network, bank by bank. `runs` is a list of { name, nodes, summary, ... }
+     * (nodes may be engine nodes or resultRows). The first run is the baseline: every bank gets one state per run
+     * with deltas against it, and `statusChanged` is set when any run disagrees with the baseline status.
+     */
+    const compareRuns = (runs) => {
+        if (!runs.length) return { runs: [], banks: [] };
+        const lookups = runs.map(run => new Map(run.nodes.map(node => [node.id, node])));
+        const ids = runs[0].nodes.map(node => node.id).sort((a, b) => a - b);
+
+        const banks = ids.map(id => {
+            const base = lookups[0].get(id);
+            const states = lookups.map(lookup => {
+                const node = lookup.get(id);
+                if (!node) return null;
+                return {
+                    E: node.E,
+                    debtRank: node.debtRank,
+                    status: node.status || STATUS_LABELS[node.stressLevel],
+                    deltaE: node.E - base.E,
+                    deltaDebtRank: node.debtRank - base.debtRank
+                };
+            });
+            return {
+                id,
+                name: base.name,
+                states,
+                statusChanged: states.some(state => !state || state.status !== states[0].status),
+                maxAbsDeltaDebtRank: Math.max(...states.map(state => (state ? Math.abs(state.deltaDebtRank) : 0)))
+            };
+        });
+
+        return {
+            runs: runs.map(({ name, shock, model, fireSale, interventions, seed, summary }) => ({
+                name, shock, model, fireSale: fireSale || null, interventions: interventions || null, seed, summary
+            })),
+            banks
+        };
+    };
+
+    // =========================================================
+    // Systemic Importance
+    // =========================================================
+
+    /**
+     * Fails each bank in turn (the targeted scenario) and measures the capital lost by everyone else.
+     * Returns one row per bank, indexed by id: { id, name, impact, impactShare, failuresCaused, rank },
+     * where `impactShare` is `impact` over the rest of the system's initial capital and rank 1 is the most systemic.
+     * `options.onProgress(done, total)` is called after each bank.
+     */
+    const systemicImportance = (network, options = {}) => {
+        const model = ContagionModels.normalizeModel(options.model);
+        const fireSale = FireSale.normalizeFireSale(options.fireSale);
+        const totalCapital = summarize(network.nodes).totalInitialCapital;
+
+        const rows = [];
+        network.nodes.forEach((source, k) => {
+            const { nodes } = runSimulation(network, { type: 'targeted', targetId: source.id }, { model, fireSale });
+            const others = nodes.filter(node => node.id !== source.id);
+            const impact = others.reduce((sum, node) => sum + node.E_initial - Math.max(0, node.E), 0);
+            const othersCapital = totalCapital - source.E_initial;
+            rows[source.id] = {
+                id: source.id,
+                name: source.name,
+                impact,
+                impactShare: othersCapital > 0 ? impact / othersCapital : 0,
+                failuresCaused: others.filter(node => node.isFailed).length
+            };
+            if (options.onProgress) options.onProgress(k + 1, network.nodes.length);
+        });
+
+        rows.slice().sort((a, b) => b.impact - a.impact).forEach((row, index) => { row.rank = index + 1; });
+        return rows;
+    };
+
+    // =========================================================
+    // Policy Interventions
+    // =========================================================
+
+    const RESCUE_SEARCH_STEPS = 20; // bisection steps per injection amount
+
+    /**
+     * Checks cheapest-injection search options. Returns a list of error messages (empty when valid).
+     */
+    const validateInjectionSearch = ({ maxFailures, when, candidates } = {}, nodeCount) => {
+        const errors = [];
+        if (!Number.isInteger(maxFailures) || maxFailures < 0 || maxFailures > nodeCount) {
+            errors.push(`"maxFailures" must be an integer between 0 and ${nodeCount}.`);
+        }
+        if (when !== undefined && !Interventions.INTERVENTION_TIMINGS.includes(when)) {
+            errors.push(`"when" must be one of: ${Interventions.INTERVENTION_TIMINGS.join(', ')}.`);
+        }
+        if (candidates !== undefined && (!Array.isArray(candidates) || candidates.some(id => !Number.isInteger(id) || id < 0 || id >= nodeCount))) {
+            errors.push(`"candidates" must be an array of bank ids between 0 and ${nodeCount - 1}.`);
+        }
+        return errors;
+    };
+
+    // Banks a shock fails outright by construction (targeted failures, `fail` components), whatever their capital
+    const forcedFailures = (network, shockSpec) => {
+        const shock = normalizeShock(shockSpec);
+        if (shock.type === 'targeted') return new Set([shock.targetId]);
+        if (shock.type !== 'custom') return new Set();
+        const ids = new Set();
+        shock.components.filter(component => component.on === 'fail').forEach(component => {
+            network.nodes.forEach(node => {
+                if (component.ids ? component.ids.includes(node.id) : (component.group === undefined || isGroupMember(node, component.group))) ids.add(node.id);
+            });
+        });
+        return ids;
+    };
+
+    /**
+     * Greedy search for a cheap set of capital injections that keeps failures at or below `options.maxFailures`.
+     * Banks the scenario fails by construction (a targeted failure, `fail` components) are taken as given; of the
+     * other failed banks, the one that fails first (ties: the largest interbank borrower) gets the smallest injection
+     * that saves it, found by bisection, until the target is met or no failed bank can be saved. A final pass trims each injection back to the least that still meets
+     * the target. The result is a heuristic, not a proven optimum.
+     * Options: shock settings as for runSimulation (model, fireSale, seed), plus
+     *   maxFailures  target number of failures
+     *   when         'during' (default: recapitalise after the shock) or 'before'
+     *   candidates      bank ids eligible for capital (default: all)
+     *   maxEvaluations  most trial runs to make (default: no limit); the search stops, `exhausted`, before a rescue
+     *                   or trim it could not finish within them
+     *   onProgress      called with the number of trial runs so far after each one
+     * Returns { maxFailures, when, reached, exhausted, injections: [{ id, name, amount }], interventions, cost,
+     *           baseline (summary), summary, evaluations }.
+     */
+    const cheapestInjection = (network, shockSpec, options = {}) => {
+        const { maxFailures } = options;
+        const when = options.when || 'during';
+        const eligible = new Set(options.candidates || network.nodes.map(node => node.id));
+        const seed = options.seed !== undefined ? options.seed : (network.parameters && network.parameters.seed);
+        const stream = replayableRandom(options.random || (seed !== undefined && seed !== null ? shockRandom(seed) : Math.random));
+
+        let evaluations = 0;
+        let exhausted = false;
+        const maxEvaluations = options.maxEvaluations === undefined ? Infinity : options.maxEvaluations;
+        // Whether `count` more trial runs (and the final one) fit in the budget
+        const affords = (count) => {
+            if (evaluations + count + 1 <= maxEvaluations) return true;
+            exhausted = true;
+            return false;
+        };
+        const toInterventions = (amounts) => [...amounts].map(([id, amount]) => ({ type: 'capital', ids: [id], amount, when }));
+        const run = (amounts, recordRounds = false) => {
+            evaluations++;
+            const result = simulate(network, shockSpec, {
+                model: options.model,
+                fireSale: options.fireSale,
+                interventions: toInterventions(amounts),
+                random: stream(),
+                recordRounds
+            });
+            if (options.onProgress) options.onProgress(evaluations);
+            return result;
+        };
+        const withAmount = (amounts, id, amount) => new Map(amounts).set(id, amount);
+
+        // Least amount in (0, upper] for which `ok` holds, assuming it holds at `upper`
+        const bisect = (ok, upper) => {
+            let low = 0;
+            let high = upper;
+            for (let step = 0; step < RESCUE_SEARCH_STEPS; step++) {
+                const mid = (low + high) / 2;
+                if (ok(mid)) high = mid;
+                else low = mid;
+            }
+            return high;
+        };
+
+        const baseline = run(new Map(), true);
+        const forced = forcedFailures(network, shockSpec);
+        const failureRound = (rounds, id) => rounds.findIndex(round => round.isFailed[id]);
+
+        let amounts = new Map();
+        let current = baseline;
+        const unrescuable = new Set();
+        while (current.summary.failures > maxFailures) {
+            const candidates = current.nodes
+                .filter(node => node.isFailed && eligible.has(node.id) && !forced.has(node.id) && !amounts.has(node.id) && !unrescuable.has(node.id))
+                .map(node => ({ node, round: failureRound(current.rounds, node.id) }))
+                .sort((a, b) => a.round - b.round || b.node.L_interbank - a.node.L_interbank);
+            if (!candidates.length || !affords(RESCUE_SEARCH_STEPS + 2)) break;
+
+            const { id, A } = candidates[0].node;
+            // No loss can exceed a bank's total assets, so that much capital always saves it
+            const survives = (amount) => !run(withAmount(amounts, id, amount)).nodes[id].isFailed; // result nodes are ordered by id
+            if (!survives(A)) {
+                unrescuable.add(id);
+                continue;
+            }
+            amounts = withAmount(amounts, id, bisect(survives, A));
+            current = run(amounts, true);
+        }
+
+        const reached = current.summary.failures <= maxFailures;
+        if (reached) {
+            // Later rescues can make earlier injections partly or wholly unnecessary
+            [...amounts.keys()].reverse().forEach(id => {
+                if (!affords(RESCUE_SEARCH_STEPS + 1)) return;
+                const meetsTarget = (amount) => run(withAmount(amounts, id, amount)).summary.failures <= maxFailures;
+                if (meetsTarget(0)) amounts.delete(id);
+                else amounts = withAmount(amounts, id, bisect(meetsTarget, amounts.get(id)));
+            });
+            current = run(amounts);
+        }
+
+        const names = new Map(network.nodes.map(node => [node.id, node.name]));
+        const injections = [...amounts].map(([id, amount]) => ({ id, name: names.get(id), amount }));
+        return {
+            maxFailures,
+            when,
+            reached,
+            exhausted,
+            injections,
+            interventions: toInterventions(amounts),
+            cost: injections.reduce((sum, injection) => sum + injection.amount, 0),
+            baseline: baseline.summary,
+            summary: current.summary,
+            evaluations
+        };
+    };
+
+    // =========================================================
+    // Shareable Scenario Strings
+    // =========================================================
+
+    const SCENARIO_SHOCK_PARAMS = ['lossFactor', 'targetId', 'probability', 'severity'];
+
+    /**
+     * Encodes { seed, network, shock, model, fireSale } as a query string, e.g. "seed=k3j9a&n=50&shock=random&probability=0.1".
+     * `network` holds generation options; those equal to GENERATION_DEFAULTS are left out to keep links short.
+     */
+    const encodeScenario = ({ seed, network = {}, shock, model, fireSale }) => {
+        const params = new URLSearchParams();
+        if (seed !== undefined && seed !== null) params.set('seed', seed);
+        GENERATION_PARAMS.forEach(key => {
+            const value = network[key];
+            if (value !== undefined && value !== null && (key === 'n' || value !== GENERATION_DEFAULTS[key])) params.set(key, value);
+        });
+        if (shock) {
+            const normalized = normalizeShock(shock);
+            params.set('shock', normalized.type);
+            if (normalized.type === 'custom') params.set('components', JSON.stringify(normalized.components));
+            SCENARIO_SHOCK_PARAMS.forEach(key => {
+                if (normalized[key] !== undefined && !Number.isNaN(normalized[key])) params.set(key, normalized[key]);
+            });
+        }
+        if (model) {
+            const { type, ...modelParams } = ContagionModels.normalizeModel(model);
+            if (type !== ContagionModels.DEFAULT_MODEL) params.set('model', type);
+            Object.entries(modelParams).forEach(([key, value]) => params.set(key, value));
+        }
+        const fireSaleSpec = FireSale.normalizeFireSale(fireSale);
+        if (fireSaleSpec) {
+            params.set('fireSale', '1');
+            Object.entries(fireSaleSpec).forEach(([key, value]) => {
+                if (value !== FireSale.FIRE_SALE_DEFAULTS[key]) params.set(key, value);
+            });
+        }
+        return params.toString();
+    };
+
+    /**
+     * Inverse of encodeScenario. Accepts a query string with or without a leading "?" or "#".
+     * Returns { seed, network, shock, model, fireSale } with seed/shock/fireSale null when absent.
+     */
+    const decodeScenario = (text) => {
+        const params = new URLSearchParams(String(text || '').replace(/^[?#]/, ''));
+        const scenario = { seed: params.has('seed') ? params.get('seed') : null, network: {}, shock: null, model: null, fireSale: null };
+
+        GENERATION_PARAMS.forEach(key => {
+            if (!params.has(key)) return;
+            const value = params.get(key);
+            scenario.network[key] = key === 'topology' ? value : Number(value);
+        });
+        if (params.has('shock')) {
+            const shock = { type: params.get('shock') };
+            SCENARIO_SHOCK_PARAMS.forEach(key => {
+                if (params.has(key)) shock[key] = Number(params.get(key));
+            });
+            if (params.has('components')) {
+                try {
+                    shock.components = JSON.parse(params.get('components'));
+                } catch (err) {
+                    shock.components = [];
+                }
+            }
+            scenario.shock = shock;
+        }
+        const modelType = params.get('model') || ContagionModels.DEFAULT_MODEL;
+        if (ContagionModels.MODEL_TYPES.includes(modelType)) {
+            const model = { type: modelType };
+            Object.keys(ContagionModels.MODELS[modelType].defaults).forEach(key => {
+                if (params.has(key)) model[key] = Number(params.get(key));
+            });
+            scenario.model = model;
+        }
+        if (params.get('fireSale') === '1') {
+            scenario.fireSale = {};
+            Object.keys(FireSale.FIRE_SALE_DEFAULTS).forEach(key => {
+                if (params.has(key)) scenario.fireSale[key] = Number(params.get(key));
+            });
+        }
+        return scenario;
+    };
+
+    return {
+        N,
+        INDIAN_BANK_NAMES,
+        MACRO_LOSS_FACTOR,
+        RANDOM_FAILURE_PROBABILITY,
+        RANDOM_FAILURE_SEVERITY,
+        MIN_CAPITAL_RATIO,
+        MAX_CAPITAL_RATIO,
+        ASSETS_MIN,
+        ASSETS_MAX,
+        DEBT_RANK_TOLERANCE,
+        MAX_ITERATIONS,
+        SHOCK_TYPES,
+        SHOCK_TARGETS,
+        INSTITUTION_GROUPS,
+        STATUS_LABELS,
+        TOPOLOGIES,
+        validateBalanceSheets,
+        GENERATION_DEFAULTS,
+        GENERATION_PARAMS,
+        MODEL_TYPES: ContagionModels.MODEL_TYPES,
+        DEFAULT_ASSET_CLASSES: FireSale.DEFAULT_ASSET_CLASSES,
+        DEFAULT_LAYERS: ExposureLayers.DEFAULT_LAYERS,
+        normalizeLayers: ExposureLayers.normalizeLayers,
+        validateLayers: ExposureLayers.validateLayers,
+        normalizeFireSale: FireSale.normalizeFireSale,
+        validateFireSale: FireSale.validateFireSale,
+        INTERVENTION_TYPES: Interventions.INTERVENTION_TYPES,
+        WITHDRAWAL_RULES: Liquidity.WITHDRAWAL_RULES,
+        normalizeLiquidity: Liquidity.normalizeLiquidity,
+        validateLiquidity: Liquidity.validateLiquidity,
+        describeLiquidity: Liquidity.describeLiquidity,
+        CAPITAL_TRIGGERS: CapitalRules.CAPITAL_TRIGGERS,
+        CAPITAL_DEFAULTS: CapitalRules.CAPITAL_DEFAULTS,
+        normalizeCapitalRules: CapitalRules.normalizeCapitalRules,
+        validateCapitalRules: CapitalRules.validateCapitalRules,
+        describeCapitalRules: CapitalRules.describeCapitalRules,
+        riskWeightedAssets: CapitalRules.riskWeightedAssets,
+        contagionPaths: LossAttribution.contagionPaths,
+        normalizeModel: ContagionModels.normalizeModel,
+        validateModel: ContagionModels.validateModel,
+        describeModel: ContagionModels.describeModel,
+        clamp,
+        shuffle,
+        createRandom,
+        randomSeed,
+        shockRandom,
+        finalizeNetwork,
+        resolveGenerationOptions,
+        validateGenerationOptions,
+        generateNetwork,
+        nodesById,
+        serializeNetwork,
+        loadNetwork,
+        networkFingerprint,
+        isGroupMember,
+        normalizeShock,
+        validateShock,
+        describeShock,
+        applyShock,
+        propagate,
+        summarize,
+        snapshotRound,
+        runSimulation,
+        resultRows,
+        compareRuns,
+        systemicImportance,
+        validateInterventions: Interventions.validateInterventions,
+        describeIntervention: Interventions.describeIntervention,
+        validateInjectionSearch,
+        cheapestInjection,
+        encodeScenario,
+        decodeScenario
+    };
+});
@@ -0,0 +1,227 @@
+// =========================================================
+// Result and Network Export (CSV, JSON, printable report)
+// =========================================================
+// Pure formatting helpers shared by the browser UI (`window.ResultExporter`) and cli.js.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine'));
+    } else {
+        root.ResultExporter = factory(root.DebtRankEngine);
+    }
+})(typeof self !== 'undefined' ? self : this, (DebtRankEngine) => {
+    'use strict';
+
+    const NETWORK_FORMAT = 'debtrank-network';
+    const NETWORK_FORMAT_VERSION = 2; // 2: sparse `exposures` list instead of the dense `adj` matrix
+
+    const RESULT_COLUMNS = ['id', 'name', 'E_initial', 'E', 'debtRank', 'stressLevel', 'status', 'shockLoss', 'interbankLoss', 'fireSaleLoss', 'liquidityLoss', 'failureType',
+        'cet1Before', 'cet1After', 'leverageBefore', 'leverageAfter', 'breachesAfter', 'failedBy'];
+    const SUMMARY_COLUMNS = ['totalInstitutions', 'failures', 'contagionIndex', 'totalInitialCapital', 'totalLoss'];
+
+    const csvEscape = (value) => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const toCsv = (rows, columns) => [columns.join(','), ...rows.map(row => columns.map(c => csvEscape(row[c])).join(','))].join('\n') + '\n';
+
+    const escapeHtml = (value) => String(value).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+
+    /**
+     * Post-shock per-bank table, sorted like the on-screen table (highest DebtRank first). Breached triggers are
+     * space-separated. Runs on a layered network add the interbank loss per layer as "loss:<layer id>" columns.
+     */
+    const resultsCsv = (nodes) => {
+        const layerIds = nodes.length && nodes[0].layerLosses ? Object.keys(nodes[0].layerLosses) : [];
+        return toCsv(DebtRankEngine.resultRows(nodes)
+            .sort((a, b) => b.debtRank - a.debtRank)
+            .map(row => ({
+                ...row,
+                breachesAfter: row.breachesAfter.join(' '),
+                ...Object.fromEntries(layerIds.map(id => [`loss:${id}`, row.layerLosses[id]]))
+            })), [...RESULT_COLUMNS, ...layerIds.map(id => `loss:${id}`)]);
+    };
+
+    const summaryCsv = (summary) => toCsv([summary], SUMMARY_COLUMNS);
+
+    const resultsJson = ({ nodes, summary, shock, model, fireSale, interventions, liquidity, capitalRules, layers, iterations, rounds }) => JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        shock: shock || null,
+        model: model || null,
+        fireSale: fireSale || null,
+        interventions: interventions || null,
+        liquidity: liquidity || null,
+        capitalRules: capitalRules || null,
+        layers: layers || null,
+        iterations: iterations === undefined ? null : iterations,
+        summary,
+        rounds: rounds ? rounds.map(({ round, summary: roundSummary }) => ({ round, ...roundSummary })) : undefined,
+        banks: DebtRankEngine.resultRows(nodes)
+    }, null, 2);
+
+    /**
+     * A reloadable network file: everything DebtRankEngine.loadNetwork needs, plus the
+     * generation parameters and the last shock and model applied so a run can be reproduced.
+     */
+    const networkJson = ({ network, shock = null, model = null }) => JSON.stringify({
+        format: NETWORK_FORMAT,
+        version: NETWORK_FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        shock,
+        model,
+        ...DebtRankEngine.serializeNetwork(network)
+    }, null, 2);
+
+    /**
+     * Standalone, printable HTML report (use the browser's "Save as PDF" for a PDF copy).
+     * `svgMarkup` is the serialized network view, embedded as-is.
+     */
+    const reportHtml = ({ title = 'Systemic Risk Stress Test', nodes, summary, shock, model, fireSale, interventions, liquidity, capitalRules, layers, parameters = {}, svgMarkup = '', formatCurrency = String }) => {
+        const rows = DebtRankEngine.resultRows(nodes).sort((a, b) => b.debtRank - a.debtRank);
+        const shockText = shock ? DebtRankEngine.describeShock(shock) : 'None (pre-shock network)';
+        const fireSaleText = fireSale
+            ? `impact ×${fireSale.impactScale}, deleveraging ${fireSale.deleveraging}; prices ${fireSale.prices.map(p => `${p.name} ${(p.price * 100).toFixed(1)}%`).join(', ')}`
+            : 'off';
+        const interventionText = interventions
+            ? `${interventions.applied.map(spec => DebtRankEngine.describeIntervention(spec, formatCurrency)).join('; ')}. Avoided ${interventions.avoidedFailures} failure(s) and ${interventions.avoidedLoss < 0 ? '-' : ''}${formatCurrency(Math.abs(interventions.avoidedLoss))} of capital losses against the same shock without them`
+            : 'none';
+        const liquidityText = liquidity
+            ? `${DebtRankEngine.describeLiquidity(liquidity)}. Failures by period (solvency / liquidity): ${liquidity.timeline.map(({ period, solvencyFailures, liquidityFailures }) => `${period}: ${solvencyFailures.length} / ${liquidityFailures.length}`).join(', ')}`
+            : 'off (single period)';
+        const capitalText = capitalRules
+            ? `${DebtRankEngine.describeCapitalRules(capitalRules)}. ${capitalRules.regulatoryFailures} bank(s) failed on a trigger while still solvent`
+            : 'off (failure and stress by the contagion model; ratios checked against Basel III minimums)';
+        const ratio = (value) => (value === null || value === undefined ? '—' : `${(value * 100).toFixed(2)}%`);
+        const layerText = layers
+            ? layers.map(layer => `${layer.name} (recovery ${ratio(layer.recovery)}): ${formatCurrency(layer.loss)} interbank loss on ${formatCurrency(layer.exposure)}`).join('; ')
+            : 'none (a single exposure layer, lost in full)';
+        const parameterText = Object.entries(parameters).map(([key, value]) => `${key}: ${value}`).join(', ') || '—';
+
+        return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { font-family: Inter, Arial, sans-serif; color: #0f172a; margin: 2rem; }
+    h1 { margin-bottom: 0.25rem; }
+    .meta { color: #475569; margin: 0.25rem 0; }
+    table { border-collapse: collapse; width: 100%; margin-top: 1rem; font-size: 12px; }
+    th, td { border: 1px solid #cbd5e1; padding: 4px 8px; text-align: left; }
+    th { background: #e2e8f0; }
+    .failed { color: #b91c1c; font-weight: bold; }
+    .stressed { color: #a16207; }
+    .network svg { width: 100%; height: auto; background: #020617; margin-top: 1rem; }
+    @media print { .no-print { display: none; } tr { page-break-inside: avoid; } }
+</style>
+</head>
+<body>
+<button class="no-print" onclick="window.print()">Print / Save as PDF</button>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">Generated ${escapeHtml(new Date().toISOString())}</p>
+<p class="meta">Shock: ${escapeHtml(shockText)}</p>
+<p class="meta">Contagion model: ${escapeHtml(model ? DebtRankEngine.describeModel(model) : '—')}</p>
+<p class="meta">Fire-sale channel: ${escapeHtml(fireSaleText)}</p>
+<p class="meta">Interventions: ${escapeHtml(interventionText)}</p>
+<p class="meta">Funding liquidity: ${escapeHtml(liquidityText)}</p>
+<p class="meta">Capital rules: ${escapeHtml(capitalText)}</p>
+<p class="meta">Exposure layers: ${escapeHtml(layerText)}</p>
+<p class="meta">Network parameters: ${escapeHtml(parameterText)}</p>
+
+<h2>System Impact Summary</h2>
+<table>
+    <tr><th>Total Institutions</th><td>${summary.totalInstitutions}</td></tr>
+    <tr><th>Total Failures</th><td>${summary.failures}</td></tr>
+    <tr><th>Contagion Index (CI)</th><td>${summary.contagionIndex.toFixed(2)}%</td></tr>
+    <tr><th>Total Capital Lost</th><td>${escapeHtml(formatCurrency(summary.totalLoss))}</td></tr>
+</table>
+
+<h2>Interbank Network</h2>
+<div class="network">${svgMarkup}</div>
+
+<h2>Institution Metrics (Post-Shock)</h2>
+<table>
+    <tr><th>Institution</th><th>Initial Capital</th><th>Post-Shock Capital</th><th>DebtRank</th><th>Status</th><th>CET1 (pre → post)</th><th>Breaches</th><th>Loss: Shock / Interbank / Fire-sale / Liquidity</th></tr>
+    ${rows.map(row => `<tr><td>${escapeHtml(row.name)} (${row.id})</td><td>${escapeHtml(formatCurrency(row.E_initial))}</td><td>${escapeHtml(formatCurrency(row.E))}</td><td>${row.debtRank.toFixed(4)}</td><td class="${row.status.toLowerCase()}">${row.status}</td><td>${ratio(row.cet1Before)} → ${ratio(row.cet1After)}</td><td>${escapeHtml(row.breachesAfter.join(', ') || '—')}</td><td>${[row.shockLoss, row.interbankLoss, row.fireSaleLoss, row.liquidityLoss].map(value => escapeHtml(formatCurrency(value))).join(' / ')}</td></tr>`).join('\n    ')}
+</table>
+</body>
+</html>
+`;
+    };
+
+    // =========================================================
+    // Audit Records
+    // =========================================================
+    // Shared by the browser and api.js so a run looks the same in the audit log wherever it ran (see audit.js).
+
+    const AUDITED_TOP_BANKS = 5;
+
+    /**
+     * What an audit entry records about a network. Generated networks can be rebuilt from their parameters;
+     * imported ones are found again through the fingerprint (the log keeps one copy of each).
+     */
+    const auditNetwork = (network, source) => ({
+        source, // 'generated' | 'imported' | 'uploaded' | 'library' | 'edited'
+        fingerprint: DebtRankEngine.networkFingerprint(network),
+        parameters: network.parameters || {},
+        nodeCount: network.nodes.length,
+        linkCount: network.links.length,
+        ...(network.layers ? { layers: network.layers.map(layer => layer.id) } : {})
+    });
+
+    const headline = ({ failures, contagionIndex, totalLoss }) => ({ failures, contagionIndex, totalLoss });
+
+    /**
+     * Headline results for an audit entry. `result` is what the event produced: the network for 'generate' and
+     * 'import', the engine (or MonteCarlo) result otherwise, and the ranking rows for 'systemic-importance'.
+     */
+    const auditResults = (event, result) => {
+        if (event === 'generate' || event === 'import') {
+            return { nodeCount: result.nodes.length, linkCount: result.links.length, totalInitialCapital: DebtRankEngine.summarize(result.nodes).totalInitialCapital };
+        }
+        if (event === 'simulate') {
+            const { interventions, liquidity, capitalRules, layers } = result;
+            const failuresOf = (key) => liquidity.timeline.reduce((sum, period) => sum + period[key].length, 0);
+            return {
+                ...headline(result.summary),
+                iterations: result.iterations,
+                ...(interventions ? { avoidedFailures: interventions.avoidedFailures, avoidedLoss: interventions.avoidedLoss, injected: interventions.injected } : {}),
+                ...(liquidity ? { periods: liquidity.periods, solvencyFailures: failuresOf('solvencyFailures'), liquidityFailures: failuresOf('liquidityFailures') } : {}),
+                ...(capitalRules ? { breaches: capitalRules.breaches, regulatoryFailures: capitalRules.regulatoryFailures } : {}),
+                ...(layers ? { layerLosses: Object.fromEntries(layers.map(layer => [layer.id, layer.loss])) } : {})
+            };
+        }
+        if (event === 'compare') return { runs: result.runs.map(run => ({ name: run.name, ...headline(run.summary) })) };
+        if (event === 'montecarlo') {
+            const { contagionIndex, failures, totalLoss } = result.stats;
+            return { runs: result.runs, meanFailures: failures.mean, meanContagionIndex: contagionIndex.mean, totalLoss: { mean: totalLoss.mean, var: totalLoss.var, es: totalLoss.es } };
+        }
+        if (event === 'systemic-importance') {
+            return {
+                top: result.filter(row => row.rank <= AUDITED_TOP_BANKS).sort((a, b) => a.rank - b.rank)
+                    .map(({ rank, id, name, impactShare, failuresCaused }) => ({ rank, id, name, impactShare, failuresCaused }))
+            };
+        }
+        if (event === 'cheapest-injection') {
+            return { maxFailures: result.maxFailures, reached: result.reached, cost: result.cost, injections: result.injections.length, baselineFailures: result.baseline.failures, failures: result.summary.failures };
+        }
+        throw new Error(`Unknown audit event "${event}".`);
+    };
+
+    return {
+        NETWORK_FORMAT,
+        NETWORK_FORMAT_VERSION,
+        RESULT_COLUMNS,
+        SUMMARY_COLUMNS,
+        csvEscape,
+        toCsv,
+        escapeHtml,
+        resultsCsv,
+        summaryCsv,
+        resultsJson,
+        networkJson,
+        reportHtml,
+        auditNetwork,
+        auditResults
+    };
+});
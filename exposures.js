@@ -0,0 +1,143 @@
+// =========================================================
+// Sparse Interbank Exposures
+// =========================================================
+// Bilateral exposures kept as per-bank maps instead of a dense N×N matrix, so memory and every pass over the
+// network grow with the number of exposures rather than N². For a network of n banks:
+//   out[i]  Map creditor id -> amount debtor i owes that creditor
+//   in[j]   Map debtor id   -> amount that debtor owes creditor j
+// Only positive amounts are stored, so out[i].size / in[j].size are the bank's out/in connection counts.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Exposures = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, () => {
+    'use strict';
+
+    const createExposures = (n) => ({
+        n,
+        out: Array.from({ length: n }, () => new Map()),
+        in: Array.from({ length: n }, () => new Map())
+    });
+
+    const getExposure = (exposures, debtor, creditor) => exposures.out[debtor].get(creditor) || 0;
+
+    /**
+     * Sets the amount `debtor` owes `creditor`; zero or less removes the exposure.
+     */
+    const setExposure = (exposures, debtor, creditor, amount) => {
+        if (amount > 0) {
+            exposures.out[debtor].set(creditor, amount);
+            exposures.in[creditor].set(debtor, amount);
+        } else {
+            exposures.out[debtor].delete(creditor);
+            exposures.in[creditor].delete(debtor);
+        }
+    };
+
+    // Repeated debtor/creditor pairs are summed
+    const addExposure = (exposures, debtor, creditor, amount) => setExposure(exposures, debtor, creditor, getExposure(exposures, debtor, creditor) + amount);
+
+    const copyExposures = (exposures) => ({
+        n: exposures.n,
+        out: exposures.out.map(row => new Map(row)),
+        in: exposures.in.map(column => new Map(column))
+    });
+
+    const sumValues = (map) => {
+        let total = 0;
+        map.forEach(amount => { total += amount; });
+        return total;
+    };
+
+    // Debtor i's interbank liabilities and creditor j's interbank assets
+    const totalOwed = (exposures, debtor) => sumValues(exposures.out[debtor]);
+    const totalClaims = (exposures, creditor) => sumValues(exposures.in[creditor]);
+
+    /**
+     * Exposure list [[debtor, creditor, amount], ...] ordered by debtor, then creditor (the serialized form).
+     */
+    const toList = (exposures) => {
+        const list = [];
+        exposures.out.forEach((row, debtor) => {
+            [...row.keys()].sort((a, b) => a - b).forEach(creditor => list.push([debtor, creditor, row.get(creditor)]));
+        });
+        return list;
+    };
+
+    const fromList = (list, n) => {
+        const exposures = createExposures(n);
+        list.forEach(([debtor, creditor, amount]) => addExposure(exposures, debtor, creditor, amount));
+        return exposures;
+    };
+
+    // adj[i][j] = amount debtor i owes creditor j (network files written before the sparse format)
+    const fromMatrix = (adj) => {
+        const exposures = createExposures(adj.length);
+        adj.forEach((row, debtor) => row.forEach((amount, creditor) => {
+            if (amount > 0) setExposure(exposures, debtor, creditor, amount);
+        }));
+        return exposures;
+    };
+
+    /**
+     * Checks a serialized exposure list against a network of `nodeCount` banks. Returns a list of error messages
+     * (empty when valid); only the first few bad entries are reported. With `layerIds` (a layered network, see
+     * layers.js) every entry names its layer: [debtor, creditor, amount, layer].
+     */
+    const validateList = (list, nodeCount, layerIds) => {
+        const shape = layerIds ? '[debtor, creditor, amount, layer]' : '[debtor, creditor, amount]';
+        if (!Array.isArray(list)) return [`"exposures" must be an array of ${shape} entries.`];
+        const isId = (id) => Number.isInteger(id) && id >= 0 && id < nodeCount;
+        const errors = [];
+        list.forEach((entry, k) => {
+            if (errors.length >= 10) return;
+            if (!Array.isArray(entry) || entry.length !== (layerIds ? 4 : 3) || !isId(entry[0]) || !isId(entry[1])) {
+                errors.push(`"exposures[${k}]" must be ${shape} with bank ids between 0 and ${nodeCount - 1}.`);
+            } else if (entry[0] === entry[1]) {
+                errors.push(`"exposures[${k}]" is a self-loop on bank ${entry[0]}.`);
+            } else if (typeof entry[2] !== 'number' || !Number.isFinite(entry[2]) || entry[2] < 0) {
+                errors.push(`"exposures[${k}]" amount must be a non-negative number.`);
+            } else if (layerIds && !layerIds.includes(entry[3])) {
+                errors.push(`"exposures[${k}]" layer must be one of: ${layerIds.join(', ')}.`);
+            }
+        });
+        return errors;
+    };
+
+    /**
+     * Checks an "adj" matrix (see fromMatrix) the way validateList checks a list: a square matrix of non-negative
+     * amounts with nothing on the diagonal. Only the first few bad entries are reported.
+     */
+    const validateMatrix = (adj, nodeCount) => {
+        if (!Array.isArray(adj) || adj.length !== nodeCount || adj.some(row => !Array.isArray(row) || row.length !== nodeCount)) {
+            return [`"adj" must be a ${nodeCount}x${nodeCount} matrix.`];
+        }
+        const errors = [];
+        adj.forEach((row, i) => row.forEach((amount, j) => {
+            if (errors.length >= 10) return;
+            if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0) {
+                errors.push(`"adj[${i}][${j}]" must be a non-negative number.`);
+            } else if (i === j && amount > 0) {
+                errors.push(`"adj[${i}][${j}]" is a self-loop on bank ${i}.`);
+            }
+        }));
+        return errors;
+    };
+
+    return {
+        createExposures,
+        getExposure,
+        setExposure,
+        addExposure,
+        copyExposures,
+        totalOwed,
+        totalClaims,
+        toList,
+        fromList,
+        fromMatrix,
+        validateList,
+        validateMatrix
+    };
+});
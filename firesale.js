@@ -0,0 +1,181 @@
+// =========================================================
+// Fire-Sale Channel (overlapping portfolios, price impact)
+// =========================================================
+// Indirect contagion: distressed banks sell common assets, prices fall and every holder takes
+// mark-to-market losses. Works in the browser (`window.FireSale`) and Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.FireSale = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, () => {
+    'use strict';
+
+    /**
+     * External-asset classes. `share` is the typical portfolio weight used when generating holdings,
+     * `impact` the price impact of banks selling their entire combined holding (price = exp(-impact × sold / held)).
+     * Non-marketable classes are never sold but are still part of each bank's book.
+     */
+    const DEFAULT_ASSET_CLASSES = [
+        { id: 'gsec', name: 'Government Securities', share: 0.3, impact: 0.01, marketable: true },
+        { id: 'corporate-bonds', name: 'Corporate Bonds', share: 0.2, impact: 0.05, marketable: true },
+        { id: 'equities', name: 'Equities', share: 0.1, impact: 0.1, marketable: true },
+        { id: 'loans', name: 'Loans & Advances', share: 0.4, impact: 0, marketable: false }
+    ];
+
+    const FIRE_SALE_DEFAULTS = { impactScale: 1, deleveraging: 1 };
+    const MAX_PASSES = 50;
+    const TOLERANCE = 1e-6; // relative to total initial capital
+
+    /**
+     * Splits every bank's external assets across the asset classes: the class shares, tilted per bank by `random`.
+     * Returns one array of amounts (in asset-class order) per node.
+     */
+    const generateHoldings = (nodes, random = Math.random, assetClasses = DEFAULT_ASSET_CLASSES) => nodes.map(node => {
+        const weights = assetClasses.map(assetClass => assetClass.share * (0.5 + random()));
+        const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+        const external = Math.max(0, node.A_external);
+        return weights.map(w => external * (w / totalWeight));
+    });
+
+    // Holdings for banks without any (imported data, older network files): the plain class shares
+    const defaultHoldings = (node, assetClasses) => {
+        const totalShare = assetClasses.reduce((sum, assetClass) => sum + assetClass.share, 0);
+        return assetClasses.map(assetClass => Math.max(0, node.A_external) * (assetClass.share / totalShare));
+    };
+
+    /**
+     * Fills in defaults for a fire-sale spec. `false`/`null`/`undefined` switch the channel off (returns null);
+     * `true` or an object { impactScale, deleveraging } switch it on.
+     *   impactScale   multiplies every asset class's price impact
+     *   deleveraging  fraction of the sales needed to restore each bank's pre-shock leverage that it actually makes
+     */
+    const normalizeFireSale = (spec) => {
+        if (!spec) return null;
+        const options = spec === true ? {} : spec;
+        return {
+            impactScale: options.impactScale !== undefined ? Number(options.impactScale) : FIRE_SALE_DEFAULTS.impactScale,
+            deleveraging: options.deleveraging !== undefined ? Number(options.deleveraging) : FIRE_SALE_DEFAULTS.deleveraging
+        };
+    };
+
+    const validateFireSale = (spec) => {
+        if (spec === undefined || spec === null || typeof spec === 'boolean') return [];
+        if (typeof spec !== 'object' || Array.isArray(spec)) return ['"fireSale" must be a boolean or an object.'];
+        const errors = [];
+        if (spec.impactScale !== undefined && (typeof spec.impactScale !== 'number' || spec.impactScale < 0 || spec.impactScale > 100)) {
+            errors.push('"fireSale.impactScale" must be a number between 0 and 100.');
+        }
+        if (spec.deleveraging !== undefined && (typeof spec.deleveraging !== 'number' || spec.deleveraging < 0 || spec.deleveraging > 1)) {
+            errors.push('"fireSale.deleveraging" must be a number between 0 and 1.');
+        }
+        return errors;
+    };
+
+    /**
+     * Checks a network's own asset classes (as loaded from a file): each needs a unique string `id` and a non-negative
+     * `share`; `name`, `impact`, `marketable` (see normalizeAssetClasses) and `riskWeight` (see capital.js) are
+     * optional. Returns a list of error messages (empty when valid).
+     */
+    const validateAssetClasses = (assetClasses) => {
+        if (assetClasses === undefined || assetClasses === null) return [];
+        if (!Array.isArray(assetClasses)) return ['"assetClasses" must be an array.'];
+        const errors = [];
+        const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+        const ids = new Set();
+        assetClasses.forEach((assetClass, k) => {
+            const at = `"assetClasses[${k}]`;
+            if (!assetClass || typeof assetClass !== 'object' || Array.isArray(assetClass)) {
+                errors.push(`${at}" must be an object.`);
+                return;
+            }
+            if (typeof assetClass.id !== 'string' || assetClass.id.trim() === '') errors.push(`${at}.id" must be a non-empty string.`);
+            else if (ids.has(assetClass.id)) errors.push(`${at}.id" repeats "${assetClass.id}".`);
+            ids.add(assetClass.id);
+            if (assetClass.name !== undefined && typeof assetClass.name !== 'string') errors.push(`${at}.name" must be a string.`);
+            if (!isAmount(assetClass.share)) errors.push(`${at}.share" must be a non-negative number.`);
+            if (assetClass.impact !== undefined && !isAmount(assetClass.impact)) errors.push(`${at}.impact" must be a non-negative number.`);
+            if (assetClass.marketable !== undefined && typeof assetClass.marketable !== 'boolean') errors.push(`${at}.marketable" must be true or false.`);
+            if (assetClass.riskWeight !== undefined && !isAmount(assetClass.riskWeight)) errors.push(`${at}.riskWeight" must be a non-negative number.`);
+        });
+        if (!errors.length && assetClasses.length && !assetClasses.some(assetClass => assetClass.share > 0)) {
+            errors.push('At least one of "assetClasses" must have a positive "share".');
+        }
+        return errors;
+    };
+
+    // Copies of valid asset classes with the optional fields filled in: no price impact and not marketable
+    const normalizeAssetClasses = (assetClasses) => assetClasses.map(assetClass => ({
+        ...assetClass,
+        impact: assetClass.impact === undefined ? 0 : assetClass.impact,
+        marketable: assetClass.marketable === undefined ? false : assetClass.marketable
+    }));
+
+    /**
+     * Runs interbank contagion and fire sales to a joint fixed point.
+     *   shockedNodes  nodes straight after the initial shock
+     *   contagion     (extraLosses) => final nodes: reruns the interbank model from the shocked state
+     *                 with `extraLosses[i]` of equity removed from node i first
+     * Each pass, banks sell marketable assets pro rata to restore their pre-shock leverage (failed banks sell
+     * everything), prices fall with cumulative sales, and the resulting mark-to-market losses on the initial
+     * holdings feed the next pass. Losses only grow, so the loop converges.
+     * Returns { nodes, fireSaleLosses (by position), prices: [{ id, name, price, sold }], passes }.
+     */
+    const runWithFireSales = (shockedNodes, assetClasses, spec, contagion) => {
+        const classes = assetClasses && assetClasses.length ? assetClasses : DEFAULT_ASSET_CLASSES;
+        const holdings = shockedNodes.map(node => node.holdings || defaultHoldings(node, classes));
+        const marketSize = classes.map((_, k) => holdings.reduce((sum, h) => sum + h[k], 0));
+        const totalCapital = shockedNodes.reduce((sum, node) => sum + node.E_initial, 0);
+
+        let losses = shockedNodes.map(() => 0);
+        let prices = classes.map(() => 1);
+        let sold = classes.map(() => 0);
+        let nodes = null;
+        let passes = 0;
+
+        while (passes < MAX_PASSES) {
+            passes++;
+            nodes = contagion(losses);
+
+            sold = classes.map(() => 0);
+            nodes.forEach((node, i) => {
+                const marketable = classes.reduce((sum, assetClass, k) => sum + (assetClass.marketable ? holdings[i][k] : 0), 0);
+                if (marketable <= 0) return;
+                const equityLoss = node.E_initial - Math.max(0, node.E);
+                const leverage = node.E_initial > 0 ? node.A / node.E_initial : 0;
+                const sale = node.isFailed ? marketable : Math.min(marketable, spec.deleveraging * leverage * equityLoss);
+                classes.forEach((assetClass, k) => {
+                    if (assetClass.marketable) sold[k] += sale * (holdings[i][k] / marketable);
+                });
+            });
+
+            prices = classes.map((assetClass, k) => (marketSize[k] > 0 ? Math.exp(-assetClass.impact * spec.impactScale * sold[k] / marketSize[k]) : 1));
+            const next = holdings.map(h => h.reduce((sum, amount, k) => sum + amount * (1 - prices[k]), 0));
+            const change = next.reduce((max, loss, i) => Math.max(max, loss - losses[i]), 0);
+            losses = next;
+            if (change <= TOLERANCE * totalCapital) break;
+        }
+
+        // One last pass so the returned nodes carry the final losses
+        nodes = contagion(losses);
+        return {
+            nodes,
+            fireSaleLosses: losses,
+            prices: classes.map((assetClass, k) => ({ id: assetClass.id, name: assetClass.name, price: prices[k], sold: sold[k] })),
+            passes
+        };
+    };
+
+    return {
+        DEFAULT_ASSET_CLASSES,
+        FIRE_SALE_DEFAULTS,
+        generateHoldings,
+        defaultHoldings,
+        normalizeFireSale,
+        validateFireSale,
+        validateAssetClasses,
+        normalizeAssetClasses,
+        runWithFireSales
+    };
+});
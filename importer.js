@@ -0,0 +1,241 @@
+// =========================================================
+// Exposure Data Importer (balance sheets + bilateral exposures)
+// =========================================================
+// Builds an engine network from supervisory files. Works in the browser (`window.NetworkImporter`) and Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine'), require('./exposures'), require('./layers'));
+    } else {
+        root.NetworkImporter = factory(root.DebtRankEngine, root.Exposures, root.ExposureLayers);
+    }
+})(typeof self !== 'undefined' ? self : this, (DebtRankEngine, Exposures, ExposureLayers) => {
+    'use strict';
+
+    // Accepted header spellings, compared after lower-casing and stripping non-alphanumerics
+    const BALANCE_SHEET_COLUMNS = {
+        id: ['id', 'bankid', 'code'],
+        name: ['name', 'bankname', 'institution'],
+        assets: ['totalassets', 'assets', 'a'],
+        equity: ['equity', 'capital', 'e'],
+        group: ['group', 'category', 'institutiontype', 'type'],
+        rwa: ['rwa', 'riskweightedassets']
+    };
+    const EXPOSURE_COLUMNS = {
+        debtor: ['debtor', 'debtorid', 'borrower', 'from'],
+        creditor: ['creditor', 'creditorid', 'lender', 'to'],
+        amount: ['amount', 'exposure', 'value'],
+        layer: ['layer', 'instrument', 'exposuretype']
+    };
+    const HAS_MARKUP = /[<>]/;
+
+    const normalizeKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+    /**
+     * Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF). Returns an array of string arrays.
+     */
+    const parseCsv = (text) => {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (inQuotes) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    inQuotes = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"') {
+                inQuotes = true;
+            } else if (ch === ',') {
+                row.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+        if (field !== '' || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(r => r.some(cell => cell.trim() !== ''));
+    };
+
+    /**
+     * Turns CSV text or JSON (an array of objects, or an object wrapping one) into
+     * { records, rowNumbers }. Row numbers are 1-based file lines for CSV and entry positions for JSON.
+     */
+    const readTable = (input) => {
+        if (typeof input === 'string' && /^\s*[[{]/.test(input)) {
+            input = JSON.parse(input);
+        }
+
+        if (typeof input === 'string') {
+            const [header = [], ...rows] = parseCsv(input);
+            const keys = header.map(normalizeKey);
+            return {
+                records: rows.map(cells => Object.fromEntries(keys.map((key, i) => [key, cells[i] === undefined ? '' : cells[i].trim()]))),
+                rowNumbers: rows.map((_, i) => i + 2)
+            };
+        }
+
+        const list = Array.isArray(input) ? input : Object.values(input || {}).find(Array.isArray);
+        if (!list) throw new Error('Expected an array of records.');
+        return {
+            records: list.map(record => Object.fromEntries(Object.entries(record || {}).map(([key, value]) => [normalizeKey(key), value]))),
+            rowNumbers: list.map((_, i) => i + 1)
+        };
+    };
+
+    const pick = (record, aliases) => {
+        const key = aliases.find(alias => record[alias] !== undefined && record[alias] !== '');
+        return key === undefined ? undefined : record[key];
+    };
+
+    // "Small Finance" -> "small-finance", matching the engine's INSTITUTION_GROUPS ids
+    const toGroupId = (value) => String(value).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+    const toNumber = (value) => (typeof value === 'number' ? value : (value === undefined || String(value).trim() === '' ? NaN : Number(String(value).replace(/,/g, ''))));
+
+    /**
+     * Builds a runnable network from a balance-sheet table (id, name, total assets, equity) and a
+     * bilateral exposure table (debtor, creditor, amount; the debtor owes the creditor). An exposure table with a
+     * layer column gives a layered network (see layers.js), one layer per distinct value in order of appearance;
+     * known ids (loans, repo, derivatives, equity) get their default recovery rates, others lose the whole exposure.
+     * Returns { network, errors }; `network` is null whenever any row-level error was found.
+     */
+    const importNetwork = ({ balanceSheets, exposures }) => {
+        const errors = [];
+        const report = (file, row, message) => errors.push({ file, row, message });
+
+        let sheetTable;
+        let exposureTable;
+        try {
+            sheetTable = readTable(balanceSheets);
+        } catch (err) {
+            report('balance sheets', null, `Could not read file: ${err.message}`);
+        }
+        try {
+            exposureTable = readTable(exposures);
+        } catch (err) {
+            report('exposures', null, `Could not read file: ${err.message}`);
+        }
+        if (!sheetTable || !exposureTable) return { network: null, errors };
+        if (!sheetTable.records.length) report('balance sheets', null, 'No institutions found.');
+
+        // 1. Balance sheets
+        const nodes = [];
+        const indexByCode = new Map();
+        sheetTable.records.forEach((record, i) => {
+            const row = sheetTable.rowNumbers[i];
+            const code = pick(record, BALANCE_SHEET_COLUMNS.id);
+            const assets = toNumber(pick(record, BALANCE_SHEET_COLUMNS.assets));
+            const equity = toNumber(pick(record, BALANCE_SHEET_COLUMNS.equity));
+            const group = pick(record, BALANCE_SHEET_COLUMNS.group);
+            const name = String(pick(record, BALANCE_SHEET_COLUMNS.name) || code);
+            const rwa = pick(record, BALANCE_SHEET_COLUMNS.rwa);
+            const rowErrors = errors.length;
+
+            if (code === undefined) report('balance sheets', row, 'Missing id.');
+            else if (indexByCode.has(String(code))) report('balance sheets', row, `Duplicate id "${code}".`);
+            if (!Number.isFinite(assets) || assets <= 0) report('balance sheets', row, 'Total assets must be a positive number.');
+            if (!Number.isFinite(equity) || equity <= 0) report('balance sheets', row, 'Equity must be a positive number.');
+            else if (assets > 0 && equity > assets) report('balance sheets', row, 'Equity exceeds total assets.');
+            if (rwa !== undefined && !(toNumber(rwa) > 0)) report('balance sheets', row, 'Risk-weighted assets must be a positive number.');
+            // Names end up in shared networks and on the page, so markup is refused
+            if (HAS_MARKUP.test(name)) report('balance sheets', row, 'Name must not contain "<" or ">".');
+            if (errors.length > rowErrors) return;
+
+            const id = nodes.length;
+            indexByCode.set(String(code), id);
+            nodes.push({
+                id,
+                code: String(code),
+                name,
+                group: group === undefined ? undefined : toGroupId(group),
+                A: assets,
+                E_initial: equity,
+                E: equity,
+                L: assets - equity,
+                isFailed: false,
+                debtRank: 0,
+                stressLevel: 0,
+                L_interbank: 0,
+                A_interbank: 0,
+                RWA: rwa === undefined ? undefined : toNumber(rwa),
+                sourceRow: row
+            });
+        });
+
+        // 2. Bilateral exposures
+        const bilateral = Exposures.createExposures(nodes.length);
+        const layered = exposureTable.records.some(record => pick(record, EXPOSURE_COLUMNS.layer) !== undefined);
+        const layerList = [];
+        const layerNames = new Map(); // layer id -> its first spelling, the name of a layer without defaults
+        exposureTable.records.forEach((record, i) => {
+            const row = exposureTable.rowNumbers[i];
+            const debtorCode = pick(record, EXPOSURE_COLUMNS.debtor);
+            const creditorCode = pick(record, EXPOSURE_COLUMNS.creditor);
+            const amount = toNumber(pick(record, EXPOSURE_COLUMNS.amount));
+            const layer = pick(record, EXPOSURE_COLUMNS.layer);
+            const debtor = indexByCode.get(String(debtorCode));
+            const creditor = indexByCode.get(String(creditorCode));
+            const rowErrors = errors.length;
+
+            if (debtorCode === undefined) report('exposures', row, 'Missing debtor.');
+            else if (debtor === undefined) report('exposures', row, `Unknown debtor id "${debtorCode}".`);
+            if (creditorCode === undefined) report('exposures', row, 'Missing creditor.');
+            else if (creditor === undefined) report('exposures', row, `Unknown creditor id "${creditorCode}".`);
+            if (debtorCode !== undefined && String(debtorCode) === String(creditorCode)) report('exposures', row, 'Self-loop: debtor and creditor are the same institution.');
+            if (!Number.isFinite(amount)) report('exposures', row, 'Amount must be a number.');
+            else if (amount < 0) report('exposures', row, 'Amount must not be negative.');
+            if (layered && (layer === undefined || !toGroupId(layer))) report('exposures', row, 'Missing layer.');
+            if (errors.length > rowErrors) return;
+
+            // Repeated debtor/creditor pairs are summed
+            Exposures.addExposure(bilateral, debtor, creditor, amount);
+            if (!layered) return;
+            layerList.push([debtor, creditor, amount, toGroupId(layer)]);
+            if (!layerNames.has(toGroupId(layer))) layerNames.set(toGroupId(layer), String(layer).trim());
+        });
+
+        // 3. Cross-file consistency
+        nodes.forEach(node => {
+            node.L_interbank = Exposures.totalOwed(bilateral, node.id);
+            const interbankAssets = Exposures.totalClaims(bilateral, node.id);
+            if (interbankAssets > node.A) {
+                report('balance sheets', node.sourceRow, `Interbank assets (${interbankAssets}) exceed total assets (${node.A}) for "${node.code}".`);
+            }
+            if (node.L_interbank > node.L) {
+                report('balance sheets', node.sourceRow, `Interbank liabilities (${node.L_interbank}) exceed total liabilities (${node.L}) for "${node.code}".`);
+            }
+        });
+
+        if (errors.length) return { network: null, errors };
+        nodes.forEach(node => delete node.sourceRow);
+        const isPreset = (id) => ExposureLayers.DEFAULT_LAYERS.some(layer => layer.id === id);
+        const layers = layered ? ExposureLayers.normalizeLayers([...layerNames].map(([id, name]) => (isPreset(id) ? { id } : { id, name }))) : null;
+        const byLayer = layers ? { layers, layerExposures: ExposureLayers.fromList(layerList, layers, nodes.length) } : undefined;
+        return { network: { ...DebtRankEngine.finalizeNetwork(nodes, bilateral, byLayer), parameters: { source: 'import' } }, errors };
+    };
+
+    const formatError = ({ file, row, message }) => `${file}${row ? ` row ${row}` : ''}: ${message}`;
+
+    return {
+        parseCsv,
+        readTable,
+        importNetwork,
+        formatError
+    };
+});
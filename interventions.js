@@ -0,0 +1,182 @@
+// =========================================================
+// Policy Interventions (capital injections, bail-ins, exposure caps, ring-fencing)
+// =========================================================
+// Regulator actions applied to a network before the shock or after it, before contagion spreads.
+// Works in the browser (`window.Interventions`) and Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./exposures'));
+    } else {
+        root.Interventions = factory(root.Exposures);
+    }
+})(typeof self !== 'undefined' ? self : this, (Exposures) => {
+    'use strict';
+
+    const INTERVENTION_TYPES = ['capital', 'bail-in', 'exposure-cap', 'ring-fence'];
+    const INTERVENTION_TIMINGS = ['before', 'during']; // before the shock / after the shock, before contagion
+    const MAX_INTERVENTIONS = 200;
+
+    const INTERVENTION_LABELS = {
+        'capital': 'Capital injection',
+        'bail-in': 'Bail-in',
+        'exposure-cap': 'Exposure cap',
+        'ring-fence': 'Ring-fence'
+    };
+
+    /**
+     * Fills in defaults. Intervention specs look like:
+     *   { type: 'capital', ids: [bankId...], amount }     - each listed bank gets `amount` of new capital (held as external assets)
+     *   { type: 'bail-in', ids: [bankId...], haircut }    - the banks' interbank liabilities are written down by `haircut` and
+     *                                                      converted to equity; their creditors' claims fall by the same amount
+     *   { type: 'exposure-cap', cap }                     - no bilateral exposure may exceed `cap` × the creditor's capital
+     *   { type: 'ring-fence', links: [{ source, target }] } - the exposures of creditor `target` to debtor `source` are cut
+     * Capped and ring-fenced amounts become secured claims outside the interbank network: they stay on the creditor's
+     * books (as external assets) but no longer transmit distress. Every spec takes `when: 'before' | 'during'` (default 'before').
+     */
+    const normalizeIntervention = (spec = {}) => {
+        const type = spec.type;
+        if (!INTERVENTION_TYPES.includes(type)) {
+            throw new Error(`Unknown intervention type "${type}". Expected one of: ${INTERVENTION_TYPES.join(', ')}.`);
+        }
+        const when = spec.when || 'before';
+        if (type === 'capital') return { type, ids: spec.ids.map(id => parseInt(id)), amount: Number(spec.amount), when };
+        if (type === 'bail-in') return { type, ids: spec.ids.map(id => parseInt(id)), haircut: Number(spec.haircut), when };
+        if (type === 'exposure-cap') return { type, cap: Number(spec.cap), when };
+        return { type, links: spec.links.map(({ source, target }) => ({ source: parseInt(source), target: parseInt(target) })), when };
+    };
+
+    const normalizeInterventions = (specs) => (specs || []).map(normalizeIntervention);
+
+    /**
+     * Checks a list of intervention specs against a network of `nodeCount` banks.
+     * Returns a list of error messages (empty when valid).
+     */
+    const validateInterventions = (specs, nodeCount) => {
+        if (specs === undefined || specs === null) return [];
+        if (!Array.isArray(specs)) return ['"interventions" must be an array.'];
+        if (specs.length > MAX_INTERVENTIONS) return [`"interventions" can hold at most ${MAX_INTERVENTIONS} entries.`];
+
+        const errors = [];
+        const isBankId = (id) => Number.isInteger(id) && id >= 0 && id < nodeCount;
+        specs.forEach((spec, i) => {
+            const at = `"interventions[${i}]`;
+            if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+                errors.push(`${at}" must be an object.`);
+                return;
+            }
+            if (!INTERVENTION_TYPES.includes(spec.type)) {
+                errors.push(`${at}.type" must be one of: ${INTERVENTION_TYPES.join(', ')}.`);
+                return;
+            }
+            if (spec.when !== undefined && !INTERVENTION_TIMINGS.includes(spec.when)) {
+                errors.push(`${at}.when" must be one of: ${INTERVENTION_TIMINGS.join(', ')}.`);
+            }
+            if ((spec.type === 'capital' || spec.type === 'bail-in') && (!Array.isArray(spec.ids) || !spec.ids.length || !spec.ids.every(isBankId))) {
+                errors.push(`${at}.ids" must be a non-empty array of bank ids between 0 and ${nodeCount - 1}.`);
+            }
+            if (spec.type === 'capital' && (typeof spec.amount !== 'number' || !Number.isFinite(spec.amount) || spec.amount < 0)) {
+                errors.push(`${at}.amount" must be a non-negative number.`);
+            }
+            if (spec.type === 'bail-in' && (typeof spec.haircut !== 'number' || spec.haircut < 0 || spec.haircut > 1)) {
+                errors.push(`${at}.haircut" must be a number between 0 and 1.`);
+            }
+            if (spec.type === 'exposure-cap' && (typeof spec.cap !== 'number' || !Number.isFinite(spec.cap) || spec.cap < 0)) {
+                errors.push(`${at}.cap" must be a non-negative number (a multiple of the creditor's capital).`);
+            }
+            if (spec.type === 'ring-fence' && (!Array.isArray(spec.links) || !spec.links.length
+                || spec.links.some(link => !link || !isBankId(link.source) || !isBankId(link.target) || link.source === link.target))) {
+                errors.push(`${at}.links" must be a non-empty array of { source, target } pairs of distinct bank ids.`);
+            }
+        });
+        return errors;
+    };
+
+    const percent = (value) => `${+(value * 100).toFixed(2)}%`;
+
+    /**
+     * One-line, human-readable description of an intervention spec.
+     */
+    const describeIntervention = (spec, formatAmount = String) => {
+        const intervention = normalizeIntervention(spec);
+        const banks = (ids) => `bank${ids.length > 1 ? 's' : ''} ${ids.join(', ')}`;
+        const timing = intervention.when === 'during' ? ' (after the shock)' : '';
+        if (intervention.type === 'capital') return `Inject ${formatAmount(intervention.amount)} into ${banks(intervention.ids)}${timing}`;
+        if (intervention.type === 'bail-in') return `Bail in ${percent(intervention.haircut)} of the interbank debt of ${banks(intervention.ids)}${timing}`;
+        if (intervention.type === 'exposure-cap') return `Cap bilateral exposures at ${percent(intervention.cap)} of creditor capital${timing}`;
+        return `Ring-fence ${intervention.links.map(({ source, target }) => `${source}→${target}`).join(', ')}${timing}`;
+    };
+
+    // Moves `amount` of debtor i's interbank debt to creditor j out of the interbank network (secured or written down)
+    const removeExposure = (nodes, exposures, i, j, amount) => {
+        Exposures.setExposure(exposures, i, j, Exposures.getExposure(exposures, i, j) - amount);
+        nodes[i].L_interbank = Math.max(0, nodes[i].L_interbank - amount);
+    };
+
+    /**
+     * Applies normalized interventions in order to node copies (mutated in place) and a copy of the sparse `exposures`.
+     * New equity (injections, bailed-in debt) moves capital and pre-shock capital together, so distress stays measured
+     * against the new capital base. A bail-in creditor's write-down is a loss: it comes off capital only. The caller
+     * must re-derive interbank/external assets from the returned exposures.
+     * Returns { exposures, injected, bailedIn, exposureRemoved } (amounts summed over all interventions).
+     */
+    const applyInterventions = (nodes, exposures, interventions) => {
+        const remaining = Exposures.copyExposures(exposures);
+        const totals = { exposures: remaining, injected: 0, bailedIn: 0, exposureRemoved: 0 };
+        const addEquity = (node, amount) => {
+            node.E_initial += amount;
+            node.E += amount;
+        };
+
+        interventions.forEach(intervention => {
+            if (intervention.type === 'capital') {
+                intervention.ids.forEach(id => {
+                    nodes[id].A += intervention.amount;
+                    addEquity(nodes[id], intervention.amount);
+                    totals.injected += intervention.amount;
+                });
+            } else if (intervention.type === 'bail-in') {
+                intervention.ids.forEach(i => {
+                    [...remaining.out[i]].forEach(([j, amount]) => {
+                        const writeDown = amount * intervention.haircut;
+                        if (writeDown <= 0) return;
+                        removeExposure(nodes, remaining, i, j, writeDown);
+                        nodes[i].L -= writeDown;
+                        addEquity(nodes[i], writeDown);
+                        nodes[j].A -= writeDown;
+                        nodes[j].E -= writeDown;
+                        totals.bailedIn += writeDown;
+                    });
+                });
+            } else if (intervention.type === 'exposure-cap') {
+                remaining.out.forEach((row, i) => {
+                    [...row].forEach(([j, amount]) => {
+                        const excess = amount - intervention.cap * Math.max(0, nodes[j].E_initial);
+                        if (excess <= 0) return;
+                        removeExposure(nodes, remaining, i, j, excess);
+                        totals.exposureRemoved += excess;
+                    });
+                });
+            } else {
+                intervention.links.forEach(({ source, target }) => {
+                    const exposure = Exposures.getExposure(remaining, source, target);
+                    if (exposure <= 0) return;
+                    removeExposure(nodes, remaining, source, target, exposure);
+                    totals.exposureRemoved += exposure;
+                });
+            }
+        });
+        return totals;
+    };
+
+    return {
+        INTERVENTION_TYPES,
+        INTERVENTION_TIMINGS,
+        INTERVENTION_LABELS,
+        MAX_INTERVENTIONS,
+        normalizeIntervention,
+        normalizeInterventions,
+        validateInterventions,
+        describeIntervention,
+        applyInterventions
+    };
+});
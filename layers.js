@@ -0,0 +1,148 @@
+// =========================================================
+// Exposure Layers (unsecured loans, repo, derivatives, cross-holdings)
+// =========================================================
+// A layered network splits every bilateral exposure by instrument. Each layer has its own recovery rate: the share of
+// an exposure its creditor still gets back when the debtor cannot pay (collateral, netting), so the loss given default
+// is 1 - recovery. Layers are kept as one sparse exposure set per layer (see exposures.js) next to the network's
+// combined exposures, which the rest of the engine keeps using; contagion runs on the combined exposures weighted by
+// each pair's loss given default, so distress travels through all layers at once.
+// Works in the browser (`window.ExposureLayers`) and Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./exposures'));
+    } else {
+        root.ExposureLayers = factory(root.Exposures);
+    }
+})(typeof self !== 'undefined' ? self : this, (Exposures) => {
+    'use strict';
+
+    // Recovery rates: Basel foundation IRB for senior unsecured claims, typical repo haircuts and margined
+    // derivatives; equity holdings in a failed bank are wiped out
+    const DEFAULT_LAYERS = [
+        { id: 'loans', name: 'Unsecured loans', recovery: 0.55 },
+        { id: 'repo', name: 'Secured repo', recovery: 0.9 },
+        { id: 'derivatives', name: 'Derivatives (MtM)', recovery: 0.6 },
+        { id: 'equity', name: 'Equity cross-holdings', recovery: 0 }
+    ];
+
+    /**
+     * Fills in layer names and recovery rates: those of the DEFAULT_LAYERS entry with the same id, else the id and
+     * 0 (the whole exposure is lost, as in a network without layers).
+     */
+    const normalizeLayers = (layers) => layers.map(({ id, name, recovery }) => {
+        const preset = DEFAULT_LAYERS.find(layer => layer.id === id) || {};
+        return {
+            id: String(id),
+            name: name ? String(name) : (preset.name || String(id)),
+            recovery: recovery !== undefined ? Number(recovery) : (preset.recovery || 0)
+        };
+    });
+
+    const validateLayers = (layers) => {
+        if (!Array.isArray(layers) || !layers.length) return ['"layers" must be a non-empty array of { id, name, recovery }.'];
+        const errors = [];
+        const seen = new Set();
+        layers.forEach((layer, k) => {
+            if (!layer || typeof layer !== 'object') {
+                errors.push(`"layers[${k}]" must be an object.`);
+                return;
+            }
+            if (typeof layer.id !== 'string' || !layer.id.trim()) errors.push(`"layers[${k}].id" must be a non-empty string.`);
+            else if (seen.has(layer.id)) errors.push(`"layers[${k}].id" repeats "${layer.id}".`);
+            seen.add(layer.id);
+            if (layer.name !== undefined && (typeof layer.name !== 'string' || !layer.name.trim())) errors.push(`"layers[${k}].name" must be a non-empty string.`);
+            if (layer.recovery !== undefined && (typeof layer.recovery !== 'number' || layer.recovery < 0 || layer.recovery > 1)) {
+                errors.push(`"layers[${k}].recovery" must be a number between 0 and 1.`);
+            }
+        });
+        return errors;
+    };
+
+    /**
+     * One sparse exposure set per layer from a serialized list of [debtor, creditor, amount, layer id] entries.
+     */
+    const fromList = (list, layers, n) => layers.map(layer => Exposures.fromList(list.filter(entry => entry[3] === layer.id), n));
+
+    // Inverse of fromList, ordered by debtor, then creditor, then layer
+    const toList = (layerExposures, layers) => {
+        const list = [];
+        layerExposures.forEach((exposures, k) => Exposures.toList(exposures).forEach(entry => list.push([...entry, layers[k].id, k])));
+        return list.sort((a, b) => a[0] - b[0] || a[1] - b[1] || a[4] - b[4]).map(entry => entry.slice(0, 4));
+    };
+
+    // What debtor owes creditor in each layer
+    const pairAmounts = (layerExposures, debtor, creditor) => layerExposures.map(exposures => Exposures.getExposure(exposures, debtor, creditor));
+
+    /**
+     * Splits each exposure of a generated network across the first `count` layers: every layer is used with
+     * even odds (at least one per exposure) and gets a random share of the amount.
+     */
+    const splitExposures = (exposures, count, random) => {
+        const layerExposures = Array.from({ length: count }, () => Exposures.createExposures(exposures.n));
+        Exposures.toList(exposures).forEach(([debtor, creditor, amount]) => {
+            const weights = Array.from({ length: count }, () => (random() < 0.5 ? random() * 0.9 + 0.1 : 0));
+            if (weights.every(weight => weight === 0)) weights[Math.floor(random() * count)] = 1;
+            const total = weights.reduce((sum, weight) => sum + weight, 0);
+            weights.forEach((weight, k) => {
+                if (weight > 0) Exposures.setExposure(layerExposures[k], debtor, creditor, amount * (weight / total));
+            });
+        });
+        return layerExposures;
+    };
+
+    /**
+     * The exposures contagion runs on: each of `exposures` (the combined exposures, possibly cut by interventions or
+     * withdrawals since) scaled by its pair's loss given default, averaged over the pair's layers by amount.
+     * `gross` keeps the unweighted exposures for models that also need the full claims (Eisenberg–Noe).
+     */
+    const lossExposures = (exposures, layerExposures, layers) => {
+        const weighted = Exposures.createExposures(exposures.n);
+        exposures.out.forEach((row, debtor) => row.forEach((amount, creditor) => {
+            let total = 0;
+            let lost = 0;
+            pairAmounts(layerExposures, debtor, creditor).forEach((layerAmount, k) => {
+                total += layerAmount;
+                lost += (1 - layers[k].recovery) * layerAmount;
+            });
+            Exposures.setExposure(weighted, debtor, creditor, total > 0 ? amount * (lost / total) : amount);
+        }));
+        weighted.gross = exposures;
+        return weighted;
+    };
+
+    /**
+     * Sets `layerLosses` ({ layer id: loss }) on the stress-test nodes, splitting each debtor's share of the node's
+     * interbank loss (`lossSources`, see attribution.js) across the pair's layers by their loss-weighted amounts.
+     * Returns the layers with their total `exposure` and the interbank `loss` that came through them.
+     */
+    const attributeLayerLosses = (nodes, layerExposures, layers) => {
+        const totals = layers.map(() => 0);
+        nodes.forEach(node => {
+            const losses = layers.map(() => 0);
+            (node.lossSources || []).forEach(({ id, loss }) => {
+                const lost = pairAmounts(layerExposures, id, node.id).map((amount, k) => (1 - layers[k].recovery) * amount);
+                const total = lost.reduce((sum, amount) => sum + amount, 0);
+                lost.forEach((amount, k) => { losses[k] += total > 0 ? loss * (amount / total) : 0; });
+            });
+            node.layerLosses = Object.fromEntries(layers.map((layer, k) => [layer.id, losses[k]]));
+            losses.forEach((loss, k) => { totals[k] += loss; });
+        });
+        return layers.map((layer, k) => ({
+            ...layer,
+            exposure: Exposures.toList(layerExposures[k]).reduce((sum, entry) => sum + entry[2], 0),
+            loss: totals[k]
+        }));
+    };
+
+    return {
+        DEFAULT_LAYERS,
+        normalizeLayers,
+        validateLayers,
+        fromList,
+        toList,
+        pairAmounts,
+        splitExposures,
+        lossExposures,
+        attributeLayerLosses
+    };
+});
@@ -0,0 +1,161 @@
+// =========================================================
+// Shared Library (networks, scenarios and runs on disk)
+// =========================================================
+// One JSON file per item under LIBRARY_DIR (default ./library): networks/<id>.json, scenarios/<id>.json, runs/<id>.json.
+// Files are replaced atomically (write, then rename) so a crash never leaves half an item behind.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const DebtRankEngine = require('./engine');
+
+const LIBRARY_KINDS = ['networks', 'scenarios', 'runs'];
+const MAX_NAME_LENGTH = 120;
+const DEFAULT_LIBRARY_DIR = path.join(__dirname, 'library');
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+const FINGERPRINT_PATTERN = /^[0-9a-f]{16}$/;
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const validateName = (name) => (typeof name === 'string' && name.trim() && name.length <= MAX_NAME_LENGTH
+    ? []
+    : [`"name" must be a non-empty string of at most ${MAX_NAME_LENGTH} characters.`]);
+
+// The shock, model, fire-sale, intervention, liquidity and capital-rule specs shared by scenarios and runs (shocks are checked against
+// `nodeCount` banks when the network is known)
+const validateScenario = (spec, nodeCount = Infinity) => [
+    ...DebtRankEngine.validateShock(spec.shock, nodeCount),
+    ...DebtRankEngine.validateModel(spec.model),
+    ...DebtRankEngine.validateFireSale(spec.fireSale),
+    ...DebtRankEngine.validateInterventions(spec.interventions, nodeCount),
+    ...DebtRankEngine.validateLiquidity(spec.liquidity),
+    ...DebtRankEngine.validateCapitalRules(spec.capitalRules)
+];
+
+/**
+ * Builds the stored `data` and listed `info` of a new item from a request body, or returns { errors }:
+ *   networks   { name, network }   - serializeNetwork output
+ *   scenarios  { name, shock, model, fireSale, interventions, liquidity, capitalRules }
+ *   runs       { name, network: { source, fingerprint, parameters, nodeCount, linkCount }, networkData,
+ *                shock, model, fireSale, interventions, liquidity, capitalRules, seed, summary, nodes }
+ * A run on anything but a generated network must carry `networkData` so it can be re-opened.
+ */
+const buildItem = (kind, body) => {
+    if (!isObject(body)) return { errors: ['The request body must be an object.'] };
+    const errors = validateName(body.name);
+
+    if (kind === 'networks') {
+        let network;
+        try {
+            network = DebtRankEngine.loadNetwork(body.network);
+        } catch (err) {
+            return { errors: [...errors, `"network": ${err.message}`] };
+        }
+        if (errors.length) return { errors };
+        return {
+            data: DebtRankEngine.serializeNetwork(network),
+            info: {
+                nodeCount: network.nodes.length,
+                linkCount: network.links.length,
+                fingerprint: DebtRankEngine.networkFingerprint(network),
+                parameters: network.parameters
+            }
+        };
+    }
+
+    if (kind === 'scenarios') {
+        errors.push(...validateScenario(body));
+        if (errors.length) return { errors };
+        const { shock, model = null, fireSale = null, interventions = null, liquidity = null, capitalRules = null } = body;
+        return { data: { shock, model, fireSale, interventions, liquidity, capitalRules }, info: { shock, model } };
+    }
+
+    const described = body.network;
+    if (!isObject(described) || !FINGERPRINT_PATTERN.test(described.fingerprint) || !isObject(described.parameters)
+        || !Number.isInteger(described.nodeCount) || described.nodeCount < 1) {
+        return { errors: [...errors, '"network" must describe the run\'s network: { source, fingerprint, parameters, nodeCount, linkCount }.'] };
+    }
+    errors.push(...validateScenario(body, described.nodeCount));
+    if (!isObject(body.summary) || !Array.isArray(body.nodes)) errors.push('"summary" and "nodes" (result rows) are required.');
+    if (described.source !== 'generated') {
+        try {
+            if (DebtRankEngine.networkFingerprint(DebtRankEngine.loadNetwork(body.networkData)) !== described.fingerprint) {
+                errors.push('"networkData" does not match "network.fingerprint".');
+            }
+        } catch (err) {
+            errors.push(`"networkData": ${err.message}`);
+        }
+    }
+    if (errors.length) return { errors };
+
+    const { shock, model = null, fireSale = null, interventions = null, liquidity = null, capitalRules = null, seed = null, summary, nodes } = body;
+    return {
+        data: { network: described, networkData: described.source === 'generated' ? null : body.networkData, shock, model, fireSale, interventions, liquidity, capitalRules, seed, summary, nodes },
+        info: { network: described, shock, model, summary }
+    };
+};
+
+const describe = ({ data, ...item }) => item;
+
+// The request body a stored item would be built from, so copies are held to the checks of a new item (stored items
+// may predate them)
+const bodyOf = ({ kind, name, data }) => (kind === 'networks' ? { name, network: data } : { name, ...data });
+
+/**
+ * Opens (or creates) the library under `dir`. Items look like
+ * { id, kind, name, createdBy, createdAt, updatedBy, updatedAt, info, data }; list() leaves out `data`.
+ */
+const createLibrary = (dir = process.env.LIBRARY_DIR || DEFAULT_LIBRARY_DIR) => {
+    LIBRARY_KINDS.forEach(kind => fs.mkdirSync(path.join(dir, kind), { recursive: true, mode: 0o700 }));
+
+    const fileOf = (kind, id) => path.join(dir, kind, `${id}.json`);
+    const read = (kind, id) => (ID_PATTERN.test(id) && fs.existsSync(fileOf(kind, id)) ? JSON.parse(fs.readFileSync(fileOf(kind, id), 'utf8')) : null);
+    const write = (item) => {
+        const file = fileOf(item.kind, item.id);
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(item) + '\n', { mode: 0o600 });
+        fs.renameSync(`${file}.tmp`, file);
+        return item;
+    };
+    const ids = (kind) => fs.readdirSync(path.join(dir, kind)).filter(file => file.endsWith('.json')).map(file => file.slice(0, -'.json'.length));
+
+    const add = (kind, { name, info, data }, user) => {
+        const now = new Date().toISOString();
+        return write({ id: crypto.randomUUID(), kind, name: name.trim(), createdBy: user, createdAt: now, updatedBy: user, updatedAt: now, info, data });
+    };
+
+    return {
+        dir,
+
+        // Newest first
+        list: (kind) => ids(kind).map(id => describe(read(kind, id))).sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+        get: read,
+        create: (kind, item, user) => add(kind, item, user),
+
+        rename(kind, id, name, user) {
+            const item = read(kind, id);
+            return item && write({ ...item, name: name.trim(), updatedBy: user, updatedAt: new Date().toISOString() });
+        },
+
+        duplicate(kind, id, user) {
+            const item = read(kind, id);
+            return item && add(kind, { name: `${item.name} (copy)`.slice(0, MAX_NAME_LENGTH), info: item.info, data: item.data }, user);
+        },
+
+        remove(kind, id) {
+            if (!read(kind, id)) return false;
+            fs.unlinkSync(fileOf(kind, id));
+            return true;
+        },
+
+        // Whether a network with this fingerprint is already shared (its data may then be used by anyone)
+        hasNetwork: (fingerprint) => ids('networks').some(id => read('networks', id).info.fingerprint === fingerprint)
+    };
+};
+
+module.exports = {
+    LIBRARY_KINDS,
+    MAX_NAME_LENGTH,
+    validateName,
+    buildItem,
+    bodyOf,
+    createLibrary
+};
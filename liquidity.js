@@ -0,0 +1,234 @@
+// =========================================================
+// Funding Liquidity (multi-period runs on interbank funding)
+// =========================================================
+// Stressed banks lose their short-term interbank funding before they run out of capital. Over several periods,
+// creditors withdraw callable funding from distressed debtors; a debtor pays out of its liquid assets, then sells
+// other assets at a haircut, and fails illiquid when it cannot pay. Insolvency still comes from the contagion model.
+// Works in the browser (`window.Liquidity`) and Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./exposures'));
+    } else {
+        root.Liquidity = factory(root.Exposures);
+    }
+})(typeof self !== 'undefined' ? self : this, (Exposures) => {
+    'use strict';
+
+    const WITHDRAWAL_RULES = ['threshold', 'proportional'];
+    const LIQUIDITY_DEFAULTS = {
+        periods: 5,
+        liquidShare: 0.1,
+        shortTermShare: 0.5,
+        rule: 'threshold',
+        threshold: 0.4,
+        withdrawalRate: 1,
+        hoarding: 0,
+        haircut: 0.3,
+        recoveryRate: 0.05
+    };
+    const MAX_PERIODS = 50;
+
+    // Parameter name -> [min, max] (all but `periods` and `rule`)
+    const PARAM_RANGES = {
+        liquidShare: [0, 1],
+        shortTermShare: [0, 1],
+        threshold: [0, 1],
+        withdrawalRate: [0, 1],
+        hoarding: [0, 1],
+        haircut: [0, 1],
+        recoveryRate: [0, 1]
+    };
+
+    /**
+     * Fills in defaults for a liquidity spec. `false`/`null`/`undefined` switch multi-period mode off (returns null);
+     * `true` or an object switch it on:
+     *   periods         funding periods after the shock
+     *   liquidShare     share of each bank's external assets held as cash and other liquid assets
+     *   shortTermShare  share of every interbank exposure that the creditor can call in
+     *   rule            'threshold': creditors withdraw `withdrawalRate` of their callable funding each period
+     *                   once the debtor's distress (DebtRank) reaches `threshold`;
+     *                   'proportional': they withdraw `withdrawalRate` × the debtor's distress
+     *   hoarding        creditors also withdraw `hoarding` × their own distress (liquidity hoarding)
+     *   haircut         discount on assets sold to meet withdrawals (the loss hits equity)
+     *   recoveryRate    share of its lost capital a surviving bank rebuilds between periods
+     */
+    const normalizeLiquidity = (spec) => {
+        if (!spec) return null;
+        const options = spec === true ? {} : spec;
+        const liquidity = { periods: options.periods !== undefined ? parseInt(options.periods) : LIQUIDITY_DEFAULTS.periods };
+        liquidity.rule = options.rule !== undefined ? options.rule : LIQUIDITY_DEFAULTS.rule;
+        Object.keys(PARAM_RANGES).forEach(key => {
+            liquidity[key] = options[key] !== undefined ? Number(options[key]) : LIQUIDITY_DEFAULTS[key];
+        });
+        return liquidity;
+    };
+
+    const validateLiquidity = (spec) => {
+        if (spec === undefined || spec === null || typeof spec === 'boolean') return [];
+        if (typeof spec !== 'object' || Array.isArray(spec)) return ['"liquidity" must be a boolean or an object.'];
+        const errors = [];
+        if (spec.periods !== undefined && (!Number.isInteger(spec.periods) || spec.periods < 1 || spec.periods > MAX_PERIODS)) {
+            errors.push(`"liquidity.periods" must be an integer between 1 and ${MAX_PERIODS}.`);
+        }
+        if (spec.rule !== undefined && !WITHDRAWAL_RULES.includes(spec.rule)) {
+            errors.push(`"liquidity.rule" must be one of: ${WITHDRAWAL_RULES.join(', ')}.`);
+        }
+        Object.keys(PARAM_RANGES)
+            .filter(key => spec[key] !== undefined)
+            .filter(key => typeof spec[key] !== 'number' || spec[key] < PARAM_RANGES[key][0] || spec[key] > PARAM_RANGES[key][1])
+            .forEach(key => errors.push(`"liquidity.${key}" must be a number between ${PARAM_RANGES[key][0]} and ${PARAM_RANGES[key][1]}.`));
+        return errors;
+    };
+
+    const describeLiquidity = (spec) => {
+        const liquidity = normalizeLiquidity(spec);
+        if (!liquidity) return 'off';
+        const trigger = liquidity.rule === 'threshold'
+            ? `withdraw ${liquidity.withdrawalRate * 100}% at distress ≥ ${liquidity.threshold}`
+            : `withdraw ${liquidity.withdrawalRate} × distress`;
+        return `${liquidity.periods} periods, ${liquidity.liquidShare * 100}% liquid, ${liquidity.shortTermShare * 100}% short-term; ${trigger}`
+            + `${liquidity.hoarding ? `, hoarding ${liquidity.hoarding}` : ''}; haircut ${liquidity.haircut * 100}%, recovery ${liquidity.recoveryRate * 100}%/period`;
+    };
+
+    // Share of a creditor's callable funding withdrawn from a debtor this period
+    const withdrawalShare = (spec, debtorDistress, creditorDistress) => {
+        const run = spec.rule === 'threshold'
+            ? (debtorDistress >= spec.threshold ? spec.withdrawalRate : 0)
+            : spec.withdrawalRate * debtorDistress;
+        return Math.min(1, run + spec.hoarding * creditorDistress);
+    };
+
+    const equityLoss = (nodes) => nodes.reduce((sum, node) => sum + node.E_initial - Math.max(0, node.E), 0);
+
+    /**
+     * Runs the funding periods.
+     *   shockedNodes  nodes straight after the initial shock
+     *   exposures     the interbank exposures they were shocked on
+     *   settle        (extraLosses, funding) => nodes: reruns solvency contagion from the shocked state with
+     *                 `extraLosses[i]` of equity removed from node i first (negative: capital recovered) and
+     *                 funding = { exposures, repaid, failed }: the exposures left after withdrawals, the interbank
+     *                 debt each bank has repaid so far and the banks that failed in earlier periods (kept failed)
+     * Period 0 is the shock and its contagion. Each later period, surviving banks first rebuild part of their lost
+     * capital, then creditors withdraw funding from distressed debtors (receipts only count as liquid the next
+     * period), and contagion is settled again. Failure is final.
+     * Returns { nodes (with failureType 'insolvent' | 'illiquid' | null, failedPeriod, liquidAssets, fundingWithdrawn),
+     * liquidityLosses (haircut losses by position), illiquid (by position), timeline: [{ period, solvencyFailures,
+     * liquidityFailures (bank ids), withdrawn, saleLoss, recovered, failures, totalLoss }] }.
+     */
+    const runFundingRuns = (shockedNodes, exposures, spec, settle) => {
+        const n = shockedNodes.length;
+        const zeros = () => new Array(n).fill(0);
+        const liquid = shockedNodes.map(node => spec.liquidShare * Math.max(0, node.A_external));
+        // The shock is written off the other (illiquid) external assets
+        const illiquidAssets = shockedNodes.map((node, i) => Math.max(0, node.A_external - liquid[i] - Math.max(0, node.E_initial - node.E)));
+        const callable = Exposures.copyExposures(exposures);
+        callable.out.forEach((creditors, i) => creditors.forEach((amount, j) => Exposures.setExposure(callable, i, j, amount * spec.shortTermShare)));
+        const remaining = Exposures.copyExposures(exposures);
+
+        const repaid = zeros();
+        const liquidityLosses = zeros();
+        const recoveredCapital = zeros();
+        const failed = new Array(n).fill(false);
+        const illiquid = new Array(n).fill(false);
+        const failedPeriod = new Array(n).fill(null);
+
+        let nodes = settle(null, null);
+        const record = (period, fields) => {
+            const solvencyFailures = [];
+            nodes.forEach((node, i) => {
+                if (!node.isFailed || failed[i]) return;
+                failed[i] = true;
+                failedPeriod[i] = period;
+                solvencyFailures.push(node.id);
+            });
+            return {
+                period,
+                solvencyFailures,
+                liquidityFailures: [],
+                withdrawn: 0,
+                saleLoss: 0,
+                recovered: 0,
+                ...fields,
+                failures: failed.filter(Boolean).length,
+                totalLoss: equityLoss(nodes)
+            };
+        };
+        const timeline = [record(0, {})];
+
+        for (let period = 1; period <= spec.periods; period++) {
+            let recovered = 0;
+            nodes.forEach((node, i) => {
+                if (failed[i]) return;
+                const gain = spec.recoveryRate * (node.E_initial - node.E);
+                recoveredCapital[i] += gain;
+                recovered += gain;
+            });
+
+            // Creditors call in funding on this period's distress; each debtor owes the sum of its calls
+            const calls = [];
+            const due = zeros();
+            callable.out.forEach((creditors, i) => {
+                if (failed[i]) return;
+                creditors.forEach((amount, j) => {
+                    if (failed[j]) return;
+                    const withdrawal = amount * withdrawalShare(spec, nodes[i].debtRank, nodes[j].debtRank);
+                    if (withdrawal <= 0) return;
+                    calls.push([i, j, withdrawal]);
+                    due[i] += withdrawal;
+                });
+            });
+
+            // Cash first, then asset sales at the haircut; a bank that cannot cover its calls fails without paying
+            const liquidityFailures = [];
+            let saleLoss = 0;
+            due.forEach((amount, i) => {
+                if (amount <= 0) return;
+                const shortfall = Math.max(0, amount - liquid[i]);
+                const sold = shortfall > 0 ? shortfall / (1 - spec.haircut) : 0;
+                if (sold > illiquidAssets[i] * (1 + 1e-12)) {
+                    failed[i] = true;
+                    illiquid[i] = true;
+                    failedPeriod[i] = period;
+                    liquidityFailures.push(shockedNodes[i].id);
+                    return;
+                }
+                liquid[i] -= amount - shortfall;
+                illiquidAssets[i] -= sold;
+                liquidityLosses[i] += sold - shortfall;
+                saleLoss += sold - shortfall;
+            });
+
+            let withdrawn = 0;
+            calls.forEach(([i, j, amount]) => {
+                if (illiquid[i]) return;
+                Exposures.addExposure(callable, i, j, -amount);
+                Exposures.addExposure(remaining, i, j, -amount);
+                repaid[i] += amount;
+                liquid[j] += amount;
+                withdrawn += amount;
+            });
+
+            const extraLosses = liquidityLosses.map((loss, i) => loss - recoveredCapital[i]);
+            nodes = settle(extraLosses, { exposures: remaining, repaid, failed: failed.slice() });
+            timeline.push(record(period, { liquidityFailures, withdrawn, saleLoss, recovered }));
+        }
+
+        nodes.forEach((node, i) => {
+            node.failureType = failed[i] ? (illiquid[i] ? 'illiquid' : 'insolvent') : null;
+            node.failedPeriod = failedPeriod[i];
+            node.liquidAssets = liquid[i];
+            node.fundingWithdrawn = repaid[i];
+        });
+        return { nodes, liquidityLosses, illiquid, timeline };
+    };
+
+    return {
+        WITHDRAWAL_RULES,
+        LIQUIDITY_DEFAULTS,
+        MAX_PERIODS,
+        normalizeLiquidity,
+        validateLiquidity,
+        describeLiquidity,
+        runFundingRuns
+    };
+});
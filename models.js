@@ -0,0 +1,349 @@
+// =========================================================
+// Contagion Models (plug into DebtRankEngine.runSimulation)
+// =========================================================
+// Every model takes the already-shocked node copies and the sparse exposures (see exposures.js: out[i] maps each
+// creditor j to the amount debtor i owes it, in[j] the reverse), updates E / debtRank / stressLevel / isFailed in
+// place and returns the number of rounds run. Each round costs O(N + exposures), not O(N²).
+// For models that do not compute a DebtRank themselves, `debtRank` holds the relative equity loss 1 - E/E₀.
+// On a layered network (see layers.js) the exposures are what each claim loses when its debtor defaults, and
+// `exposures.gross` holds the full claims.
+// An optional `onRound(nodes)` callback sees the node states at the end of every round (for playback), and an optional
+// `classify(node)` replaces the default status rule (classifyNode) every round, e.g. capital triggers (see capital.js).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ContagionModels = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, () => {
+    'use strict';
+
+    const TOLERANCE = 0.0001;
+    const MAX_ROUNDS = 100;
+    const FAILED_RANK = 0.9999;
+    const STRESSED_RANK = 0.4;
+    const SHOCK_STRESSED_RANK = 0.5; // stress threshold straight after the shock, before contagion
+
+    const clamp = (num, min, max) => Math.min(Math.max(num, min), max);
+
+    // Shared status rule: failed when capital is gone, stressed above 40% distress
+    const classifyNode = (node) => {
+        if (node.E <= 0 || node.debtRank >= FAILED_RANK) {
+            node.isFailed = true;
+            node.stressLevel = 2;
+            node.debtRank = 1.0;
+            node.E = 0;
+        } else {
+            node.isFailed = false;
+            node.stressLevel = node.debtRank > STRESSED_RANK ? 1 : 0;
+        }
+    };
+
+    const setEquity = (node, E, classify) => {
+        node.E = E;
+        node.debtRank = node.E_initial > 0 ? clamp(1 - E / node.E_initial, 0, 1) : 1;
+        classify(node);
+    };
+
+    // ----------------------
+    // DebtRank (original rule)
+    // ----------------------
+    // Creditor j absorbs (1 - h_j) times the debtor's change in distress, weighted by the debtor's
+    // liability share L_ij / L_interbank_i. A node only passes on distress in the round it changes; distress starts
+    // at h(0) = 0, so the shock itself is passed on in the first round.
+    const debtRank = (nodes, exposures, params, onRound, classify) => {
+        const n = nodes.length;
+        let iterations = 0;
+        let hasConverged = false;
+        let previousRanks = nodes.map(() => 0);
+
+        while (!hasConverged && iterations < MAX_ROUNDS) {
+            iterations++;
+            hasConverged = true;
+            let totalDebtRankChange = 0;
+            const currentRanks = nodes.map(n => n.debtRank);
+
+            // Iterate over all banks (creditors)
+            for (let j = 0; j < n; j++) {
+                if (nodes[j].debtRank < 1.0) {
+                    let propagatedLossRatio = 0;
+
+                    // Sum losses propagated by debtors (i) to creditor (j)
+                    exposures.in[j].forEach((L_ij, i) => {
+                        if (nodes[i].L_interbank > 0) {
+                            const weight = L_ij / nodes[i].L_interbank;
+                            const deltaH = currentRanks[i] - previousRanks[i]; // Change in debtor's stress
+                            propagatedLossRatio += weight * deltaH;
+                        }
+                    });
+
+                    // DebtRank formula update
+                    const rankIncrease = (1 - nodes[j].debtRank) * propagatedLossRatio;
+                    const newRank = clamp(nodes[j].debtRank + rankIncrease, nodes[j].debtRank, 1.0);
+
+                    // Check for convergence
+                    if (Math.abs(newRank - nodes[j].debtRank) > TOLERANCE) {
+                        totalDebtRankChange += Math.abs(newRank - nodes[j].debtRank);
+                        hasConverged = false;
+                    }
+                    nodes[j].debtRank = newRank;
+                }
+            }
+
+            previousRanks = currentRanks;
+
+            // Re-evaluate bank capital and status
+            nodes.forEach(node => {
+                node.E = node.E_initial * (1 - node.debtRank);
+                classify(node);
+            });
+            if (onRound) onRound(nodes);
+
+            if (totalDebtRankChange < TOLERANCE) {
+                hasConverged = true;
+            }
+        }
+
+        return iterations;
+    };
+
+    // ----------------------
+    // Linear / differential DebtRank (Bardoscia et al.)
+    // ----------------------
+    // h_j(t+1) = min(1, h_j(t) + Σ_i Λ_ij [p(h_i(t)) - p(h_i(t-1))]) with Λ_ij = L_ij / E₀_j and
+    // p(h) = h·exp(α(h - 1)). Every increment of distress propagates, not only the first one.
+    // α = 0 is linear DebtRank; larger α makes contagion only bite near default (Furfine-like).
+    // Each round's distress goes through the status rule, so a bank that fails transmits p(1).
+    const differentialDebtRank = (nodes, exposures, { alpha }, onRound, classify) => {
+        const n = nodes.length;
+        const transmit = (h) => h * Math.exp(alpha * (h - 1));
+        let previous = nodes.map(() => 0); // h(0) = 0, so the initial shock itself propagates
+        let current = nodes.map(node => node.debtRank);
+        let iterations = 0;
+
+        while (iterations < MAX_ROUNDS) {
+            iterations++;
+            const next = current.slice();
+
+            for (let j = 0; j < n; j++) {
+                if (current[j] >= 1 || nodes[j].E_initial <= 0) continue;
+                let increment = 0;
+                exposures.in[j].forEach((L_ij, i) => {
+                    increment += (L_ij / nodes[j].E_initial) * (transmit(current[i]) - transmit(previous[i]));
+                });
+                next[j] = clamp(current[j] + increment, current[j], 1);
+            }
+
+            previous = current;
+            current = nodes.map((node, i) => {
+                setEquity(node, node.E_initial * (1 - next[i]), classify);
+                return node.debtRank;
+            });
+            if (onRound) onRound(nodes);
+            const totalChange = current.reduce((sum, h, i) => sum + Math.abs(h - previous[i]), 0);
+            if (totalChange < TOLERANCE) break;
+        }
+
+        return iterations;
+    };
+
+    // ----------------------
+    // Furfine sequential default
+    // ----------------------
+    // Banks with no capital left default; each of their creditors writes off lossGivenDefault × exposure.
+    // Repeats round by round until no new bank defaults (fails under the status rule).
+    const furfine = (nodes, exposures, { lossGivenDefault }, onRound, classify) => {
+        const n = nodes.length;
+        const equity = nodes.map(node => node.E);
+        const defaulted = nodes.map(node => node.isFailed);
+        let newlyDefaulted = nodes.filter(node => node.isFailed).map(node => node.id);
+        let iterations = 0;
+
+        while (newlyDefaulted.length && iterations < MAX_ROUNDS) {
+            iterations++;
+            newlyDefaulted.forEach(i => {
+                exposures.out[i].forEach((amount, j) => {
+                    if (!defaulted[j]) equity[j] -= lossGivenDefault * amount;
+                });
+            });
+            newlyDefaulted = [];
+            for (let j = 0; j < n; j++) {
+                if (defaulted[j]) continue;
+                setEquity(nodes[j], equity[j], classify);
+                if (nodes[j].isFailed) {
+                    defaulted[j] = true;
+                    equity[j] = nodes[j].E;
+                    newlyDefaulted.push(j);
+                }
+            }
+            if (onRound) {
+                nodes.forEach((node, i) => setEquity(node, equity[i], classify));
+                onRound(nodes);
+            }
+        }
+
+        nodes.forEach((node, i) => setEquity(node, equity[i], classify));
+        return iterations;
+    };
+
+    // ----------------------
+    // Eisenberg–Noe clearing (with Rogers–Veraart recovery rates)
+    // ----------------------
+    // Finds the greatest clearing payment vector p: solvent banks pay their interbank obligations p̄ in full;
+    // insolvent banks pay their interbank creditors pro rata (alongside external creditors) out of
+    // recoveryExternal × external assets + recoveryInterbank × interbank receipts.
+    // On a layered network creditors recover part of any shortfall from collateral: only the loss-given-default
+    // share of the unpaid amount is lost. A bank the status rule fails pays out of recoveries like an insolvent one.
+    const eisenbergNoe = (nodes, exposures, { recoveryExternal, recoveryInterbank }, onRound, classify) => {
+        const gross = exposures.gross || exposures;
+        const obligations = nodes.map((node, i) => {
+            let total = 0;
+            gross.out[i].forEach(amount => { total += amount; });
+            return total;
+        });
+        const externalLiabilities = nodes.map((node, i) => Math.max(0, node.L - obligations[i]));
+        // The shock lands on external assets: E₀ - E (after shock) is the amount written off
+        const externalAssets = nodes.map(node => node.A_external - (node.E_initial - node.E));
+        const receipts = (payments, i) => {
+            let total = 0;
+            gross.in[i].forEach((amount, k) => {
+                if (obligations[k] <= 0) return;
+                const ratio = payments[k] / obligations[k];
+                total += amount * ratio;
+                if (gross !== exposures) total += (amount - (exposures.in[i].get(k) || 0)) * (1 - ratio);
+            });
+            return total;
+        };
+
+        let payments = obligations.slice();
+        let iterations = 0;
+        const settle = () => nodes.forEach((node, i) => {
+            node.paymentRatio = obligations[i] > 0 ? payments[i] / obligations[i] : 1;
+            setEquity(node, externalAssets[i] + receipts(payments, i) - obligations[i] - externalLiabilities[i], classify);
+        });
+        while (iterations < MAX_ROUNDS) {
+            iterations++;
+            let totalChange = 0;
+            const next = nodes.map((node, i) => {
+                const interbankAssets = receipts(payments, i);
+                const netWorth = externalAssets[i] + interbankAssets - obligations[i] - externalLiabilities[i];
+                if (netWorth >= 0 && !nodes[i].isFailed) return obligations[i];
+                const totalLiabilities = obligations[i] + externalLiabilities[i];
+                const recoverable = recoveryExternal * Math.max(0, externalAssets[i]) + recoveryInterbank * interbankAssets;
+                return totalLiabilities > 0 ? Math.min(obligations[i], recoverable * (obligations[i] / totalLiabilities)) : 0;
+            });
+            next.forEach((value, i) => { totalChange += Math.abs(value - payments[i]); });
+            payments = next;
+            settle();
+            if (onRound) onRound(nodes);
+            if (totalChange < TOLERANCE) break;
+        }
+
+        return iterations;
+    };
+
+    // ----------------------
+    // Registry
+    // ----------------------
+
+    const MODELS = {
+        'debtrank': {
+            label: 'DebtRank (original)',
+            defaults: {},
+            run: debtRank
+        },
+        'linear-debtrank': {
+            label: 'Linear DebtRank',
+            defaults: {},
+            run: (nodes, exposures, params, onRound, classify) => differentialDebtRank(nodes, exposures, { alpha: 0 }, onRound, classify)
+        },
+        'differential-debtrank': {
+            label: 'Differential (non-linear) DebtRank',
+            defaults: { alpha: 2 },
+            run: differentialDebtRank
+        },
+        'furfine': {
+            label: 'Furfine Sequential Default',
+            defaults: { lossGivenDefault: 1 },
+            run: furfine
+        },
+        'eisenberg-noe': {
+            label: 'Eisenberg–Noe Clearing',
+            defaults: { recoveryExternal: 1, recoveryInterbank: 1 },
+            run: eisenbergNoe
+        }
+    };
+
+    const MODEL_TYPES = Object.keys(MODELS);
+    const DEFAULT_MODEL = 'debtrank';
+
+    // Parameter name -> [min, max]
+    const PARAM_RANGES = {
+        alpha: [0, 50],
+        lossGivenDefault: [0, 1],
+        recoveryExternal: [0, 1],
+        recoveryInterbank: [0, 1]
+    };
+
+    /**
+     * Fills in model defaults. Accepts a model name or { type, ...params }.
+     */
+    const normalizeModel = (spec = DEFAULT_MODEL) => {
+        const input = typeof spec === 'string' ? { type: spec } : (spec || {});
+        const type = input.type || DEFAULT_MODEL;
+        const model = MODEL_TYPES.includes(type) ? MODELS[type] : null;
+        if (!model) throw new Error(`Unknown contagion model "${type}". Expected one of: ${MODEL_TYPES.join(', ')}.`);
+
+        const normalized = { type };
+        Object.keys(model.defaults).forEach(key => {
+            normalized[key] = input[key] !== undefined ? Number(input[key]) : model.defaults[key];
+        });
+        return normalized;
+    };
+
+    /**
+     * Returns a list of error messages for a model spec (empty when valid).
+     */
+    const validateModel = (spec) => {
+        if (spec === undefined || typeof spec === 'string') {
+            return spec === undefined || MODEL_TYPES.includes(spec) ? [] : [`"model" must be one of: ${MODEL_TYPES.join(', ')}.`];
+        }
+        if (!spec || typeof spec !== 'object' || Array.isArray(spec)) return ['"model" must be a model name or an object.'];
+
+        const type = spec.type === undefined ? DEFAULT_MODEL : spec.type;
+        if (!MODEL_TYPES.includes(type)) return [`"model.type" must be one of: ${MODEL_TYPES.join(', ')}.`];
+
+        return Object.keys(MODELS[type].defaults)
+            .filter(key => spec[key] !== undefined)
+            .filter(key => typeof spec[key] !== 'number' || spec[key] < PARAM_RANGES[key][0] || spec[key] > PARAM_RANGES[key][1])
+            .map(key => `"model.${key}" must be a number between ${PARAM_RANGES[key][0]} and ${PARAM_RANGES[key][1]}.`);
+    };
+
+    const runModel = (modelSpec, nodes, exposures, onRound, classify = classifyNode) => {
+        const model = normalizeModel(modelSpec);
+        return MODELS[model.type].run(nodes, exposures, model, onRound, classify);
+    };
+
+    const describeModel = (modelSpec) => {
+        const model = normalizeModel(modelSpec);
+        const params = Object.keys(MODELS[model.type].defaults).map(key => `${key}=${model[key]}`);
+        return params.length ? `${MODELS[model.type].label} (${params.join(', ')})` : MODELS[model.type].label;
+    };
+
+    return {
+        TOLERANCE,
+        MAX_ROUNDS,
+        FAILED_RANK,
+        STRESSED_RANK,
+        SHOCK_STRESSED_RANK,
+        MODELS,
+        MODEL_TYPES,
+        DEFAULT_MODEL,
+        PARAM_RANGES,
+        classifyNode,
+        normalizeModel,
+        validateModel,
+        runModel,
+        describeModel
+    };
+});
@@ -0,0 +1,194 @@
+// =========================================================
+// Monte Carlo Stress Testing (loss distributions, VaR, ES)
+// =========================================================
+// Repeats a stochastic stress test many times and summarises the outcome distributions.
+// Works in the browser (`window.MonteCarlo`) and Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine'));
+    } else {
+        root.MonteCarlo = factory(root.DebtRankEngine);
+    }
+})(typeof self !== 'undefined' ? self : this, (DebtRankEngine) => {
+    'use strict';
+
+    const DEFAULT_RUNS = 1000;
+    const MAX_RUNS = 20000;
+    const DEFAULT_LEVELS = [0.95, 0.99];
+    const METRICS = ['contagionIndex', 'failures', 'totalLoss'];
+
+    /**
+     * Linear-interpolated quantile of an ascending array.
+     */
+    const quantile = (sorted, p) => {
+        if (!sorted.length) return NaN;
+        const position = (sorted.length - 1) * p;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    };
+
+    /**
+     * Mean, standard deviation, range and, per confidence level, VaR (the level quantile of the loss)
+     * and Expected Shortfall (mean of outcomes at or beyond VaR).
+     */
+    const riskStats = (values, levels = DEFAULT_LEVELS) => {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const n = sorted.length;
+        const mean = sorted.reduce((sum, v) => sum + v, 0) / n;
+        const variance = sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0) / Math.max(1, n - 1);
+        const stats = { mean, sd: Math.sqrt(variance), min: sorted[0], max: sorted[n - 1], median: quantile(sorted, 0.5), var: {}, es: {} };
+
+        levels.forEach(level => {
+            const valueAtRisk = quantile(sorted, level);
+            const tail = sorted.filter(v => v >= valueAtRisk);
+            stats.var[level] = valueAtRisk;
+            stats.es[level] = tail.reduce((sum, v) => sum + v, 0) / tail.length;
+        });
+        return stats;
+    };
+
+    // Standard normal draw (Box–Muller) from a uniform source
+    const normalDraw = (random) => {
+        const u = Math.max(random(), Number.EPSILON);
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+    };
+
+    /**
+     * Checks Monte Carlo options. Returns a list of error messages (empty when valid).
+     */
+    const validateOptions = ({ runs, macroVolatility, levels } = {}) => {
+        const errors = [];
+        if (runs !== undefined && (!Number.isInteger(runs) || runs < 1 || runs > MAX_RUNS)) errors.push(`"runs" must be an integer between 1 and ${MAX_RUNS}.`);
+        if (macroVolatility !== undefined && (typeof macroVolatility !== 'number' || macroVolatility < 0 || macroVolatility > 1)) errors.push('"macroVolatility" must be a number between 0 and 1.');
+        if (levels !== undefined && (!Array.isArray(levels) || !levels.length || levels.some(l => typeof l !== 'number' || l <= 0 || l >= 1))) {
+            errors.push('"levels" must be a non-empty array of numbers between 0 and 1.');
+        }
+        return errors;
+    };
+
+    // The generation options a network was made with (parameters may carry more, e.g. its seed)
+    const generationOptions = (network) => {
+        const parameters = (network && network.parameters) || {};
+        const options = {};
+        DebtRankEngine.GENERATION_PARAMS.forEach(key => {
+            if (parameters[key] !== undefined) options[key] = parameters[key];
+        });
+        return options;
+    };
+
+    /**
+     * Checks that a network can be regenerated for every run: its parameters must be valid generation options
+     * (uploaded networks may carry anything there) for as many banks as it has. Returns a list of error messages.
+     */
+    const validateResampling = (network) => {
+        const options = generationOptions(network);
+        if (!options.n) return ['"resampleNetwork" requires a generated network.'];
+        const errors = DebtRankEngine.validateGenerationOptions(options).map(error => `"resampleNetwork" needs the network's generation options: ${error}`);
+        if (options.n !== network.nodes.length) errors.push(`"resampleNetwork" needs "parameters.n" to match the network's ${network.nodes.length} banks.`);
+        return errors;
+    };
+
+    /**
+     * Incremental runner so the UI can report progress between batches.
+     * Options:
+     *   runs             number of simulations (default 1000)
+     *   shock, model, fireSale  as for DebtRankEngine.runSimulation
+     *   seed             base seed; run k uses "<seed>:mc:<k>" for its shock draws
+     *   resampleNetwork  regenerate the network for every run from network.parameters (see validateResampling)
+     *   macroVolatility  for macro shocks, the loss factor is drawn from N(lossFactor, macroVolatility) clipped to [0, 1]
+     *   levels           confidence levels for VaR/ES (default [0.95, 0.99])
+     */
+    const createRunner = (network, options = {}) => {
+        const runs = options.runs || DEFAULT_RUNS;
+        const levels = options.levels || DEFAULT_LEVELS;
+        const seed = options.seed !== undefined && options.seed !== null ? String(options.seed) : DebtRankEngine.randomSeed();
+        const baseShock = DebtRankEngine.normalizeShock(options.shock);
+        const model = DebtRankEngine.normalizeModel(options.model);
+        const fireSale = DebtRankEngine.normalizeFireSale(options.fireSale);
+        const macroVolatility = options.macroVolatility || 0;
+        const resampleNetwork = Boolean(options.resampleNetwork);
+        if (resampleNetwork) {
+            const errors = validateResampling(network);
+            if (errors.length) throw new Error(errors.join(' '));
+        }
+        const resampleOptions = resampleNetwork ? generationOptions(network) : null;
+
+        const n = network.nodes.length;
+        const distributions = { contagionIndex: [], failures: [], totalLoss: [] };
+        const defaultCounts = new Array(n).fill(0);
+        let completed = 0;
+
+        const runOne = (k) => {
+            const runNetwork = resampleNetwork
+                ? DebtRankEngine.generateNetwork({ ...resampleOptions, seed: `${seed}:net:${k}` })
+                : network;
+            const shockRandom = DebtRankEngine.createRandom(`${seed}:mc:${k}`);
+            const shock = { ...baseShock };
+            if (shock.type === 'macro' && macroVolatility > 0) {
+                shock.lossFactor = DebtRankEngine.clamp(baseShock.lossFactor + macroVolatility * normalDraw(shockRandom), 0, 1);
+            }
+
+            const { nodes, summary } = DebtRankEngine.runSimulation(runNetwork, shock, { model, fireSale, random: shockRandom });
+            METRICS.forEach(metric => distributions[metric].push(summary[metric]));
+            nodes.forEach(node => {
+                if (node.isFailed) defaultCounts[node.id]++;
+            });
+        };
+
+        return {
+            runs,
+            get completed() {
+                return completed;
+            },
+            get done() {
+                return completed >= runs;
+            },
+            runBatch(size = 100) {
+                const end = Math.min(runs, completed + size);
+                while (completed < end) {
+                    runOne(completed);
+                    completed++;
+                }
+                return completed;
+            },
+            result() {
+                const stats = {};
+                METRICS.forEach(metric => { stats[metric] = riskStats(distributions[metric], levels); });
+                return {
+                    runs: completed,
+                    seed,
+                    shock: baseShock,
+                    model,
+                    fireSale,
+                    resampleNetwork,
+                    macroVolatility,
+                    levels,
+                    distributions,
+                    stats,
+                    // Indexed by bank id; with resampling, id k is "the k-th bank" of each sampled network
+                    defaultProbability: defaultCounts.map(count => (completed ? count / completed : 0))
+                };
+            }
+        };
+    };
+
+    const runMonteCarlo = (network, options = {}) => {
+        const runner = createRunner(network, options);
+        runner.runBatch(runner.runs);
+        return runner.result();
+    };
+
+    return {
+        DEFAULT_RUNS,
+        MAX_RUNS,
+        DEFAULT_LEVELS,
+        METRICS,
+        quantile,
+        riskStats,
+        validateOptions,
+        validateResampling,
+        createRunner,
+        runMonteCarlo
+    };
+});
@@ -1,23 +1,47 @@
-const express = require('express');
-const path = require('path');
-const cors = require('cors'); 
-
-const app = express();
-const PORT = 3000;
-
-// Middleware setup
-app.use(cors());
-// Serve all static files (index.html, CSS, JS, etc.) from the current directory
-app.use(express.static(__dirname));
-
-// Simple root handler to ensure index.html loads
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
-});
-
-// Start the server
-app.listen(PORT, () => {
-    console.log('✅ Server started successfully!');
-    console.log(`Algorithmic Systemic Risk Stress-Tester is running on http://localhost:${PORT}`);
-    console.log(`Open your browser to the URL above to start the simulation.`);
-});
\ No newline at end of file
+const express = require('express');
+const path = require('path');
+const cors = require('cors'); 
+const { createApiRouter } = require('./api');
+const { createAuth } = require('./auth');
+const { createAuditLog } = require('./audit');
+const { createLibrary } = require('./library');
+
+const app = express();
+const PORT = process.env.PORT || 3000;
+
+// Only these files are served: the login page is public, the stress tester needs a session.
+// Everything else in the directory (users.json, audit.log, library/, server code) stays private.
+const PUBLIC_FILES = ['index.html', 'styles.css'];
+const APP_FILES = ['app.html', 'app.js', 'exposures.js', 'layers.js', 'models.js', 'firesale.js', 'interventions.js', 'liquidity.js', 'capital.js', 'attribution.js', 'engine.js', 'editor.js', 'importer.js', 'exporter.js', 'montecarlo.js', 'analytics.js', 'worker.js'];
+
+const auth = createAuth({ loginPage: '/' });
+const audit = createAuditLog();
+const library = createLibrary();
+
+// Middleware setup
+// The session cookie is SameSite=Strict, so cross-origin pages cannot use it
+app.use(cors());
+
+// JSON API (login, simulations, networks, audit trail, library)
+app.use('/api', createApiRouter({ auth, audit, library }));
+
+const sendFile = (file) => (req, res) => res.sendFile(path.join(__dirname, file));
+
+// Simple root handler to ensure index.html loads
+app.get('/', sendFile('index.html'));
+PUBLIC_FILES.forEach(file => app.get(`/${file}`, sendFile(file)));
+APP_FILES.forEach(file => app.get(`/${file}`, auth.requirePage, sendFile(file)));
+
+// Start the server
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log('✅ Server started successfully!');
+        console.log(`Algorithmic Systemic Risk Stress-Tester is running on http://localhost:${PORT}`);
+        console.log(`Open your browser to the URL above to start the simulation.`);
+        if (!auth.users.list().length) {
+            console.log(`⚠️  No user accounts yet. Create one with: echo '<password>' | node auth.js add-user <username> analyst`);
+        }
+    });
+}
+
+module.exports = app;
@@ -0,0 +1,82 @@
+// =========================================================
+// Network analytics tests (run with `npm test`)
+// =========================================================
+// Centrality, clustering, cores and concentration on small graphs worked out by hand.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DebtRankEngine = require('../engine');
+const NetworkAnalytics = require('../analytics');
+
+const network = (capitals, exposures) => DebtRankEngine.loadNetwork({
+    nodes: capitals.map((E_initial, id) => ({ id, name: `Bank ${id}`, A: 100, E_initial, L: 100 - E_initial })),
+    exposures
+});
+
+// 0 owes 1 20, 1 owes 2 8
+const chain = () => network([10, 10, 10], [[0, 1, 20], [1, 2, 8]]);
+// Four spokes owe a hub 10 each
+const star = () => network([40, 5, 5, 5, 5], [[1, 0, 10], [2, 0, 10], [3, 0, 10], [4, 0, 10]]);
+// A cycle 0 -> 1 -> 2 -> 0 with bank 3 owing bank 0
+const triangle = () => network([20, 20, 20, 20], [[0, 1, 5], [1, 2, 5], [2, 0, 5], [3, 0, 2]]);
+
+const close = (actual, expected) => actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-9, `${value} vs ${expected[i]} at ${i}`));
+
+test('weighted degrees and concentration follow the exposures', () => {
+    const { banks } = NetworkAnalytics.analyzeNetwork(chain());
+    assert.deepEqual(banks.map(bank => bank.inStrength), [0, 20, 8]);
+    assert.deepEqual(banks.map(bank => bank.outStrength), [20, 8, 0]);
+    assert.deepEqual(banks.map(bank => [bank.inDegree, bank.outDegree]), [[0, 1], [1, 1], [1, 0]]);
+    // Claims of 20 and 8 against capital of 10
+    close(banks.map(bank => bank.concentration), [0, 4, 0.64]);
+    close(banks.map(bank => bank.largestExposure), [0, 2, 0.8]);
+    assert.deepEqual(banks.map(bank => bank.largestCounterparty), [null, 0, 1]);
+});
+
+test('PageRank runs from creditors to their debtors', () => {
+    const rank = NetworkAnalytics.pageRank(chain().exposures);
+    // p2 = a, p1 = 1.85a, p0 = 2.5725a with a = 0.05 + 0.85 p0 / 3 (bank 0 holds no claims)
+    const a = 1 / 5.4225;
+    close(rank, [2.5725 * a, 1.85 * a, a]);
+});
+
+test('betweenness counts shortest debtor-to-creditor chains', () => {
+    close(NetworkAnalytics.betweennessCentrality(chain().exposures).values, [0, 0.5, 0]);
+    // Through 0: 2->1, 3->1, 3->2; through 1: 0->2, 3->2; through 2: 1->0; over 3 × 2 ordered pairs
+    close(NetworkAnalytics.betweennessCentrality(triangle().exposures).values, [0.5, 1 / 3, 1 / 6, 0]);
+    close(NetworkAnalytics.betweennessCentrality(star().exposures).values, [0, 0, 0, 0, 0]);
+});
+
+test('eigenvector centrality of a star puts the hub at twice each spoke', () => {
+    close(NetworkAnalytics.eigenvectorCentrality(star().exposures), [1, 0.5, 0.5, 0.5, 0.5]);
+});
+
+test('clustering and cores find the triangle', () => {
+    const { banks, system } = NetworkAnalytics.analyzeNetwork(triangle());
+    close(banks.map(bank => bank.clustering), [1 / 3, 1, 1, 0]);
+    assert.deepEqual(banks.map(bank => bank.coreNumber), [2, 2, 2, 1]);
+    assert.equal(system.degeneracy, 2);
+    assert.equal(system.innerCore, 3);
+    assert.ok(Math.abs(system.averageClustering - 7 / 12) < 1e-9);
+});
+
+test('system metrics of the star', () => {
+    const { system } = NetworkAnalytics.analyzeNetwork(star());
+    assert.equal(system.exposures, 4);
+    assert.equal(system.density, 0.2);
+    assert.equal(system.reciprocity, 0);
+    assert.equal(system.totalExposure, 40);
+    // Only the hub lends; the spokes borrow equally
+    assert.equal(system.lendingConcentration, 1);
+    assert.equal(system.borrowingConcentration, 0.25);
+    // The hub's largest claim is 10 / 40 of its capital, at the limit
+    assert.equal(system.largeExposureBanks, 1);
+    assert.equal(system.betweennessSampled, false);
+});
+
+test('rows are indexed by bank id whatever the node order', () => {
+    const reordered = triangle();
+    reordered.nodes.reverse();
+    const { banks } = NetworkAnalytics.analyzeNetwork(reordered);
+    assert.deepEqual(banks.map(bank => [bank.id, bank.name]), [0, 1, 2, 3].map(id => [id, `Bank ${id}`]));
+    assert.deepEqual(banks, NetworkAnalytics.analyzeNetwork(triangle()).banks);
+});
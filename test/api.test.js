@@ -0,0 +1,125 @@
+// =========================================================
+// JSON API validation tests (run with `npm test`)
+// =========================================================
+// The API router without a login (as scripts use it) and with a throwaway library, served on a free port. Bad
+// requests must come back as 4xx responses listing what is wrong, never as internal errors.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createApiRouter } = require('../api');
+const { createLibrary } = require('../library');
+
+const bank = (id) => ({ id, A: 100, E_initial: 10, L: 90 });
+const NETWORK = { nodes: [0, 1].map(bank), exposures: [[0, 1, 20]] };
+const TARGETED = { type: 'targeted', targetId: 0 };
+
+let server;
+let base;
+let library;
+let dir;
+
+test.before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-test-'));
+    library = createLibrary(dir);
+    const app = express();
+    app.use('/api', createApiRouter({ library }));
+    server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    base = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+test.after(() => new Promise(resolve => server.close(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    resolve();
+})));
+
+// Sends `body` as JSON (or as is, when it is a string) and returns the status and parsed reply
+const request = async (method, url, body) => {
+    const response = await fetch(base + url, {
+        method,
+        headers: { 'content-type': 'application/json' },
+        body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+};
+
+const refused = async (method, url, body, status = 400) => {
+    const response = await request(method, url, body);
+    assert.equal(response.status, status, JSON.stringify(response.body));
+    return response.body;
+};
+
+test('uploaded networks that do not load are a 400 with the reasons', async () => {
+    assert.deepEqual((await refused('POST', '/networks', { network: { nodes: [null], exposures: [] } })).details, ['"nodes[0]" must be an object.']);
+    assert.deepEqual((await refused('POST', '/networks', { network: { nodes: [bank(0), 'x', [2]], exposures: [] } })).details, [
+        '"nodes[1]" must be an object.',
+        '"nodes[2]" must be an object.'
+    ]);
+    assert.deepEqual((await refused('POST', '/networks', { network: { nodes: [bank(0)], adj: [[5]] } })).details, ['"adj[0][0]" is a self-loop on bank 0.']);
+    assert.deepEqual((await refused('POST', '/networks', { network: { ...NETWORK, exposures: [[0, 1, 150]] } })).details, [
+        'Interbank liabilities of "nodes[0]" (150) exceed its total liabilities (90).',
+        'Interbank assets of "nodes[1]" (150) exceed its total assets (100).'
+    ]);
+    assert.deepEqual((await refused('POST', '/simulate', { network: { nodes: [null], exposures: [] }, shock: TARGETED })).details, ['"nodes[0]" must be an object.']);
+    assert.equal((await request('POST', '/networks', { network: NETWORK })).status, 201);
+});
+
+test('generation options, shocks and models are checked before anything runs', async () => {
+    assert.deepEqual((await refused('POST', '/networks', { n: 1, seed: '' })).details, [
+        '"n" must be an integer of at least 2.',
+        '"seed" must be a non-empty string or a number.'
+    ]);
+    assert.deepEqual((await refused('POST', '/networks', { n: 20000 })).details, ['"n" must be at most 10000.']);
+
+    assert.deepEqual((await refused('POST', '/simulate', { shock: TARGETED })).details, ['Either "networkId" or "network" is required.']);
+    const { details } = await refused('POST', '/simulate', { network: NETWORK, shock: { type: 'targeted', targetId: 5 }, model: 'toString' });
+    assert.deepEqual(details, [
+        '"shock.targetId" must be an integer bank id between 0 and 1.',
+        '"model" must be one of: debtrank, linear-debtrank, differential-debtrank, furfine, eisenberg-noe.'
+    ]);
+    assert.equal((await request('POST', '/simulate', { network: NETWORK, shock: TARGETED })).status, 200);
+
+    assert.deepEqual((await refused('POST', '/compare', { network: NETWORK, runs: [{ shock: TARGETED }] })).details, ['"runs" must be an array of 2 to 10 runs.']);
+    assert.deepEqual((await refused('POST', '/compare', { network: NETWORK, runs: [null, { shock: TARGETED }] })).details, ['"runs[0]" must be an object.']);
+});
+
+test('unknown networks, routes and malformed JSON are client errors', async () => {
+    assert.equal((await refused('GET', '/networks/nope', undefined, 404)).error, 'Network "nope" not found');
+    assert.equal((await refused('POST', '/simulate', { networkId: 'nope', shock: TARGETED }, 404)).error, 'Network "nope" not found');
+    assert.equal((await refused('GET', '/nowhere', undefined, 404)).error, 'No API route for GET /api/nowhere');
+    await refused('POST', '/simulate', '{"network": ');
+});
+
+test('a library network that no longer loads is a 422, not an internal error', async () => {
+    assert.equal((await refused('POST', '/networks', { libraryId: 'missing' }, 404)).error, 'No library network "missing"');
+
+    // Written directly, as an item saved before the current checks would have been
+    const broken = library.create('networks', { name: 'Broken', info: {}, data: { nodes: [null], exposures: [] } }, null);
+    const body = await refused('POST', '/networks', { libraryId: broken.id }, 422);
+    assert.equal(body.error, `Library network "${broken.id}" could not be loaded`);
+    assert.deepEqual(body.details, ['"nodes[0]" must be an object.']);
+
+    const saved = await request('POST', '/library/networks', { name: 'Pair', network: NETWORK });
+    assert.equal(saved.status, 201);
+    const loaded = await request('POST', '/networks', { libraryId: saved.body.id });
+    assert.equal(loaded.status, 201);
+    assert.equal(loaded.body.nodeCount, 2);
+});
+
+test('Monte Carlo resamples only networks whose parameters are valid generation options', async () => {
+    const options = { shock: { type: 'macro', lossFactor: 0.1 }, runs: 3, resampleNetwork: true };
+    assert.deepEqual((await refused('POST', '/montecarlo', { ...options, network: { ...NETWORK, parameters: { n: 1000000 } } })).details, [
+        '"resampleNetwork" needs "parameters.n" to match the network\'s 2 banks.'
+    ]);
+    assert.deepEqual((await refused('POST', '/montecarlo', { ...options, network: NETWORK })).details, ['"resampleNetwork" requires a generated network.']);
+
+    const generated = await request('POST', '/networks', { n: 10, seed: 'mc' });
+    const result = await request('POST', '/montecarlo', { ...options, networkId: generated.body.id });
+    assert.equal(result.status, 200);
+    assert.equal(result.body.resampleNetwork, true);
+});
@@ -0,0 +1,58 @@
+// =========================================================
+// Loss attribution tests (run with `npm test`)
+// =========================================================
+// Three banks (assets 100, capital 10 each) small enough to split every loss by hand.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DebtRankEngine = require('../engine');
+
+const network = (exposures) => DebtRankEngine.loadNetwork({
+    parameters: { seed: 'trio', n: 3 },
+    nodes: [0, 1, 2].map(id => ({ id, name: `Bank ${id}`, A: 100, E_initial: 10, L: 90 })),
+    exposures
+});
+
+const run = (exposures, components, model) => DebtRankEngine.runSimulation(network(exposures), { type: 'custom', components }, { model });
+const sources = (node) => node.lossSources.map(({ id, loss }) => [id, +loss.toFixed(9)]);
+
+test('a default chain passes each loss on from the bank before it', () => {
+    // 0 fails and owes 1 15; 1 loses all 10 of its capital and fails; 2 loses its 10 on the 15 that 1 owes it
+    const result = run([[0, 1, 15], [1, 2, 15]], [{ on: 'fail', ids: [0] }], 'furfine');
+    assert.deepEqual(result.nodes.map(sources), [[], [[0, 10]], [[1, 10]]]);
+    assert.deepEqual(DebtRankEngine.contagionPaths(result.nodes, 2), [{
+        ids: [0, 1, 2],
+        links: [{ debtor: 0, creditor: 1, loss: 10 }, { debtor: 1, creditor: 2, loss: 10 }],
+        strength: 10
+    }]);
+});
+
+test('a loss from several defaulted debtors is split by what each owed', () => {
+    const result = run([[0, 2, 3], [1, 2, 1]], [{ on: 'fail', ids: [0, 1] }], 'furfine');
+    assert.deepEqual(sources(result.nodes[2]), [[0, 3], [1, 1]]);
+    assert.deepEqual(DebtRankEngine.contagionPaths(result.nodes, 2).map(path => [path.ids, path.strength]), [[[0, 2], 3], [[1, 2], 1]]);
+    assert.deepEqual(DebtRankEngine.contagionPaths(result.nodes, 2, { maxPaths: 1 }).length, 1);
+});
+
+test('DebtRank splits a loss by exposure times the debtor\'s distress', () => {
+    // Bank 2's distress rises by 4/10 × 0.5 + 2/10 × 0.25 = 0.25: a loss of 2.5, of which 2 via bank 0 and 0.5 via bank 1
+    const components = [{ on: 'equity', ids: [0], size: 0.5 }, { on: 'equity', ids: [1], size: 0.25 }];
+    const result = run([[0, 2, 4], [1, 2, 2]], components, 'linear-debtrank');
+    assert.equal(+result.nodes[2].interbankLoss.toFixed(9), 2.5);
+    assert.deepEqual(sources(result.nodes[2]), [[0, 2], [1, 0.5]]);
+
+    // The original rule weights each debtor's distress by the exposure's share of its interbank debt (all of it here):
+    // bank 2's distress rises by 0.5 + 0.25, a loss of 7.5, of which 5 via bank 0 and 2.5 via bank 1
+    const original = run([[0, 2, 4], [1, 2, 2]], components, 'debtrank');
+    assert.equal(+original.nodes[2].interbankLoss.toFixed(9), 7.5);
+    assert.deepEqual(sources(original.nodes[2]), [[0, 5], [1, 2.5]]);
+    assert.deepEqual(DebtRankEngine.contagionPaths(original.nodes, 2).map(path => path.ids), [[0, 2], [1, 2]]);
+});
+
+test('Eisenberg–Noe losses are the payments a debtor could not make', () => {
+    // Bank 0 loses 30 of its external assets (capital 10): it is 20 short and pays bank 1 10 of the 20 it owes
+    const result = run([[0, 1, 20]], [{ on: 'external', ids: [0], size: 0.3 / 0.8 }], 'eisenberg-noe');
+    const [bank0, bank1] = result.nodes;
+    assert.ok(bank0.paymentRatio < 1);
+    assert.deepEqual(sources(bank1), [[0, +(20 * (1 - bank0.paymentRatio)).toFixed(9)]]);
+    assert.deepEqual(DebtRankEngine.resultRows(result.nodes)[1].lossSources, bank1.lossSources);
+});
@@ -0,0 +1,150 @@
+// =========================================================
+// Audit trail tests (run with `npm test`)
+// =========================================================
+// A throwaway log file, written through the log itself and through the API with an analyst and a viewer signed in.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const Audit = require('../audit');
+const DebtRankEngine = require('../engine');
+const { createAuth } = require('../auth');
+const { createApiRouter } = require('../api');
+
+const PASSWORD = 'correct horse battery';
+
+const tempDir = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+const network = DebtRankEngine.loadNetwork({
+    nodes: [0, 1].map(id => ({ id, A: 100, E_initial: 10, L: 90 })),
+    exposures: [[0, 1, 20]]
+});
+const networkData = DebtRankEngine.serializeNetwork(network);
+const described = { source: 'uploaded', fingerprint: DebtRankEngine.networkFingerprint(network), parameters: {} };
+
+test('entries are appended with increasing ids and read back newest first', (t) => {
+    const file = path.join(tempDir(t), 'audit.log');
+    const log = Audit.createAuditLog(file);
+    const first = log.append({ user: 'alice', origin: 'api', event: 'import', network: described, networkData, ignored: true });
+    assert.deepEqual(Object.keys(first), ['id', 'time', 'user', 'origin', 'event', 'network']);
+    log.append({ user: 'victor', origin: 'app', event: 'simulate', network: described, shock: { type: 'targeted', targetId: 0 }, networkData });
+    log.append({ user: 'alice', origin: 'api', event: 'generate', network: { source: 'generated', fingerprint: 'f'.repeat(16), parameters: { n: 5 } } });
+
+    assert.deepEqual(log.query().entries.map(({ id, event }) => [id, event]), [[3, 'generate'], [2, 'simulate'], [1, 'import']]);
+    assert.deepEqual(log.query({ user: 'alice', limit: 1 }).total, 2);
+    assert.deepEqual(log.query({ user: 'alice', limit: 1 }).entries.map(entry => entry.id), [3]);
+    assert.deepEqual(log.query({ event: 'simulate' }).entries.map(entry => entry.user), ['victor']);
+    assert.equal(log.query({ from: Date.now() + 60000 }).total, 0);
+    assert.ok(log.query().entries.every(entry => !('networkData' in entry)));
+
+    // The network data is written once and found again for every entry that ran on it
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(line => 'networkData' in line), [true, false, false]);
+    assert.deepEqual(log.find(2).networkData, JSON.parse(JSON.stringify(networkData)));
+    assert.equal(log.find(3).networkData, null);
+    assert.equal(log.find(4), null);
+});
+
+test('a malformed line is skipped and ids carry on after the highest one', (t) => {
+    const file = path.join(tempDir(t), 'audit.log');
+    fs.writeFileSync(file, [
+        JSON.stringify({ id: 1, time: '2026-01-01T00:00:00.000Z', user: 'alice', origin: 'api', event: 'generate' }),
+        '{"id": 2, "time": "2026-01-02',
+        JSON.stringify({ id: 3, time: '2026-01-03T00:00:00.000Z', user: 'alice', origin: 'api', event: 'simulate' }),
+        ''
+    ].join('\n'));
+
+    const log = Audit.createAuditLog(file);
+    assert.deepEqual(log.query().entries.map(entry => entry.id), [3, 1]);
+    assert.equal(log.append({ user: 'alice', origin: 'api', event: 'compare' }).id, 4);
+    assert.deepEqual(log.query({ to: Date.parse('2026-01-02') }).entries.map(entry => entry.id), [1]);
+});
+
+test('reported entries and queries are validated', () => {
+    assert.deepEqual(Audit.validateEntry({ event: 'simulate', network: described }), []);
+    assert.deepEqual(Audit.validateEntry({ event: 'import', network: described, networkData }), []);
+    assert.deepEqual(Audit.validateEntry([]), ['The audit entry must be an object.']);
+    assert.deepEqual(Audit.validateEntry({ event: 'delete', network: { source: 'uploaded' }, seed: {}, shock: 'x', interventions: {} }), [
+        '"event" must be one of: generate, import, simulate, compare, montecarlo, systemic-importance, cheapest-injection.',
+        '"network" must be an object with a "source" (generated, imported, uploaded, library, edited), a 16-digit hex "fingerprint" and "parameters".',
+        '"seed" must be a string, a number or null.',
+        '"shock" must be an object or null.',
+        '"interventions" must be an array or null.'
+    ]);
+    assert.deepEqual(Audit.validateEntry({ event: 'import', network: { ...described, fingerprint: '0'.repeat(16) }, networkData }), [
+        '"networkData" does not match "network.fingerprint".'
+    ]);
+    assert.deepEqual(Audit.validateEntry({ event: 'import', network: described, networkData: { nodes: [null], exposures: [] } }), [
+        '"networkData": "nodes[0]" must be an object.'
+    ]);
+
+    assert.deepEqual(Audit.parseQuery({ user: 'alice', to: '2026-01-02', limit: '5' }).filters, { user: 'alice', to: Date.parse('2026-01-03'), limit: 5 });
+    assert.deepEqual(Audit.parseQuery({ event: 'login', from: '2026-02-01', to: '2026-01-01', limit: '0' }).errors, [
+        '"event" must be one of: generate, import, simulate, compare, montecarlo, systemic-importance, cheapest-injection.',
+        '"from" must be before "to".',
+        `"limit" must be an integer between 1 and ${Audit.MAX_QUERY_LIMIT}.`
+    ]);
+    assert.deepEqual(Audit.parseQuery({ from: 'yesterday' }).errors, ['"from" must be a date (YYYY-MM-DD) or an ISO timestamp.']);
+});
+
+test('analysts read the whole trail, other roles only their own entries', async (t) => {
+    const dir = tempDir(t);
+    const auth = createAuth({ usersFile: path.join(dir, 'users.json') });
+    await auth.users.add({ username: 'alice', password: PASSWORD, role: 'analyst' });
+    await auth.users.add({ username: 'victor', password: PASSWORD, role: 'viewer' });
+    const app = express();
+    app.use('/api', createApiRouter({ auth, audit: Audit.createAuditLog(path.join(dir, 'audit.log')) }));
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    const base = `http://127.0.0.1:${server.address().port}/api`;
+
+    const request = async (method, url, cookie, body) => {
+        const response = await fetch(base + url, {
+            method,
+            headers: { 'content-type': 'application/json', ...(cookie ? { cookie } : {}) },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+    const login = async (username) => {
+        const response = await fetch(`${base}/auth/login`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ username, password: PASSWORD })
+        });
+        return response.headers.get('set-cookie').split(';')[0];
+    };
+    const analyst = await login('alice');
+    const viewer = await login('victor');
+
+    assert.equal((await request('POST', '/networks', analyst, { n: 5, seed: 'a' })).status, 201);
+    assert.equal((await request('POST', '/networks', viewer, { n: 5, seed: 'v' })).status, 201);
+    assert.equal((await request('GET', '/audit')).status, 401);
+
+    assert.deepEqual((await request('GET', '/audit', analyst)).body.entries.map(({ id, user }) => [id, user]), [[2, 'victor'], [1, 'alice']]);
+    assert.deepEqual((await request('GET', '/audit?user=victor', analyst)).body.entries.map(entry => entry.id), [2]);
+    assert.equal((await request('GET', '/audit/2', analyst)).body.user, 'victor');
+
+    assert.deepEqual((await request('GET', '/audit', viewer)).body.entries.map(entry => entry.user), ['victor']);
+    assert.deepEqual((await request('GET', '/audit?user=victor', viewer)).body.total, 1);
+    const denied = await request('GET', '/audit?user=alice', viewer);
+    assert.equal(denied.status, 403);
+    assert.equal(denied.body.error, 'You can only read your own audit entries');
+    assert.equal((await request('GET', '/audit/1', viewer)).status, 404);
+    assert.deepEqual((await request('GET', '/audit?limit=5000', viewer)).body.details, [`"limit" must be an integer between 1 and ${Audit.MAX_QUERY_LIMIT}.`]);
+
+    // Logging an import carries the network's data, which only analysts may upload
+    const entry = { event: 'import', network: described, networkData };
+    assert.equal((await request('POST', '/audit', viewer, entry)).status, 403);
+    const logged = await request('POST', '/audit', analyst, entry);
+    assert.equal(logged.status, 201);
+    assert.deepEqual([logged.body.user, logged.body.origin], ['alice', 'app']);
+});
@@ -0,0 +1,165 @@
+// =========================================================
+// Authentication tests (run with `npm test`)
+// =========================================================
+// The API router with a login in front of it, served on a free port with a throwaway users file. Addresses come from
+// X-Forwarded-For (the test app trusts it) so lockouts can be tried from several places.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const Auth = require('../auth');
+const { createApiRouter } = require('../api');
+
+const PASSWORD = 'correct horse battery';
+
+const startServer = async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+    const auth = Auth.createAuth({ usersFile: path.join(dir, 'users.json') });
+    await auth.users.add({ username: 'alice', password: PASSWORD, role: 'analyst' });
+    await auth.users.add({ username: 'victor', password: PASSWORD, role: 'viewer' });
+
+    const app = express();
+    app.set('trust proxy', true);
+    app.use('/api', createApiRouter({ auth }));
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const base = `http://127.0.0.1:${server.address().port}/api`;
+
+    // Sends a JSON request; `from` sets the client address and `cookie` a session
+    const request = async (method, url, { body, cookie, from = '10.0.0.1' } = {}) => {
+        const response = await fetch(base + url, {
+            method,
+            headers: { 'content-type': 'application/json', 'x-forwarded-for': from, ...(cookie ? { cookie } : {}) },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await response.text();
+        return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+    };
+
+    const login = async (username, password = PASSWORD, from) => {
+        const response = await request('POST', '/auth/login', { body: { username, password }, from });
+        const cookie = (response.headers.get('set-cookie') || '').split(';')[0];
+        return { ...response, cookie };
+    };
+
+    const close = () => new Promise(resolve => server.close(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        resolve();
+    }));
+
+    return { auth, request, login, close };
+};
+
+test('passwords are stored as salted scrypt hashes', async () => {
+    const stored = await Auth.hashPassword(PASSWORD);
+    assert.match(stored, /^scrypt\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+    assert.notEqual(await Auth.hashPassword(PASSWORD), stored);
+    assert.equal(await Auth.verifyPassword(PASSWORD, stored), true);
+    assert.equal(await Auth.verifyPassword('wrong horse battery', stored), false);
+    assert.equal(await Auth.verifyPassword(PASSWORD, 'plain$text'), false);
+    assert.equal(await Auth.verifyPassword(PASSWORD, undefined), false);
+
+    assert.deepEqual(Auth.validateUser({ username: 'a', password: 'short', role: 'admin' }), [
+        '"username" must be 3-64 letters, digits or . _ @ -',
+        `"password" must be at least ${Auth.MIN_PASSWORD_LENGTH} characters.`,
+        '"role" must be one of: viewer, analyst.'
+    ]);
+    assert.deepEqual(Auth.validateUser({ role: 'viewer' }, { partial: true }), []);
+});
+
+test('a login starts a session that logging out ends', async (t) => {
+    const { request, login, close } = await startServer();
+    t.after(close);
+
+    assert.equal((await request('GET', '/auth/me')).status, 401);
+    assert.equal((await login('alice', 'wrong horse battery')).status, 401);
+    assert.equal((await login('nobody')).status, 401);
+    assert.deepEqual((await request('POST', '/auth/login', { body: { username: 'alice' } })).body.details, ['"username" and "password" are required.']);
+
+    const { status, headers, cookie, body } = await login('alice');
+    assert.equal(status, 200);
+    assert.deepEqual(body, { username: 'alice', role: 'analyst', permissions: Auth.PERMISSIONS.analyst });
+    assert.match(headers.get('set-cookie'), /HttpOnly; SameSite=Strict/);
+    assert.equal((await request('GET', '/auth/me', { cookie })).body.username, 'alice');
+
+    assert.equal((await request('POST', '/auth/logout', { cookie })).status, 204);
+    assert.equal((await request('GET', '/auth/me', { cookie })).status, 401);
+    assert.equal((await request('GET', '/auth/me', { cookie: 'sid=%E0%A4%A' })).status, 401);
+});
+
+test('failed logins lock out an address for a username, and a username tried from many addresses', async (t) => {
+    const { login, close } = await startServer();
+    t.after(close);
+
+    for (let i = 0; i < Auth.MAX_LOGIN_FAILURES; i++) assert.equal((await login('alice', 'wrong horse battery', '10.0.0.9')).status, 401);
+    // Even the right password is refused from that address, but not from another or for another user
+    assert.equal((await login('alice', PASSWORD, '10.0.0.9')).status, 429);
+    assert.equal((await login('victor', PASSWORD, '10.0.0.9')).status, 200);
+    assert.equal((await login('victor', PASSWORD, '10.0.0.9')).status, 200);
+    assert.equal((await login('alice', PASSWORD, '10.0.1.1')).status, 200);
+
+    for (let i = Auth.MAX_LOGIN_FAILURES; i < Auth.MAX_USERNAME_FAILURES; i++) {
+        assert.equal((await login('alice', 'wrong horse battery', `10.0.2.${i}`)).status, 401);
+    }
+    assert.equal((await login('alice', PASSWORD, '10.0.3.1')).status, 429);
+    assert.equal((await login('victor', PASSWORD, '10.0.3.1')).status, 200);
+});
+
+test('failure logs forget expired entries and stay within their size', (t) => {
+    let now = 0;
+    t.mock.method(Date, 'now', () => now);
+
+    const failures = Auth.createFailureLog(2);
+    failures.add('a');
+    failures.add('a');
+    failures.add('b');
+    assert.equal(failures.count('a'), 2);
+
+    // A third key pushes out the one that failed longest ago
+    failures.add('c');
+    assert.equal(failures.size, 2);
+    assert.equal(failures.count('a'), 0);
+    assert.equal(failures.count('b'), 1);
+
+    // Entries lapse 15 minutes after their first failure, and a lapsed entry starts counting again
+    now = 15 * 60 * 1000;
+    assert.equal(failures.count('b'), 0);
+    assert.equal(failures.size, 1);
+    failures.add('c');
+    assert.equal(failures.count('c'), 1);
+    failures.delete('c');
+    assert.equal(failures.size, 0);
+});
+
+test('roles gate user management and the last analyst is kept', async (t) => {
+    const { auth, request, login, close } = await startServer();
+    t.after(close);
+    const analyst = (await login('alice')).cookie;
+    const viewer = (await login('victor')).cookie;
+
+    assert.equal(auth.can({ role: 'viewer' }, 'run'), true);
+    assert.equal(auth.can({ role: 'viewer' }, 'upload'), false);
+    assert.equal(auth.can(null, 'run'), false);
+
+    const denied = await request('GET', '/auth/users', { cookie: viewer });
+    assert.equal(denied.status, 403);
+    assert.equal(denied.body.error, 'Your role (viewer) is not allowed to manage users');
+    assert.deepEqual((await request('GET', '/auth/users', { cookie: analyst })).body.users.map(user => user.username), ['alice', 'victor']);
+
+    const invalid = await request('POST', '/auth/users', { cookie: analyst, body: { username: 'x', password: PASSWORD, role: 'viewer' } });
+    assert.equal(invalid.status, 400);
+    assert.equal((await request('POST', '/auth/users', { cookie: analyst, body: { username: 'victor', password: PASSWORD, role: 'viewer' } })).status, 409);
+
+    assert.equal((await request('PATCH', '/auth/users/alice', { cookie: analyst, body: { role: 'viewer' } })).status, 409);
+    assert.equal((await request('DELETE', '/auth/users/alice', { cookie: analyst })).status, 409);
+
+    // Promoting the viewer ends their session, after which the first analyst may step down
+    assert.equal((await request('PATCH', '/auth/users/victor', { cookie: analyst, body: { role: 'analyst' } })).body.role, 'analyst');
+    assert.equal((await request('GET', '/auth/me', { cookie: viewer })).status, 401);
+    assert.equal((await request('PATCH', '/auth/users/alice', { cookie: analyst, body: { role: 'viewer' } })).body.role, 'viewer');
+    assert.equal((await request('GET', '/auth/users', { cookie: analyst })).status, 403);
+    assert.equal(JSON.parse(fs.readFileSync(auth.users.file, 'utf8')).users.find(user => user.username === 'alice').role, 'viewer');
+});
@@ -0,0 +1,121 @@
+// =========================================================
+// Regulatory capital tests (run with `npm test`)
+// =========================================================
+// The two-bank network of the liquidity tests: small enough to work the ratios out by hand.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DebtRankEngine = require('../engine');
+const CapitalRules = require('../capital');
+
+// Both banks: assets 100, capital 10. Bank 0 owes bank 1 20, so bank 1 holds 20 of interbank and 80 of external assets.
+const pair = (rwa) => DebtRankEngine.loadNetwork({
+    parameters: { seed: 'pair', n: 2 },
+    nodes: [0, 1].map(id => ({ id, name: `Bank ${id}`, A: 100, E_initial: 10, L: 90, RWA: id === 0 ? rwa : undefined })),
+    exposures: [[0, 1, 20]]
+});
+
+const hitBank0 = (size) => ({ type: 'custom', components: [{ on: 'equity', ids: [0], size }] });
+const run = (size, capitalRules, network = pair()) => DebtRankEngine.runSimulation(network, hitBank0(size), { model: 'furfine', capitalRules, recordRounds: true });
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual} != ${expected}`);
+
+test('risk-weighted assets are reported or estimated from the risk weights', () => {
+    const network = pair(50);
+    assert.equal(CapitalRules.riskWeightedAssets(network.nodes[0]), 50);
+    assert.equal(CapitalRules.riskWeightedAssets(network.nodes[1]), 0.2 * 20 + 80);
+    const node = { A_interbank: 0, A_external: 100, holdings: [60, 40] };
+    assert.equal(CapitalRules.riskWeightedAssets(node, [{ id: 'gsec' }, { id: 'equities' }]), 100);
+    assert.equal(CapitalRules.riskWeightedAssets(node, [{ id: 'gsec', riskWeight: 0.5 }, { id: 'loans' }]), 70);
+    assert.equal(DebtRankEngine.serializeNetwork(network).nodes[0].RWA, 50);
+});
+
+test('ratios before and after the shock, and breaches against the default minimums', () => {
+    // Bank 0 loses 5: capital 5 on assets (and RWA) of 95, 5.26% - inside the 7% combined buffer, above 4.5% and 3%
+    const result = run(0.5);
+    const [bank0, bank1] = result.nodes;
+    close(bank0.cet1Before, 0.1);
+    close(bank0.cet1After, 5 / 95);
+    close(bank0.leverageAfter, 5 / 95);
+    assert.deepEqual(bank0.breachesAfter, ['buffer']);
+    assert.deepEqual(bank0.breachesBefore, []);
+    close(bank1.cet1After, 10 / 84);
+    assert.deepEqual(bank1.breachesAfter, []);
+    assert.equal(result.capitalRules, undefined);
+    assert.equal(bank0.failedBy, undefined);
+});
+
+test('reported RWA set the CET1 ratio', () => {
+    const [bank0] = run(0.5, undefined, pair(50)).nodes;
+    close(bank0.cet1Before, 0.2);
+    close(bank0.cet1After, 5 / 47.5);
+    assert.deepEqual(bank0.breachesAfter, []);
+});
+
+test('without rules the contagion model decides failure; with them a CET1 breach fails the bank', () => {
+    // A loss of 6 leaves 4 / 94 = 4.26% CET1, below the 4.5% minimum but still solvent
+    const model = run(0.6);
+    assert.deepEqual(model.nodes[0].breachesAfter, ['min-cet1', 'buffer']);
+    assert.equal(model.summary.failures, 0);
+
+    // Bank 0 fails on the trigger and is written off: bank 1 loses the 20 it is owed and fails insolvent
+    const ruled = run(0.6, true);
+    const [bank0, bank1] = ruled.nodes;
+    assert.equal(bank0.isFailed, true);
+    assert.equal(bank0.stressLevel, 2);
+    assert.equal(bank0.failedBy, 'min-cet1');
+    assert.equal(bank0.E, 0);
+    assert.equal(bank0.shockLoss, 10);
+    assert.equal(bank1.failedBy, 'insolvency');
+    assert.equal(bank1.interbankLoss, 10);
+    assert.deepEqual(bank1.lossSources, [{ id: 0, loss: 10 }]);
+    assert.equal(ruled.summary.failures, 2);
+    assert.equal(ruled.summary.totalLoss, 20);
+    assert.equal(ruled.capitalRules.regulatoryFailures, 1);
+    assert.deepEqual(ruled.rounds.map(round => round.isFailed), [[true, false], [true, true], [true, true]]);
+    assert.deepEqual(ruled.rounds.map(round => round.summary.failures), [1, 2, 2]);
+});
+
+test('a trigger breached during contagion fails the bank and spreads', () => {
+    // Three banks in a chain 0 -> 1 -> 2 (each owes the next 8). Bank 0 fails outright; bank 1 loses 8, leaving
+    // 2 / 92 = 2.17% CET1, fails on the trigger and costs bank 2 its 8 as well (2 / 92 again).
+    const chain = DebtRankEngine.loadNetwork({
+        parameters: { seed: 'chain', n: 3 },
+        nodes: [0, 1, 2].map(id => ({ id, name: `Bank ${id}`, A: 100, E_initial: 10, L: 90 })),
+        exposures: [[0, 1, 8], [1, 2, 8]]
+    });
+    const fail0 = { type: 'custom', components: [{ on: 'fail', ids: [0] }] };
+    const model = DebtRankEngine.runSimulation(chain, fail0, { model: 'furfine' });
+    assert.deepEqual(model.nodes.map(node => node.isFailed), [true, false, false]);
+    assert.equal(model.summary.totalLoss, 18);
+
+    // Linear DebtRank costs bank 1 8 / 10 of its capital too; Eisenberg–Noe needs failed banks to recover nothing
+    for (const model of ['furfine', 'linear-debtrank', { type: 'eisenberg-noe', recoveryExternal: 0 }]) {
+        const ruled = DebtRankEngine.runSimulation(chain, fail0, { model, capitalRules: true });
+        assert.deepEqual(ruled.nodes.map(node => node.failedBy), ['insolvency', 'min-cet1', 'min-cet1']);
+        assert.equal(ruled.summary.totalLoss, 30);
+        assert.equal(ruled.capitalRules.regulatoryFailures, 2);
+    }
+});
+
+test('stress follows the configured triggers and DebtRank threshold', () => {
+    assert.equal(run(0.5).nodes[0].stressLevel, 1);
+    assert.equal(run(0.5, { stressWhen: [], stressedRank: 0.6 }).nodes[0].stressLevel, 0);
+    assert.equal(run(0.5, { stressWhen: ['buffer'], stressedRank: 0.6 }).nodes[0].stressLevel, 1);
+    // Without the conservation buffer, 4.5% + 0.5% countercyclical lets 5.26% through
+    assert.equal(run(0.5, { conservationBuffer: 0, countercyclicalBuffer: 0.005, stressWhen: ['buffer'], stressedRank: 0.6 }).nodes[0].stressLevel, 0);
+    assert.equal(run(0.6, { failWhen: [] }).nodes[0].isFailed, false);
+    // Straight after the shock a bank is stressed at `shockStressedRank` (default 0.5) instead
+    assert.equal(run(0.45, { stressWhen: [] }).rounds[0].stressLevel[0], 0);
+    assert.equal(run(0.45, { stressWhen: [], shockStressedRank: 0.4 }).rounds[0].stressLevel[0], 1);
+});
+
+test('capital rules are validated and off by default', () => {
+    assert.deepEqual(DebtRankEngine.validateCapitalRules(true), []);
+    assert.deepEqual(DebtRankEngine.validateCapitalRules({ minCet1: 0.08, failWhen: ['buffer'] }), []);
+    assert.deepEqual(DebtRankEngine.validateCapitalRules({ minCet1: 4.5, stressWhen: ['panic'] }), [
+        '"capitalRules.minCet1" must be a number between 0 and 1.',
+        '"capitalRules.stressWhen" must be an array of: min-cet1, buffer, min-leverage.'
+    ]);
+    assert.deepEqual(DebtRankEngine.validateCapitalRules([]), ['"capitalRules" must be a boolean or an object.']);
+    assert.equal(DebtRankEngine.normalizeCapitalRules(false), null);
+    assert.deepEqual(DebtRankEngine.normalizeCapitalRules(true).failWhen, ['min-cet1']);
+});
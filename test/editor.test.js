@@ -0,0 +1,100 @@
+// =========================================================
+// Network editing tests (run with `npm test`)
+// =========================================================
+// Each edit on a small chain, checked against the balance sheets and exposures worked out by hand.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DebtRankEngine = require('../engine');
+const Exposures = require('../exposures');
+const NetworkEditor = require('../editor');
+
+// Every bank: assets 100, capital 10. Bank 0 owes bank 1 20, bank 1 owes bank 2 8.
+const chain = () => DebtRankEngine.loadNetwork({
+    parameters: { seed: 'chain', n: 3 },
+    nodes: [0, 1, 2].map(id => ({ id, name: `Bank ${String.fromCharCode(65 + id)}`, A: 100, E_initial: 10, L: 90 })),
+    exposures: [[0, 1, 20], [1, 2, 8]]
+});
+
+const books = (network) => network.nodes.map(({ A, E_initial, L, A_interbank, L_interbank, A_external }) => ({ A, E_initial, L, A_interbank, L_interbank, A_external }));
+
+test('setting an exposure moves the claim between interbank and external assets', () => {
+    const network = chain();
+    const edited = NetworkEditor.applyEdit(network, { type: 'set-exposure', debtor: 2, creditor: 0, amount: 30 });
+    assert.deepEqual(Exposures.toList(edited.exposures), [[0, 1, 20], [1, 2, 8], [2, 0, 30]]);
+    assert.deepEqual(books(edited)[0], { A: 100, E_initial: 10, L: 90, A_interbank: 30, L_interbank: 20, A_external: 70 });
+    assert.deepEqual(books(edited)[2], { A: 100, E_initial: 10, L: 90, A_interbank: 8, L_interbank: 30, A_external: 92 });
+    assert.deepEqual(edited.links.map(({ source, target, value }) => [source, target, value]), [[0, 1, 20], [1, 2, 8], [2, 0, 30]]);
+    // The original is untouched
+    assert.deepEqual(Exposures.toList(network.exposures), [[0, 1, 20], [1, 2, 8]]);
+});
+
+test('resizing and deleting an exposure', () => {
+    const resized = NetworkEditor.applyEdit(chain(), { type: 'set-exposure', debtor: 0, creditor: 1, amount: 5 });
+    assert.deepEqual(books(resized)[1], { A: 100, E_initial: 10, L: 90, A_interbank: 5, L_interbank: 8, A_external: 95 });
+    assert.equal(resized.nodes[0].L_interbank, 5);
+
+    const deleted = NetworkEditor.applyEdit(resized, { type: 'set-exposure', debtor: 0, creditor: 1, amount: 0 });
+    assert.deepEqual(Exposures.toList(deleted.exposures), [[1, 2, 8]]);
+    assert.equal(deleted.nodes[0].L_interbank, 0);
+    assert.equal(deleted.nodes[1].A_external, 100);
+    assert.equal(deleted.parameters.edits, 2);
+});
+
+test('removing a bank drops its exposures and renumbers the banks after it', () => {
+    const edited = NetworkEditor.applyEdit(chain(), { type: 'remove-bank', id: 1 });
+    assert.deepEqual(edited.nodes.map(node => [node.id, node.name]), [[0, 'Bank A'], [1, 'Bank C']]);
+    assert.deepEqual(Exposures.toList(edited.exposures), []);
+    assert.deepEqual(books(edited).map(book => [book.A_interbank, book.L_interbank, book.A_external]), [[0, 0, 100], [0, 0, 100]]);
+    assert.equal(NetworkEditor.editedId({ type: 'remove-bank', id: 1 }, 0), 0);
+    assert.equal(NetworkEditor.editedId({ type: 'remove-bank', id: 1 }, 1), null);
+    assert.equal(NetworkEditor.editedId({ type: 'remove-bank', id: 1 }, 2), 1);
+});
+
+test('adding and updating banks', () => {
+    const added = NetworkEditor.applyEdit(chain(), { type: 'add-bank', name: 'Bank D', A: 50, E_initial: 5 });
+    assert.deepEqual(added.nodes[3], { ...added.nodes[3], id: 3, name: 'Bank D', A: 50, E_initial: 5, E: 5, L: 45, A_interbank: 0, L_interbank: 0, A_external: 50 });
+    const linked = NetworkEditor.applyEdit(added, { type: 'set-exposure', debtor: 3, creditor: 2, amount: 10 });
+    assert.equal(linked.nodes[2].A_interbank, 18);
+
+    const updated = NetworkEditor.applyEdit(chain(), { type: 'update-bank', id: 1, A: 200, E_initial: 40 });
+    assert.deepEqual(books(updated)[1], { A: 200, E_initial: 40, L: 160, A_interbank: 20, L_interbank: 8, A_external: 180 });
+    assert.deepEqual(updated.parameters, { seed: 'chain', edits: 1 });
+});
+
+test('edits that break a balance sheet are rejected', () => {
+    const network = chain();
+    const rejected = (edit) => assert.ok(NetworkEditor.validateEdit(network, edit).length, JSON.stringify(edit));
+    rejected({ type: 'merge-banks' });
+    rejected({ type: 'set-exposure', debtor: 0, creditor: 0, amount: 5 });
+    rejected({ type: 'set-exposure', debtor: 0, creditor: 3, amount: 5 });
+    rejected({ type: 'set-exposure', debtor: 0, creditor: 1, amount: -1 });
+    // Bank 1 would hold claims of 20 + 81 > 100; bank 0 would owe 20 + 71 > 90
+    rejected({ type: 'set-exposure', debtor: 2, creditor: 1, amount: 81 });
+    rejected({ type: 'set-exposure', debtor: 0, creditor: 2, amount: 71 });
+    rejected({ type: 'update-bank', id: 1, A: 15 });
+    rejected({ type: 'update-bank', id: 0, E_initial: 81 });
+    rejected({ type: 'update-bank', id: 0, E_initial: 0 });
+    rejected({ type: 'add-bank', name: ' ', A: 10, E_initial: 1 });
+    rejected({ type: 'add-bank', A: 10, E_initial: 11 });
+    assert.throws(() => NetworkEditor.applyEdit(network, { type: 'remove-bank', id: 7 }), /bank id/);
+    assert.deepEqual(NetworkEditor.validateEdit(network, { type: 'set-exposure', debtor: 2, creditor: 1, amount: 80 }), []);
+});
+
+test('holdings follow the external assets', () => {
+    const network = chain();
+    network.assetClasses = [{ id: 'a', share: 1 }, { id: 'b', share: 1 }];
+    network.nodes.forEach(node => { node.holdings = [node.A_external / 4, node.A_external * 3 / 4]; });
+    const edited = NetworkEditor.applyEdit(network, { type: 'set-exposure', debtor: 1, creditor: 2, amount: 48 });
+    // Bank 2's external assets fall from 92 to 52
+    edited.nodes[2].holdings.forEach((amount, k) => assert.ok(Math.abs(amount - [13, 39][k]) < 1e-9, `${amount} at ${k}`));
+    assert.deepEqual(edited.nodes[0].holdings, network.nodes[0].holdings);
+});
+
+test('an edited network runs like one loaded with the same data', () => {
+    const edited = NetworkEditor.applyEdit(chain(), { type: 'set-exposure', debtor: 1, creditor: 2, amount: 0 });
+    const result = DebtRankEngine.runSimulation(edited, { type: 'targeted', targetId: 0 }, { model: 'furfine' });
+    // Bank 1 fails, but bank 2 no longer has a claim on it
+    assert.deepEqual(result.nodes.map(node => node.isFailed), [true, true, false]);
+    assert.equal(result.nodes[2].E, 10);
+    assert.equal(DebtRankEngine.networkFingerprint(DebtRankEngine.loadNetwork(DebtRankEngine.serializeNetwork(edited))), DebtRankEngine.networkFingerprint(edited));
+});
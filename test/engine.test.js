@@ -0,0 +1,274 @@
+// =========================================================
+// Engine regression tests (run with `npm test`)
+// =========================================================
+// Small networks whose outcomes are worked out by hand, plus checks that results are keyed by bank id: the same
+// run repeated, interleaved with other runs or made on a reordered node array gives the same result per bank.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DebtRankEngine = require('../engine');
+const SimulationWorker = require('../worker');
+
+// Every bank: assets 100, capital 10. Bank 0 owes bank 1 20, bank 1 owes bank 2 8.
+const chainData = () => ({
+    parameters: { seed: 'chain' },
+    nodes: [0, 1, 2].map(id => ({ id, name: `Bank ${String.fromCharCode(65 + id)}`, A: 100, E_initial: 10, L: 90 })),
+    exposures: [[0, 1, 20], [1, 2, 8]]
+});
+
+// Four banks all owing a hub (bank 0); the hub is well capitalised, the spokes thinly.
+const starData = () => ({
+    parameters: { seed: 'star' },
+    nodes: [
+        { id: 0, name: 'Hub', A: 200, E_initial: 40, L: 160 },
+        ...[1, 2, 3, 4].map(id => ({ id, name: `Spoke ${id}`, A: 50, E_initial: 5, L: 45 }))
+    ],
+    exposures: [[1, 0, 10], [2, 0, 10], [3, 0, 10], [4, 0, 10]]
+});
+
+const TARGETED = { type: 'targeted', targetId: 0 };
+const MACRO = { type: 'macro', lossFactor: 0.05 };
+const RANDOM = { type: 'random', probability: 0.5, severity: 0.6 };
+
+// Per-bank outcome by id, independent of the order the nodes come in
+const outcome = (result) => Object.fromEntries(result.nodes.map(node => [node.id, {
+    E: node.E,
+    debtRank: node.debtRank,
+    stressLevel: node.stressLevel,
+    isFailed: node.isFailed
+}]));
+
+// Reorders a network's node array in place the way the metrics table used to (by DebtRank), then moves the first
+// bank to the end so the order never stays by id
+const scramble = (network, result) => {
+    const ranks = new Map(result.nodes.map(node => [node.id, node.debtRank]));
+    network.nodes.sort((a, b) => ranks.get(b.id) - ranks.get(a.id));
+    network.nodes.push(network.nodes.shift());
+    return network;
+};
+
+test('Furfine cascade along a chain matches the hand calculation', () => {
+    const result = DebtRankEngine.runSimulation(DebtRankEngine.loadNetwork(chainData()), TARGETED, { model: 'furfine' });
+    // Bank 0 fails, wiping out bank 1 (10 - 20 < 0); bank 2 loses 8 of its 10
+    assert.deepEqual(result.nodes.map(node => node.isFailed), [true, true, false]);
+    assert.equal(result.nodes[2].E, 2);
+    assert.equal(result.nodes[2].stressLevel, 1);
+    assert.equal(result.summary.failures, 2);
+    assert.equal(result.summary.totalLoss, 28);
+});
+
+test('linear DebtRank under a macro shock matches the hand calculation', () => {
+    const result = DebtRankEngine.runSimulation(DebtRankEngine.loadNetwork(chainData()), MACRO, { model: 'linear-debtrank' });
+    // External assets 100, 80, 92 lose 5% -> h = 0.5, 0.4, 0.46. Bank 1 absorbs 20/10 × 0.5 and fails;
+    // bank 2 absorbs 8/10 × 0.4, then 8/10 × 0.6 when bank 1 fails. Bank 0 has no interbank assets.
+    assert.equal(result.nodes[0].E, 5);
+    assert.equal(result.nodes[0].stressLevel, 1);
+    assert.deepEqual(result.nodes.map(node => node.isFailed), [false, true, true]);
+    assert.equal(result.summary.totalLoss, 25);
+});
+
+test('DebtRank under a macro shock matches the hand calculation', () => {
+    const result = DebtRankEngine.runSimulation(DebtRankEngine.loadNetwork(chainData()), MACRO);
+    // h = 0.5, 0.4, 0.46 after the shock. Each debtor owes all its interbank debt to the next bank, so in round 1
+    // bank 1 gains (1 - 0.4) × 0.5 = 0.3 and bank 2 (1 - 0.46) × 0.4 = 0.216; in round 2 bank 2 gains
+    // (1 - 0.676) × 0.3 = 0.0972 from bank 1's rise, and nothing changes after that.
+    assert.deepEqual(result.nodes.map(node => +node.debtRank.toFixed(9)), [0.5, 0.7, 0.7732]);
+    assert.deepEqual(result.nodes.map(node => +node.E.toFixed(9)), [5, 3, 2.268]);
+    assert.deepEqual(result.nodes.map(node => node.stressLevel), [1, 1, 1]);
+    assert.equal(result.summary.failures, 0);
+    assert.equal(+result.summary.totalLoss.toFixed(9), 19.732);
+});
+
+test('DebtRank passes spoke distress to the hub', () => {
+    // Spokes 1 and 3 lose a quarter of their capital. Each owes all its interbank debt to the hub, which gains
+    // 0.25 + 0.25 and is left with half of its 40.
+    const shock = { type: 'custom', components: [{ on: 'equity', ids: [1, 3], size: 0.25 }] };
+    const result = DebtRankEngine.runSimulation(DebtRankEngine.loadNetwork(starData()), shock);
+    assert.equal(result.nodes[0].debtRank, 0.5);
+    assert.equal(result.nodes[0].E, 20);
+    assert.equal(result.nodes[0].stressLevel, 1);
+    assert.deepEqual(result.nodes.map(node => node.E), [20, 3.75, 5, 3.75, 5]);
+
+    // Two failed spokes pass on their full distress twice over, so the hub fails
+    const failed = DebtRankEngine.runSimulation(DebtRankEngine.loadNetwork(starData()), { type: 'custom', components: [{ on: 'fail', ids: [1, 3] }] });
+    assert.deepEqual(failed.nodes.map(node => node.isFailed), [true, true, false, true, false]);
+    assert.equal(failed.summary.totalLoss, 50);
+});
+
+test('spoke failures reach the hub in proportion to its exposures', () => {
+    const shock = { type: 'custom', components: [{ on: 'fail', ids: [1, 3] }] };
+    const result = DebtRankEngine.runSimulation(DebtRankEngine.loadNetwork(starData()), shock, { model: 'furfine' });
+    // The hub writes off 2 × 10 of its 40; the other spokes are not exposed to anyone
+    assert.equal(result.nodes[0].E, 20);
+    assert.equal(result.nodes[0].debtRank, 0.5);
+    assert.deepEqual(result.nodes.map(node => node.isFailed), [false, true, false, true, false]);
+    assert.equal(result.nodes[2].E, 5);
+});
+
+test('systemic importance ranks the chain from the head', () => {
+    const rows = DebtRankEngine.systemicImportance(DebtRankEngine.loadNetwork(chainData()), { model: 'furfine' });
+    assert.deepEqual(rows.map(row => row.impact), [18, 8, 0]);
+    assert.deepEqual(rows.map(row => row.rank), [1, 2, 3]);
+    assert.deepEqual(rows.map(row => row.failuresCaused), [1, 0, 0]);
+});
+
+test('systemic importance under the default DebtRank spreads the initial failure', () => {
+    // Each debtor owes all of its interbank debt to the next bank, so a failure passes on full distress down the chain
+    const rows = DebtRankEngine.systemicImportance(DebtRankEngine.loadNetwork(chainData()));
+    assert.deepEqual(rows.map(row => row.impact), [20, 10, 0]);
+    assert.deepEqual(rows.map(row => row.rank), [1, 2, 3]);
+    assert.deepEqual(rows.map(row => row.failuresCaused), [2, 1, 0]);
+});
+
+test('generation options are checked only for the topology that uses them', () => {
+    DebtRankEngine.TOPOLOGIES.forEach(topology => {
+        assert.deepEqual(DebtRankEngine.validateGenerationOptions({ n: 2, topology }), [], topology);
+        assert.equal(DebtRankEngine.generateNetwork({ n: 2, topology, seed: 'pair' }).nodes.length, 2);
+    });
+    assert.deepEqual(DebtRankEngine.validateGenerationOptions({ n: 15, coreSize: 20 }), []);
+    assert.deepEqual(DebtRankEngine.validateGenerationOptions({ n: 15, coreSize: 20, topology: 'core-periphery' }), ['"coreSize" must be an integer between 1 and n - 1.']);
+    assert.deepEqual(DebtRankEngine.validateGenerationOptions({ n: 3, m: 5, topology: 'barabasi-albert' }), ['"m" must be an integer between 1 and n - 1.']);
+});
+
+test('large fitness networks are calibrated on fitness bins to about the requested degree', () => {
+    [[2000, 2.5], [2000, 20]].forEach(([n, avgDegree]) => {
+        const { links } = DebtRankEngine.generateNetwork({ n, topology: 'fitness', avgDegree, seed: 'bins' });
+        assert.ok(Math.abs(links.length / n - avgDegree) < avgDegree * 0.05, `${links.length / n} links per bank`);
+    });
+});
+
+test('model names are checked against the registry only', () => {
+    const expected = '"model" must be one of: debtrank, linear-debtrank, differential-debtrank, furfine, eisenberg-noe.';
+    ['toString', 'constructor', '__proto__', 'hasOwnProperty', 'nope'].forEach(name => {
+        assert.deepEqual(DebtRankEngine.validateModel(name), [expected], name);
+        assert.deepEqual(DebtRankEngine.validateModel({ type: name }), [expected.replace('"model"', '"model.type"')], name);
+        assert.throws(() => DebtRankEngine.normalizeModel(name), /Unknown contagion model/);
+        assert.throws(() => DebtRankEngine.runSimulation(DebtRankEngine.loadNetwork(chainData()), TARGETED, { model: { type: name } }), /Unknown contagion model/);
+    });
+    assert.deepEqual(DebtRankEngine.validateModel({ type: 'furfine', lossGivenDefault: 0.5 }), []);
+    assert.equal(DebtRankEngine.decodeScenario('?model=toString').model, null);
+});
+
+test('group shocks match built-in groups by their own ids only', () => {
+    const data = chainData();
+    data.nodes[2].group = 'constructor';
+    const network = DebtRankEngine.loadNetwork(data);
+    ['constructor', 'toString', '__proto__'].forEach(group => {
+        const shock = { type: 'custom', components: [{ on: 'fail', group }] };
+        assert.deepEqual(DebtRankEngine.validateShock(shock, 3), []);
+        const result = DebtRankEngine.runSimulation(network, shock, { model: 'furfine' });
+        assert.deepEqual(result.nodes.map(node => node.shockLoss), group === 'constructor' ? [0, 0, 10] : [0, 0, 0], group);
+        assert.equal(DebtRankEngine.describeShock(shock), `Custom shock: fail ${group}`);
+    });
+});
+
+test('balance sheets that are not numbers are refused, and uploads must fit their interbank positions', () => {
+    assert.throws(() => DebtRankEngine.loadNetwork({ nodes: [{ id: 0, A: 'x', E_initial: 'y' }], exposures: [] }), (err) => {
+        assert.deepEqual(err.details, ['"nodes[0].A" must be a positive number.', '"nodes[0].E_initial" must be a positive number.', '"nodes[0].L" must be a non-negative number.']);
+        return true;
+    });
+    assert.throws(() => DebtRankEngine.loadNetwork({ nodes: [{ id: 0, A: 10, E_initial: 20 }], exposures: [] }), /"nodes\[0\]\.E_initial" exceeds "nodes\[0\]\.A"/);
+
+    assert.deepEqual(DebtRankEngine.validateBalanceSheets(DebtRankEngine.loadNetwork(chainData())), []);
+    const oversized = chainData();
+    oversized.exposures[0][2] = 150;
+    assert.deepEqual(DebtRankEngine.validateBalanceSheets(DebtRankEngine.loadNetwork(oversized)), [
+        'Interbank liabilities of "nodes[0]" (150) exceed its total liabilities (90).',
+        'Interbank assets of "nodes[1]" (150) exceed its total assets (100).'
+    ]);
+});
+
+test('legacy "adj" matrices are held to the same checks as exposure lists', () => {
+    const { nodes } = chainData();
+    const adj = [[0, 20, 0], [0, 0, 8], [0, 0, 0]];
+    assert.deepEqual(DebtRankEngine.loadNetwork({ nodes, adj }).exposures, DebtRankEngine.loadNetwork(chainData()).exposures);
+
+    assert.throws(() => DebtRankEngine.loadNetwork({ nodes: [{ id: 0, A: 100, E_initial: 10 }], adj: [[5]] }), /"adj\[0\]\[0\]" is a self-loop on bank 0\./);
+    assert.throws(() => DebtRankEngine.loadNetwork({ nodes, adj: [[0, 20], [0, 0]] }), /"adj" must be a 3x3 matrix\./);
+    assert.throws(() => DebtRankEngine.loadNetwork({ nodes, adj: [[0, Infinity, '8'], [-1, 0, null], [0, 0, 0]] }), {
+        message: ['"adj[0][1]"', '"adj[0][2]"', '"adj[1][0]"', '"adj[1][2]"'].map(entry => `${entry} must be a non-negative number.`).join(' ')
+    });
+});
+
+test('repeating a run gives identical results', () => {
+    const network = DebtRankEngine.loadNetwork(chainData());
+    [TARGETED, MACRO, RANDOM].forEach(shock => {
+        const first = DebtRankEngine.runSimulation(network, shock, { model: 'linear-debtrank' });
+        const second = DebtRankEngine.runSimulation(network, shock, { model: 'linear-debtrank' });
+        assert.deepEqual(outcome(second), outcome(first));
+        assert.deepEqual(second.summary, first.summary);
+    });
+});
+
+test('alternating shocks and models does not leak state between runs', () => {
+    const network = DebtRankEngine.loadNetwork(starData());
+    const runs = [
+        [MACRO, 'linear-debtrank'],
+        [TARGETED, 'furfine'],
+        [RANDOM, 'eisenberg-noe'],
+        [{ type: 'custom', components: [{ on: 'fail', ids: [2] }] }, 'debtrank']
+    ];
+    const fresh = runs.map(([shock, model]) => outcome(DebtRankEngine.runSimulation(DebtRankEngine.loadNetwork(starData()), shock, { model })));
+    for (let pass = 0; pass < 2; pass++) {
+        runs.forEach(([shock, model], k) => {
+            assert.deepEqual(outcome(DebtRankEngine.runSimulation(network, shock, { model })), fresh[k]);
+        });
+    }
+});
+
+test('reordering the node array does not change any bank\'s result', () => {
+    [chainData, starData].forEach(data => {
+        [TARGETED, MACRO, RANDOM].forEach(shock => {
+            ['linear-debtrank', 'furfine', 'eisenberg-noe'].forEach(model => {
+                const reference = DebtRankEngine.runSimulation(DebtRankEngine.loadNetwork(data()), shock, { model });
+                const network = scramble(DebtRankEngine.loadNetwork(data()), reference);
+                assert.notDeepEqual(network.nodes.map(node => node.id), reference.nodes.map(node => node.id));
+
+                const result = DebtRankEngine.runSimulation(network, shock, { model });
+                assert.deepEqual(result.nodes.map(node => node.id), reference.nodes.map(node => node.id));
+                assert.deepEqual(outcome(result), outcome(reference));
+                assert.deepEqual(result.summary, reference.summary);
+            });
+        });
+    });
+});
+
+test('a reordered network serializes and fingerprints the same', () => {
+    const network = DebtRankEngine.loadNetwork(chainData());
+    const fingerprint = DebtRankEngine.networkFingerprint(network);
+    const serialized = DebtRankEngine.serializeNetwork(network);
+    network.nodes.reverse();
+    assert.equal(DebtRankEngine.networkFingerprint(network), fingerprint);
+    assert.deepEqual(DebtRankEngine.serializeNetwork(network), serialized);
+    assert.deepEqual(DebtRankEngine.loadNetwork(serialized).nodes.map(node => node.id), [0, 1, 2]);
+});
+
+test('interventions and the injection search name banks by id on a reordered network', () => {
+    const network = DebtRankEngine.loadNetwork(chainData());
+    network.nodes.reverse();
+    const options = { model: 'furfine', interventions: [{ type: 'capital', ids: [1], amount: 15, when: 'during' }] };
+    const result = DebtRankEngine.runSimulation(network, TARGETED, options);
+    // Bank 1 keeps 10 + 15 - 20 = 5, so bank 2 loses nothing
+    assert.deepEqual(result.nodes.map(node => node.isFailed), [true, false, false]);
+    assert.deepEqual(result.interventions.rescued, [1]);
+
+    const search = DebtRankEngine.cheapestInjection(network, TARGETED, { model: 'furfine', maxFailures: 1 });
+    assert.equal(search.reached, true);
+    assert.deepEqual(search.injections.map(({ id, name }) => [id, name]), [[1, 'Bank B']]);
+    // Just over the 10 bank 1 is short (a bank within 0.01% of losing all its capital counts as failed)
+    assert.ok(search.cost > 10 && search.cost < 10.01);
+    assert.equal(search.exhausted, false);
+
+    // A budget too small for one rescue stops the search after the baseline run
+    const capped = DebtRankEngine.cheapestInjection(network, TARGETED, { model: 'furfine', maxFailures: 1, maxEvaluations: 10 });
+    assert.deepEqual([capped.reached, capped.exhausted, capped.injections, capped.evaluations], [false, true, [], 1]);
+});
+
+test('worker tasks give the same results as the engine', () => {
+    const network = DebtRankEngine.loadNetwork(starData());
+    const args = { shock: MACRO, options: { model: 'linear-debtrank' } };
+    const direct = DebtRankEngine.runSimulation(network, MACRO, args.options);
+    const first = SimulationWorker.runTask(network, 'simulate', args);
+    const second = SimulationWorker.runTask(network, 'simulate', args);
+    assert.deepEqual(outcome(first), outcome(direct));
+    assert.deepEqual(outcome(second), outcome(direct));
+});
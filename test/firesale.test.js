@@ -0,0 +1,85 @@
+// =========================================================
+// Fire-sale channel tests (run with `npm test`)
+// =========================================================
+// Two banks holding one marketable asset half each: small enough to work the prices out by hand.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DebtRankEngine = require('../engine');
+const FireSale = require('../firesale');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual} != ${expected}`);
+
+// Reruns "contagion" by taking the extra losses off each bank's capital; bank 0 has failed
+const banks = [
+    { id: 0, A: 100, E_initial: 10, E: -1, isFailed: true, holdings: [50] },
+    { id: 1, A: 100, E_initial: 10, E: 10, isFailed: false, holdings: [50] }
+];
+const contagion = (losses) => banks.map((bank, i) => ({ ...bank, E: (bank.isFailed ? bank.E : bank.E_initial) - losses[i] }));
+
+test('a failed bank sells its whole holding and every holder marks to the new price', () => {
+    // Bank 0 sells 50 of a market of 100: price exp(-0.5). Bank 1 does not deleverage, so the second pass sells the same.
+    const outcome = FireSale.runWithFireSales(banks, [{ id: 'x', name: 'X', share: 1, impact: 1, marketable: true }], { impactScale: 1, deleveraging: 0 }, contagion);
+    const price = Math.exp(-0.5);
+    assert.equal(outcome.passes, 2);
+    assert.deepEqual(outcome.prices.map(({ id, sold }) => [id, sold]), [['x', 50]]);
+    close(outcome.prices[0].price, price);
+    outcome.fireSaleLosses.forEach(loss => close(loss, 50 * (1 - price)));
+    close(outcome.nodes[1].E, 10 - 50 * (1 - price));
+
+    // A class that is not marketable is never sold and keeps its price
+    const held = FireSale.runWithFireSales(banks, [{ id: 'x', share: 1, impact: 1, marketable: false }], { impactScale: 1, deleveraging: 1 }, contagion);
+    assert.deepEqual(held.prices.map(({ price, sold }) => [price, sold]), [[1, 0]]);
+    assert.deepEqual(held.fireSaleLosses, [0, 0]);
+});
+
+test('generated holdings split each bank\'s external assets', () => {
+    const nodes = [{ A_external: 80 }, { A_external: -5 }];
+    const [first, second] = FireSale.generateHoldings(nodes, () => 0.5);
+    close(first.reduce((sum, amount) => sum + amount, 0), 80);
+    assert.deepEqual(first.map(amount => +amount.toFixed(9)), [24, 16, 8, 32]);
+    assert.deepEqual(second, [0, 0, 0, 0]);
+});
+
+test('fire-sale specs and asset classes are validated', () => {
+    assert.equal(FireSale.normalizeFireSale(false), null);
+    assert.deepEqual(FireSale.normalizeFireSale(true), { impactScale: 1, deleveraging: 1 });
+    assert.deepEqual(FireSale.validateFireSale({ impactScale: 200, deleveraging: -1 }), [
+        '"fireSale.impactScale" must be a number between 0 and 100.',
+        '"fireSale.deleveraging" must be a number between 0 and 1.'
+    ]);
+
+    assert.deepEqual(FireSale.validateAssetClasses(FireSale.DEFAULT_ASSET_CLASSES), []);
+    assert.deepEqual(FireSale.validateAssetClasses('gsec'), ['"assetClasses" must be an array.']);
+    assert.deepEqual(FireSale.validateAssetClasses([null, { id: 'a', share: '1', impact: NaN, marketable: 'yes', riskWeight: -1 }, { id: 'a', share: 0 }]), [
+        '"assetClasses[0]" must be an object.',
+        '"assetClasses[1].share" must be a non-negative number.',
+        '"assetClasses[1].impact" must be a non-negative number.',
+        '"assetClasses[1].marketable" must be true or false.',
+        '"assetClasses[1].riskWeight" must be a non-negative number.',
+        '"assetClasses[2].id" repeats "a".'
+    ]);
+    assert.deepEqual(FireSale.validateAssetClasses([{ id: 'a', share: 0 }]), ['At least one of "assetClasses" must have a positive "share".']);
+});
+
+test('uploaded asset classes and holdings are checked when the network loads', () => {
+    const data = (assetClasses, holdings) => ({
+        nodes: [0, 1].map(id => ({ id, A: 100, E_initial: 10, L: 90, holdings })),
+        exposures: [[0, 1, 20]],
+        assetClasses
+    });
+    assert.throws(() => DebtRankEngine.loadNetwork(data([null])), (err) => {
+        assert.deepEqual(err.details, ['"assetClasses[0]" must be an object.']);
+        return true;
+    });
+    assert.throws(() => DebtRankEngine.loadNetwork(data([{ id: 'a', share: 1 }], [1, 2])), (err) => {
+        assert.deepEqual(err.details, [0, 1].map(i => `"nodes[${i}].holdings" must list a non-negative amount for each of the 1 asset classes.`));
+        return true;
+    });
+
+    // Missing impact and marketable default to an asset nobody sells, so the fire sale settles at once
+    const network = DebtRankEngine.loadNetwork(data([{ id: 'a', name: 'A', share: 1 }], [80]));
+    assert.deepEqual(network.assetClasses, [{ id: 'a', name: 'A', share: 1, impact: 0, marketable: false }]);
+    const result = DebtRankEngine.runSimulation(network, { type: 'targeted', targetId: 0 }, { model: 'furfine', fireSale: true });
+    assert.deepEqual(result.fireSale.prices, [{ id: 'a', name: 'A', price: 1, sold: 0 }]);
+    assert.equal(result.fireSale.passes, 1);
+});
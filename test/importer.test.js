@@ -0,0 +1,33 @@
+// =========================================================
+// Exposure data importer tests (run with `npm test`)
+// =========================================================
+// Two-bank balance sheets with one exposure between them, read from CSV and JSON.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const NetworkImporter = require('../importer');
+
+const EXPOSURES = 'debtor,creditor,amount\nA,B,10';
+// Balance-sheet errors only: exposures to a refused bank are reported as well
+const messages = ({ errors }) => errors.filter(({ file }) => file === 'balance sheets').map(({ row, message }) => [row, message]);
+
+test('names with markup are refused and groups are reduced to plain ids', () => {
+    const { network, errors } = NetworkImporter.importNetwork({
+        balanceSheets: 'id,name,total_assets,equity,group\nA,Bank A,100,10,"<b>Small Finance</b>"\nB,,100,10,',
+        exposures: EXPOSURES
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(network.nodes.map(({ name, group }) => [name, group]), [['Bank A', 'b-small-finance-b'], ['B', undefined]]);
+
+    const marked = NetworkImporter.importNetwork({
+        balanceSheets: 'id,name,total_assets,equity\nA,<img src=x onerror=alert(1)>,100,10\n<B>,,100,10',
+        exposures: EXPOSURES
+    });
+    assert.equal(marked.network, null);
+    assert.deepEqual(messages(marked), [[2, 'Name must not contain "<" or ">".'], [3, 'Name must not contain "<" or ">".']]);
+
+    const json = NetworkImporter.importNetwork({
+        balanceSheets: JSON.stringify([{ id: 'A', name: 'Bank <A>', assets: 100, equity: 10 }, { id: 'B', assets: 100, equity: 10 }]),
+        exposures: EXPOSURES
+    });
+    assert.deepEqual(messages(json), [[1, 'Name must not contain "<" or ">".']]);
+});
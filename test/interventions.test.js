@@ -0,0 +1,65 @@
+// =========================================================
+// Policy intervention tests (run with `npm test`)
+// =========================================================
+// Three banks (assets 100, capital 10 each): bank 0 owes bank 1 50, bank 1 owes bank 2 5. Bailing in bank 0's debt
+// costs bank 1 more than its capital, so the accounting can be worked out by hand.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DebtRankEngine = require('../engine');
+const Interventions = require('../interventions');
+
+const network = () => DebtRankEngine.loadNetwork({
+    parameters: { seed: 'bail-in', n: 3 },
+    nodes: [0, 1, 2].map(id => ({ id, name: `Bank ${id}`, A: 100, E_initial: 10, L: 90 })),
+    exposures: [[0, 1, 50], [1, 2, 5]]
+});
+
+const NO_LOSS = { type: 'macro', lossFactor: 0 };
+const bailIn = (when) => [{ type: 'bail-in', ids: [0], haircut: 1, when }];
+
+test('a bail-in writes the creditors\' claims off their capital, not their pre-shock capital', () => {
+    const nodes = network().nodes.map(node => ({ ...node }));
+    const outcome = Interventions.applyInterventions(nodes, network().exposures, bailIn('before'));
+    assert.equal(outcome.bailedIn, 50);
+    assert.deepEqual(nodes.map(({ E_initial, E, A, L }) => [E_initial, E, A, L]), [[60, 60, 100, 40], [10, -40, 50, 90], [10, 10, 100, 90]]);
+});
+
+['before', 'during'].forEach(when => {
+    test(`capital lost counts the bail-in creditors' write-downs (${when} the shock)`, () => {
+        // Bank 0 converts its 50 of debt into capital; bank 1 loses 50 against capital of 10 and fails, and bank 2
+        // loses the 5 bank 1 owed it. Capital lost is bank 1's 10 and bank 2's 5, out of 60 + 10 + 10.
+        const result = DebtRankEngine.runSimulation(network(), NO_LOSS, { model: 'furfine', interventions: bailIn(when) });
+        assert.deepEqual(result.nodes.map(node => [node.E_initial, node.E, node.isFailed]), [[60, 60, false], [10, 0, true], [10, 5, false]]);
+        assert.equal(result.nodes[1].shockLoss, 10);
+        assert.equal(result.nodes[2].interbankLoss, 5);
+        assert.equal(result.summary.totalInitialCapital, 80);
+        assert.equal(result.summary.totalLoss, 15);
+        assert.equal(result.summary.contagionIndex, 18.75);
+        assert.equal(result.interventions.bailedIn, 50);
+        assert.equal(result.interventions.avoidedLoss, -15);
+        assert.deepEqual(result.interventions.newlyFailed, [1]);
+    });
+});
+
+test('a capital injection raises capital and pre-shock capital together', () => {
+    const injection = [{ type: 'capital', ids: [1], amount: 5 }];
+    const result = DebtRankEngine.runSimulation(network(), { type: 'targeted', targetId: 0 }, { model: 'furfine', interventions: injection });
+    // Bank 1 loses the 50 bank 0 owed it either way and, even with 15 of capital, fails; bank 2 loses the 5 it is owed
+    assert.deepEqual(result.nodes.map(node => node.E_initial), [10, 15, 10]);
+    assert.equal(result.interventions.injected, 5);
+    assert.equal(result.interventions.baseline.totalLoss, 25);
+    assert.equal(result.summary.totalLoss, 30);
+    assert.equal(result.interventions.avoidedLoss, -5);
+});
+
+test('interventions are validated against the network', () => {
+    assert.deepEqual(Interventions.validateInterventions(bailIn('before'), 3), []);
+    assert.deepEqual(Interventions.validateInterventions([{ type: 'bail-in', ids: [3], haircut: 1.5, when: 'later' }], 3), [
+        '"interventions[0].when" must be one of: before, during.',
+        '"interventions[0].ids" must be a non-empty array of bank ids between 0 and 2.',
+        '"interventions[0].haircut" must be a number between 0 and 1.'
+    ]);
+    assert.deepEqual(Interventions.validateInterventions([{ type: 'ring-fence', links: [{ source: 1, target: 1 }] }], 3), [
+        '"interventions[0].links" must be a non-empty array of { source, target } pairs of distinct bank ids.'
+    ]);
+});
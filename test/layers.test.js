@@ -0,0 +1,99 @@
+// =========================================================
+// Exposure layer tests (run with `npm test`)
+// =========================================================
+// Two or three banks (assets 100, capital 10 each) whose exposures are split across loans (recovery 55%) and
+// repo (recovery 90%), small enough to work every loss out by hand.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DebtRankEngine = require('../engine');
+const Exposures = require('../exposures');
+const NetworkEditor = require('../editor');
+const NetworkImporter = require('../importer');
+
+const LAYERS = [{ id: 'loans', name: 'Unsecured loans', recovery: 0.55 }, { id: 'repo', name: 'Secured repo', recovery: 0.9 }];
+
+const network = (exposures, layers = LAYERS) => DebtRankEngine.loadNetwork({
+    parameters: { seed: 'layers', n: 3 },
+    nodes: [0, 1, 2].map(id => ({ id, name: `Bank ${id}`, A: 100, E_initial: 10, L: 90 })),
+    layers,
+    exposures
+});
+
+const run = (data, components, model) => DebtRankEngine.runSimulation(data, { type: 'custom', components }, { model });
+const round = (losses) => Object.fromEntries(Object.entries(losses).map(([id, loss]) => [id, +loss.toFixed(9)]));
+
+test('a default costs each layer its loss given default', () => {
+    // Bank 0 fails owing bank 1 10 in loans and 40 in repo: bank 1 loses 0.45 × 10 + 0.1 × 40 = 8.5
+    const result = run(network([[0, 1, 10, 'loans'], [0, 1, 40, 'repo']]), [{ on: 'fail', ids: [0] }], 'furfine');
+    const bank1 = result.nodes[1];
+    assert.equal(+bank1.interbankLoss.toFixed(9), 8.5);
+    assert.equal(bank1.isFailed, false);
+    assert.deepEqual(round(bank1.layerLosses), { loans: 4.5, repo: 4 });
+    assert.deepEqual(result.layers.map(({ id, exposure, loss }) => [id, exposure, +loss.toFixed(9)]), [['loans', 10, 4.5], ['repo', 40, 4]]);
+    assert.deepEqual(round(DebtRankEngine.resultRows(result.nodes)[1].layerLosses), { loans: 4.5, repo: 4 });
+
+    // Without layers the whole 50 is lost and bank 1 fails
+    const unlayered = DebtRankEngine.loadNetwork({ ...DebtRankEngine.serializeNetwork(network([])), layers: undefined, exposures: [[0, 1, 50]] });
+    assert.equal(run(unlayered, [{ on: 'fail', ids: [0] }], 'furfine').nodes[1].isFailed, true);
+});
+
+test('the layers add up to the combined exposures and survive a round trip', () => {
+    const data = network([[0, 1, 10, 'loans'], [0, 1, 40, 'repo'], [1, 2, 5, 'repo']]);
+    assert.deepEqual(Exposures.toList(data.exposures), [[0, 1, 50], [1, 2, 5]]);
+    assert.deepEqual(data.links.map(({ source, target, value, layers }) => [source, target, value, layers]), [[0, 1, 50, [10, 40]], [1, 2, 5, [0, 5]]]);
+    assert.equal(data.nodes[1].A_interbank, 50);
+
+    const saved = DebtRankEngine.serializeNetwork(data);
+    assert.deepEqual(saved.layers, LAYERS);
+    assert.deepEqual(saved.exposures, [[0, 1, 10, 'loans'], [0, 1, 40, 'repo'], [1, 2, 5, 'repo']]);
+    const reloaded = DebtRankEngine.loadNetwork(saved);
+    assert.deepEqual(DebtRankEngine.serializeNetwork(reloaded), saved);
+    assert.equal(DebtRankEngine.networkFingerprint(reloaded), DebtRankEngine.networkFingerprint(data));
+
+    assert.throws(() => network([[0, 1, 10, 'swaps']]), /"exposures\[0\]" layer must be one of: loans, repo/);
+    assert.throws(() => network([[0, 1, 10, 'repo']], [{ id: 'repo', recovery: 2 }]), /"layers\[0\]\.recovery" must be a number between 0 and 1/);
+});
+
+test('Eisenberg–Noe creditors recover the layer\'s share of a shortfall', () => {
+    // Bank 0 loses 30 of its external assets and cannot pay all of the 20 it owes bank 1 in repo. It still owes the
+    // full 20, but bank 1 gets 90% of the shortfall back from the collateral.
+    const shock = [{ on: 'external', ids: [0], size: 0.3 / 0.8 }];
+    const layered = run(network([[0, 1, 20, 'repo']]), shock, 'eisenberg-noe');
+    const unlayered = run(DebtRankEngine.loadNetwork({ ...DebtRankEngine.serializeNetwork(network([])), layers: undefined, exposures: [[0, 1, 20]] }), shock, 'eisenberg-noe');
+    const [bank0] = layered.nodes;
+    assert.ok(bank0.paymentRatio < 1);
+    assert.equal(+layered.nodes[1].interbankLoss.toFixed(9), +(20 * (1 - bank0.paymentRatio) * 0.1).toFixed(9));
+    assert.equal(+unlayered.nodes[1].interbankLoss.toFixed(9), +(20 * (1 - unlayered.nodes[0].paymentRatio)).toFixed(9));
+    assert.deepEqual(round(layered.nodes[1].layerLosses), { loans: 0, repo: +layered.nodes[1].interbankLoss.toFixed(9) });
+});
+
+test('editing an exposure in one layer and a layer\'s recovery', () => {
+    const data = network([[0, 1, 10, 'loans'], [0, 1, 40, 'repo']]);
+    const edited = NetworkEditor.applyEdit(data, { type: 'set-exposure', debtor: 0, creditor: 1, amount: 20, layer: 'repo' });
+    assert.deepEqual(DebtRankEngine.serializeNetwork(edited).exposures, [[0, 1, 10, 'loans'], [0, 1, 20, 'repo']]);
+    assert.equal(edited.nodes[1].A_interbank, 30);
+    assert.equal(NetworkEditor.describeEdit(data, { type: 'set-exposure', debtor: 0, creditor: 1, amount: 20, layer: 'repo' }),
+        'set Bank 0 → Bank 1 (Secured repo) to 20');
+    assert.deepEqual(NetworkEditor.validateEdit(data, { type: 'set-exposure', debtor: 0, creditor: 1, amount: 20, layer: 'swaps' }),
+        ['"layer" must be one of: loans, repo.']);
+
+    // With repo recovering nothing, bank 1 loses 0.45 × 10 + 40 and fails
+    const unsecured = NetworkEditor.applyEdit(data, { type: 'update-layer', layer: 'repo', recovery: 0 });
+    assert.deepEqual(unsecured.layers[1], { id: 'repo', name: 'Secured repo', recovery: 0 });
+    assert.equal(run(unsecured, [{ on: 'fail', ids: [0] }], 'furfine').nodes[1].isFailed, true);
+    assert.deepEqual(NetworkEditor.validateEdit(data, { type: 'update-layer', layer: 'repo', recovery: 1.5 }), ['Recovery must be a number between 0 and 1.']);
+});
+
+test('importing exposures with a layer column', () => {
+    const balanceSheets = 'id,name,total_assets,equity\nA,Bank A,100,10\nB,Bank B,100,10';
+    const { network: imported, errors } = NetworkImporter.importNetwork({
+        balanceSheets,
+        exposures: 'debtor,creditor,amount,layer\nA,B,10,Repo\nA,B,5,Cross Holdings'
+    });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(imported.layers, [{ id: 'repo', name: 'Secured repo', recovery: 0.9 }, { id: 'cross-holdings', name: 'Cross Holdings', recovery: 0 }]);
+    assert.deepEqual(DebtRankEngine.serializeNetwork(imported).exposures, [[0, 1, 10, 'repo'], [0, 1, 5, 'cross-holdings']]);
+
+    const missing = NetworkImporter.importNetwork({ balanceSheets, exposures: 'debtor,creditor,amount,layer\nA,B,10,repo\nB,A,5,' });
+    assert.deepEqual(missing.errors.map(({ row, message }) => [row, message]), [[3, 'Missing layer.']]);
+});
@@ -0,0 +1,149 @@
+// =========================================================
+// Shared library tests (run with `npm test`)
+// =========================================================
+// A throwaway library directory, used directly and through the API with an analyst and two viewers signed in.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const Library = require('../library');
+const { createAuth } = require('../auth');
+const { createApiRouter } = require('../api');
+
+const PASSWORD = 'correct horse battery';
+const NETWORK = { nodes: [0, 1].map(id => ({ id, A: 100, E_initial: 10, L: 90 })), exposures: [[0, 1, 20]] };
+const SCENARIO = { shock: { type: 'targeted', targetId: 0 }, model: 'furfine' };
+
+const tempDir = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'library-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+test('items are saved, listed, renamed, copied and deleted', (t) => {
+    const dir = tempDir(t);
+    const library = Library.createLibrary(dir);
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['networks', 'runs', 'scenarios']);
+
+    const built = Library.buildItem('scenarios', { name: ' Stress ', ...SCENARIO });
+    const saved = library.create('scenarios', { name: ' Stress ', ...built }, 'victor');
+    assert.match(saved.id, /^[0-9a-f-]{36}$/);
+    assert.deepEqual([saved.name, saved.createdBy, saved.data.model], ['Stress', 'victor', 'furfine']);
+    assert.equal(fs.statSync(path.join(dir, 'scenarios', `${saved.id}.json`)).mode & 0o777, 0o600);
+
+    assert.deepEqual(library.get('scenarios', saved.id), saved);
+    assert.equal(library.get('networks', saved.id), null);
+    const renamed = library.rename('scenarios', saved.id, 'Renamed', 'alice');
+    assert.deepEqual([renamed.name, renamed.createdBy, renamed.updatedBy], ['Renamed', 'victor', 'alice']);
+    const copy = library.duplicate('scenarios', saved.id, 'wendy');
+    assert.deepEqual([copy.name, copy.createdBy], ['Renamed (copy)', 'wendy']);
+    assert.notEqual(copy.id, saved.id);
+
+    const listed = library.list('scenarios');
+    assert.deepEqual(listed.map(item => item.id).sort(), [saved.id, copy.id].sort());
+    assert.ok(listed.every(item => !('data' in item)));
+
+    assert.equal(library.remove('scenarios', saved.id), true);
+    assert.equal(library.remove('scenarios', saved.id), false);
+    assert.deepEqual(library.list('scenarios').map(item => item.id), [copy.id]);
+    assert.equal(library.rename('scenarios', saved.id, 'Gone', 'alice'), null);
+});
+
+test('only well-formed ids are read, so paths cannot leave the library', (t) => {
+    const dir = tempDir(t);
+    const library = Library.createLibrary(path.join(dir, 'library'));
+    fs.writeFileSync(path.join(dir, 'secret.json'), JSON.stringify({ id: 'secret', data: 'leaked' }));
+
+    ['../secret', '../../secret', 'networks/../../secret', '', '00000000-0000-0000-0000-00000000000g'].forEach(id => {
+        assert.equal(library.get('networks', id), null, id);
+        assert.equal(library.remove('networks', id), false, id);
+    });
+    assert.ok(fs.existsSync(path.join(dir, 'secret.json')));
+});
+
+test('networks, scenarios and runs are checked before they are saved', () => {
+    assert.deepEqual(Library.buildItem('scenarios', null), { errors: ['The request body must be an object.'] });
+    assert.deepEqual(Library.buildItem('scenarios', { name: '', shock: { type: 'quake' }, model: 'toString' }).errors, [
+        `"name" must be a non-empty string of at most ${Library.MAX_NAME_LENGTH} characters.`,
+        '"shock.type" must be one of: macro, targeted, random, custom.',
+        '"model" must be one of: debtrank, linear-debtrank, differential-debtrank, furfine, eisenberg-noe.'
+    ]);
+    assert.deepEqual(Library.buildItem('scenarios', { name: 'No shock' }).errors, ['"shock" must be an object.']);
+    assert.deepEqual(Library.buildItem('scenarios', { name: 'Bad model', shock: SCENARIO.shock, model: { type: 'valueOf' } }).errors, [
+        '"model.type" must be one of: debtrank, linear-debtrank, differential-debtrank, furfine, eisenberg-noe.'
+    ]);
+
+    assert.deepEqual(Library.buildItem('networks', { name: 'Broken', network: { nodes: [null], exposures: [] } }).errors, ['"network": "nodes[0]" must be an object.']);
+    const { info } = Library.buildItem('networks', { name: 'Pair', network: NETWORK });
+    assert.deepEqual([info.nodeCount, info.linkCount], [2, 1]);
+
+    // A run's shock is checked against its network's banks, and its network data against the fingerprint
+    const network = { source: 'uploaded', fingerprint: info.fingerprint, parameters: {}, nodeCount: 2, linkCount: 1 };
+    const run = { name: 'Run', network, networkData: NETWORK, ...SCENARIO, summary: {}, nodes: [] };
+    assert.equal(Library.buildItem('runs', run).errors, undefined);
+    assert.deepEqual(Library.buildItem('runs', { ...run, shock: { type: 'targeted', targetId: 2 } }).errors, ['"shock.targetId" must be an integer bank id between 0 and 1.']);
+    assert.deepEqual(Library.buildItem('runs', { ...run, network: { ...network, fingerprint: '0'.repeat(16) } }).errors, ['"networkData" does not match "network.fingerprint".']);
+});
+
+test('items belong to whoever saved them; analysts curate everyone\'s', async (t) => {
+    const dir = tempDir(t);
+    const auth = createAuth({ usersFile: path.join(dir, 'users.json') });
+    await auth.users.add({ username: 'alice', password: PASSWORD, role: 'analyst' });
+    await auth.users.add({ username: 'victor', password: PASSWORD, role: 'viewer' });
+    await auth.users.add({ username: 'wendy', password: PASSWORD, role: 'viewer' });
+    const library = Library.createLibrary(path.join(dir, 'library'));
+    const app = express();
+    app.use('/api', createApiRouter({ auth, library }));
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    const base = `http://127.0.0.1:${server.address().port}/api`;
+
+    const request = async (method, url, cookie, body) => {
+        const response = await fetch(base + url, {
+            method,
+            headers: { 'content-type': 'application/json', cookie },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+    };
+    const login = async (username) => {
+        const response = await fetch(`${base}/auth/login`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ username, password: PASSWORD })
+        });
+        return response.headers.get('set-cookie').split(';')[0];
+    };
+    const [alice, victor, wendy] = [await login('alice'), await login('victor'), await login('wendy')];
+
+    assert.equal((await request('GET', '/library/secrets', victor)).status, 404);
+    assert.equal((await request('GET', `/library/networks/${encodeURIComponent('../users')}`, victor)).status, 404);
+    assert.deepEqual((await request('POST', '/library/scenarios', victor, { name: 'Bad', shock: { type: 'quake' } })).body.details, [
+        '"shock.type" must be one of: macro, targeted, random, custom.'
+    ]);
+
+    // Sharing network data is an upload
+    assert.equal((await request('POST', '/library/networks', victor, { name: 'Pair', network: NETWORK })).status, 403);
+    assert.equal((await request('POST', '/library/networks', alice, { name: 'Pair', network: NETWORK })).status, 201);
+
+    const { body: scenario } = await request('POST', '/library/scenarios', victor, { name: 'Mine', ...SCENARIO });
+    assert.equal(scenario.createdBy, 'victor');
+    assert.equal((await request('PATCH', `/library/scenarios/${scenario.id}`, wendy, { name: 'Taken' })).status, 403);
+    assert.equal((await request('DELETE', `/library/scenarios/${scenario.id}`, wendy)).status, 403);
+    assert.equal((await request('PATCH', `/library/scenarios/${scenario.id}`, victor, { name: 'Still mine' })).body.name, 'Still mine');
+    const copy = await request('POST', `/library/scenarios/${scenario.id}/duplicate`, wendy);
+    assert.deepEqual([copy.status, copy.body.createdBy, copy.body.name], [201, 'wendy', 'Still mine (copy)']);
+    assert.equal((await request('DELETE', `/library/scenarios/${scenario.id}`, alice)).status, 204);
+    assert.equal((await request('GET', `/library/scenarios/${scenario.id}`, victor)).status, 404);
+
+    // A scenario stored before the current checks is not copied
+    const stale = library.create('scenarios', { name: 'Stale', info: {}, data: { shock: SCENARIO.shock, model: 'toString' } }, 'victor');
+    const refused = await request('POST', `/library/scenarios/${stale.id}/duplicate`, victor);
+    assert.equal(refused.status, 422);
+    assert.deepEqual(refused.body.details, ['"model" must be one of: debtrank, linear-debtrank, differential-debtrank, furfine, eisenberg-noe.']);
+});
@@ -0,0 +1,87 @@
+// =========================================================
+// Multi-period funding-run tests (run with `npm test`)
+// =========================================================
+// A two-bank network small enough to follow each period by hand.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DebtRankEngine = require('../engine');
+
+// Both banks: assets 100, capital 10. Bank 0 owes bank 1 20, so bank 0 holds 100 of external assets (10 liquid).
+const pair = () => DebtRankEngine.loadNetwork({
+    parameters: { seed: 'pair', n: 2 },
+    nodes: [0, 1].map(id => ({ id, name: `Bank ${id}`, A: 100, E_initial: 10, L: 90 })),
+    exposures: [[0, 1, 20]]
+});
+
+const hitBank0 = (size) => ({ type: 'custom', components: [{ on: 'equity', ids: [0], size }] });
+const run = (size, liquidity) => DebtRankEngine.runSimulation(pair(), hitBank0(size), { model: 'furfine', liquidity: { shortTermShare: 1, recoveryRate: 0, ...liquidity } });
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('a bank that cannot meet a withdrawal fails illiquid and its creditor takes the loss', () => {
+    // Bank 0 loses half its capital (distress 0.5), bank 1 calls in all 20; bank 0 has 10 of cash and cannot sell
+    const result = run(0.5, { periods: 2, haircut: 1 });
+    assert.deepEqual(result.liquidity.timeline.map(({ period, solvencyFailures, liquidityFailures }) => [period, solvencyFailures, liquidityFailures]),
+        [[0, [], []], [1, [1], [0]], [2, [], []]]);
+    assert.deepEqual(result.nodes.map(node => [node.failureType, node.failedPeriod]), [['illiquid', 1], ['insolvent', 1]]);
+    assert.equal(result.nodes[0].liquidityLoss, 5);
+    assert.equal(result.nodes[1].interbankLoss, 10);
+    assert.equal(result.summary.failures, 2);
+});
+
+test('asset sales at a haircut meet the withdrawal, and repaid funding no longer transmits losses', () => {
+    // 10 paid in cash, 10 more raised by selling 20 of assets at a 50% haircut: bank 0 loses 10 > its 5 of capital
+    const result = run(0.5, { periods: 1, haircut: 0.5 });
+    assert.deepEqual(result.liquidity.timeline[1], {
+        period: 1, solvencyFailures: [0], liquidityFailures: [], withdrawn: 20, saleLoss: 10, recovered: 0, failures: 1, totalLoss: 10
+    });
+    assert.equal(result.nodes[0].failureType, 'insolvent');
+    assert.equal(result.nodes[0].liquidityLoss, 5);
+    assert.equal(result.nodes[0].fundingWithdrawn, 20);
+    assert.equal(result.nodes[1].isFailed, false);
+    assert.equal(result.nodes[1].E, 10);
+    assert.equal(result.nodes[1].liquidAssets, 8 + 20);
+});
+
+test('the proportional rule withdraws in step with the debtor\'s distress', () => {
+    // Half the claim is callable; distress 0.5 withdraws half of what is still callable each period
+    const result = run(0.5, { periods: 2, shortTermShare: 0.5, rule: 'proportional' });
+    assert.deepEqual(result.liquidity.timeline.map(period => period.withdrawn), [0, 5, 2.5]);
+    assert.equal(result.nodes[0].fundingWithdrawn, 7.5);
+    assert.equal(result.nodes[0].A, 92.5);
+    assert.equal(result.nodes[1].A_interbank, 12.5);
+    assert.equal(result.nodes[1].A_external, 87.5);
+    assert.equal(result.summary.failures, 0);
+});
+
+test('below the threshold nobody runs and surviving banks rebuild capital', () => {
+    // Distress 0.2 < 0.4; half of the remaining gap is recovered each period: 8 -> 9 -> 9.5
+    const result = run(0.2, { periods: 2, recoveryRate: 0.5 });
+    assert.deepEqual(result.liquidity.timeline.map(period => [period.withdrawn, period.recovered]), [[0, 0], [0, 1], [0, 0.5]]);
+    close(result.nodes[0].E, 9.5);
+    close(result.nodes[0].shockLoss, 0.5);
+    assert.equal(result.nodes[0].failureType, null);
+});
+
+test('creditors under stress hoard liquidity', () => {
+    // Bank 1 owes bank 0 instead; bank 0 is distressed (0.5) and hoarding 0.4 calls in 0.2 of its claim
+    const network = DebtRankEngine.loadNetwork({ ...DebtRankEngine.serializeNetwork(pair()), exposures: [[1, 0, 20]] });
+    const result = DebtRankEngine.runSimulation(network, hitBank0(0.5), { model: 'furfine', liquidity: { periods: 1, shortTermShare: 1, hoarding: 0.4, recoveryRate: 0 } });
+    close(result.liquidity.timeline[1].withdrawn, 4);
+    close(result.nodes[0].liquidAssets, 8 + 4);
+});
+
+test('liquidity specs are validated and off by default', () => {
+    assert.deepEqual(DebtRankEngine.validateLiquidity(true), []);
+    assert.deepEqual(DebtRankEngine.validateLiquidity({ periods: 3, rule: 'proportional', haircut: 0.2 }), []);
+    assert.deepEqual(DebtRankEngine.validateLiquidity({ periods: 0, rule: 'panic', haircut: 2 }), [
+        '"liquidity.periods" must be an integer between 1 and 50.',
+        '"liquidity.rule" must be one of: threshold, proportional.',
+        '"liquidity.haircut" must be a number between 0 and 1.'
+    ]);
+    assert.equal(DebtRankEngine.normalizeLiquidity(false), null);
+    assert.equal(DebtRankEngine.normalizeLiquidity(true).periods, 5);
+
+    const single = DebtRankEngine.runSimulation(pair(), hitBank0(0.5), { model: 'furfine' });
+    assert.equal(single.liquidity, undefined);
+    assert.equal(single.nodes[0].liquidityLoss, 0);
+});
@@ -0,0 +1,75 @@
+// =========================================================
+// Monte Carlo tests (run with `npm test`)
+// =========================================================
+// Risk statistics on small samples worked out by hand, seeded reruns, and which networks may be resampled.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DebtRankEngine = require('../engine');
+const MonteCarlo = require('../montecarlo');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual} != ${expected}`);
+
+const RANDOM = { type: 'random', probability: 0.3, severity: 0.8 };
+
+test('quantiles interpolate between neighbouring outcomes', () => {
+    const sorted = [1, 2, 4, 8];
+    assert.equal(MonteCarlo.quantile(sorted, 0), 1);
+    assert.equal(MonteCarlo.quantile(sorted, 1), 8);
+    close(MonteCarlo.quantile(sorted, 0.5), 3);
+    close(MonteCarlo.quantile(sorted, 0.9), 6.8);
+    assert.equal(MonteCarlo.quantile([7], 0.99), 7);
+    assert.ok(Number.isNaN(MonteCarlo.quantile([], 0.5)));
+});
+
+test('VaR is the level quantile and Expected Shortfall the mean at or beyond it', () => {
+    // 1..10 in any order: mean 5.5, sample variance 82.5 / 9
+    const stats = MonteCarlo.riskStats([10, 3, 7, 1, 9, 2, 8, 4, 6, 5], [0.8, 0.95]);
+    assert.equal(stats.mean, 5.5);
+    close(stats.sd, Math.sqrt(82.5 / 9));
+    assert.deepEqual([stats.min, stats.max, stats.median], [1, 10, 5.5]);
+    // 0.8: position 7.2 between 8 and 9, tail 9 and 10; 0.95: position 8.55 between 9 and 10, tail 10
+    close(stats.var[0.8], 8.2);
+    assert.equal(stats.es[0.8], 9.5);
+    close(stats.var[0.95], 9.55);
+    assert.equal(stats.es[0.95], 10);
+
+    const single = MonteCarlo.riskStats([4]);
+    assert.deepEqual([single.sd, single.var[0.99], single.es[0.99]], [0, 4, 4]);
+});
+
+test('a seed reproduces every run, in one go or in batches', () => {
+    const network = DebtRankEngine.generateNetwork({ n: 20, seed: 'mc' });
+    const options = { shock: RANDOM, model: 'furfine', seed: 'repeat', runs: 40 };
+    const first = MonteCarlo.runMonteCarlo(network, options);
+    assert.equal(first.runs, 40);
+    assert.equal(first.distributions.failures.length, 40);
+    assert.deepEqual(MonteCarlo.runMonteCarlo(network, options), first);
+
+    const runner = MonteCarlo.createRunner(network, options);
+    while (!runner.done) runner.runBatch(7);
+    assert.deepEqual(runner.result(), first);
+
+    const other = MonteCarlo.runMonteCarlo(network, { ...options, seed: 'other' });
+    assert.notDeepEqual(other.distributions, first.distributions);
+});
+
+test('resampling regenerates from valid generation options for as many banks as the network has', () => {
+    const network = DebtRankEngine.generateNetwork({ n: 12, topology: 'erdos-renyi', seed: 'resample' });
+    assert.deepEqual(MonteCarlo.validateResampling(network), []);
+    const options = { shock: RANDOM, seed: 'draws', runs: 5, resampleNetwork: true };
+    const result = MonteCarlo.runMonteCarlo(network, options);
+    assert.equal(result.resampleNetwork, true);
+    assert.deepEqual(MonteCarlo.runMonteCarlo(network, options), result);
+
+    // Uploaded networks keep whatever parameters they were sent with
+    const uploaded = (parameters) => DebtRankEngine.loadNetwork({ ...DebtRankEngine.serializeNetwork(network), parameters });
+    assert.deepEqual(MonteCarlo.validateResampling(uploaded({ seed: 'x' })), ['"resampleNetwork" requires a generated network.']);
+    assert.deepEqual(MonteCarlo.validateResampling(uploaded({ n: 12, topology: 'lattice', random: 1 })), [
+        '"resampleNetwork" needs the network\'s generation options: "topology" must be one of: random, erdos-renyi, barabasi-albert, core-periphery, fitness.'
+    ]);
+    assert.deepEqual(MonteCarlo.validateResampling(uploaded({ n: 1000000 })), ['"resampleNetwork" needs "parameters.n" to match the network\'s 12 banks.']);
+    assert.throws(() => MonteCarlo.createRunner(uploaded({ n: 1000000 }), options), /"parameters\.n" to match/);
+
+    // Keys other than generation options (a seed, or anything else sent along) are not passed on
+    assert.equal(MonteCarlo.runMonteCarlo(uploaded({ ...network.parameters, random: 1 }), options).runs, 5);
+});
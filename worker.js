@@ -0,0 +1,78 @@
+// =========================================================
+// Simulation Worker (stress tests off the UI thread)
+// =========================================================
+// Started by app.js as `new Worker('worker.js')`, it keeps a copy of the current network and runs the heavy engine
+// calls on it, reporting progress as it goes:
+//   in:  { type: 'network', data }          serializeNetwork output, replaces the network held
+//        { type: 'run', id, task, args }    runs TASKS[task] on that network
+//   out: { id, type: 'progress', done, total }, then { id, type: 'result', result } or { id, type: 'error', message }
+// Loaded with a <script> tag it only exposes `window.SimulationWorker`, so the page can run the same tasks itself
+// where a worker cannot be started.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine'), require('./montecarlo'), require('./analytics'));
+        return;
+    }
+    const isWorker = typeof importScripts === 'function' && typeof document === 'undefined';
+    if (isWorker) importScripts('exposures.js', 'layers.js', 'models.js', 'firesale.js', 'interventions.js', 'liquidity.js', 'capital.js', 'attribution.js', 'engine.js', 'montecarlo.js', 'analytics.js');
+    root.SimulationWorker = factory(root.DebtRankEngine, root.MonteCarlo, root.NetworkAnalytics);
+    if (isWorker) root.SimulationWorker.listen(root);
+})(typeof self !== 'undefined' ? self : this, (DebtRankEngine, MonteCarlo, NetworkAnalytics) => {
+    'use strict';
+
+    const MONTE_CARLO_BATCH = 50;
+    const PROGRESS_INTERVAL_MS = 100; // at most one progress message per interval (and the last one)
+
+    // Each task takes (network, args, progress) and returns a result that survives postMessage;
+    // progress(done, total) leaves `total` undefined when the amount of work is not known up front.
+    const TASKS = {
+        simulate: (network, { shock, options }) => DebtRankEngine.runSimulation(network, shock, options),
+        systemicImportance: (network, options, progress) => DebtRankEngine.systemicImportance(network, { ...options, onProgress: progress }),
+        cheapestInjection: (network, { shock, options }, progress) => DebtRankEngine.cheapestInjection(network, shock, { ...options, onProgress: progress }),
+        monteCarlo: (network, options, progress) => {
+            const runner = MonteCarlo.createRunner(network, options);
+            while (!runner.done) {
+                runner.runBatch(MONTE_CARLO_BATCH);
+                progress(runner.completed, runner.runs);
+            }
+            return runner.result();
+        },
+        analytics: (network) => NetworkAnalytics.analyzeNetwork(network)
+    };
+
+    const runTask = (network, task, args, progress = () => {}) => {
+        if (!TASKS[task]) throw new Error(`Unknown task "${task}".`);
+        if (!network) throw new Error('No network loaded.');
+        return TASKS[task](network, args, progress);
+    };
+
+    // Worker side of the message protocol
+    const listen = (scope) => {
+        let network = null;
+        scope.onmessage = ({ data: message }) => {
+            if (message.type === 'network') {
+                network = DebtRankEngine.loadNetwork(message.data);
+                return;
+            }
+            const { id, task, args } = message;
+            let lastPost = 0;
+            const progress = (done, total) => {
+                const now = Date.now();
+                if (now - lastPost < PROGRESS_INTERVAL_MS && done !== total) return;
+                lastPost = now;
+                scope.postMessage({ id, type: 'progress', done, total });
+            };
+            try {
+                scope.postMessage({ id, type: 'result', result: runTask(network, task, args, progress) });
+            } catch (err) {
+                scope.postMessage({ id, type: 'error', message: err.message });
+            }
+        };
+    };
+
+    return {
+        TASKS,
+        runTask,
+        listen
+    };
+});